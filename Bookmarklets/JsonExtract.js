@@ -1 +0,0 @@
-javascript:void function(a){var b=function(){};if(a%26%26a.fn%26%261.7<=parseFloat(a.fn.jquery))return void load(a);var c=document.createElement("script");c.src="https://ajax.googleapis.com/ajax/libs/jquery/1/jquery.js",c.onload=c.onreadystatechange=function(){var a=this.readyState;a%26%26"loaded"!==a%26%26"complete"!==a||b(jQuery.noConflict())},document.getElementsByTagName("head")[0].appendChild(c)}(window.jQuery);
\ No newline at end of file
@@ -0,0 +1 @@
+javascript:(async function(){const SUITE_URL="https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/bookmarklet-suite.js";const SCRIPT_URL="https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/Launcher-refactored.js";const ID="launcher";const CACHE="bms-cache-v1",MAX_AGE=36e5;async function load(u){let c,hit;try{c=await caches.open(CACHE);hit=await c.match(u);}catch(e){}%0Aif(hit&&Date.now()-Number(hit.headers.get("x-bms-cached-at"))<=MAX_AGE)return hit.text();try{const r=await fetch(u);if(!r.ok)throw new Error("HTTP "+r.status);const t=await r.text();if(c)c.put(u,new Response(t,{headers:{"x-bms-cached-at":String(Date.now())}})).catch(()=>{});return t;}catch(e){if(hit)return hit.text();throw e;}}%0Atry{if(!window.BMS||!window.BMS.registerBookmarklet){const suiteCode=await load(SUITE_URL);(new Function(suiteCode))();BMS.init();}%0Aif(!BMS.bookmarklets[ID]){const scriptCode=await load(SCRIPT_URL);BMS.registerOnly=true;try{(new Function(scriptCode))();}finally{BMS.registerOnly=false;}}%0Aawait BMS.runBookmarklet(ID);}catch(e){if(e instanceof EvalError)alert("This site's Content Security Policy blocks this bookmarklet. Use the standalone version from Bookmarklets/standalone instead.");else alert("Failed to load bookmarklet: "+e.message+". Check console for details.");}})();
\ No newline at end of file
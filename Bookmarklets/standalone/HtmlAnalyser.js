@@ -0,0 +1 @@
+javascript:(function(){if(!window.BMS||!window.BMS.bundleComponent){window.BMS={config:{defaultPanelTop:50,defaultPanelLeft:50,componentsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/components/',bookmarkletsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/',componentsLoaded:new Set(),verifyIntegrity:true,useCache:true,cacheMaxAge:60*60*1000,isolation:'none',trustedTypesPolicy:'bms',windowLayer:'above',snapThreshold:12,},manifest:{'core/modal/modal':{js:'sha256-2JIrcpTaGwkPjVCB0GetL8NT5O0fZRra4QdPh+SWP64=',css:'sha256-7qW4IDp1oRG0z01oZYcAvB+BSwjnaxzZvBZoZRQpbCc='},'core/panel/panel':{js:'sha256-p6gq2icmVwuoB9/4JAw8eePqdgbyXT8l7sdTNq8OTPk=',css:'sha256-6CLrS2iPeL1+uaGT/YFwsPjgv0YeAcNEmjm/1mgquic='},'data-display/table/table':{js:'sha256-mj+/Y6KtTmCoL272/jRlrn3c4NjsK7HfG7off7J1+Ks=',css:'sha256-dWbX2o3+zO/bX+8/OhfcTRond9QuXNrmFnWMTOZWAB4='},'navigation/command-palette/command-palette':{js:'sha256-wNQbDy7G7Ga4zh/6LfEAiaiwos/7OP/MUVvp0CDHrVw=',css:'sha256-1w5+/uteapoBm/+hWKXM/6c6qP64MxGDjcrxPeu06eE='},'interactive/animation-effects/animations':{js:'sha256-v/8jyCKJgtlBWNXm63CSalQ1DXvlDDSXRmDYCuoGfKk='},'templates/data-viewer/data-viewer':{dependencies:['core/panel/panel','data-display/table/table'],js:'sha256-G5tcD/jILjRw6ZWrc/KXYgWj0eSLoLQZl4FDG4StPjE=',css:'sha256-xNOaOOeKNK8oxjjMbt+7cDsSfpystPTX89nNRkIeo+0='}},init:function(options={}){this.config={...this.config,...options};this.injectCSS();if(!this.UI.Components)this.UI.Components={};if(!this.UI.Templates)this.UI.Templates={};if(!this.UI.Animations)this.UI.Animations={};},events:{_listeners:{},on:function(event,handler){(this._listeners[event]=this._listeners[event]||[]).push(handler);return()=>this.off(event,handler);},once:function(event,handler){const wrapper=(detail,name)=>{this.off(event,wrapper);handler(detail,name);};wrapper._bmsHandler=handler;return this.on(event,wrapper);},off:function(event,handler){if(!handler){delete this._listeners[event];return;}%0Aconst listeners=this._listeners[event]||[];const index=listeners.findIndex(l=>l===handler||l._bmsHandler===handler);if(index>-1)listeners.splice(index,1);},emit:function(event,detail={}){const namespace=event.split(':')[0];const listeners=[event,`${namespace}:*`,'*'].filter((name,index,names)=>names.indexOf(name)===index).flatMap(name=>this._listeners[name]||[]);listeners.forEach(listener=>{try{listener(detail,event);}catch(error){console.error(`BMS: "${event}" listener failed:`,error);}});}},bookmarklets:{},registerOnly:false,catalog:{'html-analyser':{name:'HTML Analyser',icon:'%F0%9F%94%8D',description:'Detects frameworks, UI libraries and meta tags on the page',script:'HtmlAnalyser-refactored.js',actions:[{id:'highlight-duplicate-ids',title:'Highlight duplicate IDs'},{id:'copy-meta-tags',title:'Copy meta tags as JSON'}]},'json-extract':{name:'JSON Extractor',icon:'%F0%9F%93%A6',description:'Extracts JSON-LD, Open Graph, Twitter Card and Microdata',script:'JsonExtract-refactored.js',actions:[{id:'export-json-ld',title:'Export JSON-LD'},{id:'copy-open-graph',title:'Copy Open Graph data'}]},'twitter-media-extractor':{name:'Twitter Media Extractor',icon:'%F0%9F%90%A6',description:'Lists the images and videos in tweets on the page',script:'TwitterMediaExtractor-refactored.js',actions:[{id:'copy-media-urls',title:'Copy media URLs'}]}},registerBookmarklet:function(definition){if(!definition||!definition.id||typeof definition.run!=='function'){throw new Error('registerBookmarklet: an id and a run() function are required');}%0Aconst previous=this.bookmarklets[definition.id];const bookmarklet={name:definition.id,version:'0.0.0',icon:'',description:'',components:[],actions:[],teardown:null,...definition,instance:previous?previous.instance:null};this.bookmarklets[bookmarklet.id]=bookmarklet;this.events.emit('bookmarklet:registered',this._bookmarkletDetail(bookmarklet));return bookmarklet;},runBookmarklet:async function(id,options={}){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aif(bookmarklet.components.length>0){try{await this.loadComponents(bookmarklet.components);}catch(error){console.error(`Failed to load components for ${bookmarklet.name}:`,error);}}%0Athis.stopBookmarklet(id);this.events.emit('bookmarklet:run',this._bookmarkletDetail(bookmarklet));try{bookmarklet.instance=await bookmarklet.run(options);}catch(error){this.UI.updateStatus(`${bookmarklet.name} failed: ${error.message}`,'error',6000);throw error;}%0Areturn bookmarklet.instance;},stopBookmarklet:function(id){const bookmarklet=this.bookmarklets[id];if(!bookmarklet||!bookmarklet.instance)return;const instance=bookmarklet.instance;bookmarklet.instance=null;if(bookmarklet.teardown){bookmarklet.teardown(instance);}%0Athis.events.emit('bookmarklet:stop',this._bookmarkletDetail(bookmarklet));},runBookmarkletAction:async function(id,actionId){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aconst action=bookmarklet.actions.find(a=>a.id===actionId);if(!action){throw new Error(`${bookmarklet.name} has no action "${actionId}"`);}%0Athis.events.emit('bookmarklet:action',{...this._bookmarkletDetail(bookmarklet),action:actionId});try{return await action.run();}catch(error){this.UI.updateStatus(`${action.title} failed: ${error.message}`,'error',6000);throw error;}},loadBookmarklet:async function(id){if(this.bookmarklets[id])return this.bookmarklets[id];const entry=this.catalog[id];if(!entry){throw new Error(`Bookmarklet "${id}" is not in the catalog`);}%0Aif(!this.canEval()){throw new Error(`Failed to load ${entry.name} - this page's Content Security Policy blocks eval, use its standalone bookmarklet`);}%0Aconst url=/^https?:\/\//.test(entry.script)?entry.script:this.config.bookmarkletsBaseUrl+entry.script;const code=new TextDecoder().decode(await this.cache.fetch(url));this.registerOnly=true;try{new Function(code)();}finally{this.registerOnly=false;}%0Aif(!this.bookmarklets[id]){throw new Error(`${entry.script} did not register "${id}"`);}%0Areturn this.bookmarklets[id];},listBookmarklets:function(){const ids=new Set([...Object.keys(this.catalog),...Object.keys(this.bookmarklets)]);return[...ids].map(id=>{const source=this.bookmarklets[id]||this.catalog[id];return{id,name:source.name||id,icon:source.icon||'',description:source.description||'',registered:Boolean(this.bookmarklets[id]),actions:(source.actions||[]).map(({id,title})=>({id,title}))};});},_bookmarkletDetail:function(bookmarklet){return{id:bookmarklet.id,name:bookmarklet.name,version:bookmarklet.version};},loadComponent:function(componentPath){return this.loadComponents([componentPath]);},resolveDependencies:function(components){const order=[];const visited=new Set();const visiting=[];const visit=(componentPath)=>{if(visited.has(componentPath))return;if(visiting.includes(componentPath)){const cycle=[...visiting.slice(visiting.indexOf(componentPath)),componentPath];throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);}%0Avisiting.push(componentPath);const entry=this.manifest[componentPath];((entry&&entry.dependencies)||[]).forEach(visit);visiting.pop();visited.add(componentPath);order.push(componentPath);};components.forEach(visit);return order;},_componentLoads:{},bundledComponents:{},bundleComponent:function(componentPath,run,css=null){this.bundledComponents[componentPath]={run,css};},canEval:function(){if(this._canEval===undefined){try{this._canEval=(new Function('return true'))();}catch(error){this._canEval=false;}}%0Areturn this._canEval;},_fetchComponent:async function(componentPath){const baseUrl=this.config.componentsBaseUrl;const entry=this.manifest[componentPath];if(this.bundledComponents[componentPath]){return this.bundledComponents[componentPath];}%0Aif(!this.canEval()){throw new Error(`Failed to load component: ${componentPath} - this page's Content Security Policy blocks eval, use the standalone bookmarklet`);}%0Aif(this.config.verifyIntegrity&&!entry){throw this._integrityError(`Component "${componentPath}" is not in the manifest`);}%0Atry{const jsUrl=`${baseUrl}${componentPath}.js`;const js=await this._fetchVerified(jsUrl,entry&&entry.js);let css=null;if(!entry||entry.css){try{const cssUrl=`${baseUrl}${componentPath}.css`;css=await this._fetchVerified(cssUrl,entry&&entry.css);}catch(cssError){if(cssError.integrity)throw cssError;console.log(`No CSS found for ${componentPath}, continuing...`);}}%0Areturn{js,css};}catch(error){const wrapped=new Error(`Failed to load component: ${componentPath} - ${error.message}`);wrapped.integrity=!!error.integrity;throw wrapped;}},_executeComponent:function(componentPath,files){if(files.run){files.run();}else{(new Function(files.js))();}%0Aif(files.css){this.DOM.addStyles(files.css,`bms-component-${componentPath.replace(/\//g,'-')}`);}%0Athis.config.componentsLoaded.add(componentPath);this.events.emit('component:loaded',{path:componentPath,bundled:!!files.run});},_fetchVerified:async function(url,integrity){const verify=this.config.verifyIntegrity?async(buffer)=>(await this._sha256(buffer))===integrity:null;const buffer=await this.cache.fetch(url,{validate:verify});if(verify&&!(await verify(buffer))){throw this._integrityError(`Integrity check failed for ${url}`);}%0Areturn new TextDecoder().decode(buffer);},_sha256:async function(buffer){if(!window.crypto||!window.crypto.subtle){throw this._integrityError('Cannot verify components: crypto.subtle is unavailable on this page');}%0Aconst digest=await window.crypto.subtle.digest('SHA-256',buffer);return'sha256-'+btoa(String.fromCharCode(...new Uint8Array(digest)));},_integrityError:function(message){console.error(`BMS: ${message}`);this.UI.updateStatus(`Blocked: ${message}`,'error',6000);const error=new Error(message);error.integrity=true;return error;},cache:{name:'bms-cache-v1',prefix:'bms-cache-',timestampHeader:'x-bms-cached-at',fetch:async function(url,{validate=null}={}){const cached=await this._get(url);if(cached){const fresh=validate?await validate(cached.buffer):cached.age<BMS.config.cacheMaxAge;if(fresh)return cached.buffer;}%0Alet buffer;try{const response=await fetch(url);if(!response.ok){throw new Error(`HTTP ${response.status} fetching ${url}`);}%0Abuffer=await response.arrayBuffer();}catch(error){if(cached&&!validate){console.warn(`BMS: network unavailable, using cached copy of ${url}`);return cached.buffer;}%0Athrow error;}%0Aif(!validate||await validate(buffer)){await this._put(url,buffer);}%0Areturn buffer;},clear:async function(){if(!window.caches)return 0;const names=(await caches.keys()).filter(name=>name.startsWith(this.prefix));await Promise.all(names.map(name=>caches.delete(name)));return names.length;},_open:async function(){if(!BMS.config.useCache||!window.caches)return null;try{return await caches.open(this.name);}catch(error){return null;}},_get:async function(url){const store=await this._open();const response=store&&await store.match(url);if(!response)return null;return{buffer:await response.arrayBuffer(),age:Date.now()-Number(response.headers.get(this.timestampHeader)||0)};},_put:async function(url,buffer){const store=await this._open();if(!store)return;try{await store.put(url,new Response(buffer,{headers:{[this.timestampHeader]:String(Date.now())}}));}catch(error){console.warn(`BMS: could not cache ${url}`,error);}}},loadComponents:function(components){let order;try{order=this.resolveDependencies(components);}catch(error){return Promise.reject(error);}%0Aorder.forEach(componentPath=>{if(this.config.componentsLoaded.has(componentPath)||this._componentLoads[componentPath])return;const entry=this.manifest[componentPath];const dependencyLoads=((entry&&entry.dependencies)||[]).map(dep=>this._componentLoads[dep]);this._componentLoads[componentPath]=Promise.all([this._fetchComponent(componentPath),...dependencyLoads]).then(([files])=>this._executeComponent(componentPath,files)).finally(()=>{delete this._componentLoads[componentPath];});});return Promise.all(order.map(componentPath=>this._componentLoads[componentPath]));},injectCSS:function(){this.DOM.addStyles(`%0A/* Bookmarklet Suite - CSS Library */%0A%0A/* 1. Reset and Base Styles */%0A.bms-container, .bms-container * {%0A  box-sizing: border-box;%0A  margin: 0;%0A  padding: 0;%0A  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;%0A  font-size: 14px;%0A  line-height: 1.5;%0A  color: var(--bms-text-color);%0A}%0A%0A/* 2. CSS Variables for Theming */%0A.bms-container {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23ffffff;%0A  --bms-text-color: %23212529;%0A  --bms-border-color: %23dee2e6;%0A  --bms-header-bg: %23f8f9fa;%0A  --bms-shadow: 0 5px 15px rgba(0,0,0,0.15);%0A}%0A%0A.bms-dark-theme {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23212529;%0A  --bms-text-color: %23f8f9fa;%0A  --bms-border-color: %23495057;%0A  --bms-header-bg: %23343a40;%0A}%0A%0A/* 3. Panel Component */%0A.bms-panel {%0A  position: fixed;%0A  z-index: 9999;%0A  top: 50px;%0A  left: 50px;%0A  width: 350px;%0A  min-width: 200px;%0A  min-height: 150px;%0A  max-width: 90vw;%0A  background-color: var(--bms-background-color);%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  display: flex;%0A  flex-direction: column;%0A}%0A%0A.bms-panel-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  cursor: move;%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A  touch-action: none;%0A  user-select: none;%0A}%0A%0A.bms-panel-header:focus-visible,%0A.bms-resizer:focus-visible {%0A  outline: 2px solid var(--bms-primary-color);%0A  outline-offset: -2px;%0A}%0A%0A.bms-panel-title {%0A  font-weight: bold;%0A}%0A%0A.bms-panel-controls button {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  margin-left: 10px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-panel-content {%0A  padding: 15px;%0A  overflow-y: auto;%0A  flex-grow: 1;%0A}%0A%0A.bms-panel-footer {%0A  padding: 10px 15px;%0A  border-top: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-header-bg);%0A  border-bottom-left-radius: 7px;%0A  border-bottom-right-radius: 7px;%0A  position: relative;%0A}%0A%0A.bms-resizer {%0A  position: absolute;%0A  bottom: 0;%0A  right: 0;%0A  width: 10px;%0A  height: 10px;%0A  cursor: se-resize;%0A  touch-action: none;%0A}%0A%0A.bms-panel-tabs {%0A  display: flex;%0A  border-bottom: 1px solid var(--bms-border-color);%0A}%0A%0A.bms-tab-btn {%0A  padding: 10px 15px;%0A  cursor: pointer;%0A  background-color: transparent;%0A  border: none;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-tab-btn.bms-active {%0A  background-color: var(--bms-background-color);%0A  border-bottom: 2px solid var(--bms-primary-color);%0A}%0A%0A.bms-tab-content {%0A  display: none;%0A}%0A%0A.bms-tab-content.bms-active {%0A  display: block;%0A}%0A%0A/* 4. Modal Component */%0A.bms-modal-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10000;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-modal {%0A  background-color: var(--bms-background-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  width: 500px;%0A  max-width: 90%25;%0A}%0A%0A.bms-modal-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A}%0A%0A.bms-modal-title {%0A  font-weight: bold;%0A}%0A%0A.bms-modal-close-btn {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-modal-content {%0A  padding: 15px;%0A}%0A%0A/* 5. Spinner Component */%0A.bms-spinner-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10001;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-spinner {%0A  border: 4px solid rgba(255, 255, 255, 0.3);%0A  border-radius: 50%25;%0A  border-top: 4px solid %23fff;%0A  width: 40px;%0A  height: 40px;%0A  animation: bms-spin 1s linear infinite;%0A}%0A%0A@keyframes bms-spin {%0A  0%25 { transform: rotate(0deg); }%0A  100%25 { transform: rotate(360deg); }%0A}%0A%0A/* 6. Status Bar Component */%0A.bms-status-bar {%0A  position: fixed;%0A  bottom: 20px;%0A  left: 50%25;%0A  transform: translateX(-50%25);%0A  padding: 10px 20px;%0A  border-radius: 5px;%0A  color: %23fff;%0A  z-index: 10002;%0A  opacity: 0;%0A  transition: opacity 0.3s ease-in-out;%0A}%0A%0A.bms-status-bar.bms-show {%0A  opacity: 1;%0A}%0A%0A.bms-status-info { background-color: %23007bff; }%0A.bms-status-success { background-color: %2328a745; }%0A.bms-status-warning { background-color: %23ffc107; color: %23212529; }%0A.bms-status-error { background-color: %23dc3545; }%0A%0A/* 7. Button Component */%0A.bms-button {%0A  display: inline-block;%0A  padding: 8px 12px;%0A  border: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-background-color);%0A  color: var(--bms-text-color);%0A  border-radius: 4px;%0A  cursor: pointer;%0A  text-align: center;%0A  text-decoration: none;%0A}%0A%0A.bms-button:hover {%0A  opacity: 0.9;%0A}%0A%0A.bms-button-primary {%0A  background-color: var(--bms-primary-color);%0A  color: %23fff;%0A  border-color: var(--bms-primary-color);%0A}%0A%0A/* 8. Window Manager */%0A.bms-window-minimized {%0A  display: none !important;%0A}%0A%0A.bms-taskbar {%0A  position: fixed;%0A  left: 0;%0A  right: 0;%0A  bottom: 0;%0A  display: flex;%0A  gap: 6px;%0A  padding: 6px 10px;%0A  overflow-x: auto;%0A  background-color: var(--bms-background-color);%0A  border-top: 1px solid var(--bms-border-color);%0A  box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.15);%0A}%0A%0A.bms-taskbar-item {%0A  flex-shrink: 0;%0A  max-width: 200px;%0A  padding: 4px 10px;%0A  overflow: hidden;%0A  white-space: nowrap;%0A  text-overflow: ellipsis;%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 4px;%0A  background-color: var(--bms-header-bg);%0A  color: var(--bms-text-color);%0A  cursor: pointer;%0A}%0A%0A.bms-taskbar-item:hover,%0A.bms-taskbar-item:focus-visible {%0A  border-color: var(--bms-primary-color);%0A}%0A    `,'bms-styles');},UI:{createPanel:function({id,title,content,footer,persistLayout=true}){if(BMS.DOM.byId(id))return;const panel=document.createElement('div');panel.id=id;panel.className='bms-panel bms-container';const header=document.createElement('div');header.className='bms-panel-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-panel-title">${title}</span>%0A        <div class="bms-panel-controls">%0A          <button class="bms-theme-btn">T</button>%0A          <button class="bms-minimize-btn">-</button>%0A          <button class="bms-close-btn">%C3%97</button>%0A        </div>%0A      `);panel.appendChild(header);if(typeof content==='string'){const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';BMS.DOM.setHTML(contentContainer,content);panel.appendChild(contentContainer);}else if(Array.isArray(content)){const tabsContainer=document.createElement('div');tabsContainer.className='bms-panel-tabs';const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';content.forEach((tab,index)=>{const tabBtn=document.createElement('button');tabBtn.className='bms-tab-btn';tabBtn.textContent=tab.title;if(index===0)tabBtn.classList.add('bms-active');const tabContent=document.createElement('div');tabContent.className='bms-tab-content';if(index===0)tabContent.classList.add('bms-active');BMS.DOM.setHTML(tabContent,tab.content);tabBtn.onclick=()=>{tabsContainer.querySelectorAll('.bms-tab-btn').forEach(btn=>btn.classList.remove('bms-active'));contentContainer.querySelectorAll('.bms-tab-content').forEach(c=>c.classList.remove('bms-active'));tabBtn.classList.add('bms-active');tabContent.classList.add('bms-active');BMS.UI.WindowManager.saveLayout(panel);};tabsContainer.appendChild(tabBtn);contentContainer.appendChild(tabContent);});panel.appendChild(tabsContainer);panel.appendChild(contentContainer);}%0Aif(footer){const footerContainer=document.createElement('div');footerContainer.className='bms-panel-footer';BMS.DOM.setHTML(footerContainer,footer);const resizer=document.createElement('div');resizer.className='bms-resizer';footerContainer.appendChild(resizer);panel.appendChild(footerContainer);this._makeResizable(panel,resizer);}%0ABMS.DOM.mount(panel);this._makeDraggable(panel,header);this._addPanelControls(panel);BMS.events.emit('panel:created',{id,panel});this.WindowManager.register(panel,{persist:persistLayout});return panel;},_makeResizable:function(panel,resizer){let startX,startY,startWidth,startHeight;let resizing=false;resizer.tabIndex=0;resizer.setAttribute('role','button');resizer.setAttribute('aria-label','Resize panel');resizer.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');resizer.title='Drag, or press Shift+Arrow keys, to resize';resizer.addEventListener('pointerdown',(e)=>{if(e.button!==0)return;e.preventDefault();resizing=true;startX=e.clientX;startY=e.clientY;startWidth=panel.offsetWidth;startHeight=panel.offsetHeight;resizer.setPointerCapture(e.pointerId);});resizer.addEventListener('pointermove',(e)=>{if(!resizing)return;BMS.UI.WindowManager.resize(panel,startWidth+e.clientX-startX,startHeight+e.clientY-startY);});const stopResize=()=>{if(!resizing)return;resizing=false;BMS.UI.WindowManager.saveLayout(panel);};resizer.addEventListener('pointerup',stopResize);resizer.addEventListener('pointercancel',stopResize);resizer.addEventListener('keydown',(e)=>BMS.UI.WindowManager.handleKey(panel,e,'resize'));},createModal:function({id,title,content}){if(BMS.DOM.byId(id))return;const overlay=document.createElement('div');overlay.id=id;overlay.className='bms-modal-overlay bms-container';overlay.style.zIndex=this.WindowManager.overlayZIndex(0);const modal=document.createElement('div');modal.className='bms-modal';const header=document.createElement('div');header.className='bms-modal-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-modal-title">${title}</span>%0A        <button class="bms-modal-close-btn">%C3%97</button>%0A      `);const contentContainer=document.createElement('div');contentContainer.className='bms-modal-content';BMS.DOM.setHTML(contentContainer,content);modal.appendChild(header);modal.appendChild(contentContainer);overlay.appendChild(modal);BMS.DOM.mount(overlay);overlay.querySelector('.bms-modal-close-btn').onclick=()=>overlay.remove();overlay.onclick=(e)=>{if(e.target===overlay){overlay.remove();}};return overlay;},showSpinner:function(){if(BMS.DOM.byId('bms-spinner'))return;const spinnerOverlay=document.createElement('div');spinnerOverlay.id='bms-spinner';spinnerOverlay.className='bms-spinner-overlay bms-container';spinnerOverlay.style.zIndex=this.WindowManager.overlayZIndex(1);BMS.DOM.setHTML(spinnerOverlay,'<div class="bms-spinner"></div>');BMS.DOM.mount(spinnerOverlay);},hideSpinner:function(){const spinnerOverlay=BMS.DOM.byId('bms-spinner');if(spinnerOverlay)spinnerOverlay.remove();},updateStatus:function(message,level='info',duration=3000){let statusBar=BMS.DOM.byId('bms-status-bar');if(!statusBar){statusBar=document.createElement('div');statusBar.id='bms-status-bar';statusBar.className='bms-status-bar bms-container';BMS.DOM.mount(statusBar);}%0AstatusBar.style.zIndex=this.WindowManager.overlayZIndex(2);statusBar.textContent=message;statusBar.className=`bms-status-bar bms-container bms-status-${level}`;setTimeout(()=>statusBar.classList.add('bms-show'),10);setTimeout(()=>{statusBar.classList.remove('bms-show');},duration);},_makeDraggable:function(panel,handle){let startX=0,startY=0,startLeft=0,startTop=0;let dragging=false;handle.tabIndex=0;handle.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');handle.title='Drag, or press Shift+Arrow keys, to move';handle.addEventListener('pointerdown',(e)=>{if(e.button!==0||e.target.closest('button'))return;e.preventDefault();dragging=true;startX=e.clientX;startY=e.clientY;startLeft=panel.offsetLeft;startTop=panel.offsetTop;handle.setPointerCapture(e.pointerId);});handle.addEventListener('pointermove',(e)=>{if(!dragging)return;BMS.UI.WindowManager.move(panel,startLeft+e.clientX-startX,startTop+e.clientY-startY,{snap:!e.altKey});});const stopDrag=()=>{if(!dragging)return;dragging=false;BMS.UI.WindowManager.saveLayout(panel);};handle.addEventListener('pointerup',stopDrag);handle.addEventListener('pointercancel',stopDrag);handle.addEventListener('keydown',(e)=>{if(e.target===handle){BMS.UI.WindowManager.handleKey(panel,e,'move');}});},closePanel:function(panel){if(!panel||!panel.isConnected)return;if(panel._bmsConfig&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.destroy(panel);}else{BMS.UI.WindowManager.unregister(panel);panel.remove();BMS.events.emit('panel:closed',{id:panel.id,panel});}},_addPanelControls:function(panel){const minimizeBtn=panel.querySelector('.bms-minimize-btn');const themeBtn=panel.querySelector('.bms-theme-btn');panel.querySelectorAll('.bms-close-btn').forEach(btn=>{btn.onclick=()=>BMS.UI.closePanel(panel);});minimizeBtn.title='Minimize';minimizeBtn.onclick=()=>BMS.UI.WindowManager.minimize(panel);themeBtn.onclick=()=>{panel.classList.toggle('bms-dark-theme');};},WindowManager:{panels:[],focused:null,cascadeStep:30,tileGap:10,keyboardStep:10,minWidth:200,minHeight:100,layers:{above:{min:2147483000,max:2147483499},below:{min:500,max:899}},register:function(panel,{persist=false}={}){if(this.panels.includes(panel))return;this._prune();panel._bmsLayoutKey=persist&&panel.id?`bms-panel-layout:${panel.id}`:null;const layout=this._restoreLayout(panel);if(!layout){this._place(panel);}%0Athis.panels.push(panel);panel.addEventListener('pointerdown',()=>this.focus(panel),true);panel.addEventListener('focusin',()=>this.focus(panel));this.focus(panel);if(!this._watchingResize){this._watchingResize=true;window.addEventListener('resize',()=>this._keepInView());}%0Aif(layout){this._restoreState(panel,layout);}%0Areturn layout;},unregister:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;this.panels.splice(index,1);panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();},focus:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;if(this.isMinimized(panel)){this.restore(panel);return;}%0Aif(index!==this.panels.length-1){this.panels.splice(index,1);this.panels.push(panel);}%0Athis._restack();if(this.focused!==panel){if(this.focused)this.focused.classList.remove('bms-panel-focused');this.focused=panel;panel.classList.add('bms-panel-focused');BMS.events.emit('panel:focused',{id:panel.id,panel});}},getPanels:function(includeMinimized=false){this._prune();return this.panels.filter(panel=>includeMinimized||!this.isMinimized(panel));},cascade:function(){const panels=this._floating();const bounds=this._bounds();const top=BMS.config.defaultPanelTop;const left=BMS.config.defaultPanelLeft;const steps=Math.max(1,Math.floor((bounds.bottom-top-150)/this.cascadeStep));panels.forEach((panel,index)=>{this._unmaximize(panel);const offset=(index%25steps)*this.cascadeStep;panel.style.top=`${top+offset}px`;panel.style.left=`${left+offset}px`;this.saveLayout(panel);});},tile:function(){const panels=this._floating();if(panels.length===0)return;const bounds=this._bounds();const gap=this.tileGap;const columns=Math.ceil(Math.sqrt(panels.length));const rows=Math.ceil(panels.length/columns);const width=Math.floor((bounds.right-bounds.left-gap*(columns+1))/columns);const height=Math.floor((bounds.bottom-bounds.top-gap*(rows+1))/rows);panels.forEach((panel,index)=>{this._unmaximize(panel);const column=index%25columns;const row=Math.floor(index/columns);panel.style.left=`${bounds.left+gap+column*(width+gap)}px`;panel.style.top=`${bounds.top+gap+row*(height+gap)}px`;panel.style.width=`${width}px`;panel.style.height=`${height}px`;this.saveLayout(panel);});},minimize:function(panel){if(!this.panels.includes(panel)||this.isMinimized(panel))return;const hadFocus=panel.contains(BMS.DOM.activeElement());panel.classList.add('bms-window-minimized');panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();this.saveLayout(panel);if(hadFocus){const item=[...this._taskbar.children].find(button=>button.dataset.panelId===panel.id);if(item)item.focus();}%0ABMS.events.emit('panel:minimized',{id:panel.id,panel});},restore:function(panel){if(!this.isMinimized(panel))return;panel.classList.remove('bms-window-minimized');this._renderTaskbar();this.focus(panel);this.saveLayout(panel);BMS.events.emit('panel:restored',{id:panel.id,panel});},isMinimized:function(panel){return panel.classList.contains('bms-window-minimized');},saveLayout:function(panel){const key=panel._bmsLayoutKey;if(!key||!panel.isConnected)return;const layout=this._readLayout(key)||{};const maximized=panel.classList.contains('bms-maximized');const docked=this._isDocked(panel);if(!maximized&&!docked&&!this.isMinimized(panel)){const rect=panel.getBoundingClientRect();const bounds=this._bounds();layout.left=Math.round(rect.left);layout.top=Math.round(rect.top);layout.width=parseFloat(panel.style.width)||null;layout.height=parseFloat(panel.style.height)||null;layout.docked=[rect.left<=bounds.left+1&&'left',rect.right>=bounds.right-1&&'right',rect.top<=bounds.top+1&&'top',rect.bottom>=bounds.bottom-1&&'bottom'].filter(Boolean);}%0Alayout.maximized=maximized;layout.dockSide=docked?panel.dataset.dockSide:null;if(docked){layout.dockSize=panel.offsetWidth;}%0Alayout.minimized=this.isMinimized(panel);layout.collapsed=panel.classList.contains('bms-collapsed');const tabs=this._tabs(panel);layout.tab=tabs.length>0?Math.max(0,tabs.findIndex(tab=>tab.classList.contains('bms-active'))):null;try{localStorage.setItem(key,JSON.stringify(layout));}catch(error){console.warn('BMS: could not save the panel layout:',error);}},resetLayout:function(){this.cascade();try{Object.keys(localStorage).filter(key=>key.startsWith('bms-panel-layout:')).forEach(key=>localStorage.removeItem(key));}catch(error){console.warn('BMS: could not clear the panel layouts:',error);}},snap:function(panel,left,top){const threshold=BMS.config.snapThreshold;if(!threshold)return{left,top};const width=panel.offsetWidth;const height=panel.offsetHeight;const bounds=this._bounds();const xs=[bounds.left,bounds.right-width];const ys=[bounds.top,bounds.bottom-height];this.getPanels().forEach(other=>{if(other===panel)return;const rect=other.getBoundingClientRect();if(top<rect.bottom+threshold&&top+height>rect.top-threshold){xs.push(rect.right,rect.left-width);ys.push(rect.top,rect.bottom-height);}%0Aif(left<rect.right+threshold&&left+width>rect.left-threshold){ys.push(rect.bottom,rect.top-height);xs.push(rect.left,rect.right-width);}});const nearest=(value,targets)=>{const target=targets.reduce((best,candidate)=>Math.abs(candidate-value)<Math.abs(best-value)?candidate:best);return Math.abs(target-value)<=threshold?target:value;};return{left:nearest(left,xs),top:nearest(top,ys)};},move:function(panel,left,top,{snap=true}={}){if(snap){({left,top}=this.snap(panel,left,top));}%0Aconst bounds=this._bounds();panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-panel.offsetWidth)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-panel.offsetHeight)}px`;},resize:function(panel,width,height){const bounds=this._bounds();width=BMS.Utils.clamp(width,this.minWidth,bounds.right-panel.offsetLeft);height=BMS.Utils.clamp(height,this.minHeight,bounds.bottom-panel.offsetTop);panel.style.width=`${width}px`;panel.style.height=`${height}px`;return{width,height};},handleKey:function(panel,e,action){const directions={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]};const direction=directions[e.key];if(!direction||!e.shiftKey||e.altKey||e.ctrlKey||e.metaKey)return false;if(panel.classList.contains('bms-maximized')||this._isDocked(panel))return false;e.preventDefault();const[dx,dy]=direction.map(step=>step*this.keyboardStep);if(action==='resize'){this.resize(panel,panel.offsetWidth+dx,panel.offsetHeight+dy);}else{this.move(panel,panel.offsetLeft+dx,panel.offsetTop+dy,{snap:false});}%0Athis.saveLayout(panel);return true;},overlayZIndex:function(offset=0){return this._layer().max+1+offset;},_layer:function(){return this.layers[BMS.config.windowLayer]||this.layers.above;},_restack:function(){const layer=this._layer();this.panels.forEach((panel,index)=>{panel.style.zIndex=Math.min(layer.min+index,layer.max);});},_prune:function(){const panels=this.panels.filter(panel=>panel.isConnected);if(panels.length===this.panels.length)return;this.panels=panels;if(this.focused&&!this.focused.isConnected){this.focused=null;}%0Athis._renderTaskbar();},_keepInView:function(){this._floating().filter(panel=>!panel.classList.contains('bms-maximized')).forEach(panel=>this.move(panel,panel.offsetLeft,panel.offsetTop,{snap:false}));},_readLayout:function(key){if(!key)return null;try{const layout=JSON.parse(localStorage.getItem(key));return layout&&typeof layout==='object'?layout:null;}catch(error){console.warn('BMS: could not read the saved panel layout:',error);return null;}},_restoreLayout:function(panel){const layout=this._readLayout(panel._bmsLayoutKey);if(!layout)return null;const bounds=this._bounds();const docked=Array.isArray(layout.docked)?layout.docked:[];const size=(value,max)=>Number.isFinite(value)&&value>0?Math.min(value,max):null;const width=size(layout.width,bounds.right-bounds.left);const height=size(layout.height,bounds.bottom-bounds.top);if(width)panel.style.width=`${width}px`;if(height)panel.style.height=`${height}px`;if(Number.isFinite(layout.left)&&Number.isFinite(layout.top)){const rect=panel.getBoundingClientRect();const maxLeft=Math.max(bounds.left,bounds.right-rect.width);const maxTop=Math.max(bounds.top,bounds.bottom-rect.height);const left=docked.includes('right')?maxLeft:docked.includes('left')?bounds.left:layout.left;const top=docked.includes('bottom')?maxTop:docked.includes('top')?bounds.top:layout.top;panel.style.left=`${Math.min(Math.max(left,bounds.left),maxLeft)}px`;panel.style.top=`${Math.min(Math.max(top,bounds.top),maxTop)}px`;}%0Aconst tabs=this._tabs(panel);if(Number.isInteger(layout.tab)&&tabs[layout.tab]){tabs[layout.tab].click();}%0Areturn layout;},_restoreState:function(panel,layout){const Panel=BMS.UI.Components&&BMS.UI.Components.Panel;if(Panel&&panel._bmsConfig){if(layout.collapsed&&!panel.classList.contains('bms-collapsed')){Panel.toggleCollapse(panel);}%0Aif(layout.maximized&&!panel.classList.contains('bms-maximized')){Panel.maximize(panel);}%0Aif(layout.dockSide&&Panel.dock){Panel.dock(panel,layout.dockSide,layout.dockSize);}}%0Aif(layout.minimized){this.minimize(panel);}},_isDocked:function(panel){return panel.classList.contains('bms-docked');},_floating:function(){return this.getPanels().filter(panel=>!this._isDocked(panel));},_tabs:function(panel){return Array.from(panel.querySelectorAll(':scope > .bms-panel-tabs > .bms-tab-btn'));},_focusTop:function(){const visible=this.getPanels();if(visible.length>0){this.focus(visible[visible.length-1]);}},_place:function(panel){const bounds=this._bounds();const taken=this.getPanels().map(other=>other.getBoundingClientRect());const rect=panel.getBoundingClientRect();let left=rect.left;let top=rect.top;let moved=false;for(let i=0;i<taken.length&&taken.some(other=>Math.abs(other.left-left)<this.cascadeStep/2&&Math.abs(other.top-top)<this.cascadeStep/2);i++){left+=this.cascadeStep;top+=this.cascadeStep;moved=true;}%0Aif(!moved)return;panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-rect.width)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-rect.height)}px`;},_unmaximize:function(panel){if(panel.classList.contains('bms-maximized')&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.maximize(panel);}},_bounds:function(){const taskbar=this._taskbar&&this._taskbar.isConnected?this._taskbar.offsetHeight:0;const docked=this.getPanels().filter(panel=>this._isDocked(panel));const dockWidth=side=>docked.filter(panel=>panel.dataset.dockSide===side).reduce((total,panel)=>total+panel.offsetWidth,0);return{left:dockWidth('left'),top:0,right:(document.documentElement.clientWidth||window.innerWidth)-dockWidth('right'),bottom:(document.documentElement.clientHeight||window.innerHeight)-taskbar};},_renderTaskbar:function(){const minimized=this.panels.filter(panel=>this.isMinimized(panel));if(minimized.length===0){if(this._taskbar)this._taskbar.remove();return;}%0Aif(!this._taskbar){this._taskbar=document.createElement('div');this._taskbar.className='bms-taskbar bms-container';this._taskbar.setAttribute('role','toolbar');this._taskbar.setAttribute('aria-label','Minimized panels');}%0Aif(!this._taskbar.isConnected){BMS.DOM.mount(this._taskbar);}%0Athis._taskbar.style.zIndex=this._layer().max;this._taskbar.replaceChildren(...minimized.map(panel=>{const title=panel.querySelector('.bms-panel-title');const button=document.createElement('button');button.type='button';button.className='bms-taskbar-item';button.dataset.panelId=panel.id;button.textContent=(title&&title.textContent.trim())||panel.id;button.title=`Restore ${button.textContent}`;button.addEventListener('click',()=>this.restore(panel));return button;}));},_taskbar:null}},DOM:{select:function(selector){return document.querySelector(selector);},selectAll:function(selector){return document.querySelectorAll(selector);},setHTML:function(element,html){element.replaceChildren(this.sanitize(html));},sanitizer:{elements:new Set(['a','abbr','article','aside','audio','b','blockquote','br','button','caption','code','col','colgroup','dd','del','details','div','dl','dt','em','fieldset','figcaption','figure','footer','h1','h2','h3','h4','h5','h6','header','hr','i','img','input','ins','kbd','label','legend','li','main','mark','nav','ol','optgroup','option','p','picture','pre','progress','q','s','section','select','small','source','span','strong','sub','summary','sup','table','tbody','td','textarea','tfoot','th','thead','time','tr','u','ul','video','svg','g','path','circle','ellipse','line','polyline','polygon','rect','text','tspan','defs','lineargradient','radialgradient','stop','title','animatetransform']),dropElements:new Set(['script','style','iframe','frame','frameset','object','embed','noscript','template','link','meta','base','math','foreignobject']),attributes:new Set(['id','class','style','title','role','tabindex','dir','lang','hidden','href','target','rel','download','src','srcset','alt','width','height','loading','type','value','placeholder','checked','disabled','readonly','selected','multiple','min','max','step','for','rows','cols','colspan','rowspan','scope','span','start','datetime','open','controls','poster','muted','loop','preload','playsinline','viewbox','xmlns','fill','fill-opacity','fill-rule','clip-rule','stroke','stroke-width','stroke-linecap','stroke-linejoin','stroke-opacity','stroke-dasharray','stroke-dashoffset','d','cx','cy','r','rx','ry','x','y','x1','x2','y1','y2','points','transform','opacity','offset','stop-color','stop-opacity','gradientunits','text-anchor','font-size','attributename','from','to','dur','repeatcount','values']),dropStyles:new Set(['position','top','right','bottom','left','inset','inset-block','inset-block-start','inset-block-end','inset-inline','inset-inline-start','inset-inline-end','z-index','transform','translate']),urlAttributes:new Set(['href','src','srcset','poster','xlink:href']),urlSchemes:new Set(['http','https','mailto','tel','blob'])},sanitize:(function(){let policy;function trustedHTML(html){if(!window.trustedTypes||!BMS.config.trustedTypesPolicy)return html;if(policy===undefined){try{policy=trustedTypes.createPolicy(BMS.config.trustedTypesPolicy,{createHTML:input=>input});}catch(error){console.warn(`BMS: Trusted Types policy "${BMS.config.trustedTypesPolicy}" not allowed on this page`);policy=null;}}%0Areturn policy?policy.createHTML(html):html;}%0Areturn function(html){const template=document.createElement('template');html=html==null?'':String(html);try{template.innerHTML=trustedHTML(html);}catch(error){console.warn('BMS: cannot parse HTML on this page, showing it as text:',error.message);template.content.replaceChildren(document.createTextNode(html));return template.content;}%0Athis._sanitizeChildren(template.content);return template.content;};})(),_sanitizeChildren:function(parent){const{elements,dropElements,attributes,urlAttributes}=this.sanitizer;Array.from(parent.childNodes).forEach(node=>{if(node.nodeType===Node.TEXT_NODE)return;if(node.nodeType!==Node.ELEMENT_NODE){node.remove();return;}%0Aconst tag=node.localName.toLowerCase();if(dropElements.has(tag)){node.remove();return;}%0Athis._sanitizeChildren(node);if(!elements.has(tag)){node.replaceWith(...node.childNodes);return;}%0AArray.from(node.attributes).forEach(attr=>{const name=attr.name.toLowerCase();const allowed=name.startsWith('aria-')||name.startsWith('data-')||attributes.has(name)||urlAttributes.has(name);if(!allowed||(urlAttributes.has(name)&&!this._isSafeURL(attr.value,name==='srcset'))){node.removeAttribute(attr.name);}});if(node.hasAttribute('style')){this._sanitizeStyle(node);}});},_sanitizeStyle:function(node){Array.from(node.style).forEach(property=>{if(this.sanitizer.dropStyles.has(property)||/url\(/i.test(node.style.getPropertyValue(property))){node.style.removeProperty(property);}});if(node.style.length===0){node.removeAttribute('style');}},_isSafeURL:function(value,isSrcset){const urls=isSrcset?value.split(',').map(candidate=>candidate.trim().split(/\s+/)[0]):[value];return urls.every(url=>{const match=url.replace(/[\u0000-\u0020\u007f-\u009f]/g,'').match(/^([a-z][a-z0-9+.-]*):/i);if(!match)return true;const scheme=match[1].toLowerCase();if(scheme==='data')return/^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(url.trim());return this.sanitizer.urlSchemes.has(scheme);});},getRoot:function(){if(BMS.config.isolation!=='shadow'||!document.body.attachShadow){return document.body;}%0Aif(!this._shadowRoot){const host=document.createElement('div');host.id='bms-shadow-host';this._shadowRoot=host.attachShadow({mode:'open'});document.body.appendChild(host);const zIndex=BMS.config.windowLayer==='below'?BMS.UI.WindowManager.layers.below.min:2147483647;this.addStyles(`:host { all: initial; position: fixed; top: 0; left: 0; z-index: ${zIndex}; }`,'bms-host');Object.keys(this._styleSources).forEach(id=>this.addStyles(this._styleSources[id],id));}else if(!this._shadowRoot.host.isConnected){document.body.appendChild(this._shadowRoot.host);}%0Areturn this._shadowRoot;},mount:function(element){return this.getRoot().appendChild(element);},byId:function(id){const root=this.getRoot();return root.getElementById?root.getElementById(id):document.getElementById(id);},activeElement:function(){let element=document.activeElement;while(element&&element.shadowRoot&&element.shadowRoot.activeElement){element=element.shadowRoot.activeElement;}%0Areturn element;},addStyles:function(cssText,id){this._styleSources[id]=cssText;const root=this.getRoot();const target=root===document.body?document:root;if(!this._styles.has(target))this._styles.set(target,new Set());const added=this._styles.get(target);if(added.has(id)||(target===document&&document.getElementById(id)))return;added.add(id);try{const sheet=new CSSStyleSheet();sheet.replaceSync(cssText);target.adoptedStyleSheets=[...target.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=document.createElement('style');style.id=id;style.textContent=cssText;(target===document?document.head:target).appendChild(style);},copyStyles:function(targetDocument){const view=targetDocument.defaultView;Object.keys(this._styleSources).forEach(id=>{const cssText=this._styleSources[id];try{const sheet=new view.CSSStyleSheet();sheet.replaceSync(cssText);targetDocument.adoptedStyleSheets=[...targetDocument.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=targetDocument.createElement('style');style.id=id;style.textContent=cssText;targetDocument.head.appendChild(style);});},_styles:new WeakMap(),_styleSources:{}},Utils:{generateId:function(prefix='bms-'){return prefix+Math.random().toString(36).substr(2,9);},clamp:function(value,min,max){return Math.max(min,Math.min(value,max));},copyToClipboard:function(text){const ta=document.createElement('textarea');ta.style.position='absolute';ta.style.left='-9999px';ta.value=text;document.body.appendChild(ta);ta.select();try{document.execCommand('copy');BMS.UI.updateStatus('Copied to clipboard!','success');}catch(err){BMS.UI.updateStatus('Failed to copy','error');}%0Adocument.body.removeChild(ta);},throttle:function(func,limit){let inThrottle;return function(){const args=arguments;const context=this;if(!inThrottle){func.apply(context,args);inThrottle=true;setTimeout(()=>inThrottle=false,limit);}}},debounce:function(func,delay){let timeout;return function(){const context=this;const args=arguments;clearTimeout(timeout);timeout=setTimeout(()=>func.apply(context,args),delay);};},parseEngagementCount:function(text){if(!text)return 0;const cleanText=text.replace(/[^0-9KkMmBb.]/g,'').toUpperCase();if(cleanText.length===0)return 0;const number=parseFloat(cleanText.replace(/[KMB]/g,''));if(isNaN(number))return 0;if(cleanText.includes('K'))return Math.round(number*1000);if(cleanText.includes('M'))return Math.round(number*1000000);if(cleanText.includes('B'))return Math.round(number*1000000000);return Math.round(number);}}};BMS.init();}%0ABMS.bundleComponent("core/panel/panel",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Components)window.BMS.UI.Components={};BMS.UI.Components.Panel={create:function(options={}){const defaults={id:BMS.Utils?.generateId?.('panel')||'bms-panel-'+Date.now(),title:'Panel',content:'',position:{top:50,left:50},size:{width:400,height:300},draggable:true,resizable:true,collapsible:true,closeable:true,minimizable:true,maximizable:true,dockable:true,mode:'float',side:'right',dockSize:null,poppable:false,theme:'light',animation:true,className:'',persistLayout:true,zIndex:10000,onClose:null,onMinimize:null,onMaximize:null,onCollapse:null,onResize:null,onDrag:null};const config={...defaults,...options};if(!options.id){config.persistLayout=false;}%0Aconst panel=document.createElement('div');panel.id=config.id;panel.className=`bms-panel bms-panel-enhanced ${config.className} ${config.animation?'bms-animated':''}`;panel.style.cssText=`%0A                position: fixed;%0A                top: ${config.position.top}px;%0A                left: ${config.position.left}px;%0A                width: ${config.size.width}px;%0A                height: ${config.size.height}px;%0A                z-index: ${config.zIndex};%0A            `;const header=document.createElement('div');header.className='bms-panel-header';BMS.DOM.setHTML(header,`%0A                <span class="bms-panel-title">${config.title}</span>%0A                <div class="bms-panel-controls">%0A                    ${config.collapsible?'<button class="bms-panel-btn bms-panel-collapse" title="Collapse">%E2%94%80</button>':''}%0A                    ${config.dockable?'<button class="bms-panel-btn bms-panel-dock" title="Dock to the side">%E2%87%A5</button>':''}%0A                    ${config.poppable?'<button class="bms-panel-btn bms-panel-popout" title="Pop out into a window">%E2%86%97</button>':''}%0A                    ${config.minimizable?'<button class="bms-panel-btn bms-panel-minimize" title="Minimize">_</button>':''}%0A                    ${config.maximizable?'<button class="bms-panel-btn bms-panel-maximize" title="Maximize">%E2%96%A1</button>':''}%0A                    ${config.closeable?'<button class="bms-panel-btn bms-panel-close" title="Close">%C3%97</button>':''}%0A                </div>%0A            `);const content=document.createElement('div');content.className='bms-panel-content';if(typeof config.content==='string'){BMS.DOM.setHTML(content,config.content);}else if(config.content instanceof HTMLElement){content.appendChild(config.content);}%0Aconst footer=document.createElement('div');footer.className='bms-panel-footer';if(config.resizable){BMS.DOM.setHTML(footer,'<div class="bms-panel-resizer">%E2%8B%AE</div>');}%0Apanel.appendChild(header);panel.appendChild(content);if(config.resizable){panel.appendChild(footer);}%0Aconst dockHandle=document.createElement('div');dockHandle.className='bms-panel-dock-handle';if(config.dockable){panel.appendChild(dockHandle);}%0A(BMS.DOM?.getRoot?.()||document.body).appendChild(panel);this._setupDragging(panel,header,config);this._setupResizing(panel,footer,config);this._setupDockHandle(panel,dockHandle,config);this._setupControls(panel,config);panel._bmsConfig=config;BMS.events?.emit('panel:created',{id:panel.id,panel});const layout=BMS.UI.WindowManager?.register(panel,{persist:config.persistLayout});if(config.mode==='dock'&&!layout){this.dock(panel,config.side,config.dockSize);}%0Areturn panel;},_setupDragging:function(panel,header,config){if(!config.draggable)return;let isDragging=false;let startX,startY,initialX,initialY;header.style.cursor='move';if(BMS.UI.WindowManager){header.tabIndex=0;header.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');header.title='Drag, or press Shift+Arrow keys, to move';}%0Aconst startDrag=(e)=>{if(e.button!==0||e.target.closest('.bms-panel-controls'))return;if(panel.classList.contains('bms-docked'))return;isDragging=true;startX=e.clientX;startY=e.clientY;initialX=panel.offsetLeft;initialY=panel.offsetTop;header.setPointerCapture(e.pointerId);panel.classList.add('bms-dragging');e.preventDefault();};const drag=(e)=>{if(!isDragging)return;const left=initialX+e.clientX-startX;const top=initialY+e.clientY-startY;if(BMS.UI.WindowManager){BMS.UI.WindowManager.move(panel,left,top,{snap:!e.altKey});}else{panel.style.left=`${BMS.Utils.clamp(left,0,window.innerWidth-panel.offsetWidth)}px`;panel.style.top=`${BMS.Utils.clamp(top,0,window.innerHeight-panel.offsetHeight)}px`;}%0Aif(config.onDrag){config.onDrag(panel,{x:panel.offsetLeft,y:panel.offsetTop});}};const stopDrag=()=>{if(!isDragging)return;isDragging=false;panel.classList.remove('bms-dragging');BMS.UI.WindowManager?.saveLayout(panel);};header.addEventListener('pointerdown',startDrag);header.addEventListener('pointermove',drag);header.addEventListener('pointerup',stopDrag);header.addEventListener('pointercancel',stopDrag);header.addEventListener('keydown',(e)=>{if(e.target===header&&BMS.UI.WindowManager?.handleKey(panel,e,'move')&&config.onDrag){config.onDrag(panel,{x:panel.offsetLeft,y:panel.offsetTop});}});},_setupResizing:function(panel,footer,config){if(!config.resizable)return;const resizer=footer.querySelector('.bms-panel-resizer');if(!resizer)return;let isResizing=false;let startX,startY,startWidth,startHeight;if(BMS.UI.WindowManager){resizer.tabIndex=0;resizer.setAttribute('role','button');resizer.setAttribute('aria-label','Resize panel');resizer.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');resizer.title='Drag, or press Shift+Arrow keys, to resize';}%0Aconst startResize=(e)=>{if(e.button!==0)return;isResizing=true;startX=e.clientX;startY=e.clientY;startWidth=panel.offsetWidth;startHeight=panel.offsetHeight;resizer.setPointerCapture(e.pointerId);panel.classList.add('bms-resizing');e.preventDefault();};const resize=(e)=>{if(!isResizing)return;let width=Math.max(200,startWidth+(e.clientX-startX));let height=Math.max(150,startHeight+(e.clientY-startY));if(BMS.UI.WindowManager){({width,height}=BMS.UI.WindowManager.resize(panel,width,height));}else{width=BMS.Utils.clamp(width,200,window.innerWidth-panel.offsetLeft);height=BMS.Utils.clamp(height,150,window.innerHeight-panel.offsetTop);panel.style.width=`${width}px`;panel.style.height=`${height}px`;}%0Aif(config.onResize){config.onResize(panel,{width,height});}};const stopResize=()=>{if(!isResizing)return;isResizing=false;panel.classList.remove('bms-resizing');BMS.UI.WindowManager?.saveLayout(panel);};resizer.addEventListener('pointerdown',startResize);resizer.addEventListener('pointermove',resize);resizer.addEventListener('pointerup',stopResize);resizer.addEventListener('pointercancel',stopResize);resizer.addEventListener('keydown',(e)=>{if(BMS.UI.WindowManager?.handleKey(panel,e,'resize')&&config.onResize){config.onResize(panel,{width:panel.offsetWidth,height:panel.offsetHeight});}});},_setupDockHandle:function(panel,handle,config){if(!config.dockable)return;let isResizing=false;let startX,startWidth;handle.tabIndex=0;handle.setAttribute('role','separator');handle.setAttribute('aria-orientation','vertical');handle.setAttribute('aria-label','Resize docked panel');handle.title='Drag, or press Arrow keys, to resize';const towardsPage=()=>panel.dataset.dockSide==='left'?1:-1;const resizeTo=(width)=>{width=this._setDockSize(panel,width);if(config.onResize){config.onResize(panel,{width,height:panel.offsetHeight});}};handle.addEventListener('pointerdown',(e)=>{if(e.button!==0)return;isResizing=true;startX=e.clientX;startWidth=panel.offsetWidth;handle.setPointerCapture(e.pointerId);panel.classList.add('bms-resizing');e.preventDefault();});handle.addEventListener('pointermove',(e)=>{if(!isResizing)return;resizeTo(startWidth+(e.clientX-startX)*towardsPage());});const stopResize=()=>{if(!isResizing)return;isResizing=false;panel.classList.remove('bms-resizing');BMS.UI.WindowManager?.saveLayout(panel);};handle.addEventListener('pointerup',stopResize);handle.addEventListener('pointercancel',stopResize);handle.addEventListener('keydown',(e)=>{if((e.key!=='ArrowLeft'&&e.key!=='ArrowRight')||e.altKey||e.ctrlKey||e.metaKey)return;e.preventDefault();const step=(e.key==='ArrowRight'?10:-10)*towardsPage();resizeTo(panel.offsetWidth+step);BMS.UI.WindowManager?.saveLayout(panel);});},_setupControls:function(panel,config){const controls=panel.querySelector('.bms-panel-controls');if(!controls)return;const closeBtn=controls.querySelector('.bms-panel-close');if(closeBtn){closeBtn.addEventListener('click',()=>{if(config.onClose){config.onClose(panel);}%0Athis.destroy(panel);});}%0Aconst minimizeBtn=controls.querySelector('.bms-panel-minimize');if(minimizeBtn){minimizeBtn.addEventListener('click',()=>{this.minimize(panel);if(config.onMinimize){config.onMinimize(panel);}});}%0Aconst maximizeBtn=controls.querySelector('.bms-panel-maximize');if(maximizeBtn){maximizeBtn.addEventListener('click',()=>{this.maximize(panel);if(config.onMaximize){config.onMaximize(panel);}});}%0Aconst dockBtn=controls.querySelector('.bms-panel-dock');if(dockBtn){dockBtn.addEventListener('click',()=>this.toggleDock(panel));}%0Aconst popoutBtn=controls.querySelector('.bms-panel-popout');if(popoutBtn){popoutBtn.addEventListener('click',()=>{if(panel._bmsPopout){this.popIn(panel);}else{this.popOut(panel);}});}%0Aconst collapseBtn=controls.querySelector('.bms-panel-collapse');if(collapseBtn){collapseBtn.addEventListener('click',()=>{this.toggleCollapse(panel);if(config.onCollapse){config.onCollapse(panel);}});}},minimize:function(panel){if(BMS.UI.WindowManager){BMS.UI.WindowManager.minimize(panel);return;}%0Apanel.classList.toggle('bms-minimized');},maximize:function(panel){if(panel.classList.contains('bms-docked')){this.undock(panel);}%0Aif(panel.classList.contains('bms-maximized')){panel.classList.remove('bms-maximized');if(panel._bmsOriginalStyle){const zIndex=panel.style.zIndex;panel.style.cssText=panel._bmsOriginalStyle;panel.style.zIndex=zIndex;}}else{panel._bmsOriginalStyle=panel.style.cssText;panel.classList.add('bms-maximized');panel.style.top='10px';panel.style.left='10px';panel.style.width='calc(100%25 - 20px)';panel.style.height='calc(100%25 - 20px)';}%0ABMS.UI.WindowManager?.saveLayout(panel);},dock:function(panel,side='right',size=null){if(side!=='left'&&side!=='right'){throw new Error(`Panel: can't dock to "${side}", use 'left' or 'right'`);}%0Aconst root=BMS.DOM?.getRoot?.()||document;root.querySelectorAll(`.bms-panel-enhanced.bms-docked-${side}`).forEach(other=>{if(other!==panel)this.undock(other);});if(panel.classList.contains('bms-maximized')){this.maximize(panel);}%0Aif(!panel.classList.contains('bms-docked')){panel._bmsFloatingStyle=panel.style.cssText;}%0Apanel.classList.remove('bms-docked-left','bms-docked-right');panel.classList.add('bms-docked',`bms-docked-${side}`);panel.dataset.dockSide=side;panel.style.top='0';panel.style.height='100%25';panel.style.left=side==='left'?'0':'auto';panel.style.right=side==='right'?'0':'auto';this._setDockSize(panel,size||panel.offsetWidth);this._updateDockButton(panel);BMS.UI.WindowManager?.saveLayout(panel);},undock:function(panel){if(!panel.classList.contains('bms-docked'))return;panel.classList.remove('bms-docked','bms-docked-left','bms-docked-right');delete panel.dataset.dockSide;if(panel._bmsFloatingStyle){const zIndex=panel.style.zIndex;panel.style.cssText=panel._bmsFloatingStyle;panel.style.zIndex=zIndex;}%0Athis._updateDockSpace();this._updateDockButton(panel);BMS.UI.WindowManager?.saveLayout(panel);},toggleDock:function(panel){if(panel.classList.contains('bms-docked')){this.undock(panel);}else{const config=panel._bmsConfig;this.dock(panel,config.side,panel._bmsDockSize||config.dockSize);}},_setDockSize:function(panel,width){const max=Math.max(200,window.innerWidth-200);width=Math.round(BMS.Utils.clamp(width,200,max));panel._bmsDockSize=width;panel.style.width=`${width}px`;const handle=panel.querySelector(':scope > .bms-panel-dock-handle');if(handle){handle.setAttribute('aria-valuenow',width);handle.setAttribute('aria-valuemin',200);handle.setAttribute('aria-valuemax',max);}%0Athis._updateDockSpace();return width;},_updateDockSpace:function(){const html=document.documentElement;const root=BMS.DOM?.getRoot?.()||document;const docked=Array.from(root.querySelectorAll('.bms-panel-enhanced.bms-docked')).filter(panel=>!panel.classList.contains('bms-window-minimized'));if(!this._pageMargins){this._pageMargins={};['left','right'].forEach(side=>{const property=`margin-${side}`;this._pageMargins[side]={value:html.style.getPropertyValue(property),priority:html.style.getPropertyPriority(property)};});}%0A['left','right'].forEach(side=>{const property=`margin-${side}`;const panel=docked.find(p=>p.dataset.dockSide===side);if(panel){html.style.setProperty(property,`${panel.offsetWidth}px`,'important');}else{const original=this._pageMargins[side];html.style.setProperty(property,original.value,original.priority);}});},_updateDockButton:function(panel){const button=panel.querySelector('.bms-panel-dock');if(!button)return;const docked=panel.classList.contains('bms-docked');button.textContent=docked?'%E2%A7%89':'%E2%87%A5';button.title=docked?'Float':'Dock to the side';},popOut:function(panel){if(panel._bmsPopout){panel._bmsPopout.window.focus();return panel._bmsPopout.window;}%0Aconst content=panel.querySelector(':scope > .bms-panel-content');const child=window.open('','_blank',`popup,width=${panel.offsetWidth},height=${panel.offsetHeight}`);if(!child){BMS.UI?.updateStatus?.('The browser blocked the pop-out window','warning');return null;}%0Aconst config=panel._bmsConfig;const doc=child.document;doc.title=panel.querySelector('.bms-panel-title').textContent.trim();doc.body.style.margin='0';BMS.DOM?.copyStyles?.(doc);const wrapper=doc.createElement('div');wrapper.className=['bms-panel-enhanced','bms-popout',...config.className.split(/\s+/).filter(Boolean)].join(' ');if(panel.closest('.bms-light-theme')){wrapper.classList.add('bms-light-theme');}%0Aconst placeholder=document.createElement('div');placeholder.className='bms-panel-content bms-panel-popout-placeholder';const note=document.createElement('p');note.textContent='Shown in a separate window.';const backBtn=document.createElement('button');backBtn.type='button';backBtn.className='bms-panel-btn';backBtn.textContent='Bring back';backBtn.addEventListener('click',()=>this.popIn(panel));placeholder.append(note,backBtn);content.replaceWith(placeholder);wrapper.appendChild(content);doc.body.appendChild(wrapper);const closeWithPage=()=>this.popIn(panel);window.addEventListener('pagehide',closeWithPage);child.addEventListener('pagehide',()=>this.popIn(panel));panel._bmsPopout={window:child,content,placeholder,closeWithPage};panel.classList.add('bms-popped-out');this._updatePopoutButton(panel);BMS.events?.emit('panel:poppedout',{id:panel.id,panel,window:child});return child;},popIn:function(panel){const popout=panel._bmsPopout;if(!popout)return;panel._bmsPopout=null;window.removeEventListener('pagehide',popout.closeWithPage);popout.placeholder.replaceWith(popout.content);if(!popout.window.closed){popout.window.close();}%0Apanel.classList.remove('bms-popped-out');this._updatePopoutButton(panel);BMS.events?.emit('panel:poppedin',{id:panel.id,panel});},_updatePopoutButton:function(panel){const button=panel.querySelector('.bms-panel-popout');if(!button)return;button.textContent=panel._bmsPopout?'%E2%86%99':'%E2%86%97';button.title=panel._bmsPopout?'Bring back from the window':'Pop out into a window';},toggleCollapse:function(panel){panel.classList.toggle('bms-collapsed');const btn=panel.querySelector('.bms-panel-collapse');if(btn){btn.textContent=panel.classList.contains('bms-collapsed')?'+':'%E2%94%80';}%0ABMS.UI.WindowManager?.saveLayout(panel);},getContent:function(panel){return panel._bmsPopout?panel._bmsPopout.content:panel.querySelector(':scope > .bms-panel-content');},updateContent:function(panel,content){const contentArea=this.getContent(panel);if(!contentArea)return;if(typeof content==='string'){BMS.DOM.setHTML(contentArea,content);}else if(content instanceof HTMLElement){contentArea.replaceChildren();contentArea.appendChild(content);}},destroy:function(panel){this.popIn(panel);BMS.UI.WindowManager?.unregister(panel);BMS.events?.emit('panel:closed',{id:panel.id,panel});if(panel.classList.contains('bms-docked')){panel.classList.remove('bms-docked');this._updateDockSpace();}%0Aif(panel.classList.contains('bms-animated')){panel.classList.add('bms-panel-closing');setTimeout(()=>panel.remove(),300);}else{panel.remove();}},bringToFront:function(panel){if(BMS.UI.WindowManager){BMS.UI.WindowManager.focus(panel);return;}%0Aconst panels=(BMS.DOM?.getRoot?.()||document).querySelectorAll('.bms-panel');let maxZ=10000;panels.forEach(p=>{const z=parseInt(p.style.zIndex||0);if(z>maxZ)maxZ=z;});panel.style.zIndex=maxZ+1;}};['panel:minimized','panel:restored'].forEach(event=>{BMS.events?.on(event,()=>BMS.UI.Components.Panel._updateDockSpace());});window.addEventListener('resize',()=>{const Panel=BMS.UI.Components.Panel;(BMS.DOM?.getRoot?.()||document).querySelectorAll('.bms-panel-enhanced.bms-docked').forEach(panel=>{Panel._setDockSize(panel,panel._bmsDockSize);});});})();},".bms-panel-enhanced{background: var(--bms-panel-bg,%231e1e1e);border: 1px solid var(--bms-panel-border,%233a3a3a);border-radius: 8px;box-shadow: 0 4px 20px rgba(0,0,0,0.5),0 0 0 1px rgba(255,255,255,0.1);display: flex;flex-direction: column;font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;overflow: hidden;color: var(--bms-panel-text,%23e0e0e0)}.bms-panel-enhanced.bms-animated{animation: bms-panel-appear 0.3s ease-out;transition: all 0.3s ease}@keyframes bms-panel-appear{from{opacity: 0;transform: scale(0.9) translateY(-20px)}to{opacity: 1;transform: scale(1) translateY(0)}}.bms-panel-enhanced.bms-panel-closing{animation: bms-panel-close 0.3s ease-in forwards}@keyframes bms-panel-close{from{opacity: 1;transform: scale(1)}to{opacity: 0;transform: scale(0.9)}}.bms-panel-enhanced .bms-panel-header{background: var(--bms-panel-header-bg,linear-gradient(135deg,%232a2a2a 0%25,%231a1a1a 100%25));color: var(--bms-panel-header-color,%23ffffff);padding: 12px 16px;display: flex;align-items: center;justify-content: space-between;user-select: none;position: relative;touch-action: none}.bms-panel-enhanced .bms-panel-header:focus-visible,.bms-panel-enhanced .bms-panel-resizer:focus-visible{outline: 2px solid var(--bms-panel-focus,%23667eea);outline-offset: -2px}.bms-panel-enhanced .bms-panel-header::after{content: '';position: absolute;bottom: 0;left: 0;right: 0;height: 1px;background: rgba(255,255,255,0.2)}.bms-panel-enhanced .bms-panel-title{font-weight: 600;font-size: 14px;flex: 1;overflow: hidden;text-overflow: ellipsis;white-space: nowrap}.bms-panel-enhanced .bms-panel-controls{display: flex;gap: 4px;align-items: center}.bms-panel-enhanced .bms-panel-btn{background: rgba(255,255,255,0.1);border: 1px solid rgba(255,255,255,0.2);color: white;width: 28px;height: 28px;border-radius: 4px;cursor: pointer;display: flex;align-items: center;justify-content: center;font-size: 16px;transition: all 0.2s ease;padding: 0;outline: none}.bms-panel-enhanced .bms-panel-btn:hover{background: rgba(255,255,255,0.2);transform: translateY(-1px);box-shadow: 0 2px 8px rgba(0,0,0,0.2)}.bms-panel-enhanced .bms-panel-btn:active{transform: translateY(0);box-shadow: 0 1px 3px rgba(0,0,0,0.2)}.bms-panel-enhanced .bms-panel-close:hover{background: rgba(255,67,54,0.8);border-color: rgba(255,67,54,0.9)}.bms-panel-enhanced .bms-panel-content{flex: 1;padding: 16px;overflow: auto;background: var(--bms-panel-content-bg,%231e1e1e)}.bms-panel-enhanced .bms-panel-footer{padding: 8px;background: var(--bms-panel-footer-bg,%231a1a1a);border-top: 1px solid var(--bms-panel-border,%233a3a3a);display: flex;justify-content: flex-end;align-items: center}.bms-panel-enhanced .bms-panel-resizer{width: 20px;height: 20px;cursor: nwse-resize;color: var(--bms-panel-resizer-color,%23666);font-size: 12px;display: flex;align-items: center;justify-content: center;user-select: none;touch-action: none;transition: color 0.2s ease}.bms-panel-enhanced .bms-panel-resizer:hover{color: var(--bms-panel-resizer-hover,%23999)}.bms-panel-enhanced.bms-dragging{opacity: 0.9;transition: none !important}.bms-panel-enhanced.bms-resizing{transition: none !important}.bms-panel-enhanced.bms-resizing .bms-panel-content{pointer-events: none;user-select: none}.bms-panel-enhanced.bms-minimized{height: auto !important}.bms-panel-enhanced.bms-minimized .bms-panel-content,.bms-panel-enhanced.bms-minimized .bms-panel-footer{display: none}.bms-panel-enhanced.bms-collapsed .bms-panel-content{display: none}.bms-panel-enhanced.bms-collapsed .bms-panel-footer{display: none}.bms-panel-enhanced.bms-maximized{animation: bms-panel-maximize 0.3s ease-out}@keyframes bms-panel-maximize{from{transform: scale(0.95)}to{transform: scale(1)}}.bms-panel-enhanced.bms-docked{border-radius: 0;border-top: none;border-bottom: none}.bms-panel-enhanced.bms-docked-left{border-left: none}.bms-panel-enhanced.bms-docked-right{border-right: none}.bms-panel-enhanced.bms-docked .bms-panel-header{cursor: default !important}.bms-panel-enhanced.bms-docked .bms-panel-resizer{visibility: hidden}.bms-panel-enhanced .bms-panel-dock-handle{display: none;position: absolute;top: 0;bottom: 0;width: 6px;cursor: ew-resize;touch-action: none;z-index: 1}.bms-panel-enhanced.bms-docked .bms-panel-dock-handle{display: block}.bms-panel-enhanced.bms-docked-left .bms-panel-dock-handle{right: 0}.bms-panel-enhanced.bms-docked-right .bms-panel-dock-handle{left: 0}.bms-panel-enhanced .bms-panel-dock-handle:hover,.bms-panel-enhanced .bms-panel-dock-handle:focus-visible{background: var(--bms-panel-focus,%23667eea);outline: none}.bms-panel-enhanced.bms-popout{width: 100%25;height: 100vh;border: none;border-radius: 0;box-shadow: none}.bms-panel-enhanced .bms-panel-popout-placeholder{display: flex;flex-direction: column;align-items: center;justify-content: center;gap: 12px;color: var(--bms-panel-resizer-color,%23666)}.bms-light-theme .bms-panel-enhanced,.bms-panel-enhanced.bms-light-theme{--bms-panel-bg: %23ffffff;--bms-panel-border: %23e0e0e0;--bms-panel-text: %23333333;--bms-panel-header-bg: linear-gradient(135deg,%23667eea 0%25,%23764ba2 100%25);--bms-panel-content-bg: %23ffffff;--bms-panel-footer-bg: %23f5f5f5;--bms-panel-resizer-color: %23999;--bms-panel-resizer-hover: %23666;color: %23333333}@media (max-width: 768px){.bms-panel-enhanced{min-width: 90%25;left: 5%25 !important}.bms-panel-enhanced.bms-docked{min-width: 0}.bms-panel-enhanced.bms-docked-left{left: 0 !important}.bms-panel-enhanced.bms-docked-right{left: auto !important}}@media (prefers-reduced-motion: reduce){.bms-panel-enhanced.bms-animated{animation: none;transition: opacity 0.1s ease}.bms-panel-enhanced.bms-panel-closing{animation: none;opacity: 0}.bms-panel-enhanced.bms-maximized{animation: none}.bms-panel-enhanced .bms-panel-btn{transition: opacity 0.1s ease}}");BMS.bundleComponent("data-display/table/table",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Components)window.BMS.UI.Components={};BMS.UI.Components.Table={create:function(options={}){const defaults={id:BMS.Utils?.generateId?.('table')||'bms-table-'+Date.now(),columns:[],data:[],dataSource:null,className:'',sortable:true,filterable:true,searchable:true,paginate:true,selectable:true,resizableColumns:true,virtualScroll:false,stickyHeader:true,persistColumns:true,pageSize:25,pageSizes:[10,25,50,100],height:'auto',maxHeight:'600px',rowHeight:48,headerHeight:56,overscan:10,minColumnWidth:60,maxColumnWidth:null,sortLocale:null,groupBy:null,exportFilename:'table-export',striped:true,hover:true,bordered:true,compact:false,dark:true,onSort:null,onFilter:null,onSearch:null,onPageChange:null,onRowClick:null,onRowSelect:null,onColumnResize:null,onCellEdit:null,cellRenderer:null,headerRenderer:null,emptyRenderer:null};const config={...defaults,...options};if(config.virtualScroll){config.paginate=false;}%0Aif(!options.id){config.persistColumns=false;}%0Aconst container=document.createElement('div');container.id=config.id;container.className=`bms-table-container ${config.className} ${config.dark?'bms-dark':''}`;const state=container._bmsTableState={config:config,data:[...config.data],filteredData:[...config.data],displayData:[],displayItems:null,itemCount:0,groupBy:config.groupBy,collapsedGroups:new Set(),sortColumns:[],searchTerm:'',filters:{},currentPage:1,selectedRows:new Set(),columnWidths:{},columnOrder:config.columns.map(column=>column.key),hiddenColumns:new Set(config.columns.filter(column=>column.visible===false).map(column=>column.key)),columns:[],virtual:null,resizing:false,editing:null,editHistory:[],activeCell:{item:-1,column:0},rangeAnchor:null,rangeRows:null,remote:config.dataSource?{total:0,loading:false,error:null,controller:null}:null};this._loadColumnLayout(container);this._buildToolbar(container);this._buildTable(container);this._buildPagination(container);this._applyColumnWidths(container);if(config.virtualScroll){this._initVirtualScroll(container);}%0Aif(state.remote){this._load(container);}else{this._updateDisplay(container);}%0Areturn container;},_buildToolbar:function(container){const state=container._bmsTableState;const config=state.config;if(!config.searchable&&!config.filterable)return;const toolbar=document.createElement('div');toolbar.className='bms-table-toolbar';if(config.searchable){const searchWrapper=document.createElement('div');searchWrapper.className='bms-table-search';BMS.DOM.setHTML(searchWrapper,`%0A                    <svg class="bms-table-search-icon" width="20" height="20" viewBox="0 0 20 20" fill="none">%0A                        <path d="M9 3.5C5.91 3.5 3.5 5.91 3.5 9C3.5 12.09 5.91 14.5 9 14.5C10.46 14.5 11.79 13.96 12.8 13.07L16.22 16.49L17.28 15.43L13.86 12.01C14.75 11 15.3 9.67 15.3 8.2C15.3 5.11 12.89 2.7 9.8 2.7C9.53 2.7 9.27 2.72 9 2.75V3.5ZM9 13C6.74 13 5 11.26 5 9C5 6.74 6.74 5 9 5C11.26 5 13 6.74 13 9C13 11.26 11.26 13 9 13Z" fill="currentColor"/>%0A                    </svg>%0A                    <input type="text" class="bms-table-search-input" placeholder="Search...">%0A                    <button class="bms-table-search-clear" style="display: none;">%C3%97</button>%0A                `);toolbar.appendChild(searchWrapper);const searchInput=searchWrapper.querySelector('.bms-table-search-input');const clearBtn=searchWrapper.querySelector('.bms-table-search-clear');const search=this._debounce(()=>{this._applyFilters(container);if(config.onSearch)config.onSearch(state.searchTerm);},300);searchInput.addEventListener('input',(e)=>{state.searchTerm=e.target.value;clearBtn.style.display=e.target.value?'block':'none';search();});clearBtn.addEventListener('click',()=>{searchInput.value='';state.searchTerm='';clearBtn.style.display='none';this._applyFilters(container);});}%0Aif(config.filterable){const chips=document.createElement('div');chips.className='bms-table-filter-chips';toolbar.appendChild(chips);}%0Aconst controls=document.createElement('div');controls.className='bms-table-controls';const exportBtn=document.createElement('button');exportBtn.className='bms-table-btn bms-table-export';BMS.DOM.setHTML(exportBtn,`%0A                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">%0A                    <path d="M8 12L3 7H6V1H10V7H13L8 12Z" fill="currentColor"/>%0A                    <path d="M14 14H2V15H14V14Z" fill="currentColor"/>%0A                </svg>%0A                Export%0A            `);exportBtn.setAttribute('aria-haspopup','dialog');exportBtn.setAttribute('aria-expanded','false');exportBtn.addEventListener('click',()=>this._showExportMenu(container,exportBtn));controls.appendChild(exportBtn);const columnsBtn=document.createElement('button');columnsBtn.className='bms-table-btn bms-table-columns';BMS.DOM.setHTML(columnsBtn,`%0A                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">%0A                    <rect x="2" y="3" width="3" height="10" fill="currentColor"/>%0A                    <rect x="6.5" y="3" width="3" height="10" fill="currentColor"/>%0A                    <rect x="11" y="3" width="3" height="10" fill="currentColor"/>%0A                </svg>%0A                Columns%0A            `);columnsBtn.setAttribute('aria-haspopup','dialog');columnsBtn.setAttribute('aria-expanded','false');columnsBtn.addEventListener('click',()=>this._showColumnSelector(container));controls.appendChild(columnsBtn);toolbar.appendChild(controls);container.appendChild(toolbar);},_buildTable:function(container){const state=container._bmsTableState;const config=state.config;const tableWrapper=document.createElement('div');tableWrapper.className='bms-table-wrapper';if(config.height!=='auto'){tableWrapper.style.height=config.height;}%0Aif(config.maxHeight!=='auto'){tableWrapper.style.maxHeight=config.maxHeight;}%0Aconst table=document.createElement('table');table.className=`bms-table ${config.striped?'bms-table-striped':''} ${config.hover?'bms-table-hover':''} ${config.bordered?'bms-table-bordered':''} ${config.compact?'bms-table-compact':''}`;table.setAttribute('role','grid');if(config.selectable){table.setAttribute('aria-multiselectable','true');}%0Aconst thead=document.createElement('thead');if(config.stickyHeader){thead.className='bms-table-sticky-header';}%0Athis._renderHeader(container,thead);table.appendChild(thead);const tbody=document.createElement('tbody');tbody.className='bms-table-body';table.appendChild(tbody);tbody.addEventListener('dblclick',(e)=>{const td=e.target.closest('td.bms-table-cell-editable');if(td&&!td.classList.contains('bms-table-cell-editing')){this.editCell(container,state.displayData[td.parentElement.dataset.rowIndex],td.dataset.column);}});container.addEventListener('keydown',(e)=>{if((e.ctrlKey||e.metaKey)&&!e.shiftKey&&e.key.toLowerCase()==='z'&&!e.target.closest('input, select, textarea')&&state.editHistory.length>0){e.preventDefault();this.undoEdit(container);}});table.addEventListener('keydown',(e)=>this._handleGridKey(container,e));table.addEventListener('focusin',(e)=>{const cell=e.target.closest('th, td');const position=cell&&this._cellPosition(container,cell);if(!position)return;const active=state.activeCell;if(active.item!==position.item||this._gridCells(cell.parentElement)[active.column]!==cell){state.activeCell=position;}%0Athis._setTabStop(container,cell);});tableWrapper.appendChild(table);container.appendChild(tableWrapper);container._bmsTable=table;container._bmsTableWrapper=tableWrapper;container._bmsTableBody=tbody;},_renderHeader:function(container,thead){const state=container._bmsTableState;const config=state.config;const headerRow=document.createElement('tr');headerRow.setAttribute('role','row');headerRow.setAttribute('aria-rowindex','1');if(config.selectable){const th=document.createElement('th');th.className='bms-table-select-all';th.setAttribute('role','columnheader');th.tabIndex=-1;BMS.DOM.setHTML(th,'<input type="checkbox" class="bms-table-checkbox" tabindex="-1" aria-label="Select all rows">');th.querySelector('input').addEventListener('change',(e)=>{this._toggleAllRows(container,e.target.checked);});headerRow.appendChild(th);}%0Astate.columns.forEach(column=>{const th=document.createElement('th');th.className='bms-table-header';th.dataset.column=column.key;th.setAttribute('role','columnheader');th.tabIndex=-1;const width=this._getColumnWidth(container,column);if(width!==null){th.style.width=`${width}px`;}else if(column.width){th.style.width=typeof column.width==='number'?`${column.width}px`:column.width;}%0Aconst headerContent=document.createElement('div');headerContent.className='bms-table-header-content';const title=document.createElement('span');title.className='bms-table-header-title';title.textContent=column.title||column.key;headerContent.appendChild(title);if(config.sortable&&column.sortable!==false){const sortIcon=document.createElement('span');sortIcon.className='bms-table-sort-icon';BMS.DOM.setHTML(sortIcon,`%0A                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">%0A                            <path d="M7 3L10 6H4L7 3Z" fill="currentColor" opacity="0.3"/>%0A                            <path d="M7 11L4 8H10L7 11Z" fill="currentColor" opacity="0.3"/>%0A                        </svg>%0A                    `);headerContent.appendChild(sortIcon);th.addEventListener('click',(e)=>{if(state.resizing)return;this._sortColumn(container,column.key,e.shiftKey);});th.style.cursor='pointer';}%0Aif(config.filterable&&column.filterable!==false){const filterBtn=document.createElement('button');filterBtn.className='bms-table-filter-btn';BMS.DOM.setHTML(filterBtn,`%0A                        <svg width="14" height="14" viewBox="0 0 14 14" fill="none">%0A                            <path d="M3 3H11L8 7V11L6 12V7L3 3Z" fill="currentColor"/>%0A                        </svg>%0A                    `);filterBtn.setAttribute('aria-label',`Filter ${column.title||column.key}`);filterBtn.setAttribute('aria-haspopup','dialog');filterBtn.tabIndex=-1;filterBtn.classList.toggle('active',Boolean(this._normalizeFilter(state.filters[column.key])));filterBtn.addEventListener('click',(e)=>{e.stopPropagation();this._showFilterMenu(container,column.key,filterBtn);});headerContent.appendChild(filterBtn);}%0Ath.appendChild(headerContent);if(config.resizableColumns){const resizer=document.createElement('div');resizer.className='bms-table-column-resizer';resizer.setAttribute('aria-hidden','true');resizer.title='Drag to resize, double-click to fit';resizer.addEventListener('pointerdown',(e)=>{this._startColumnResize(container,th,e);});resizer.addEventListener('click',(e)=>e.stopPropagation());resizer.addEventListener('dblclick',(e)=>{e.stopPropagation();this.autoFitColumn(container,column.key);});th.appendChild(resizer);}%0AheaderRow.appendChild(th);});thead.replaceChildren(headerRow);this._renderSortIndicators(container,thead);},_buildPagination:function(container){const state=container._bmsTableState;const config=state.config;if(!config.paginate)return;const pagination=document.createElement('div');pagination.className='bms-table-pagination';const pageSizeWrapper=document.createElement('div');pageSizeWrapper.className='bms-table-page-size';BMS.DOM.setHTML(pageSizeWrapper,`%0A                <span>Show</span>%0A                <select class="bms-table-page-size-select">%0A                    ${config.pageSizes.map(size=>`<option value="${size}" ${size===config.pageSize?'selected':''}>${size}</option>`).join('')}%0A                </select>%0A                <span>entries</span>%0A            `);pageSizeWrapper.querySelector('select').addEventListener('change',(e)=>{config.pageSize=parseInt(e.target.value);this._setPage(container,1);});pagination.appendChild(pageSizeWrapper);const pageInfo=document.createElement('div');pageInfo.className='bms-table-page-info';pagination.appendChild(pageInfo);const pageControls=document.createElement('div');pageControls.className='bms-table-page-controls';BMS.DOM.setHTML(pageControls,`%0A                <button class="bms-table-page-btn bms-table-page-first" title="First page">%E2%9F%A8%E2%9F%A8</button>%0A                <button class="bms-table-page-btn bms-table-page-prev" title="Previous page">%E2%9F%A8</button>%0A                <div class="bms-table-page-numbers"></div>%0A                <button class="bms-table-page-btn bms-table-page-next" title="Next page">%E2%9F%A9</button>%0A                <button class="bms-table-page-btn bms-table-page-last" title="Last page">%E2%9F%A9%E2%9F%A9</button>%0A            `);pageControls.querySelector('.bms-table-page-first').addEventListener('click',()=>{this._setPage(container,1);});pageControls.querySelector('.bms-table-page-prev').addEventListener('click',()=>{if(state.currentPage>1){this._setPage(container,state.currentPage-1);}});pageControls.querySelector('.bms-table-page-next').addEventListener('click',()=>{const totalPages=Math.ceil(state.itemCount/config.pageSize);if(state.currentPage<totalPages){this._setPage(container,state.currentPage+1);}});pageControls.querySelector('.bms-table-page-last').addEventListener('click',()=>{const totalPages=Math.ceil(state.itemCount/config.pageSize);this._setPage(container,Math.max(1,totalPages));});pagination.appendChild(pageControls);container.appendChild(pagination);container._bmsTablePagination=pagination;},_updateDisplay:function(container){const state=container._bmsTableState;const config=state.config;const tbody=container._bmsTableBody;const refocus=this._gridHasFocus(container);this._finishEdit(container);if(state.remote&&(state.remote.loading||state.remote.error)){this._renderRemoteStatus(container);return;}%0Acontainer._bmsTable.removeAttribute('aria-busy');tbody.replaceChildren();state.rangeAnchor=null;state.rangeRows=null;const items=state.groupBy?this._groupItems(container):state.filteredData;let pageItems=items;state.itemCount=items.length;if(state.remote){state.itemCount=state.remote.total;}else if(config.paginate){state.currentPage=Math.max(1,Math.min(state.currentPage,Math.ceil(items.length/config.pageSize)));const start=(state.currentPage-1)*config.pageSize;const end=start+config.pageSize;pageItems=items.slice(start,end);}%0Aif(state.groupBy){state.displayItems=this._addGroupHeaders(pageItems);state.displayData=state.displayItems.filter(item=>item.row).map(item=>item.row);}else{state.displayItems=null;state.displayData=pageItems;}%0Aconst displayData=state.displayData;this._renderFooter(container);container._bmsTable.setAttribute('aria-rowcount',state.groupBy?'-1':String(this._rowTotal(container)+1+(container._bmsTable.tFoot?1:0)));if((state.displayItems||displayData).length===0){const emptyRow=document.createElement('tr');emptyRow.setAttribute('role','row');const emptyCell=document.createElement('td');emptyCell.setAttribute('role','gridcell');emptyCell.colSpan=state.columns.length+(config.selectable?1:0);emptyCell.className='bms-table-empty';if(config.emptyRenderer){BMS.DOM.setHTML(emptyCell,config.emptyRenderer(state.searchTerm,state.filters));}else{BMS.DOM.setHTML(emptyCell,`%0A                        <div class="bms-table-empty-content">%0A                            <svg width="48" height="48" viewBox="0 0 48 48" fill="none">%0A                                <path d="M24 4C12.96 4 4 12.96 4 24C4 35.04 12.96 44 24 44C35.04 44 44 35.04 44 24C44 12.96 35.04 4 24 4ZM24 40C15.18 40 8 32.82 8 24C8 15.18 15.18 8 24 8C32.82 8 40 15.18 40 24C40 32.82 32.82 40 24 40Z" fill="currentColor" opacity="0.3"/>%0A                                <path d="M22 14H26V26H22V14ZM22 30H26V34H22V30Z" fill="currentColor"/>%0A                            </svg>%0A                            <p>No data found</p>%0A                        </div>%0A                    `);}%0AemptyRow.appendChild(emptyCell);tbody.appendChild(emptyRow);}else if(config.virtualScroll){this._renderVirtualRows(container,true);}else{(state.displayItems||displayData).forEach((item,index)=>{tbody.appendChild(this._renderItem(container,index));});}%0Aif(config.paginate){this._updatePagination(container);}%0Aif(config.selectable){this._syncSelection(container);}%0Athis._syncActiveCell(container,refocus);if(BMS.UI.Animations&&!config.virtualScroll){const rows=tbody.querySelectorAll('tr');BMS.UI.Animations.stagger(rows,'fadeIn',{duration:200,staggerDelay:20});}},_setPage:function(container,page){const state=container._bmsTableState;state.currentPage=page;if(state.remote){this._load(container);}else{this._updateDisplay(container);}},_rowTotal:function(container){const state=container._bmsTableState;return state.remote?state.remote.total:state.filteredData.length;},reload:function(container){return this._load(container);},_load:async function(container){const state=container._bmsTableState;const config=state.config;const remote=state.remote;if(remote.controller){remote.controller.abort();}%0Aconst controller=new AbortController();const query=this._buildQuery(container,controller.signal);remote.controller=controller;remote.loading=true;remote.error=null;this._updateDisplay(container);let result;try{result=await config.dataSource(query);if(!result||!Array.isArray(result.rows)){throw new Error('dataSource must resolve to { rows, total }');}}catch(error){if(remote.controller!==controller)return false;console.error('Table: data source failed:',error);remote.error=error;result=null;}%0Aif(remote.controller!==controller)return false;remote.controller=null;remote.loading=false;if(!result){this._updateDisplay(container);return false;}%0Aremote.total=Number.isFinite(result.total)?result.total:query.offset+result.rows.length;const lastPage=Math.max(1,Math.ceil(remote.total/config.pageSize));if(config.paginate&&result.rows.length===0&&state.currentPage>lastPage){state.currentPage=lastPage;return this._load(container);}%0Astate.data=[...result.rows];state.filteredData=[...result.rows];state.editHistory=[];const rows=new Set(state.data);const selectedBefore=state.selectedRows.size;state.selectedRows.forEach(row=>{if(!rows.has(row))state.selectedRows.delete(row);});this._updateDisplay(container);if(state.selectedRows.size!==selectedBefore){this._notifySelection(container);}%0Areturn true;},_buildQuery:function(container,signal,page=container._bmsTableState.currentPage){const state=container._bmsTableState;const config=state.config;const pageSize=config.paginate?config.pageSize:null;page=pageSize?page:1;return{page,pageSize,offset:pageSize?(page-1)*pageSize:0,sort:this.getSort(container),search:state.searchTerm.trim(),filters:this.getFilters(container),signal};},_renderRemoteStatus:function(container){const state=container._bmsTableState;const config=state.config;const table=container._bmsTable;const tbody=container._bmsTableBody;const colSpan=state.columns.length+(config.selectable?1:0);table.setAttribute('aria-busy',String(state.remote.loading));tbody.replaceChildren();if(state.remote.loading){const count=Math.max(1,Math.min(state.displayData.length||config.pageSize,config.pageSize));for(let i=0;i<count;i++){const tr=document.createElement('tr');tr.className='bms-table-skeleton-row';tr.setAttribute('aria-hidden','true');if(config.selectable){tr.appendChild(document.createElement('td'));}%0Astate.columns.forEach((column,j)=>{const td=document.createElement('td');const bar=document.createElement('span');bar.className='bms-table-skeleton';bar.style.width=`${40+(i*37+j*23)%2550}%25`;td.appendChild(bar);tr.appendChild(td);});tbody.appendChild(tr);}}else{const tr=document.createElement('tr');tr.setAttribute('role','row');const td=document.createElement('td');td.className='bms-table-empty';td.colSpan=colSpan;td.setAttribute('role','gridcell');const content=document.createElement('div');content.className='bms-table-empty-content bms-table-load-error';content.setAttribute('role','alert');const message=document.createElement('p');message.textContent=`Couldn't load the data: ${state.remote.error.message||state.remote.error}`;const retry=document.createElement('button');retry.type='button';retry.className='bms-table-btn';retry.textContent='Retry';retry.addEventListener('click',()=>this._load(container));content.append(message,retry);td.appendChild(content);tr.appendChild(td);tbody.appendChild(tr);}%0Aconst pageInfo=container._bmsTablePagination?.querySelector('.bms-table-page-info');if(pageInfo&&state.remote.loading){pageInfo.textContent='Loading%E2%80%A6';}},_fetchAllRows:async function(container,filtered){const config=container._bmsTableState.config;const rows=[];for(let page=1;;page++){const query=this._buildQuery(container,new AbortController().signal,page);if(!filtered){query.search='';query.filters={};}%0Aconst result=await config.dataSource(query);if(!result||!Array.isArray(result.rows)){throw new Error('dataSource must resolve to { rows, total }');}%0Arows.push(...result.rows);const total=Number.isFinite(result.total)?result.total:rows.length;if(!query.pageSize||result.rows.length===0||rows.length>=total){return rows;}}},_initVirtualScroll:function(container){const state=container._bmsTableState;const config=state.config;const wrapper=container._bmsTableWrapper;if(config.height==='auto'&&config.maxHeight==='auto'){wrapper.style.maxHeight='600px';}%0Acontainer._bmsTable.classList.add('bms-table-virtual');container._bmsTable.tabIndex=-1;state.virtual={rowHeight:config.rowHeight,measured:false,start:0,end:0,frame:null};wrapper.addEventListener('scroll',()=>{if(state.virtual.frame)return;state.virtual.frame=requestAnimationFrame(()=>{state.virtual.frame=null;this._renderVirtualRows(container);});},{passive:true});if(window.ResizeObserver){new ResizeObserver(()=>this._renderVirtualRows(container)).observe(wrapper);}},_renderVirtualRows:function(container,force=false){const state=container._bmsTableState;const config=state.config;const virtual=state.virtual;const wrapper=container._bmsTableWrapper;const total=(state.displayItems||state.displayData).length;if(total===0||(state.remote&&(state.remote.loading||state.remote.error)))return;const thead=container._bmsTable.tHead;const headerHeight=(thead&&thead.offsetHeight)||config.headerHeight;const height=wrapper.clientHeight||parseInt(config.height)||parseInt(config.maxHeight)||600;const viewport=Math.max(height-headerHeight,virtual.rowHeight);const rowHeight=virtual.rowHeight;const scrollTop=Math.min(wrapper.scrollTop,Math.max(0,total*rowHeight-viewport));let start=Math.max(0,Math.floor(scrollTop/rowHeight)-config.overscan);start-=start%252;const end=Math.min(total,Math.ceil((scrollTop+viewport)/rowHeight)+config.overscan);if(!force&&start===virtual.start&&end===virtual.end)return;virtual.start=start;virtual.end=end;const refocus=this._gridHasFocus(container);this._finishEdit(container);const fragment=document.createDocumentFragment();fragment.appendChild(this._createSpacerRow(container,start*rowHeight));for(let i=start;i<end;i++){fragment.appendChild(this._renderItem(container,i));}%0Afragment.appendChild(this._createSpacerRow(container,(total-end)*rowHeight));container._bmsTableBody.replaceChildren(fragment);this._syncActiveCell(container,refocus);if(!virtual.measured){const row=container._bmsTableBody.querySelector('tr.bms-table-row');const measured=row?row.getBoundingClientRect().height:0;if(measured>0){virtual.measured=true;if(Math.abs(measured-rowHeight)>=1){virtual.rowHeight=measured;this._renderVirtualRows(container,true);}}}},_createSpacerRow:function(container,height){const state=container._bmsTableState;const config=state.config;const tr=document.createElement('tr');tr.className='bms-table-virtual-spacer';tr.setAttribute('aria-hidden','true');tr.style.height=`${height}px`;const td=document.createElement('td');td.colSpan=state.columns.length+(config.selectable?1:0);tr.appendChild(td);return tr;},_renderRow:function(container,rowData,rowIndex){const state=container._bmsTableState;const config=state.config;const tr=document.createElement('tr');tr.className='bms-table-row';tr.dataset.rowIndex=rowIndex;tr.setAttribute('role','row');if(config.selectable){const td=document.createElement('td');td.className='bms-table-select';td.setAttribute('role','gridcell');td.tabIndex=-1;const checkbox=document.createElement('input');checkbox.type='checkbox';checkbox.className='bms-table-checkbox';checkbox.tabIndex=-1;checkbox.setAttribute('aria-label','Select row');checkbox.checked=state.selectedRows.has(rowData);tr.classList.toggle('bms-table-row-selected',checkbox.checked);tr.setAttribute('aria-selected',String(checkbox.checked));checkbox.addEventListener('change',(e)=>{this._toggleRowSelection(container,rowData,e.target.checked);});td.appendChild(checkbox);tr.appendChild(td);}%0Astate.columns.forEach(column=>{const td=document.createElement('td');td.className='bms-table-cell';td.dataset.column=column.key;td.setAttribute('role','gridcell');td.tabIndex=-1;if(column.editable){td.classList.add('bms-table-cell-editable');}%0Athis._renderCellContent(container,td,column,rowData,rowIndex);if(column.align){td.style.textAlign=column.align;}%0Aif(column.onClick){td.style.cursor='pointer';td.addEventListener('click',()=>{column.onClick(rowData[column.key],rowData,rowIndex);});}%0Atr.appendChild(td);});if(config.onRowClick){tr.style.cursor='pointer';tr.addEventListener('click',(e)=>{if(!e.target.closest('.bms-table-select')){config.onRowClick(rowData,rowIndex,e);}});}%0Areturn tr;},_renderItem:function(container,index){const state=container._bmsTableState;const config=state.config;let tr;if(!state.displayItems){tr=this._renderRow(container,state.displayData[index],index);const offset=config.paginate?(state.currentPage-1)*config.pageSize:0;tr.setAttribute('aria-rowindex',String(offset+index+2));}else{const item=state.displayItems[index];tr=item.row?this._renderRow(container,item.row,item.rowIndex):this._renderGroupRow(container,item);}%0Atr.dataset.itemIndex=index;return tr;},_groupItems:function(container){const state=container._bmsTableState;const groups=new Map();state.filteredData.forEach(row=>{const value=row[state.groupBy];const key=value==null?'':String(value);if(!groups.has(key)){groups.set(key,{key,value,rows:[]});}%0Agroups.get(key).rows.push(row);});const items=[];groups.forEach(group=>{if(state.collapsedGroups.has(group.key)){items.push({group,row:null});}else{group.rows.forEach(row=>items.push({group,row}));}});return items;},_addGroupHeaders:function(pageItems){const items=[];let current=null;let rowIndex=0;pageItems.forEach(({group,row})=>{if(group!==current){items.push({group,continued:Boolean(row)&&group.rows[0]!==row});current=group;}%0Aif(row){items.push({row,rowIndex:rowIndex++});}});return items;},_renderGroupRow:function(container,item){const state=container._bmsTableState;const{group,continued}=item;const collapsed=state.collapsedGroups.has(group.key);const groupColumn=state.config.columns.find(column=>column.key===state.groupBy);const label=group.key===''?'(empty)':group.key;const tr=document.createElement('tr');tr.className='bms-table-group-row';tr.dataset.group=group.key;tr.setAttribute('role','row');const content=document.createElement('div');content.className='bms-table-group-label';const toggle=document.createElement('button');toggle.type='button';toggle.className='bms-table-group-toggle';toggle.tabIndex=-1;toggle.setAttribute('aria-expanded',String(!collapsed));toggle.setAttribute('aria-label',`${collapsed?'Expand':'Collapse'} ${label}`);toggle.textContent=collapsed?'%E2%96%B8':'%E2%96%BE';toggle.addEventListener('click',(e)=>{e.stopPropagation();this.toggleGroup(container,group.key);});const title=document.createElement('span');title.className='bms-table-group-title';title.textContent=`${groupColumn?(groupColumn.title||groupColumn.key)+': ':''}${label}${continued?' (continued)':''}`;const count=document.createElement('span');count.className='bms-table-group-count';count.textContent=group.rows.length;count.title=`${group.rows.length} ${group.rows.length===1?'row':'rows'}`;content.append(toggle,title,count);this._renderAggregateCells(container,tr,group.rows,content);return tr;},_renderAggregateCells:function(container,tr,rows,label){const state=container._bmsTableState;const columns=state.columns;let span=0;while(span<columns.length-1&&!columns[span].aggregate){span++;}%0Aspan=Math.max(1,span);const labelCell=document.createElement('td');labelCell.className='bms-table-aggregate-label-cell';labelCell.colSpan=span+(state.config.selectable?1:0);labelCell.setAttribute('role','gridcell');labelCell.tabIndex=-1;labelCell.appendChild(label);tr.appendChild(labelCell);columns.slice(span).forEach(column=>{const td=document.createElement('td');td.className='bms-table-aggregate';td.dataset.column=column.key;td.setAttribute('role','gridcell');td.tabIndex=-1;if(column.align){td.style.textAlign=column.align;}%0Aif(column.aggregate){this._renderAggregate(container,td,column,rows);}%0Atr.appendChild(td);});},_renderAggregate:function(container,td,column,rows){const value=this._aggregate(column,rows);const name=typeof column.aggregate==='function'?column.aggregateLabel||'':column.aggregate;if(name){const label=document.createElement('span');label.className='bms-table-aggregate-name';label.textContent=name;td.appendChild(label);}%0Aconst text=typeof value==='number'?value.toLocaleString(container._bmsTableState.config.sortLocale||undefined,{maximumFractionDigits:2}):(value!=null?String(value):'%E2%80%93');td.appendChild(document.createTextNode(text));},_aggregate:function(column,rows){const values=rows.map(row=>row[column.key]).filter(value=>value!=null&&value!=='');if(typeof column.aggregate==='function'){return column.aggregate(values,rows);}%0Aif(column.aggregate==='count'){return values.length;}%0Aconst numbers=values.map(value=>typeof value==='number'?value:Number(String(value).replace(/[,\s]/g,''))).filter(Number.isFinite);if(numbers.length===0)return null;switch(column.aggregate){case'sum':return numbers.reduce((total,number)=>total+number,0);case'avg':return numbers.reduce((total,number)=>total+number,0)/numbers.length;case'min':return numbers.reduce((min,number)=>Math.min(min,number));case'max':return numbers.reduce((max,number)=>Math.max(max,number));default:return null;}},_renderFooter:function(container){const state=container._bmsTableState;const table=container._bmsTable;if(!state.columns.some(column=>column.aggregate)){table.deleteTFoot();return;}%0Aconst tfoot=table.tFoot||table.createTFoot();tfoot.className='bms-table-footer';const tr=document.createElement('tr');tr.setAttribute('role','row');if(!state.groupBy){tr.setAttribute('aria-rowindex',String(this._rowTotal(container)+2));}%0Aconst label=document.createElement('span');label.className='bms-table-footer-label';label.textContent=`${state.remote?'Page total':'Total'} (${state.filteredData.length} ${state.filteredData.length===1?'row':'rows'})`;this._renderAggregateCells(container,tr,state.filteredData,label);tfoot.replaceChildren(tr);},setGroupBy:function(container,columnKey){const state=container._bmsTableState;state.groupBy=columnKey||null;state.collapsedGroups.clear();state.currentPage=1;this._updateDisplay(container);},toggleGroup:function(container,groupKey,collapsed){const state=container._bmsTableState;const collapse=collapsed??!state.collapsedGroups.has(groupKey);if(collapse){state.collapsedGroups.add(groupKey);}else{state.collapsedGroups.delete(groupKey);}%0Athis._updateDisplay(container);},collapseAllGroups:function(container,collapsed=true){const state=container._bmsTableState;state.collapsedGroups.clear();if(collapsed&&state.groupBy){state.filteredData.forEach(row=>{const value=row[state.groupBy];state.collapsedGroups.add(value==null?'':String(value));});}%0Astate.currentPage=1;this._updateDisplay(container);},_renderCellContent:function(container,td,column,rowData,rowIndex){const config=container._bmsTableState.config;let cellContent=rowData[column.key];if(column.renderer){cellContent=column.renderer(cellContent,rowData,rowIndex);}else if(config.cellRenderer){cellContent=config.cellRenderer(cellContent,column,rowData,rowIndex);}%0Aif(cellContent instanceof HTMLElement){td.replaceChildren(cellContent);}else{BMS.DOM.setHTML(td,cellContent!=null?cellContent:'');}},_handleGridKey:function(container,e){const state=container._bmsTableState;const config=state.config;const table=container._bmsTable;const cell=e.target===table?null:e.target.closest('th, td');if(e.target!==table&&e.target!==cell&&!e.target.classList.contains('bms-table-checkbox'))return;const position=cell?this._cellPosition(container,cell):state.activeCell;if(!position)return;const{item,column}=position;const total=(state.displayItems||state.displayData).length;const lastColumn=state.columns.length+(config.selectable?1:0)-1;const lastItem=total-1;const displayItem=item>=0?(state.displayItems?state.displayItems[item]:{row:state.displayData[item]}):null;const columnDef=state.columns[column-(config.selectable?1:0)];let target=null;switch(e.key){case'ArrowUp':case'ArrowDown':{if(e.key==='ArrowDown'&&e.altKey&&item===-1&&columnDef){if(config.filterable&&columnDef.filterable!==false){this._showFilterMenu(container,columnDef.key,cell||this._gridCells(this._findGridRow(container,-1))[column]);}%0Abreak;}%0Aconst next=Math.max(-1,Math.min(lastItem,item+(e.key==='ArrowDown'?1:-1)));if(e.shiftKey&&config.selectable&&item>=0&&next>=0&&next!==item){this._extendSelection(container,item,next);this._focusCell(container,next,column);e.preventDefault();return;}%0Atarget={item:next,column};break;}%0Acase'ArrowLeft':case'ArrowRight':{const cells=this._gridCells(this._findGridRow(container,item));const step=e.key==='ArrowRight'?1:-1;let next=column;while(next+step>=0&&next+step<=lastColumn&&cells[next]===cells[column]){next+=step;}%0Atarget={item,column:cells[next]===cells[column]?column:next};break;}%0Acase'Home':case'End':target={item:e.ctrlKey||e.metaKey?(e.key==='Home'?-1:lastItem):item,column:e.key==='Home'?0:lastColumn};break;case'PageUp':case'PageDown':target={item:Math.max(-1,Math.min(lastItem,item+(e.key==='PageDown'?10:-10))),column};break;case' ':if(e.target.classList.contains('bms-table-checkbox'))return;if(item===-1){if(config.selectable&&column===0){this._toggleAllRows(container,!this._allRowsSelected(container));}}else if(displayItem.row){if(config.selectable){this._toggleRowSelection(container,displayItem.row,!state.selectedRows.has(displayItem.row));state.rangeAnchor=item;state.rangeRows=null;}}else{this.toggleGroup(container,displayItem.group.key);}%0Abreak;case'Enter':if(item===-1){if(columnDef&&config.sortable&&columnDef.sortable!==false){this._sortColumn(container,columnDef.key,e.shiftKey);}else if(config.selectable&&column===0){this._toggleAllRows(container,!this._allRowsSelected(container));}}else if(!displayItem.row){this.toggleGroup(container,displayItem.group.key);}else if(columnDef&&columnDef.editable){this.editCell(container,displayItem.row,columnDef.key);}else if(columnDef&&columnDef.onClick){columnDef.onClick(displayItem.row[columnDef.key],displayItem.row,state.displayData.indexOf(displayItem.row));}else if(config.onRowClick){config.onRowClick(displayItem.row,state.displayData.indexOf(displayItem.row),e);}%0Abreak;case'F2':if(displayItem&&displayItem.row&&columnDef&&columnDef.editable){this.editCell(container,displayItem.row,columnDef.key);}%0Abreak;default:return;}%0Ae.preventDefault();if(target){if(!e.shiftKey){state.rangeAnchor=null;state.rangeRows=null;}%0Athis._focusCell(container,target.item,target.column);}},_focusCell:function(container,item,column){const state=container._bmsTableState;state.activeCell={item,column};const virtual=state.virtual;if(virtual&&item>=0&&(item<virtual.start||item>=virtual.end)){const wrapper=container._bmsTableWrapper;const top=item*virtual.rowHeight;wrapper.scrollTop=top<wrapper.scrollTop?top:top-wrapper.clientHeight/2;this._renderVirtualRows(container);}%0Aconst cell=this._gridCells(this._findGridRow(container,item))[column];if(cell){this._setTabStop(container,cell);cell.focus();}},_syncActiveCell:function(container,refocus){const state=container._bmsTableState;const total=(state.displayItems||state.displayData).length;const lastColumn=state.columns.length+(state.config.selectable?1:0)-1;const active=state.activeCell;active.item=Math.min(active.item,total-1);active.column=Math.max(0,Math.min(active.column,lastColumn));const cells=this._gridCells(this._findGridRow(container,active.item));const cell=cells[active.column]||this._gridCells(this._findGridRow(container,-1))[active.column];if(cell){this._setTabStop(container,cell);}%0Aif(refocus){if(cells[active.column]){cells[active.column].focus();}else{container._bmsTable.focus({preventScroll:true});}}},_setTabStop:function(container,cell){container._bmsTable.querySelectorAll('th[tabindex="0"], td[tabindex="0"]').forEach(other=>{if(other!==cell)other.tabIndex=-1;});cell.tabIndex=0;},_findGridRow:function(container,item){if(item===-1){return container._bmsTable.tHead.rows[0]||null;}%0Areturn container._bmsTableBody.querySelector(`tr[data-item-index="${item}"]`);},_gridCells:function(tr){const cells=[];Array.from(tr?tr.cells:[]).forEach(cell=>{for(let i=0;i<cell.colSpan;i++){cells.push(cell);}});return cells;},_cellPosition:function(container,cell){const tr=cell.parentElement;let item;if(tr.parentElement===container._bmsTable.tHead){item=-1;}else if(tr.parentElement===container._bmsTableBody&&tr.dataset.itemIndex!==undefined){item=Number(tr.dataset.itemIndex);}else{return null;}%0Areturn{item,column:this._gridCells(tr).indexOf(cell)};},_gridHasFocus:function(container){const active=this._activeElement(container);return Boolean(active&&container._bmsTable.contains(active));},_activeElement:function(container){if(container.ownerDocument!==document){return container.ownerDocument.activeElement;}%0Areturn BMS.DOM?.activeElement?.()||document.activeElement;},_extendSelection:function(container,fromItem,toItem){const state=container._bmsTableState;if(state.rangeAnchor===null){state.rangeAnchor=fromItem;}%0Aconst items=state.displayItems||state.displayData.map(row=>({row}));const start=Math.min(state.rangeAnchor,toItem);const end=Math.max(state.rangeAnchor,toItem);const rows=items.slice(start,end+1).filter(item=>item.row).map(item=>item.row);(state.rangeRows||[]).forEach(row=>state.selectedRows.delete(row));rows.forEach(row=>state.selectedRows.add(row));state.rangeRows=rows;this._syncSelection(container);this._notifySelection(container);},_allRowsSelected:function(container){const state=container._bmsTableState;return state.filteredData.length>0&&state.filteredData.every(row=>state.selectedRows.has(row));},editCell:function(container,rowData,columnKey){const state=container._bmsTableState;const column=state.columns.find(c=>c.key===columnKey);if(!column||!column.editable)return false;if(state.editing&&!this._commitEdit(container))return false;const rowIndex=state.displayData.indexOf(rowData);const td=this._findCell(container,rowIndex,columnKey);if(!td)return false;const oldValue=rowData[columnKey];const editor=this._createEditor(column,oldValue);const error=document.createElement('div');error.className='bms-table-editor-error';error.setAttribute('role','alert');error.hidden=true;state.editing={td,row:rowData,column,editor,error,oldValue};td.classList.add('bms-table-cell-editing');td.replaceChildren(editor,error);['click','dblclick','mousedown'].forEach(type=>{editor.addEventListener(type,(e)=>e.stopPropagation());});editor.addEventListener('keydown',(e)=>{if(e.key==='Enter'){e.preventDefault();e.stopPropagation();if(this._commitEdit(container)){td.focus();}}else if(e.key==='Escape'){e.preventDefault();e.stopPropagation();this._cancelEdit(container);td.focus();}else if(e.key==='Tab'){e.preventDefault();e.stopPropagation();if(this._commitEdit(container)){this._editAdjacentCell(container,td,e.shiftKey?-1:1);}}});editor.addEventListener('blur',()=>{if(state.editing&&state.editing.editor===editor){this._commitEdit(container,{focus:false});}});editor.focus();if(editor.select&&editor.type!=='checkbox'){editor.select();}%0Areturn true;},undoEdit:function(container){const state=container._bmsTableState;if(state.editing){this._cancelEdit(container);}%0Aconst edit=state.editHistory.pop();if(!edit)return false;edit.row[edit.key]=edit.oldValue;this._refreshCell(container,edit.row,edit.key);if(state.config.onCellEdit){state.config.onCellEdit(edit.row,edit.key,edit.newValue,edit.oldValue);}%0Areturn true;},_commitEdit:function(container,{focus=true}={}){const state=container._bmsTableState;const editing=state.editing;if(!editing)return true;const{row,column,editor,error,oldValue}=editing;const result=this._readEditor(column,editor,row);if(result.error){editor.classList.add('bms-table-editor-invalid');editor.setAttribute('aria-invalid','true');error.textContent=result.error;error.hidden=false;if(focus){editor.focus();}%0Areturn false;}%0Athis._closeEditor(container);const newValue=result.value;if(!Object.is(newValue,oldValue)){row[column.key]=newValue;state.editHistory.push({row,key:column.key,oldValue,newValue});if(state.editHistory.length>100){state.editHistory.shift();}}%0Athis._refreshCell(container,row,column.key);if(!Object.is(newValue,oldValue)&&state.config.onCellEdit){state.config.onCellEdit(row,column.key,oldValue,newValue);}%0Areturn true;},_cancelEdit:function(container){const editing=container._bmsTableState.editing;if(!editing)return;this._closeEditor(container);this._refreshCell(container,editing.row,editing.column.key);},_finishEdit:function(container){const state=container._bmsTableState;if(!state.editing)return;const{column,editor,row}=state.editing;const result=this._readEditor(column,editor,row);if(result.error){this._cancelEdit(container);BMS.UI?.updateStatus?.(`${column.title||column.key}: change discarded - ${result.error}`,'error',6000);}else{this._commitEdit(container);}},_closeEditor:function(container){const state=container._bmsTableState;const{td}=state.editing;state.editing=null;td.classList.remove('bms-table-cell-editing');td.replaceChildren();},_refreshCell:function(container,rowData,columnKey){const state=container._bmsTableState;const column=state.columns.find(c=>c.key===columnKey);const rowIndex=state.displayData.indexOf(rowData);const td=this._findCell(container,rowIndex,columnKey);if(column&&td&&!td.classList.contains('bms-table-cell-editing')){this._renderCellContent(container,td,column,rowData,rowIndex);}},_findCell:function(container,rowIndex,columnKey){if(rowIndex===-1)return null;const tr=container._bmsTableBody.querySelector(`tr.bms-table-row[data-row-index="${rowIndex}"]`);return tr?Array.from(tr.querySelectorAll('td.bms-table-cell')).find(td=>td.dataset.column===columnKey)||null:null;},_createEditor:function(column,value){let editor;switch(column.editor){case'select':editor=document.createElement('select');this._getEditorOptions(column).forEach((option,index)=>{const element=document.createElement('option');element.value=String(index);element.textContent=option.label;element.selected=Object.is(option.value,value)||String(option.value)===String(value);editor.appendChild(element);});break;case'checkbox':editor=document.createElement('input');editor.type='checkbox';editor.checked=Boolean(value);break;case'number':editor=document.createElement('input');editor.type='number';editor.step='any';editor.value=value!=null?value:'';break;default:editor=document.createElement('input');editor.type='text';editor.value=value!=null?value:'';}%0Aeditor.className=`bms-table-editor bms-table-editor-${column.editor||'text'}`;editor.setAttribute('aria-label',`Edit ${column.title||column.key}`);return editor;},_getEditorOptions:function(column){return(column.options||[]).map(option=>option!==null&&typeof option==='object'?{value:option.value,label:String(option.label??option.value)}:{value:option,label:String(option)});},_readEditor:function(column,editor,row){let value;switch(column.editor){case'select':value=this._getEditorOptions(column)[Number(editor.value)]?.value;break;case'checkbox':value=editor.checked;break;case'number':if(editor.validity?.badInput){return{error:'Enter a number'};}%0Aif(editor.value.trim()===''){value=null;}else{value=Number(editor.value);if(!Number.isFinite(value)){return{error:'Enter a number'};}}%0Abreak;default:value=editor.value;}%0Aif(column.validate){const valid=column.validate(value,row);if(valid===false)return{error:'Invalid value'};if(typeof valid==='string')return{error:valid};}%0Areturn{value};},_editAdjacentCell:function(container,td,direction){const state=container._bmsTableState;const cells=Array.from(container._bmsTableBody.querySelectorAll('tr.bms-table-row td.bms-table-cell-editable'));const next=cells[cells.indexOf(td)+direction];if(next){this.editCell(container,state.displayData[next.parentElement.dataset.rowIndex],next.dataset.column);}},_sortColumn:function(container,columnKey,additive=false){const state=container._bmsTableState;const current=state.sortColumns.find(sort=>sort.key===columnKey);let sortColumns;if(additive){if(!current){sortColumns=[...state.sortColumns,{key:columnKey,direction:'asc'}];}else if(current.direction==='asc'){sortColumns=state.sortColumns.map(sort=>sort===current?{key:columnKey,direction:'desc'}:sort);}else{sortColumns=state.sortColumns.filter(sort=>sort!==current);}}else if(current&&state.sortColumns.length===1){sortColumns=[{key:columnKey,direction:current.direction==='asc'?'desc':'asc'}];}else{sortColumns=[{key:columnKey,direction:'asc'}];}%0Athis.setSort(container,sortColumns);},setSort:function(container,sortColumns){const state=container._bmsTableState;const config=state.config;const keys=config.columns.map(column=>column.key);state.sortColumns=sortColumns.filter((sort,index)=>keys.includes(sort.key)&&sortColumns.findIndex(other=>other.key===sort.key)===index).map(sort=>({key:sort.key,direction:sort.direction==='desc'?'desc':'asc'}));if(!state.remote){this._sortRows(container);}%0Athis._renderSortIndicators(container);this._setPage(container,1);if(config.onSort){const primary=state.sortColumns[0];config.onSort(primary?primary.key:null,primary?primary.direction:null,this.getSort(container));}},getSort:function(container){return container._bmsTableState.sortColumns.map(sort=>({...sort}));},_sortRows:function(container){const state=container._bmsTableState;const order=new Map(state.data.map((row,index)=>[row,index]));const sorters=state.sortColumns.map(sort=>({...this._getSorter(container,state.config.columns.find(column=>column.key===sort.key)),direction:sort.direction==='desc'?-1:1}));const values=new Map(state.filteredData.map(row=>[row,sorters.map(sorter=>sorter.value(row))]));const isEmpty=(value)=>value==null||Number.isNaN(value);state.filteredData.sort((a,b)=>{const aValues=values.get(a);const bValues=values.get(b);for(let i=0;i<sorters.length;i++){const aEmpty=isEmpty(aValues[i]);const bEmpty=isEmpty(bValues[i]);if(aEmpty||bEmpty){if(aEmpty!==bEmpty)return aEmpty?1:-1;continue;}%0Aconst result=sorters[i].compare(aValues[i],bValues[i],a,b);if(result)return result*sorters[i].direction;}%0Areturn order.get(a)-order.get(b);});},_getSorter:function(container,column){const config=container._bmsTableState.config;const cell=(row)=>{const value=row[column.key];return value===''?null:value;};if(typeof column.comparator==='function'){return{value:cell,compare:column.comparator};}%0Alet sortType=column.sortType;if(typeof sortType!=='function'&&!['number','date','text','natural'].includes(sortType)){const type=this._getColumnType(container,column);sortType=type==='number'||type==='date'?type:'text';}%0Aconst collator=new Intl.Collator(config.sortLocale||undefined,{numeric:sortType==='natural',sensitivity:'base'});const compare=(a,b)=>typeof a==='number'&&typeof b==='number'?a-b:collator.compare(String(a),String(b));switch(sortType){case'number':return{value:(row)=>{const value=cell(row);if(value==null)return null;return typeof value==='number'?value:Number(String(value).replace(/[,\s]/g,''));},compare};case'date':return{value:(row)=>{const value=cell(row);return value==null?null:this._toTime(value);},compare};case'text':case'natural':return{value:cell,compare};default:return{value:(row)=>{const value=cell(row);return value==null?null:sortType(value,row);},compare};}},_renderSortIndicators:function(container,thead=container._bmsTable.tHead){const state=container._bmsTableState;const multiple=state.sortColumns.length>1;thead.querySelectorAll('th.bms-table-header').forEach(th=>{const index=state.sortColumns.findIndex(sort=>sort.key===th.dataset.column);const sort=state.sortColumns[index];th.classList.remove('bms-sorted-asc','bms-sorted-desc');th.querySelector('.bms-table-sort-priority')?.remove();th.removeAttribute('aria-sort');if(!sort)return;th.classList.add(`bms-sorted-${sort.direction}`);if(index===0){th.setAttribute('aria-sort',sort.direction==='asc'?'ascending':'descending');}%0Aconst sortIcon=th.querySelector('.bms-table-sort-icon');if(multiple&&sortIcon){const priority=document.createElement('span');priority.className='bms-table-sort-priority';priority.textContent=index+1;priority.title=`Sort priority ${index+1}`;sortIcon.after(priority);}});},_applyFilters:function(container){const state=container._bmsTableState;const config=state.config;if(!state.remote){state.filteredData=this._filterRows(container);if(state.sortColumns.length>0){this._sortRows(container);}}%0Athis._renderFilterIndicators(container);this._setPage(container,1);if(config.onFilter){config.onFilter(state.filters,state.searchTerm);}},_filterRows:function(container,exceptKey=null){const state=container._bmsTableState;const config=state.config;const searchLower=state.searchTerm.toLowerCase();const tests=Object.keys(state.filters).filter(columnKey=>columnKey!==exceptKey).map(columnKey=>{const filter=this._normalizeFilter(state.filters[columnKey]);return filter&&{columnKey,test:this._compileFilter(filter)};}).filter(Boolean);return state.data.filter(row=>{if(searchLower&&!config.columns.some(column=>{const value=row[column.key];return value!=null&&String(value).toLowerCase().includes(searchLower);})){return false;}%0Areturn tests.every(({columnKey,test})=>test(row[columnKey]));});},setFilter:function(container,columnKey,filter){const state=container._bmsTableState;const normalized=this._normalizeFilter(filter);if(normalized){this._compileFilter(normalized);state.filters[columnKey]=normalized;}else{delete state.filters[columnKey];}%0Athis._applyFilters(container);},clearFilters:function(container){container._bmsTableState.filters={};this._applyFilters(container);},getFilters:function(container){return{...container._bmsTableState.filters};},_normalizeFilter:function(filter){if(Array.isArray(filter)){filter={type:'enum',values:filter};}%0Aif(!filter||!filter.type)return null;switch(filter.type){case'text':return filter.value?{operator:'contains',...filter}:null;case'number':return filter.min!=null||filter.max!=null?filter:null;case'date':return filter.after||filter.before?filter:null;case'enum':return filter.values&&filter.values.length>0?filter:null;default:return null;}},_compileFilter:function(filter){switch(filter.type){case'text':{const needle=String(filter.value).toLowerCase();if(filter.operator==='regex'){const regex=new RegExp(filter.value,'i');return value=>value!=null&&regex.test(String(value));}%0Aif(filter.operator==='startsWith'){return value=>value!=null&&String(value).toLowerCase().startsWith(needle);}%0Aif(filter.operator==='equals'){return value=>value!=null&&String(value).toLowerCase()===needle;}%0Areturn value=>value!=null&&String(value).toLowerCase().includes(needle);}%0Acase'number':return value=>{const number=typeof value==='number'?value:parseFloat(value);if(isNaN(number))return false;return(filter.min==null||number>=filter.min)&&(filter.max==null||number<=filter.max);};case'date':{const after=this._parseDay(filter.after);const before=this._parseDay(filter.before);return value=>{const time=this._toTime(value);if(isNaN(time))return false;return(isNaN(after)||time>=after)&&(isNaN(before)||time<before);};}%0Acase'enum':{const values=new Set(filter.values);return value=>values.has(value);}}%0Areturn()=>true;},_parseDay:function(day){const match=/^(\d{4})-(\d{2})-(\d{2})$/.exec(day||'');return match?new Date(match[1],match[2]-1,match[3]).getTime():NaN;},_toTime:function(value){if(value instanceof Date)return value.getTime();if(typeof value==='number')return value;if(value==null||value==='')return NaN;const day=this._parseDay(String(value));return isNaN(day)?Date.parse(value):day;},_getColumnType:function(container,column){if(['text','number','date','enum'].includes(column.type)){return column.type;}%0Aconst values=[];for(const row of container._bmsTableState.data){const value=row[column.key];if(value!=null&&value!==''){values.push(value);if(values.length===200)break;}}%0Aif(values.length===0)return'text';if(values.every(value=>typeof value==='number'))return'number';if(values.every(value=>value instanceof Date||(typeof value==='string'&&/^\d{4}-\d{2}-\d{2}/.test(value)&&!isNaN(Date.parse(value))))){return'date';}%0Aconst distinct=new Set(values.map(String)).size;if(values.every(value=>typeof value==='boolean')||(distinct<=12&&distinct<=values.length/2)){return'enum';}%0Areturn'text';},_showFilterMenu:function(container,columnKey,anchor){if(container._bmsPopover?.anchor===anchor){this._closePopover(container);return;}%0Aconst state=container._bmsTableState;const column=state.config.columns.find(col=>col.key===columnKey);const title=column.title||column.key;const type=this._getColumnType(container,column);const current=this._normalizeFilter(state.filters[columnKey]);const menu=document.createElement('div');menu.className='bms-table-filter-menu';menu.setAttribute('role','dialog');menu.setAttribute('aria-label',`Filter ${title}`);const heading=document.createElement('div');heading.className='bms-table-filter-title';heading.textContent=`Filter ${title}`;menu.appendChild(heading);const body=document.createElement('div');body.className='bms-table-filter-body';menu.appendChild(body);const editors={text:this._buildTextFilter,number:this._buildNumberFilter,date:this._buildDateFilter,enum:this._buildEnumFilter};const read=editors[type].call(this,container,column,body,current&&current.type===type?current:null);const actions=document.createElement('div');actions.className='bms-table-filter-actions';const clearBtn=document.createElement('button');clearBtn.className='bms-table-btn';clearBtn.textContent='Clear';clearBtn.addEventListener('click',()=>{this._closePopover(container);this.setFilter(container,columnKey,null);});const applyBtn=document.createElement('button');applyBtn.className='bms-table-btn bms-table-btn-primary';applyBtn.textContent='Apply';const apply=()=>{const filter=read();if(filter===false)return;this._closePopover(container);this.setFilter(container,columnKey,filter);};applyBtn.addEventListener('click',apply);menu.addEventListener('keydown',(e)=>{if(e.key==='Enter'&&e.target.tagName!=='BUTTON'){e.preventDefault();apply();}});actions.appendChild(clearBtn);actions.appendChild(applyBtn);menu.appendChild(actions);this._openPopover(container,anchor,menu);const firstInput=body.querySelector('input, select');if(firstInput)firstInput.focus();},_buildTextFilter:function(container,column,body,current){const operator=document.createElement('select');operator.className='bms-table-filter-input';operator.setAttribute('aria-label','Operator');[['contains','Contains'],['startsWith','Starts with'],['equals','Equals'],['regex','Matches regex']].forEach(([value,label])=>{const option=document.createElement('option');option.value=value;option.textContent=label;operator.appendChild(option);});operator.value=current?current.operator:'contains';const input=document.createElement('input');input.type='text';input.className='bms-table-filter-input';input.placeholder='Value';input.setAttribute('aria-label','Value');input.value=current?current.value:'';const error=document.createElement('div');error.className='bms-table-filter-error';body.appendChild(operator);body.appendChild(input);body.appendChild(error);return()=>{if(!input.value)return null;if(operator.value==='regex'){try{new RegExp(input.value);}catch(e){error.textContent='Invalid regular expression';input.focus();return false;}}%0Areturn{type:'text',operator:operator.value,value:input.value};};},_buildNumberFilter:function(container,column,body,current){const min=this._createFilterInput(body,'number','Min',current?current.min:null);const max=this._createFilterInput(body,'number','Max',current?current.max:null);return()=>{const range={min:min.value===''?null:Number(min.value),max:max.value===''?null:Number(max.value)};return range.min==null&&range.max==null?null:{type:'number',...range};};},_buildDateFilter:function(container,column,body,current){const after=this._createFilterInput(body,'date','On or after',current?current.after:null);const before=this._createFilterInput(body,'date','Before',current?current.before:null);return()=>{if(!after.value&&!before.value)return null;return{type:'date',after:after.value||null,before:before.value||null};};},_buildEnumFilter:function(container,column,body,current){const state=container._bmsTableState;const counts=new Map();state.data.forEach(row=>counts.set(row[column.key],0));if(state.remote){(current?current.values:[]).forEach(value=>counts.set(value,0));}else{this._filterRows(container,column.key).forEach(row=>{counts.set(row[column.key],counts.get(row[column.key])+1);});}%0Aconst selected=new Set(current?current.values:[]);const entries=[...counts.entries()].sort((a,b)=>b[1]-a[1]||String(a[0]).localeCompare(String(b[0])));const search=document.createElement('input');search.type='text';search.className='bms-table-filter-input';search.placeholder='Search values';search.setAttribute('aria-label','Search values');if(entries.length>8){body.appendChild(search);}%0Aconst list=document.createElement('ul');list.className='bms-table-facet-list';const checkboxes=entries.map(([value,count])=>{const item=document.createElement('li');item.className='bms-table-facet';const label=document.createElement('label');const checkbox=document.createElement('input');checkbox.type='checkbox';checkbox.className='bms-table-checkbox';checkbox.checked=selected.has(value);const text=document.createElement('span');text.className='bms-table-facet-label';text.textContent=value==null||value===''?'(empty)':String(value);const countEl=document.createElement('span');countEl.className='bms-table-facet-count';countEl.textContent=state.remote?'':count;label.appendChild(checkbox);label.appendChild(text);label.appendChild(countEl);item.appendChild(label);list.appendChild(item);return checkbox;});body.appendChild(list);search.addEventListener('input',()=>{const term=search.value.toLowerCase();list.querySelectorAll('.bms-table-facet').forEach(item=>{item.hidden=!item.textContent.toLowerCase().includes(term);});});return()=>{const values=entries.filter((entry,i)=>checkboxes[i].checked).map(([value])=>value);return values.length>0?{type:'enum',values}:null;};},_createFilterInput:function(body,type,label,value){const wrapper=document.createElement('label');wrapper.className='bms-table-filter-field';wrapper.textContent=label;const input=document.createElement('input');input.type=type;input.className='bms-table-filter-input';input.value=value!=null?value:'';wrapper.appendChild(input);body.appendChild(wrapper);return input;},_describeFilter:function(filter){switch(filter.type){case'text':{const operators={contains:'contains',startsWith:'starts with',equals:'=',regex:'matches'};return filter.operator==='regex'?`matches /${filter.value}/`:`${operators[filter.operator]||'contains'} "${filter.value}"`;}%0Acase'number':if(filter.min!=null&&filter.max!=null)return`${filter.min} %E2%80%93 ${filter.max}`;return filter.min!=null?`%E2%89%A5 ${filter.min}`:`%E2%89%A4 ${filter.max}`;case'date':if(filter.after&&filter.before)return`${filter.after} to ${filter.before}`;return filter.after?`on or after ${filter.after}`:`before ${filter.before}`;case'enum':{const labels=filter.values.map(value=>value==null||value===''?'(empty)':String(value));return labels.length>3?`${labels.slice(0,3).join(', ')} +${labels.length-3} more`:labels.join(', ');}}%0Areturn'';},_renderFilterIndicators:function(container){const state=container._bmsTableState;container.querySelectorAll('.bms-table-header').forEach(th=>{const filterBtn=th.querySelector('.bms-table-filter-btn');if(filterBtn){filterBtn.classList.toggle('active',Boolean(this._normalizeFilter(state.filters[th.dataset.column])));}});const chips=container.querySelector('.bms-table-filter-chips');if(!chips)return;chips.replaceChildren();const active=Object.keys(state.filters).map(columnKey=>[columnKey,this._normalizeFilter(state.filters[columnKey])]).filter(([,filter])=>filter);active.forEach(([columnKey,filter])=>{const column=state.config.columns.find(col=>col.key===columnKey);const title=column?column.title||column.key:columnKey;const chip=document.createElement('span');chip.className='bms-table-filter-chip';const label=document.createElement('button');label.className='bms-table-filter-chip-label';label.textContent=`${title}: ${this._describeFilter(filter)}`;label.title='Edit filter';label.addEventListener('click',()=>this._showFilterMenu(container,columnKey,label));const remove=document.createElement('button');remove.className='bms-table-filter-chip-remove';remove.textContent='%C3%97';remove.setAttribute('aria-label',`Remove ${title} filter`);remove.addEventListener('click',()=>this.setFilter(container,columnKey,null));chip.appendChild(label);chip.appendChild(remove);chips.appendChild(chip);});if(active.length>1){const clearAll=document.createElement('button');clearAll.className='bms-table-filter-chip-clear';clearAll.textContent='Clear all';clearAll.addEventListener('click',()=>this.clearFilters(container));chips.appendChild(clearAll);}},_updatePagination:function(container){const state=container._bmsTableState;const config=state.config;const pagination=container._bmsTablePagination;if(!pagination)return;const totalItems=state.itemCount;const totalPages=Math.ceil(totalItems/config.pageSize);const start=(state.currentPage-1)*config.pageSize+1;const end=Math.min(state.currentPage*config.pageSize,totalItems);const pageInfo=pagination.querySelector('.bms-table-page-info');pageInfo.textContent=totalItems>0?`Showing ${start} to ${end} of ${totalItems} entries`:'No entries';const pageNumbers=pagination.querySelector('.bms-table-page-numbers');pageNumbers.replaceChildren();const maxButtons=5;let startPage=Math.max(1,state.currentPage-Math.floor(maxButtons/2));let endPage=Math.min(totalPages,startPage+maxButtons-1);if(endPage-startPage<maxButtons-1){startPage=Math.max(1,endPage-maxButtons+1);}%0Afor(let i=startPage;i<=endPage;i++){const btn=document.createElement('button');btn.className=`bms-table-page-btn ${i===state.currentPage?'active':''}`;btn.textContent=i;btn.addEventListener('click',()=>{this._setPage(container,i);});pageNumbers.appendChild(btn);}%0Aconst controls=pagination.querySelector('.bms-table-page-controls');controls.querySelector('.bms-table-page-first').disabled=state.currentPage===1;controls.querySelector('.bms-table-page-prev').disabled=state.currentPage===1;controls.querySelector('.bms-table-page-next').disabled=state.currentPage===totalPages;controls.querySelector('.bms-table-page-last').disabled=state.currentPage===totalPages;if(config.onPageChange){config.onPageChange(state.currentPage,totalPages);}},getColumnLayout:function(container){const state=container._bmsTableState;return{order:[...state.columnOrder],hidden:[...state.hiddenColumns],widths:{...state.columnWidths}};},setColumnVisibility:function(container,columnKey,visible){const state=container._bmsTableState;if(visible){state.hiddenColumns.delete(columnKey);}else if(state.columns.length>1||!state.columns.some(column=>column.key===columnKey)){state.hiddenColumns.add(columnKey);}%0Athis._applyColumnLayout(container);},moveColumn:function(container,columnKey,index){const state=container._bmsTableState;const from=state.columnOrder.indexOf(columnKey);if(from===-1)return;state.columnOrder.splice(from,1);state.columnOrder.splice(Math.max(0,Math.min(index,state.columnOrder.length)),0,columnKey);this._applyColumnLayout(container);},resetColumns:function(container){const state=container._bmsTableState;const columns=state.config.columns;state.columnOrder=columns.map(column=>column.key);state.hiddenColumns=new Set(columns.filter(column=>column.visible===false).map(column=>column.key));state.columnWidths={};this._applyColumnLayout(container);},setColumnWidth:function(container,columnKey,width){const state=container._bmsTableState;const column=state.config.columns.find(c=>c.key===columnKey);if(!column)return;if(width===null){delete state.columnWidths[columnKey];}else{this._freezeColumnWidths(container);state.columnWidths[columnKey]=this._clampColumnWidth(container,column,width);}%0Athis._applyColumnLayout(container);},autoFitColumn:function(container,columnKey){const state=container._bmsTableState;const column=state.columns.find(c=>c.key===columnKey);const th=Array.from(container._bmsTable.tHead.querySelectorAll('th.bms-table-header')).find(header=>header.dataset.column===columnKey);if(!column||!th)return;const width=this._measureColumn(container,th);this._freezeColumnWidths(container);state.columnWidths[columnKey]=this._clampColumnWidth(container,column,width);this._applyColumnWidths(container);this._saveColumnLayout(container);if(state.config.onColumnResize){state.config.onColumnResize(columnKey,state.columnWidths[columnKey]);}},_loadColumnLayout:function(container){const state=container._bmsTableState;const key=this._columnStorageKey(container);let saved=null;if(key){try{saved=JSON.parse(localStorage.getItem(key));}catch(error){console.warn('BMS: could not read the saved table columns:',error);}}%0Aif(saved&&Array.isArray(saved.order)&&Array.isArray(saved.hidden)){const keys=state.config.columns.map(column=>column.key);state.columnOrder=[...saved.order.filter(columnKey=>keys.includes(columnKey)),...keys.filter(columnKey=>!saved.order.includes(columnKey))];state.hiddenColumns=new Set(saved.hidden.filter(columnKey=>keys.includes(columnKey)));if(saved.widths&&typeof saved.widths==='object'){Object.entries(saved.widths).forEach(([columnKey,width])=>{if(keys.includes(columnKey)&&Number.isFinite(width)&&width>0){state.columnWidths[columnKey]=width;}});}}%0Athis._updateColumns(container);if(state.columns.length===0&&state.columnOrder.length>0){state.hiddenColumns.clear();this._updateColumns(container);}},_saveColumnLayout:function(container){const key=this._columnStorageKey(container);if(!key)return;try{localStorage.setItem(key,JSON.stringify(this.getColumnLayout(container)));}catch(error){console.warn('BMS: could not save the table columns:',error);}},_columnStorageKey:function(container){const config=container._bmsTableState.config;return config.persistColumns?`bms-table-columns:${config.id}`:null;},_updateColumns:function(container){const state=container._bmsTableState;state.columns=state.columnOrder.filter(columnKey=>!state.hiddenColumns.has(columnKey)).map(columnKey=>state.config.columns.find(column=>column.key===columnKey));},_applyColumnLayout:function(container){this._updateColumns(container);this._renderHeader(container,container._bmsTable.tHead);this._applyColumnWidths(container);this._updateDisplay(container);this._saveColumnLayout(container);const list=container._bmsPopover?.popover.querySelector('.bms-table-column-list');if(list){this._renderColumnList(container,list);}},_startColumnResize:function(container,th,e){if(e.button!==0)return;e.preventDefault();e.stopPropagation();const state=container._bmsTableState;const config=state.config;const columnKey=th.dataset.column;const column=state.columns.find(c=>c.key===columnKey);if(!column)return;this._freezeColumnWidths(container);const resizer=e.currentTarget;const startX=e.clientX;const startWidth=state.columnWidths[columnKey];state.resizing=true;container.classList.add('bms-table-resizing');const handleMove=(moveEvent)=>{state.columnWidths[columnKey]=this._clampColumnWidth(container,column,startWidth+moveEvent.clientX-startX);this._applyColumnWidths(container);};const handleUp=()=>{resizer.removeEventListener('pointermove',handleMove);resizer.removeEventListener('pointerup',handleUp);resizer.removeEventListener('pointercancel',handleUp);container.classList.remove('bms-table-resizing');this._saveColumnLayout(container);setTimeout(()=>{state.resizing=false;},0);if(config.onColumnResize){config.onColumnResize(columnKey,state.columnWidths[columnKey]);}};resizer.setPointerCapture(e.pointerId);resizer.addEventListener('pointermove',handleMove);resizer.addEventListener('pointerup',handleUp);resizer.addEventListener('pointercancel',handleUp);},_freezeColumnWidths:function(container){const state=container._bmsTableState;const headers=Array.from(container._bmsTable.tHead.querySelectorAll('th.bms-table-header'));const measured=headers.map(th=>({key:th.dataset.column,width:Math.round(th.getBoundingClientRect().width)}));measured.forEach(({key,width})=>{const column=state.columns.find(c=>c.key===key);if(column&&state.columnWidths[key]==null){state.columnWidths[key]=this._clampColumnWidth(container,column,width||this._defaultColumnWidth(column));}});},_getColumnWidth:function(container,column){const state=container._bmsTableState;if(state.columnWidths[column.key]!=null){return state.columnWidths[column.key];}%0Aif(Object.keys(state.columnWidths).length>0){return this._clampColumnWidth(container,column,this._defaultColumnWidth(column));}%0Areturn null;},_defaultColumnWidth:function(column){if(typeof column.width==='number')return column.width;return/^\d+(\.\d+)?(px)?$/.test(String(column.width||'').trim())?parseFloat(column.width):150;},_clampColumnWidth:function(container,column,width){const config=container._bmsTableState.config;const min=column.minWidth??config.minColumnWidth??0;const max=column.maxWidth??config.maxColumnWidth??Infinity;return Math.round(Math.max(min,Math.min(max,width)));},_applyColumnWidths:function(container){const state=container._bmsTableState;const table=container._bmsTable;const fixed=Object.keys(state.columnWidths).length>0;let total=0;table.tHead.querySelectorAll('th.bms-table-header').forEach(th=>{const column=state.columns.find(c=>c.key===th.dataset.column);const width=column?this._getColumnWidth(container,column):null;if(width!==null){th.style.width=`${width}px`;total+=width;}});const selectAll=table.tHead.querySelector('.bms-table-select-all');if(selectAll){total+=selectAll.offsetWidth||40;}%0Atable.classList.toggle('bms-table-fixed',fixed);table.style.width=fixed?`${total}px`:'';},_measureColumn:function(container,th){const table=container._bmsTable;const probe=document.createElement('table');probe.className=table.className;probe.classList.remove('bms-table-fixed');probe.classList.add('bms-table-probe');const head=document.createElement('thead');const headRow=document.createElement('tr');const header=th.cloneNode(true);header.style.width='';headRow.appendChild(header);head.appendChild(headRow);probe.appendChild(head);const body=document.createElement('tbody');container._bmsTableBody.querySelectorAll('td.bms-table-cell').forEach(td=>{if(td.dataset.column!==th.dataset.column)return;const row=document.createElement('tr');row.appendChild(td.cloneNode(true));body.appendChild(row);});probe.appendChild(body);container._bmsTableWrapper.appendChild(probe);const width=Math.ceil(header.getBoundingClientRect().width);probe.remove();return width;},_showColumnSelector:function(container){const button=container.querySelector('.bms-table-columns');if(container._bmsPopover?.anchor===button){this._closePopover(container);return;}%0Aconst menu=document.createElement('div');menu.className='bms-table-column-menu';menu.setAttribute('role','dialog');menu.setAttribute('aria-label','Columns');const hint=document.createElement('div');hint.className='bms-table-column-hint';hint.textContent='Drag to reorder (or Alt+%E2%86%91/%E2%86%93)';menu.appendChild(hint);const list=document.createElement('ul');list.className='bms-table-column-list';menu.appendChild(list);this._renderColumnList(container,list);const resetBtn=document.createElement('button');resetBtn.className='bms-table-btn bms-table-column-reset';resetBtn.textContent='Reset';resetBtn.addEventListener('click',()=>this.resetColumns(container));menu.appendChild(resetBtn);this._openPopover(container,button,menu);const firstCheckbox=list.querySelector('input');if(firstCheckbox)firstCheckbox.focus();},_openPopover:function(container,anchor,popover){this._closePopover(container);const doc=container.ownerDocument;popover.classList.add('bms-table-popover');const zIndex=BMS.UI.WindowManager?.overlayZIndex(30);if(zIndex)popover.style.zIndex=zIndex;if(container.closest('.bms-light-theme')){popover.classList.add('bms-light-theme');}%0A(doc===document?BMS.DOM?.getRoot?.()||document.body:doc.body).appendChild(popover);const rect=anchor.getBoundingClientRect();const left=Math.min(rect.left,doc.defaultView.innerWidth-popover.offsetWidth-8);popover.style.top=`${rect.bottom+6}px`;popover.style.left=`${Math.max(8,left)}px`;const handleOutside=(e)=>{const target=e.composedPath()[0];if(!popover.contains(target)&&!anchor.contains(target)){this._closePopover(container);}};const handleScroll=(e)=>{if(!popover.contains(e.composedPath()[0])){this._closePopover(container);}};popover.addEventListener('keydown',(e)=>{if(e.key==='Escape'){e.stopPropagation();this._closePopover(container);anchor.focus();}});doc.addEventListener('mousedown',handleOutside,true);doc.addEventListener('scroll',handleScroll,true);container._bmsTableWrapper.addEventListener('scroll',handleScroll);anchor.setAttribute('aria-expanded','true');container._bmsPopover={popover,anchor,doc,handleOutside,handleScroll};},_closePopover:function(container){const open=container._bmsPopover;if(!open)return;open.doc.removeEventListener('mousedown',open.handleOutside,true);open.doc.removeEventListener('scroll',open.handleScroll,true);container._bmsTableWrapper.removeEventListener('scroll',open.handleScroll);open.popover.remove();open.anchor.setAttribute('aria-expanded','false');container._bmsPopover=null;},_renderColumnList:function(container,list){const state=container._bmsTableState;const active=this._activeElement(container);const focusedKey=list.contains(active)?active.closest('.bms-table-column-item').dataset.column:null;list.replaceChildren();state.columnOrder.forEach((columnKey,index)=>{const column=state.config.columns.find(col=>col.key===columnKey);const visible=!state.hiddenColumns.has(columnKey);const item=document.createElement('li');item.className='bms-table-column-item';item.draggable=true;item.dataset.column=columnKey;const handle=document.createElement('span');handle.className='bms-table-column-handle';handle.setAttribute('aria-hidden','true');handle.textContent='%E2%8B%AE%E2%8B%AE';const label=document.createElement('label');const checkbox=document.createElement('input');checkbox.type='checkbox';checkbox.className='bms-table-checkbox';checkbox.checked=visible;checkbox.disabled=visible&&state.columns.length===1;checkbox.addEventListener('change',()=>{this.setColumnVisibility(container,columnKey,checkbox.checked);});label.appendChild(checkbox);label.appendChild(document.createTextNode(column.title||column.key));item.appendChild(handle);item.appendChild(label);item.addEventListener('keydown',(e)=>{if(e.altKey&&(e.key==='ArrowUp'||e.key==='ArrowDown')){e.preventDefault();this.moveColumn(container,columnKey,index+(e.key==='ArrowUp'?-1:1));}});item.addEventListener('dragstart',(e)=>{e.dataTransfer.effectAllowed='move';e.dataTransfer.setData('text/plain',columnKey);list._bmsDragKey=columnKey;item.classList.add('bms-dragging');});item.addEventListener('dragover',(e)=>{if(!list._bmsDragKey)return;e.preventDefault();const rect=item.getBoundingClientRect();const after=e.clientY>rect.top+rect.height/2;item.classList.toggle('bms-drop-before',!after);item.classList.toggle('bms-drop-after',after);});item.addEventListener('dragleave',()=>{item.classList.remove('bms-drop-before','bms-drop-after');});item.addEventListener('drop',(e)=>{e.preventDefault();const dragKey=list._bmsDragKey;list._bmsDragKey=null;if(!dragKey||dragKey===columnKey){item.classList.remove('bms-drop-before','bms-drop-after');return;}%0Aconst after=item.classList.contains('bms-drop-after');const order=state.columnOrder.filter(key=>key!==dragKey);this.moveColumn(container,dragKey,order.indexOf(columnKey)+(after?1:0));});item.addEventListener('dragend',()=>{list._bmsDragKey=null;item.classList.remove('bms-dragging');});list.appendChild(item);});const focusedItem=[...list.children].find(item=>item.dataset.column===focusedKey);if(focusedItem){focusedItem.querySelector('input').focus();}},exportData:async function(container,format='csv',options={}){const state=container._bmsTableState;const config=state.config;const exporter=this.exportFormats[format];if(!exporter){throw new Error(`Unknown export format "${format}"`);}%0Aconst{scope='filtered',values=exporter.raw?'raw':'rendered',allColumns=false,destination='download',filename=config.exportFilename}=options;if(destination==='clipboard'&&exporter.binary){throw new Error(`${exporter.label} can't be copied to the clipboard`);}%0Aconst rows=state.remote&&(scope==='all'||scope==='filtered')?await this._fetchAllRows(container,scope==='filtered'):this._getExportRows(container,scope);const columns=allColumns?state.columnOrder.map(key=>config.columns.find(column=>column.key===key)):state.columns;const table={keys:columns.map(column=>column.key),headers:columns.map(column=>column.title||column.key),rows:rows.map(row=>columns.map(column=>this._getExportValue(container,column,row,values==='rendered')))};const content=exporter.build.call(this,table);const fullName=/\.[a-z0-9]+$/i.test(filename)?filename:`${filename}.${exporter.extension}`;const result={content,filename:fullName,mimeType:exporter.mimeType,rowCount:rows.length};if(destination==='clipboard'){const plainText=exporter.mimeType==='text/html'?this.exportFormats.tsv.build.call(this,table):content;await this._copyExport(content,exporter.mimeType,plainText);}else if(destination==='download'){const blob=content instanceof Blob?content:new Blob([content],{type:exporter.mimeType});const url=URL.createObjectURL(blob);const link=document.createElement('a');link.href=url;link.download=fullName;link.click();setTimeout(()=>URL.revokeObjectURL(url),0);}%0Areturn result;},exportFormats:{csv:{label:'CSV',extension:'csv',mimeType:'text/csv',build:function(table){const line=cells=>cells.map(cell=>`"${this._exportText(cell).replace(/"/g,'""')}"`).join(',');return[line(table.headers),...table.rows.map(line)].join('\n');}},tsv:{label:'TSV',extension:'tsv',mimeType:'text/tab-separated-values',build:function(table){const line=cells=>cells.map(cell=>this._exportText(cell).replace(/[\t\r\n]+/g,' ')).join('\t');return[line(table.headers),...table.rows.map(line)].join('\n');}},markdown:{label:'Markdown',extension:'md',mimeType:'text/markdown',build:function(table){const line=cells=>`| ${cells.map(cell=>this._exportText(cell).replace(/\\/g,'\\\\').replace(/\|/g,'\\|').replace(/\r?\n/g,'<br>')).join(' | ')} |`;return[line(table.headers),`|${table.headers.map(()=>' --- ').join('|')}|`,...table.rows.map(line)].join('\n');}},html:{label:'HTML',extension:'html',mimeType:'text/html',build:function(table){const escape=cell=>this._exportText(cell).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');const head=`<tr>${table.headers.map(header=>`<th>${escape(header)}</th>`).join('')}</tr>`;const body=table.rows.map(cells=>`<tr>${cells.map(cell=>`<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n');return`<table>\n<thead>\n${head}\n</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;}},json:{label:'JSON',extension:'json',mimeType:'application/json',raw:true,build:function(table){return JSON.stringify(this._exportObjects(table),null,2);}},ndjson:{label:'NDJSON',extension:'ndjson',mimeType:'application/x-ndjson',raw:true,build:function(table){return this._exportObjects(table).map(row=>JSON.stringify(row)).join('\n');}},xlsx:{label:'Excel',extension:'xlsx',mimeType:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',binary:true,build:function(table){return this._buildXlsx(table);}}},_getExportRows:function(container,scope){const state=container._bmsTableState;switch(scope){case'all':return[...state.data];case'selected':{const shown=new Set(state.filteredData);return state.filteredData.filter(row=>state.selectedRows.has(row)).concat(state.data.filter(row=>state.selectedRows.has(row)&&!shown.has(row)));}%0Acase'page':return[...state.displayData];case'filtered':return[...state.filteredData];default:throw new Error(`Unknown export scope "${scope}"`);}},_getExportValue:function(container,column,row,rendered){const config=container._bmsTableState.config;const value=row[column.key];if(typeof column.exportValue==='function'){return column.exportValue(value,row);}%0Aif(!rendered||(!column.renderer&&!config.cellRenderer)){return value;}%0Aconst rowIndex=container._bmsTableState.displayData.indexOf(row);const output=column.renderer?column.renderer(value,row,rowIndex):config.cellRenderer(value,column,row,rowIndex);if(output instanceof Node)return value;if(typeof output!=='string')return output;return this._htmlToText(output);},_htmlToText:function(html){let fragment;if(BMS.DOM?.sanitize){fragment=BMS.DOM.sanitize(html);}else{const template=document.createElement('template');template.innerHTML=html;fragment=template.content;}%0Areturn fragment.textContent.replace(/\s+/g,' ').trim();},_exportText:function(value){if(value==null)return'';if(value instanceof Date)return isNaN(value)?'':value.toISOString();if(typeof value==='object')return JSON.stringify(value);return String(value);},_exportObjects:function(table){return table.rows.map(cells=>{const row={};table.keys.forEach((key,index)=>{row[key]=cells[index]===undefined?null:cells[index];});return row;});},_copyExport:async function(content,mimeType,plainText){try{if(mimeType==='text/html'&&navigator.clipboard?.write&&typeof ClipboardItem!=='undefined'){await navigator.clipboard.write([new ClipboardItem({'text/html':new Blob([content],{type:'text/html'}),'text/plain':new Blob([plainText],{type:'text/plain'})})]);}else if(navigator.clipboard?.writeText){await navigator.clipboard.writeText(content);}else{throw new Error('Clipboard API unavailable');}}catch(error){if(!BMS.Utils?.copyToClipboard)throw error;BMS.Utils.copyToClipboard(content);}},_buildXlsx:function(table){const escape=text=>text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g,'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');const columnName=(index)=>{let name='';for(let n=index+1;n>0;n=Math.floor((n-1)/26)){name=String.fromCharCode(65+(n-1)%2526)+name;}%0Areturn name;};const cell=(value,ref,style)=>{const s=style?` s="${style}"`:'';if(typeof value==='number'&&Number.isFinite(value)){return`<c r="${ref}"${s}><v>${value}</v></c>`;}%0Aif(typeof value==='boolean'){return`<c r="${ref}"${s} t="b"><v>${value?1:0}</v></c>`;}%0Aconst text=this._exportText(value);if(text==='')return'';return`<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escape(text.slice(0,32767))}</t></is></c>`;};const row=(cells,index,style)=>`<row r="${index+1}">${cells.map((value,column)=>cell(value,`${columnName(column)}${index+1}`,style)).join('')}</row>`;const xml='<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';const main='http://schemas.openxmlformats.org/spreadsheetml/2006/main';const relationships='http://schemas.openxmlformats.org/package/2006/relationships';const officeDocument='http://schemas.openxmlformats.org/officeDocument/2006/relationships';const sheet=`${xml}<worksheet xmlns="${main}">`+%0A'<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'+%0A`<sheetData>${[row(table.headers,0,1),...table.rows.map((cells,index)=>row(cells,index+1))].join('')}</sheetData>`+%0A'</worksheet>';const files=[{name:'[Content_Types].xml',data:`${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`+%0A'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'+%0A'<Default Extension="xml" ContentType="application/xml"/>'+%0A'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'+%0A'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'+%0A'<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'+%0A'</Types>'},{name:'_rels/.rels',data:`${xml}<Relationships xmlns="${relationships}">`+%0A`<Relationship Id="rId1" Type="${officeDocument}/officeDocument" Target="xl/workbook.xml"/>`+%0A'</Relationships>'},{name:'xl/workbook.xml',data:`${xml}<workbook xmlns="${main}" xmlns:r="${officeDocument}">`+%0A'<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>'},{name:'xl/_rels/workbook.xml.rels',data:`${xml}<Relationships xmlns="${relationships}">`+%0A`<Relationship Id="rId1" Type="${officeDocument}/worksheet" Target="worksheets/sheet1.xml"/>`+%0A`<Relationship Id="rId2" Type="${officeDocument}/styles" Target="styles.xml"/>`+%0A'</Relationships>'},{name:'xl/styles.xml',data:`${xml}<styleSheet xmlns="${main}">`+%0A'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'+%0A'<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'+%0A'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'+%0A'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'+%0A'<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'+%0A'<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'+%0A'</styleSheet>'},{name:'xl/worksheets/sheet1.xml',data:sheet}];return new Blob([this._zip(files)],{type:this.exportFormats.xlsx.mimeType});},_zip:function(files){const encoder=new TextEncoder();const now=new Date();const time=(now.getHours()<<11)|(now.getMinutes()<<5)|(now.getSeconds()>>1);const date=((now.getFullYear()-1980)<<9)|((now.getMonth()+1)<<5)|now.getDate();const local=[];const central=[];let offset=0;files.forEach(file=>{const name=encoder.encode(file.name);const data=encoder.encode(file.data);const crc=this._crc32(data);const header=new DataView(new ArrayBuffer(30));header.setUint32(0,0x04034b50,true);header.setUint16(4,20,true);header.setUint16(6,0x0800,true);header.setUint16(8,0,true);header.setUint16(10,time,true);header.setUint16(12,date,true);header.setUint32(14,crc,true);header.setUint32(18,data.length,true);header.setUint32(22,data.length,true);header.setUint16(26,name.length,true);local.push(new Uint8Array(header.buffer),name,data);const entry=new DataView(new ArrayBuffer(46));entry.setUint32(0,0x02014b50,true);entry.setUint16(4,20,true);entry.setUint16(6,20,true);entry.setUint16(8,0x0800,true);entry.setUint16(10,0,true);entry.setUint16(12,time,true);entry.setUint16(14,date,true);entry.setUint32(16,crc,true);entry.setUint32(20,data.length,true);entry.setUint32(24,data.length,true);entry.setUint16(28,name.length,true);entry.setUint32(42,offset,true);central.push(new Uint8Array(entry.buffer),name);offset+=30+name.length+data.length;});const centralSize=central.reduce((size,part)=>size+part.length,0);const end=new DataView(new ArrayBuffer(22));end.setUint32(0,0x06054b50,true);end.setUint16(8,files.length,true);end.setUint16(10,files.length,true);end.setUint32(12,centralSize,true);end.setUint32(16,offset,true);const parts=[...local,...central,new Uint8Array(end.buffer)];const zip=new Uint8Array(offset+centralSize+22);let position=0;parts.forEach(part=>{zip.set(part,position);position+=part.length;});return zip;},_crc32:function(data){if(!this._crcTable){this._crcTable=new Uint32Array(256);for(let n=0;n<256;n++){let c=n;for(let k=0;k<8;k++){c=c&1?0xedb88320^(c>>>1):c>>>1;}%0Athis._crcTable[n]=c>>>0;}}%0Alet crc=0xffffffff;for(let i=0;i<data.length;i++){crc=this._crcTable[(crc^data[i])&0xff]^(crc>>>8);}%0Areturn(crc^0xffffffff)>>>0;},_showExportMenu:function(container,anchor){if(container._bmsPopover?.anchor===anchor){this._closePopover(container);return;}%0Aconst state=container._bmsTableState;const config=state.config;const selectedCount=state.data.filter(row=>state.selectedRows.has(row)).length;const last=state.exportChoice||{};const menu=document.createElement('div');menu.className='bms-table-filter-menu bms-table-export-menu';menu.setAttribute('role','dialog');menu.setAttribute('aria-label','Export');const heading=document.createElement('div');heading.className='bms-table-filter-title';heading.textContent='Export';menu.appendChild(heading);const body=document.createElement('div');body.className='bms-table-filter-body';menu.appendChild(body);const scopes=document.createElement('fieldset');scopes.className='bms-table-export-scopes';const legend=document.createElement('legend');legend.className='bms-table-filter-field';legend.textContent='Rows';scopes.appendChild(legend);const options=[{value:'filtered',label:`Matching search and filters (${this._rowTotal(container)})`},{value:'all',label:state.remote?'All':`All (${state.data.length})`},{value:'selected',label:`Selected (${selectedCount})`,disabled:selectedCount===0},...(config.paginate?[{value:'page',label:`This page (${state.displayData.length})`}]:[])];const preferred=selectedCount>0?'selected':'filtered';const initial=options.some(option=>option.value===last.scope&&!option.disabled)?last.scope:preferred;options.forEach(option=>{const label=document.createElement('label');label.className='bms-table-export-option';const radio=document.createElement('input');radio.type='radio';radio.name=`${config.id}-export-scope`;radio.value=option.value;radio.checked=option.value===initial;radio.disabled=Boolean(option.disabled);label.append(radio,document.createTextNode(option.label));scopes.appendChild(label);});body.appendChild(scopes);const formatField=document.createElement('label');formatField.className='bms-table-filter-field';formatField.textContent='Format';const formatSelect=document.createElement('select');formatSelect.className='bms-table-filter-input';Object.entries(this.exportFormats).forEach(([value,format])=>{const option=document.createElement('option');option.value=value;option.textContent=`${format.label} (.${format.extension})`;option.selected=value===(last.format||'csv');formatSelect.appendChild(option);});formatField.appendChild(formatSelect);body.appendChild(formatField);let hiddenCheckbox=null;if(state.hiddenColumns.size>0){const label=document.createElement('label');label.className='bms-table-export-option';hiddenCheckbox=document.createElement('input');hiddenCheckbox.type='checkbox';hiddenCheckbox.checked=Boolean(last.allColumns);label.append(hiddenCheckbox,document.createTextNode(`Include hidden columns (${state.hiddenColumns.size})`));body.appendChild(label);}%0Aconst error=document.createElement('div');error.className='bms-table-filter-error';error.setAttribute('role','alert');body.appendChild(error);const actions=document.createElement('div');actions.className='bms-table-filter-actions';const copyBtn=document.createElement('button');copyBtn.className='bms-table-btn';copyBtn.textContent='Copy';const downloadBtn=document.createElement('button');downloadBtn.className='bms-table-btn bms-table-btn-primary';downloadBtn.textContent='Download';const updateCopy=()=>{copyBtn.disabled=Boolean(this.exportFormats[formatSelect.value].binary);};formatSelect.addEventListener('change',updateCopy);updateCopy();const run=async(destination)=>{const choice={scope:scopes.querySelector('input:checked').value,format:formatSelect.value,allColumns:hiddenCheckbox?hiddenCheckbox.checked:false};state.exportChoice=choice;try{const result=await this.exportData(container,choice.format,{scope:choice.scope,allColumns:choice.allColumns,destination});this._closePopover(container);if(destination==='clipboard'){BMS.UI?.updateStatus?.(`Copied ${result.rowCount} ${result.rowCount===1?'row':'rows'} as ${this.exportFormats[choice.format].label}`,'success');}}catch(exportError){console.error('BMS: export failed:',exportError);error.textContent=exportError.message;}};copyBtn.addEventListener('click',()=>run('clipboard'));downloadBtn.addEventListener('click',()=>run('download'));actions.appendChild(copyBtn);actions.appendChild(downloadBtn);menu.appendChild(actions);this._openPopover(container,anchor,menu);formatSelect.focus();},updateData:function(container,newData){const state=container._bmsTableState;state.data=[...newData];state.filteredData=[...newData];state.currentPage=1;state.editHistory=[];const rows=new Set(state.data);const selectedBefore=state.selectedRows.size;state.selectedRows.forEach(row=>{if(!rows.has(row))state.selectedRows.delete(row);});this._applyFilters(container);if(state.selectedRows.size!==selectedBefore){this._notifySelection(container);}},getSelection:function(container){const state=container._bmsTableState;return state.data.filter(row=>state.selectedRows.has(row));},_toggleRowSelection:function(container,rowData,selected){const state=container._bmsTableState;if(selected){state.selectedRows.add(rowData);}else{state.selectedRows.delete(rowData);}%0Athis._syncSelection(container);this._notifySelection(container);},_toggleAllRows:function(container,selected){const state=container._bmsTableState;state.filteredData.forEach(row=>{if(selected){state.selectedRows.add(row);}else{state.selectedRows.delete(row);}});this._syncSelection(container);this._notifySelection(container);},_syncSelection:function(container){const state=container._bmsTableState;container._bmsTableBody.querySelectorAll('tr.bms-table-row').forEach(tr=>{const selected=state.selectedRows.has(state.displayData[tr.dataset.rowIndex]);tr.classList.toggle('bms-table-row-selected',selected);tr.setAttribute('aria-selected',String(selected));const checkbox=tr.querySelector('.bms-table-select input');if(checkbox)checkbox.checked=selected;});const selectAll=container.querySelector('.bms-table-select-all input');if(selectAll){const count=state.filteredData.filter(row=>state.selectedRows.has(row)).length;selectAll.checked=count>0&&count===state.filteredData.length;selectAll.indeterminate=count>0&&count<state.filteredData.length;}},_notifySelection:function(container){const state=container._bmsTableState;const selected=this.getSelection(container);if(state.config.onRowSelect){state.config.onRowSelect(selected,container);}%0ABMS.events?.emit('table:selection',{table:container,selected});},_debounce:function(func,wait){let timeout;return function executedFunction(...args){const later=()=>{clearTimeout(timeout);func(...args);};clearTimeout(timeout);timeout=setTimeout(later,wait);};}};})();},".bms-table-container{font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;background: var(--bms-table-bg,%231a1a1a);border: 1px solid var(--bms-table-border,%232a2a2a);border-radius: 12px;overflow: hidden;box-shadow: 0 4px 20px rgba(0,0,0,0.5),0 0 0 1px rgba(255,255,255,0.1)}.bms-table-toolbar{display: flex;justify-content: space-between;align-items: center;padding: 16px 20px;background: var(--bms-table-toolbar-bg,%231e1e1e);border-bottom: 1px solid var(--bms-table-border,%232a2a2a);gap: 16px}.bms-table-search{position: relative;flex: 1;max-width: 400px}.bms-table-search-icon{position: absolute;left: 12px;top: 50%25;transform: translateY(-50%25);color: var(--bms-table-search-icon,%23666);pointer-events: none}.bms-table-search-input{width: 100%25;padding: 10px 40px 10px 40px;background: var(--bms-table-search-bg,rgba(255,255,255,0.05));border: 1px solid var(--bms-table-search-border,rgba(255,255,255,0.1));border-radius: 8px;color: var(--bms-table-text,%23e0e0e0);font-size: 14px;outline: none;transition: all 0.2s ease}.bms-table-search-input:focus{background: var(--bms-table-search-focus-bg,rgba(255,255,255,0.08));border-color: var(--bms-table-primary,%23667eea);box-shadow: 0 0 0 3px rgba(102,126,234,0.1)}.bms-table-search-input::placeholder{color: var(--bms-table-placeholder,%23666)}.bms-table-search-clear{position: absolute;right: 8px;top: 50%25;transform: translateY(-50%25);width: 24px;height: 24px;border-radius: 50%25;border: none;background: rgba(255,255,255,0.1);color: var(--bms-table-text,%23e0e0e0);cursor: pointer;font-size: 18px;line-height: 1;transition: all 0.2s ease}.bms-table-search-clear:hover{background: rgba(255,67,54,0.8);color: white}.bms-table-controls{display: flex;gap: 8px;position: relative}.bms-table-btn{display: flex;align-items: center;gap: 6px;padding: 8px 16px;background: var(--bms-table-btn-bg,rgba(255,255,255,0.08));border: 1px solid var(--bms-table-btn-border,rgba(255,255,255,0.15));border-radius: 8px;color: var(--bms-table-text,%23e0e0e0);font-size: 13px;font-weight: 500;cursor: pointer;transition: all 0.2s ease}.bms-table-btn:hover{background: var(--bms-table-btn-hover-bg,rgba(255,255,255,0.12));border-color: var(--bms-table-btn-hover-border,rgba(255,255,255,0.25));transform: translateY(-1px);box-shadow: 0 2px 8px rgba(0,0,0,0.2)}.bms-table-btn:active{transform: translateY(0)}.bms-table-filter-chips{display: flex;flex-wrap: wrap;gap: 6px;flex: 1}.bms-table-filter-chips:empty{display: none}.bms-table-filter-chip{display: inline-flex;align-items: center;max-width: 280px;border-radius: 999px;background: var(--bms-table-chip-bg,rgba(102,126,234,0.18));border: 1px solid var(--bms-table-chip-border,rgba(102,126,234,0.4));color: var(--bms-table-text,%23e0e0e0);font-size: 12px}.bms-table-filter-chip button,.bms-table-filter-chip-clear{border: none;background: none;color: inherit;font: inherit;cursor: pointer}.bms-table-filter-chip-label{padding: 4px 4px 4px 10px;overflow: hidden;white-space: nowrap;text-overflow: ellipsis}.bms-table-filter-chip-remove{padding: 4px 10px 4px 4px;font-size: 14px;line-height: 1;opacity: 0.7}.bms-table-filter-chip-remove:hover{opacity: 1}.bms-table-filter-chip-clear{padding: 4px 6px;font-size: 12px;color: var(--bms-table-info-text,%23999);text-decoration: underline}.bms-table-popover{position: fixed;z-index: 12000;display: flex;flex-direction: column;padding: 8px;box-sizing: border-box;font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;background: var(--bms-table-bg,%231a1a1a);border: 1px solid var(--bms-table-border,%232a2a2a);border-radius: 8px;box-shadow: 0 8px 24px rgba(0,0,0,0.4);color: var(--bms-table-text,%23e0e0e0);font-size: 13px}.bms-table-column-menu{min-width: 220px;max-height: 360px}.bms-table-column-hint{padding: 4px 8px 8px;font-size: 12px;color: var(--bms-table-info-text,%23999)}.bms-table-column-list{list-style: none;margin: 0;padding: 0;overflow-y: auto}.bms-table-column-item{display: flex;align-items: center;gap: 8px;padding: 6px 8px;border-radius: 6px;border-top: 2px solid transparent;border-bottom: 2px solid transparent}.bms-table-column-item:hover{background: var(--bms-table-row-hover,rgba(255,255,255,0.03))}.bms-table-column-item label{display: flex;align-items: center;gap: 8px;flex: 1;cursor: pointer}.bms-table-column-handle{cursor: grab;opacity: 0.5;letter-spacing: -2px}.bms-table-column-item.bms-dragging{opacity: 0.4}.bms-table-column-item.bms-drop-before{border-top-color: var(--bms-primary,%23667eea)}.bms-table-column-item.bms-drop-after{border-bottom-color: var(--bms-primary,%23667eea)}.bms-table-column-reset{justify-content: center;margin-top: 8px}.bms-table-filter-menu{width: 260px;max-height: 420px;gap: 8px}.bms-table-filter-title{font-weight: 600;padding: 2px 4px}.bms-table-filter-body{display: flex;flex-direction: column;gap: 8px;min-height: 0;flex: 1}.bms-table-filter-field{display: flex;flex-direction: column;gap: 4px;font-size: 12px;color: var(--bms-table-info-text,%23999)}.bms-table-filter-input{width: 100%25;box-sizing: border-box;padding: 6px 8px;background: var(--bms-table-search-bg,rgba(255,255,255,0.05));border: 1px solid var(--bms-table-search-border,rgba(255,255,255,0.1));border-radius: 6px;color: var(--bms-table-text,%23e0e0e0);font: inherit;color-scheme: dark}.bms-light-theme .bms-table-filter-input{color-scheme: light}.bms-table-filter-input:focus{outline: none;border-color: var(--bms-table-primary,%23667eea)}.bms-table-filter-error{color: %23f44336;font-size: 12px}.bms-table-filter-error:empty{display: none}.bms-table-facet-list{list-style: none;margin: 0;padding: 0;overflow-y: auto;max-height: 240px}.bms-table-facet label{display: flex;align-items: center;gap: 8px;padding: 4px;border-radius: 4px;cursor: pointer}.bms-table-facet label:hover{background: var(--bms-table-row-hover,rgba(255,255,255,0.03))}.bms-table-facet-label{flex: 1;overflow: hidden;white-space: nowrap;text-overflow: ellipsis}.bms-table-facet-count{color: var(--bms-table-info-text,%23999);font-size: 12px}.bms-table-export-scopes{display: flex;flex-direction: column;gap: 2px;margin: 0;padding: 0;border: none}.bms-table-export-scopes legend{padding: 0;margin-bottom: 4px}.bms-table-export-option{display: flex;align-items: center;gap: 8px;padding: 4px;border-radius: 4px;cursor: pointer}.bms-table-export-option:hover{background: var(--bms-table-row-hover,rgba(255,255,255,0.03))}.bms-table-export-option:has(input:disabled){opacity: 0.5;cursor: default}.bms-table-filter-actions{display: flex;justify-content: flex-end;gap: 8px}.bms-table-btn-primary{background: var(--bms-table-primary,%23667eea);border-color: var(--bms-table-primary,%23667eea);color: white}.bms-table-btn-primary:hover{background: var(--bms-table-primary,%23667eea);filter: brightness(1.1)}.bms-table-wrapper{overflow: auto;position: relative}.bms-table{width: 100%25;border-collapse: separate;border-spacing: 0;color: var(--bms-table-text,%23e0e0e0)}.bms-table thead{background: var(--bms-table-header-bg,%231e1e1e)}.bms-table-sticky-header{position: sticky;top: 0;z-index: 10}.bms-table thead th{padding: 0;border-bottom: 2px solid var(--bms-table-border,%232a2a2a);font-weight: 600;font-size: 13px;text-transform: uppercase;letter-spacing: 0.5px;color: var(--bms-table-header-text,%23a0a0a0);user-select: none;position: relative}.bms-table-header-content{display: flex;align-items: center;justify-content: space-between;padding: 14px 16px;gap: 8px;min-height: 56px}.bms-table-header-title{flex: 1;white-space: nowrap;overflow: hidden;text-overflow: ellipsis}.bms-table-sort-icon{display: inline-flex;align-items: center;opacity: 0.3;transition: opacity 0.2s ease}.bms-table-header:hover .bms-table-sort-icon{opacity: 0.6}.bms-sorted-asc .bms-table-sort-icon svg path:first-child,.bms-sorted-desc .bms-table-sort-icon svg path:last-child{opacity: 1}.bms-table-sort-priority{display: inline-flex;align-items: center;justify-content: center;min-width: 16px;height: 16px;padding: 0 4px;box-sizing: border-box;border-radius: 8px;background: var(--bms-table-primary,%23667eea);color: white;font-size: 10px;line-height: 1;letter-spacing: 0}.bms-table-filter-btn{display: inline-flex;align-items: center;justify-content: center;width: 24px;height: 24px;border-radius: 4px;border: none;background: transparent;color: var(--bms-table-filter-color,%23666);cursor: pointer;transition: all 0.2s ease}.bms-table-filter-btn:hover{background: rgba(255,255,255,0.1);color: var(--bms-table-text,%23e0e0e0)}.bms-table-filter-btn.active{background: var(--bms-table-primary,%23667eea);color: white}.bms-table-column-resizer{position: absolute;right: 0;top: 0;bottom: 0;width: 4px;cursor: col-resize;background: transparent;transition: background 0.2s ease;touch-action: none}@media (pointer: coarse){.bms-table-column-resizer{width: 12px}}.bms-table-column-resizer:hover,.bms-table-resizing .bms-table-column-resizer:active{background: var(--bms-table-primary,%23667eea)}.bms-table-resizing,.bms-table-resizing *{cursor: col-resize !important;user-select: none}.bms-table-fixed{table-layout: fixed}.bms-table-fixed thead th,.bms-table-fixed tbody td{overflow: hidden;text-overflow: ellipsis}.bms-table-fixed .bms-table-header-content{min-width: 0}.bms-table.bms-table-probe{position: absolute;top: 0;left: 0;width: auto;visibility: hidden;pointer-events: none;table-layout: auto}.bms-table-probe th,.bms-table-probe td{white-space: nowrap}.bms-table tbody tr{border-bottom: 1px solid var(--bms-table-row-border,rgba(255,255,255,0.05));transition: background 0.15s ease}.bms-table-hover tbody tr:hover{background: var(--bms-table-row-hover,rgba(255,255,255,0.03))}.bms-table-striped tbody tr:nth-child(even){background: var(--bms-table-stripe,rgba(255,255,255,0.02))}.bms-table-virtual tbody td{white-space: nowrap}.bms-table tbody tr.bms-table-virtual-spacer,.bms-table tbody tr.bms-table-virtual-spacer td{padding: 0;border: none;background: none}.bms-table tbody tr.bms-table-group-row{background: var(--bms-table-group-bg,rgba(102,126,234,0.08))}.bms-table tbody tr.bms-table-group-row td{padding: 8px 16px;font-size: 13px;font-weight: 600;border-top: 1px solid var(--bms-table-border,%232a2a2a)}.bms-table-group-label{display: flex;align-items: center;gap: 8px}.bms-table-group-toggle{width: 22px;height: 22px;padding: 0;border: none;border-radius: 4px;background: transparent;color: inherit;font-size: 14px;line-height: 1;cursor: pointer}.bms-table-group-toggle:hover,.bms-table-group-toggle:focus-visible{background: var(--bms-table-btn-hover-bg,rgba(255,255,255,0.1));outline: none}.bms-table-group-count{padding: 1px 8px;border-radius: 10px;background: var(--bms-table-chip-bg,rgba(102,126,234,0.2));font-size: 11px;font-weight: 600}.bms-table-aggregate{white-space: nowrap;font-variant-numeric: tabular-nums}.bms-table-aggregate-name{margin-right: 6px;font-size: 10px;font-weight: 600;text-transform: uppercase;letter-spacing: 0.5px;opacity: 0.6}.bms-table-footer td{position: sticky;bottom: 0;padding: 12px 16px;background: var(--bms-table-header-bg,%231e1e1e);border-top: 2px solid var(--bms-table-border,%232a2a2a);font-size: 13px;font-weight: 600}.bms-table-footer-label{color: var(--bms-table-header-text,%23a0a0a0)}.bms-table tbody tr.bms-table-row-selected{background: var(--bms-table-row-selected,rgba(102,126,234,0.12))}.bms-table tbody td{padding: 12px 16px;vertical-align: middle;font-size: 14px}.bms-table-compact tbody td{padding: 8px 12px;font-size: 13px}.bms-table th:focus,.bms-table td:focus,.bms-table:focus{outline: none}.bms-table th:focus-visible,.bms-table td:focus-visible{box-shadow: inset 0 0 0 2px var(--bms-table-primary,%23667eea)}.bms-table-cell-editable{cursor: text}.bms-table-cell-editable:hover{box-shadow: inset 0 0 0 1px var(--bms-table-select-border,rgba(255,255,255,0.15))}.bms-table tbody td.bms-table-cell-editing{padding-top: 4px;padding-bottom: 4px}.bms-table-editor{width: 100%25;box-sizing: border-box;padding: 6px 8px;background: var(--bms-table-select-bg,rgba(255,255,255,0.08));border: 1px solid var(--bms-table-primary,%23667eea);border-radius: 4px;color: var(--bms-table-text,%23e0e0e0);font: inherit;outline: none;color-scheme: dark}.bms-light-theme .bms-table-editor{color-scheme: light}.bms-table-editor-checkbox{width: 18px;height: 18px;accent-color: var(--bms-table-primary,%23667eea)}.bms-table-editor-invalid{border-color: %23ef4444}.bms-table-editor-error{margin-top: 4px;font-size: 12px;color: %23ef4444;white-space: normal}.bms-table-select,.bms-table-select-all{width: 40px;padding: 0 !important;text-align: center}.bms-table-checkbox{width: 18px;height: 18px;cursor: pointer;accent-color: var(--bms-table-primary,%23667eea)}.bms-table-empty{text-align: center;padding: 60px 20px !important;color: var(--bms-table-empty-text,%23666)}.bms-table-empty-content svg{opacity: 0.3;margin-bottom: 16px}.bms-table-empty-content p{margin: 0;font-size: 16px;font-weight: 500}.bms-table-skeleton{display: block;height: 12px;border-radius: 6px;background: linear-gradient(90deg,var(--bms-table-skeleton,rgba(255,255,255,0.06)) 25%25,var(--bms-table-skeleton-shine,rgba(255,255,255,0.14)) 50%25,var(--bms-table-skeleton,rgba(255,255,255,0.06)) 75%25);background-size: 200%25 100%25;animation: bms-table-skeleton 1.2s ease-in-out infinite}.bms-table-load-error p{margin-bottom: 12px}@keyframes bms-table-skeleton{from{background-position: 100%25 0}to{background-position: -100%25 0}}.bms-table-pagination{display: flex;justify-content: space-between;align-items: center;padding: 16px 20px;background: var(--bms-table-pagination-bg,%231e1e1e);border-top: 1px solid var(--bms-table-border,%232a2a2a);gap: 16px;flex-wrap: wrap}.bms-table-page-size{display: flex;align-items: center;gap: 8px;font-size: 13px;color: var(--bms-table-text,%23e0e0e0)}.bms-table-page-size-select{padding: 4px 8px;background: var(--bms-table-select-bg,rgba(255,255,255,0.08));border: 1px solid var(--bms-table-select-border,rgba(255,255,255,0.15));border-radius: 6px;color: var(--bms-table-text,%23e0e0e0);font-size: 13px;cursor: pointer;transition: all 0.2s ease}.bms-table-page-size-select:focus{outline: none;border-color: var(--bms-table-primary,%23667eea);box-shadow: 0 0 0 3px rgba(102,126,234,0.1)}.bms-table-page-info{font-size: 13px;color: var(--bms-table-info-text,%23999)}.bms-table-page-controls{display: flex;align-items: center;gap: 4px}.bms-table-page-btn{min-width: 32px;height: 32px;padding: 0 10px;background: var(--bms-table-page-btn-bg,rgba(255,255,255,0.08));border: 1px solid var(--bms-table-page-btn-border,rgba(255,255,255,0.15));border-radius: 6px;color: var(--bms-table-text,%23e0e0e0);font-size: 13px;font-weight: 500;cursor: pointer;transition: all 0.2s ease}.bms-table-page-btn:hover:not(:disabled){background: var(--bms-table-page-btn-hover,rgba(255,255,255,0.12));border-color: var(--bms-table-page-btn-hover-border,rgba(255,255,255,0.25))}.bms-table-page-btn.active{background: var(--bms-table-primary,%23667eea);border-color: var(--bms-table-primary,%23667eea);color: white}.bms-table-page-btn:disabled{opacity: 0.3;cursor: not-allowed}.bms-table-page-numbers{display: flex;gap: 4px}.bms-table-loading{position: relative;pointer-events: none}.bms-table-loading::after{content: '';position: absolute;top: 0;left: 0;right: 0;bottom: 0;background: rgba(0,0,0,0.5);backdrop-filter: blur(2px);display: flex;align-items: center;justify-content: center}@keyframes bms-table-fade-in{from{opacity: 0;transform: translateY(-10px)}to{opacity: 1;transform: translateY(0)}}.bms-table-row{animation: bms-table-fade-in 0.2s ease-out}.bms-light-theme .bms-table-container,.bms-table-popover.bms-light-theme{--bms-table-bg: %23ffffff;--bms-table-border: %23e0e0e0;--bms-table-toolbar-bg: %23f8f8f8;--bms-table-text: %23333333;--bms-table-header-bg: %23f5f5f5;--bms-table-header-text: %23666666;--bms-table-search-bg: %23ffffff;--bms-table-search-border: %23e0e0e0;--bms-table-search-icon: %23999;--bms-table-placeholder: %23999;--bms-table-btn-bg: %23ffffff;--bms-table-btn-border: %23e0e0e0;--bms-table-btn-hover-bg: %23f5f5f5;--bms-table-btn-hover-border: %23d0d0d0;--bms-table-row-border: %23f0f0f0;--bms-table-row-hover: %23f8f8f8;--bms-table-row-selected: %23eef1fd;--bms-table-chip-bg: %23eef1fd;--bms-table-chip-border: %23c5cdf7;--bms-table-group-bg: %23f3f5fd;--bms-table-stripe: %23fafafa;--bms-table-empty-text: %23999;--bms-table-skeleton: %23eeeeee;--bms-table-skeleton-shine: %23f7f7f7;--bms-table-pagination-bg: %23f8f8f8;--bms-table-select-bg: %23ffffff;--bms-table-select-border: %23e0e0e0;--bms-table-info-text: %23666;--bms-table-page-btn-bg: %23ffffff;--bms-table-page-btn-border: %23e0e0e0;--bms-table-page-btn-hover: %23f5f5f5;--bms-table-page-btn-hover-border: %23d0d0d0;--bms-table-filter-color: %23999;box-shadow: 0 2px 10px rgba(0,0,0,0.1)}@media (max-width: 768px){.bms-table-toolbar{flex-direction: column;align-items: stretch}.bms-table-search{max-width: none}.bms-table-pagination{flex-direction: column;align-items: center}.bms-table-page-size,.bms-table-page-info,.bms-table-page-controls{width: 100%25;justify-content: center}}@media (prefers-reduced-motion: reduce){.bms-table-row,.bms-table-skeleton{animation: none}.bms-table-btn,.bms-table-page-btn,.bms-table-search-input,.bms-table-filter-btn,.bms-table tbody tr{transition: opacity 0.1s ease}}");BMS.bundleComponent("interactive/animation-effects/animations",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Animations)window.BMS.UI.Animations={};BMS.UI.Animations={prefersReducedMotion:function(){return window.matchMedia('(prefers-reduced-motion: reduce)').matches;},fadeIn:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:300,delay:0,easing:'ease-out',from:0,to:1,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.transition=`opacity ${config.duration}ms ${config.easing} ${config.delay}ms`;element.style.opacity=config.from.toString();element.offsetHeight;element.style.opacity=config.to.toString();setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},fadeOut:function(element,options={}){return this.fadeIn(element,{...options,from:1,to:0});},slide:function(element,direction='down',options={}){if(this.prefersReducedMotion()&&!options.force){element.style.transform='none';element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:400,delay:0,easing:'cubic-bezier(0.4, 0, 0.2, 1)',distance:30,fade:true,onComplete:null};const config={...defaults,...options};const transforms={down:`translateY(-${config.distance}px)`,up:`translateY(${config.distance}px)`,left:`translateX(${config.distance}px)`,right:`translateX(-${config.distance}px)`};return new Promise((resolve)=>{const properties=['transform'];if(config.fade)properties.push('opacity');element.style.transition=properties.map(prop=>`${prop} ${config.duration}ms ${config.easing} ${config.delay}ms`).join(', ');element.style.transform=transforms[direction];if(config.fade)element.style.opacity='0';element.offsetHeight;element.style.transform='translateX(0) translateY(0)';if(config.fade)element.style.opacity='1';setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},scale:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){element.style.transform='scale(1)';element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:500,delay:0,easing:'cubic-bezier(0.68, -0.55, 0.265, 1.55)',from:0.8,to:1,fade:true,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const properties=['transform'];if(config.fade)properties.push('opacity');element.style.transition=properties.map(prop=>`${prop} ${config.duration}ms ${config.easing} ${config.delay}ms`).join(', ');element.style.transform=`scale(${config.from})`;if(config.fade)element.style.opacity='0';element.offsetHeight;element.style.transform=`scale(${config.to})`;if(config.fade)element.style.opacity='1';setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},bounce:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:600,intensity:20,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-bounce ${config.duration}ms ease-out`;this._injectKeyframes('bms-bounce-keyframes',`%0A                        @keyframes bms-bounce {%0A                            0%25, 20%25, 50%25, 80%25, 100%25 { transform: translateY(0); }%0A                            40%25 { transform: translateY(-${config.intensity}px); }%0A                            60%25 { transform: translateY(-${config.intensity/2}px); }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},pulse:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:1000,scale:1.05,iterations:1,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-pulse ${config.duration}ms ease-in-out ${config.iterations}`;this._injectKeyframes('bms-pulse-keyframes',`%0A                        @keyframes bms-pulse {%0A                            0%25, 100%25 { transform: scale(1); opacity: 1; }%0A                            50%25 { transform: scale(${config.scale}); opacity: 0.8; }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration*config.iterations);});},shake:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:500,intensity:5,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-shake ${config.duration}ms ease-in-out`;this._injectKeyframes('bms-shake-keyframes',`%0A                        @keyframes bms-shake {%0A                            0%25, 100%25 { transform: translateX(0); }%0A                            10%25, 30%25, 50%25, 70%25, 90%25 { transform: translateX(-${config.intensity}px); }%0A                            20%25, 40%25, 60%25, 80%25 { transform: translateX(${config.intensity}px); }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},ripple:function(element,event,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:600,color:'rgba(255, 255, 255, 0.5)',size:null,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const rect=element.getBoundingClientRect();const size=config.size||Math.max(rect.width,rect.height);let x=rect.width/2;let y=rect.height/2;if(event&&event.clientX){x=event.clientX-rect.left;y=event.clientY-rect.top;}%0Aconst ripple=document.createElement('span');ripple.className='bms-ripple';ripple.style.cssText=`%0A                    position: absolute;%0A                    border-radius: 50%25;%0A                    background: ${config.color};%0A                    pointer-events: none;%0A                    width: ${size*2}px;%0A                    height: ${size*2}px;%0A                    left: ${x-size}px;%0A                    top: ${y-size}px;%0A                    transform: scale(0);%0A                    opacity: 1;%0A                    transition: transform ${config.duration}ms ease-out, opacity ${config.duration}ms ease-out;%0A                `;const position=window.getComputedStyle(element).position;if(position==='static'){element.style.position='relative';}%0Aelement.style.overflow='hidden';element.appendChild(ripple);ripple.offsetHeight;ripple.style.transform='scale(1)';ripple.style.opacity='0';setTimeout(()=>{ripple.remove();if(config.onComplete)config.onComplete();resolve();},config.duration);});},morph:function(fromElement,toElement,options={}){if(this.prefersReducedMotion()&&!options.force){fromElement.style.opacity='0';toElement.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:800,easing:'cubic-bezier(0.4, 0, 0.2, 1)',onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const fromRect=fromElement.getBoundingClientRect();const toRect=toElement.getBoundingClientRect();const scaleX=toRect.width/fromRect.width;const scaleY=toRect.height/fromRect.height;const translateX=toRect.left-fromRect.left;const translateY=toRect.top-fromRect.top;fromElement.style.transition=`transform ${config.duration}ms ${config.easing}, opacity ${config.duration}ms ${config.easing}`;fromElement.style.transformOrigin='top left';toElement.style.opacity='0';toElement.style.transition=`opacity ${config.duration}ms ${config.easing}`;fromElement.offsetHeight;fromElement.style.transform=`translate(${translateX}px, ${translateY}px) scale(${scaleX}, ${scaleY})`;fromElement.style.opacity='0';setTimeout(()=>{toElement.style.opacity='1';},config.duration/2);setTimeout(()=>{fromElement.style.transition='';fromElement.style.transform='';toElement.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},stagger:function(elements,animationType,options={}){const defaults={staggerDelay:50,...options};const promises=Array.from(elements).map((element,index)=>{const elementOptions={...defaults,delay:(defaults.delay||0)+(index*defaults.staggerDelay)};return this[animationType](element,elementOptions);});return Promise.all(promises);},parallax:function(element,options={}){const defaults={speed:0.5,offset:0,onScroll:null};const config={...defaults,...options};const handleScroll=()=>{const scrolled=window.pageYOffset;const rate=scrolled*config.speed*-1;element.style.transform=`translateY(${rate+config.offset}px)`;if(config.onScroll){config.onScroll(scrolled,rate);}};window.addEventListener('scroll',handleScroll);return()=>{window.removeEventListener('scroll',handleScroll);};},_injectKeyframes:function(id,css){if(BMS.DOM?.addStyles){BMS.DOM.addStyles(css,id);}else if(!document.querySelector(`%23${id}`)){const style=document.createElement('style');style.id=id;style.textContent=css;document.head.appendChild(style);}}};})();},null);BMS.registerOnly=true;try{BMS.registerBookmarklet({id:'html-analyser',name:'HTML Analyser',version:'1.0.0',icon:'%F0%9F%94%8D',description:'Detects frameworks, UI libraries and meta tags on the page',components:['core/panel/panel','data-display/table/table','interactive/animation-effects/animations'],actions:[{id:'highlight-duplicate-ids',title:'Highlight duplicate IDs',run:function(){const elementsById={};document.querySelectorAll('[id]').forEach(element=>{if(!element.id)return;(elementsById[element.id]=elementsById[element.id]||[]).push(element);});const duplicates=Object.keys(elementsById).filter(id=>elementsById[id].length>1);duplicates.forEach(id=>{elementsById[id].forEach(element=>{element.style.outline='2px dashed %23dc3545';element.style.outlineOffset='2px';});console.log(`Duplicate id "${id}":`,elementsById[id]);});if(duplicates.length>0){BMS.UI.updateStatus(`${duplicates.length} duplicate IDs highlighted (listed in the console)`,'warning',6000);}else{BMS.UI.updateStatus('No duplicate IDs found','success');}%0Areturn duplicates;}},{id:'copy-meta-tags',title:'Copy meta tags as JSON',run:function(){const metaTags={};document.querySelectorAll('meta').forEach(meta=>{const name=meta.getAttribute('name')||meta.getAttribute('property')||meta.getAttribute('http-equiv');if(meta.hasAttribute('charset')){metaTags.charset=meta.getAttribute('charset');}else if(name&&meta.hasAttribute('content')){metaTags[name]=meta.getAttribute('content');}});BMS.Utils.copyToClipboard(JSON.stringify(metaTags,null,2));return metaTags;}}],run:async function(){function getClassName(e){if(e.className){if(typeof e.className==='object'&&e.className.baseVal!==undefined){return e.className.baseVal;}else if(typeof e.className==='string'){return e.className;}}%0Areturn"";}%0Afunction detectFrameworks(){const frameworks=[];const detectedFrameworks=[];if(window.__REACT_DEVTOOLS_GLOBAL_HOOK__||document.querySelector('[data-reactroot], [data-reactid], [data-react-helmet]')){detectedFrameworks.push({name:'React',confidence:'High',indicators:'React DevTools detected',icon:'%E2%9A%9B%EF%B8%8F'});}%0Aif(window.ng||document.querySelector('[ng-app], [ng-controller], [ng-model]')||document.querySelector('*[class*="ng-"]')){detectedFrameworks.push({name:'Angular',confidence:'High',indicators:'Angular directives found',icon:'%F0%9F%85%B0%EF%B8%8F'});}%0Aif(window.__VUE__||document.querySelector('[v-app], [v-bind], [v-model], [v-if]')||document.querySelector('*[class*="v-"]')){detectedFrameworks.push({name:'Vue',confidence:'High',indicators:'Vue directives found',icon:'%E2%9C%85'});}%0Aif(document.querySelector('[class*="svelte-"]')){detectedFrameworks.push({name:'Svelte',confidence:'Medium',indicators:'Svelte class markers',icon:'%F0%9F%94%A5'});}%0Aif(window.jQuery||window.$){const version=window.jQuery?window.jQuery.fn.jquery:'Unknown';detectedFrameworks.push({name:'jQuery',confidence:'High',indicators:`Version ${version}`,icon:'%F0%9F%92%B2'});}%0Aif(document.querySelector('.container, .row, .col, .navbar, .btn-primary')){detectedFrameworks.push({name:'Bootstrap',confidence:'Medium',indicators:'Bootstrap classes detected',icon:'%F0%9F%85%B1%EF%B8%8F'});}%0Aconst hasTailwind=Array.from(document.querySelectorAll('*')).some(e=>{const classes=getClassName(e).split(' ');return classes.length>3&&classes.some(c=>/^(bg-|text-|p-|m-|flex|grid|border-|rounded-|shadow-|hover:)/.test(c));});if(hasTailwind){detectedFrameworks.push({name:'Tailwind CSS',confidence:'High',indicators:'Utility classes detected',icon:'%F0%9F%8E%A8'});}%0Aif(document.querySelector('.MuiButton-root, .MuiAppBar-root, .MuiTextField-root')){detectedFrameworks.push({name:'Material UI',confidence:'High',indicators:'MUI components detected',icon:'%F0%9F%93%A6'});}%0Aif(document.querySelector('.ant-btn, .ant-table, .ant-form')){detectedFrameworks.push({name:'Ant Design',confidence:'High',indicators:'Ant Design components',icon:'%F0%9F%90%9C'});}%0Aif(document.querySelector('[class^="chakra-"]')){detectedFrameworks.push({name:'Chakra UI',confidence:'High',indicators:'Chakra components detected',icon:'%E2%9A%A1'});}%0Areturn detectedFrameworks;}%0Afunction getMetaTags(){const metaTags=[];document.querySelectorAll('meta').forEach(meta=>{const name=meta.getAttribute('name')||meta.getAttribute('property')||meta.getAttribute('http-equiv');const content=meta.getAttribute('content');const charset=meta.getAttribute('charset');if(charset){metaTags.push({type:'Charset',name:'charset',content:charset,category:'Document'});}else if(name&&content){let category='General';if(name.startsWith('og:'))category='Open Graph';else if(name.startsWith('twitter:'))category='Twitter';else if(name.startsWith('fb:')||name.startsWith('article:'))category='Facebook';else if(['viewport','robots','theme-color'].includes(name))category='Technical';else if(['description','keywords','author'].includes(name))category='SEO';metaTags.push({type:category,name:name,content:content.length>100?content.substring(0,100)+'...':content,fullContent:content,category:category});}});return metaTags;}%0Afunction getPageInfo(){return{title:document.title||'No title',url:window.location.href,domain:window.location.hostname,protocol:window.location.protocol.replace(':',''),language:document.documentElement.lang||'Not specified',charset:document.characterSet||'Not specified',doctype:document.doctype?'HTML5':'No DOCTYPE',scripts:document.querySelectorAll('script').length,stylesheets:document.querySelectorAll('link[rel="stylesheet"]').length,images:document.querySelectorAll('img').length,links:document.querySelectorAll('a').length};}%0Afunction generateContent(){const frameworks=detectFrameworks();const metaTags=getMetaTags();const pageInfo=getPageInfo();if(BMS.UI.Components&&BMS.UI.Components.Table){return generateEnhancedContent(frameworks,metaTags,pageInfo);}else{return generateBasicContent(frameworks,metaTags,pageInfo);}}%0Afunction generateEnhancedContent(frameworks,metaTags,pageInfo){const container=document.createElement('div');container.className='html-analyser-content';container.style.width='100%25';const infoSection=document.createElement('div');BMS.DOM.setHTML(infoSection,`%0A      <div style="padding: 16px; background: rgba(255,255,255,0.03); border-radius: 8px; margin-bottom: 16px;">%0A        <h3 style="margin: 0 0 12px 0; color: %23667eea;">%F0%9F%93%8A Page Information</h3>%0A        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 8px;">%0A          <div><strong>Title:</strong> ${pageInfo.title}</div>%0A          <div><strong>Domain:</strong> ${pageInfo.domain}</div>%0A          <div><strong>Language:</strong> ${pageInfo.language}</div>%0A          <div><strong>Protocol:</strong> ${pageInfo.protocol.toUpperCase()}</div>%0A          <div><strong>Scripts:</strong> ${pageInfo.scripts}</div>%0A          <div><strong>Stylesheets:</strong> ${pageInfo.stylesheets}</div>%0A          <div><strong>Images:</strong> ${pageInfo.images}</div>%0A          <div><strong>Links:</strong> ${pageInfo.links}</div>%0A        </div>%0A      </div>%0A    `);container.appendChild(infoSection);const tabContainer=document.createElement('div');tabContainer.className='bms-panel-tabs';tabContainer.style.marginBottom='16px';const tabs=[{id:'frameworks',label:'%F0%9F%9A%80 Frameworks',active:true},{id:'metatags',label:'%F0%9F%8F%B7%EF%B8%8F Meta Tags',active:false}];const tabButtons=document.createElement('div');tabButtons.style.display='flex';tabButtons.style.gap='8px';tabButtons.style.borderBottom='2px solid %233a3a3a';tabButtons.style.marginBottom='16px';tabs.forEach(tab=>{const btn=document.createElement('button');btn.textContent=tab.label;btn.style.cssText=`%0A        padding: 8px 16px;%0A        background: ${tab.active?'%23667eea':'transparent'};%0A        color: ${tab.active?'white':'%23999'};%0A        border: none;%0A        border-radius: 8px 8px 0 0;%0A        cursor: pointer;%0A        transition: all 0.2s;%0A      `;btn.onclick=()=>switchTab(tab.id);tabButtons.appendChild(btn);});container.appendChild(tabButtons);const contentArea=document.createElement('div');contentArea.id='analyser-content-area';container.appendChild(contentArea);const switchTab=(tabId)=>{const buttons=tabButtons.querySelectorAll('button');buttons.forEach((btn,index)=>{const isActive=tabs[index].id===tabId;btn.style.background=isActive?'%23667eea':'transparent';btn.style.color=isActive?'white':'%23999';});contentArea.replaceChildren();if(tabId==='frameworks'){if(frameworks.length>0){const table=BMS.UI.Components.Table.create({id:'html-analyser-frameworks-table',columns:[{key:'icon',title:'',width:'40px'},{key:'name',title:'Framework',sortable:true},{key:'confidence',title:'Confidence',sortable:true},{key:'indicators',title:'Indicators'}],data:frameworks,searchable:false,paginate:false,sortable:true,selectable:false,striped:true,hover:true,dark:true});contentArea.appendChild(table);}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; padding: 20px;">No frameworks detected on this page.</p>');}}else if(tabId==='metatags'){if(metaTags.length>0){const table=BMS.UI.Components.Table.create({id:'html-analyser-meta-table',columns:[{key:'category',title:'Category',sortable:true,width:'120px'},{key:'name',title:'Name',sortable:true},{key:'content',title:'Content',renderer:(value,row)=>{if(row.fullContent&&row.fullContent.length>100){return`%0A                      <span title="${row.fullContent.replace(/"/g,'&quot;')}" style="cursor: help;">%0A                        ${value}%0A                      </span>%0A                    `;}%0Areturn value;}}],data:metaTags,groupBy:'category',searchable:true,paginate:metaTags.length>10,pageSize:10,sortable:true,selectable:false,filterable:true,striped:true,hover:true,dark:true});contentArea.appendChild(table);}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; padding: 20px;">No meta tags found on this page.</p>');}}};switchTab('frameworks');return container;}%0Afunction generateBasicContent(frameworks,metaTags,pageInfo){const tabs=[];let infoContent='<div style="padding: 10px;">';infoContent+=`<p><strong>Title:</strong> ${pageInfo.title}</p>`;infoContent+=`<p><strong>URL:</strong> ${pageInfo.url}</p>`;infoContent+=`<p><strong>Language:</strong> ${pageInfo.language}</p>`;infoContent+=`<p><strong>Resources:</strong> ${pageInfo.scripts} scripts, ${pageInfo.stylesheets} stylesheets</p>`;infoContent+='</div>';tabs.push({title:'Page Info',content:infoContent});if(frameworks.length>0){let frameworkContent='<ul>';for(const fw of frameworks){frameworkContent+=`<li>${fw.icon} <strong>${fw.name}</strong> - ${fw.indicators}</li>`;}%0AframeworkContent+='</ul>';tabs.push({title:'Frameworks',content:frameworkContent});}%0Aif(metaTags.length>0){let metaContent='<table style="width: 100%25;">';metaContent+='<tr><th>Category</th><th>Name</th><th>Content</th></tr>';for(const tag of metaTags){metaContent+=`<tr>%0A          <td style="padding: 4px;"><small>${tag.category}</small></td>%0A          <td style="padding: 4px;"><strong>${tag.name}</strong></td>%0A          <td style="padding: 4px;">${tag.content}</td>%0A        </tr>`;}%0AmetaContent+='</table>';tabs.push({title:'Meta Tags',content:metaContent});}%0Aif(tabs.length===0){return'<p>No data detected on this page.</p>';}%0Areturn tabs;}%0Aconst content=generateContent();if(BMS.UI.Components&&BMS.UI.Components.Panel){const panel=BMS.UI.Components.Panel.create({id:'html-analyser-panel',title:'%F0%9F%94%8D HTML Analyser',content:content,mode:'dock',side:'right',dockSize:480,position:{top:50,left:window.innerWidth-850},size:{width:800,height:600},animation:true,theme:'dark',maximizable:true,onClose:(panel)=>{if(BMS.UI.Animations){BMS.UI.Animations.fadeOut(panel,{duration:200});}}});if(BMS.UI.Animations){BMS.UI.Animations.slide(panel,panel.classList.contains('bms-docked')?'left':'down',{duration:300,distance:20});}%0Areturn panel;}else{return BMS.UI.createPanel({id:'html-analyser-panel',title:'%F0%9F%94%8D HTML Analyser',content:content,footer:'<button class="bms-button bms-close-btn">Close</button>'});}},teardown:function(panel){BMS.UI.closePanel(panel);}});BMS.runHtmlAnalyser=function(){return BMS.runBookmarklet('html-analyser');};if(!BMS.registerOnly){BMS.runHtmlAnalyser();}}finally{BMS.registerOnly=false;}%0ABMS.runBookmarklet("html-analyser");})();
\ No newline at end of file
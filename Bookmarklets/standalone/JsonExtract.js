@@ -0,0 +1 @@
+javascript:(function(){if(!window.BMS||!window.BMS.bundleComponent){window.BMS={config:{defaultPanelTop:50,defaultPanelLeft:50,componentsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/components/',bookmarkletsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/',componentsLoaded:new Set(),verifyIntegrity:true,useCache:true,cacheMaxAge:60*60*1000,isolation:'none',trustedTypesPolicy:'bms',windowLayer:'above',snapThreshold:12,},manifest:{'core/modal/modal':{js:'sha256-2JIrcpTaGwkPjVCB0GetL8NT5O0fZRra4QdPh+SWP64=',css:'sha256-7qW4IDp1oRG0z01oZYcAvB+BSwjnaxzZvBZoZRQpbCc='},'core/panel/panel':{js:'sha256-p6gq2icmVwuoB9/4JAw8eePqdgbyXT8l7sdTNq8OTPk=',css:'sha256-6CLrS2iPeL1+uaGT/YFwsPjgv0YeAcNEmjm/1mgquic='},'data-display/table/table':{js:'sha256-mj+/Y6KtTmCoL272/jRlrn3c4NjsK7HfG7off7J1+Ks=',css:'sha256-dWbX2o3+zO/bX+8/OhfcTRond9QuXNrmFnWMTOZWAB4='},'navigation/command-palette/command-palette':{js:'sha256-wNQbDy7G7Ga4zh/6LfEAiaiwos/7OP/MUVvp0CDHrVw=',css:'sha256-1w5+/uteapoBm/+hWKXM/6c6qP64MxGDjcrxPeu06eE='},'interactive/animation-effects/animations':{js:'sha256-v/8jyCKJgtlBWNXm63CSalQ1DXvlDDSXRmDYCuoGfKk='},'templates/data-viewer/data-viewer':{dependencies:['core/panel/panel','data-display/table/table'],js:'sha256-G5tcD/jILjRw6ZWrc/KXYgWj0eSLoLQZl4FDG4StPjE=',css:'sha256-xNOaOOeKNK8oxjjMbt+7cDsSfpystPTX89nNRkIeo+0='}},init:function(options={}){this.config={...this.config,...options};this.injectCSS();if(!this.UI.Components)this.UI.Components={};if(!this.UI.Templates)this.UI.Templates={};if(!this.UI.Animations)this.UI.Animations={};},events:{_listeners:{},on:function(event,handler){(this._listeners[event]=this._listeners[event]||[]).push(handler);return()=>this.off(event,handler);},once:function(event,handler){const wrapper=(detail,name)=>{this.off(event,wrapper);handler(detail,name);};wrapper._bmsHandler=handler;return this.on(event,wrapper);},off:function(event,handler){if(!handler){delete this._listeners[event];return;}%0Aconst listeners=this._listeners[event]||[];const index=listeners.findIndex(l=>l===handler||l._bmsHandler===handler);if(index>-1)listeners.splice(index,1);},emit:function(event,detail={}){const namespace=event.split(':')[0];const listeners=[event,`${namespace}:*`,'*'].filter((name,index,names)=>names.indexOf(name)===index).flatMap(name=>this._listeners[name]||[]);listeners.forEach(listener=>{try{listener(detail,event);}catch(error){console.error(`BMS: "${event}" listener failed:`,error);}});}},bookmarklets:{},registerOnly:false,catalog:{'html-analyser':{name:'HTML Analyser',icon:'%F0%9F%94%8D',description:'Detects frameworks, UI libraries and meta tags on the page',script:'HtmlAnalyser-refactored.js',actions:[{id:'highlight-duplicate-ids',title:'Highlight duplicate IDs'},{id:'copy-meta-tags',title:'Copy meta tags as JSON'}]},'json-extract':{name:'JSON Extractor',icon:'%F0%9F%93%A6',description:'Extracts JSON-LD, Open Graph, Twitter Card and Microdata',script:'JsonExtract-refactored.js',actions:[{id:'export-json-ld',title:'Export JSON-LD'},{id:'copy-open-graph',title:'Copy Open Graph data'}]},'twitter-media-extractor':{name:'Twitter Media Extractor',icon:'%F0%9F%90%A6',description:'Lists the images and videos in tweets on the page',script:'TwitterMediaExtractor-refactored.js',actions:[{id:'copy-media-urls',title:'Copy media URLs'}]}},registerBookmarklet:function(definition){if(!definition||!definition.id||typeof definition.run!=='function'){throw new Error('registerBookmarklet: an id and a run() function are required');}%0Aconst previous=this.bookmarklets[definition.id];const bookmarklet={name:definition.id,version:'0.0.0',icon:'',description:'',components:[],actions:[],teardown:null,...definition,instance:previous?previous.instance:null};this.bookmarklets[bookmarklet.id]=bookmarklet;this.events.emit('bookmarklet:registered',this._bookmarkletDetail(bookmarklet));return bookmarklet;},runBookmarklet:async function(id,options={}){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aif(bookmarklet.components.length>0){try{await this.loadComponents(bookmarklet.components);}catch(error){console.error(`Failed to load components for ${bookmarklet.name}:`,error);}}%0Athis.stopBookmarklet(id);this.events.emit('bookmarklet:run',this._bookmarkletDetail(bookmarklet));try{bookmarklet.instance=await bookmarklet.run(options);}catch(error){this.UI.updateStatus(`${bookmarklet.name} failed: ${error.message}`,'error',6000);throw error;}%0Areturn bookmarklet.instance;},stopBookmarklet:function(id){const bookmarklet=this.bookmarklets[id];if(!bookmarklet||!bookmarklet.instance)return;const instance=bookmarklet.instance;bookmarklet.instance=null;if(bookmarklet.teardown){bookmarklet.teardown(instance);}%0Athis.events.emit('bookmarklet:stop',this._bookmarkletDetail(bookmarklet));},runBookmarkletAction:async function(id,actionId){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aconst action=bookmarklet.actions.find(a=>a.id===actionId);if(!action){throw new Error(`${bookmarklet.name} has no action "${actionId}"`);}%0Athis.events.emit('bookmarklet:action',{...this._bookmarkletDetail(bookmarklet),action:actionId});try{return await action.run();}catch(error){this.UI.updateStatus(`${action.title} failed: ${error.message}`,'error',6000);throw error;}},loadBookmarklet:async function(id){if(this.bookmarklets[id])return this.bookmarklets[id];const entry=this.catalog[id];if(!entry){throw new Error(`Bookmarklet "${id}" is not in the catalog`);}%0Aif(!this.canEval()){throw new Error(`Failed to load ${entry.name} - this page's Content Security Policy blocks eval, use its standalone bookmarklet`);}%0Aconst url=/^https?:\/\//.test(entry.script)?entry.script:this.config.bookmarkletsBaseUrl+entry.script;const code=new TextDecoder().decode(await this.cache.fetch(url));this.registerOnly=true;try{new Function(code)();}finally{this.registerOnly=false;}%0Aif(!this.bookmarklets[id]){throw new Error(`${entry.script} did not register "${id}"`);}%0Areturn this.bookmarklets[id];},listBookmarklets:function(){const ids=new Set([...Object.keys(this.catalog),...Object.keys(this.bookmarklets)]);return[...ids].map(id=>{const source=this.bookmarklets[id]||this.catalog[id];return{id,name:source.name||id,icon:source.icon||'',description:source.description||'',registered:Boolean(this.bookmarklets[id]),actions:(source.actions||[]).map(({id,title})=>({id,title}))};});},_bookmarkletDetail:function(bookmarklet){return{id:bookmarklet.id,name:bookmarklet.name,version:bookmarklet.version};},loadComponent:function(componentPath){return this.loadComponents([componentPath]);},resolveDependencies:function(components){const order=[];const visited=new Set();const visiting=[];const visit=(componentPath)=>{if(visited.has(componentPath))return;if(visiting.includes(componentPath)){const cycle=[...visiting.slice(visiting.indexOf(componentPath)),componentPath];throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);}%0Avisiting.push(componentPath);const entry=this.manifest[componentPath];((entry&&entry.dependencies)||[]).forEach(visit);visiting.pop();visited.add(componentPath);order.push(componentPath);};components.forEach(visit);return order;},_componentLoads:{},bundledComponents:{},bundleComponent:function(componentPath,run,css=null){this.bundledComponents[componentPath]={run,css};},canEval:function(){if(this._canEval===undefined){try{this._canEval=(new Function('return true'))();}catch(error){this._canEval=false;}}%0Areturn this._canEval;},_fetchComponent:async function(componentPath){const baseUrl=this.config.componentsBaseUrl;const entry=this.manifest[componentPath];if(this.bundledComponents[componentPath]){return this.bundledComponents[componentPath];}%0Aif(!this.canEval()){throw new Error(`Failed to load component: ${componentPath} - this page's Content Security Policy blocks eval, use the standalone bookmarklet`);}%0Aif(this.config.verifyIntegrity&&!entry){throw this._integrityError(`Component "${componentPath}" is not in the manifest`);}%0Atry{const jsUrl=`${baseUrl}${componentPath}.js`;const js=await this._fetchVerified(jsUrl,entry&&entry.js);let css=null;if(!entry||entry.css){try{const cssUrl=`${baseUrl}${componentPath}.css`;css=await this._fetchVerified(cssUrl,entry&&entry.css);}catch(cssError){if(cssError.integrity)throw cssError;console.log(`No CSS found for ${componentPath}, continuing...`);}}%0Areturn{js,css};}catch(error){const wrapped=new Error(`Failed to load component: ${componentPath} - ${error.message}`);wrapped.integrity=!!error.integrity;throw wrapped;}},_executeComponent:function(componentPath,files){if(files.run){files.run();}else{(new Function(files.js))();}%0Aif(files.css){this.DOM.addStyles(files.css,`bms-component-${componentPath.replace(/\//g,'-')}`);}%0Athis.config.componentsLoaded.add(componentPath);this.events.emit('component:loaded',{path:componentPath,bundled:!!files.run});},_fetchVerified:async function(url,integrity){const verify=this.config.verifyIntegrity?async(buffer)=>(await this._sha256(buffer))===integrity:null;const buffer=await this.cache.fetch(url,{validate:verify});if(verify&&!(await verify(buffer))){throw this._integrityError(`Integrity check failed for ${url}`);}%0Areturn new TextDecoder().decode(buffer);},_sha256:async function(buffer){if(!window.crypto||!window.crypto.subtle){throw this._integrityError('Cannot verify components: crypto.subtle is unavailable on this page');}%0Aconst digest=await window.crypto.subtle.digest('SHA-256',buffer);return'sha256-'+btoa(String.fromCharCode(...new Uint8Array(digest)));},_integrityError:function(message){console.error(`BMS: ${message}`);this.UI.updateStatus(`Blocked: ${message}`,'error',6000);const error=new Error(message);error.integrity=true;return error;},cache:{name:'bms-cache-v1',prefix:'bms-cache-',timestampHeader:'x-bms-cached-at',fetch:async function(url,{validate=null}={}){const cached=await this._get(url);if(cached){const fresh=validate?await validate(cached.buffer):cached.age<BMS.config.cacheMaxAge;if(fresh)return cached.buffer;}%0Alet buffer;try{const response=await fetch(url);if(!response.ok){throw new Error(`HTTP ${response.status} fetching ${url}`);}%0Abuffer=await response.arrayBuffer();}catch(error){if(cached&&!validate){console.warn(`BMS: network unavailable, using cached copy of ${url}`);return cached.buffer;}%0Athrow error;}%0Aif(!validate||await validate(buffer)){await this._put(url,buffer);}%0Areturn buffer;},clear:async function(){if(!window.caches)return 0;const names=(await caches.keys()).filter(name=>name.startsWith(this.prefix));await Promise.all(names.map(name=>caches.delete(name)));return names.length;},_open:async function(){if(!BMS.config.useCache||!window.caches)return null;try{return await caches.open(this.name);}catch(error){return null;}},_get:async function(url){const store=await this._open();const response=store&&await store.match(url);if(!response)return null;return{buffer:await response.arrayBuffer(),age:Date.now()-Number(response.headers.get(this.timestampHeader)||0)};},_put:async function(url,buffer){const store=await this._open();if(!store)return;try{await store.put(url,new Response(buffer,{headers:{[this.timestampHeader]:String(Date.now())}}));}catch(error){console.warn(`BMS: could not cache ${url}`,error);}}},loadComponents:function(components){let order;try{order=this.resolveDependencies(components);}catch(error){return Promise.reject(error);}%0Aorder.forEach(componentPath=>{if(this.config.componentsLoaded.has(componentPath)||this._componentLoads[componentPath])return;const entry=this.manifest[componentPath];const dependencyLoads=((entry&&entry.dependencies)||[]).map(dep=>this._componentLoads[dep]);this._componentLoads[componentPath]=Promise.all([this._fetchComponent(componentPath),...dependencyLoads]).then(([files])=>this._executeComponent(componentPath,files)).finally(()=>{delete this._componentLoads[componentPath];});});return Promise.all(order.map(componentPath=>this._componentLoads[componentPath]));},injectCSS:function(){this.DOM.addStyles(`%0A/* Bookmarklet Suite - CSS Library */%0A%0A/* 1. Reset and Base Styles */%0A.bms-container, .bms-container * {%0A  box-sizing: border-box;%0A  margin: 0;%0A  padding: 0;%0A  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;%0A  font-size: 14px;%0A  line-height: 1.5;%0A  color: var(--bms-text-color);%0A}%0A%0A/* 2. CSS Variables for Theming */%0A.bms-container {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23ffffff;%0A  --bms-text-color: %23212529;%0A  --bms-border-color: %23dee2e6;%0A  --bms-header-bg: %23f8f9fa;%0A  --bms-shadow: 0 5px 15px rgba(0,0,0,0.15);%0A}%0A%0A.bms-dark-theme {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23212529;%0A  --bms-text-color: %23f8f9fa;%0A  --bms-border-color: %23495057;%0A  --bms-header-bg: %23343a40;%0A}%0A%0A/* 3. Panel Component */%0A.bms-panel {%0A  position: fixed;%0A  z-index: 9999;%0A  top: 50px;%0A  left: 50px;%0A  width: 350px;%0A  min-width: 200px;%0A  min-height: 150px;%0A  max-width: 90vw;%0A  background-color: var(--bms-background-color);%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  display: flex;%0A  flex-direction: column;%0A}%0A%0A.bms-panel-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  cursor: move;%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A  touch-action: none;%0A  user-select: none;%0A}%0A%0A.bms-panel-header:focus-visible,%0A.bms-resizer:focus-visible {%0A  outline: 2px solid var(--bms-primary-color);%0A  outline-offset: -2px;%0A}%0A%0A.bms-panel-title {%0A  font-weight: bold;%0A}%0A%0A.bms-panel-controls button {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  margin-left: 10px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-panel-content {%0A  padding: 15px;%0A  overflow-y: auto;%0A  flex-grow: 1;%0A}%0A%0A.bms-panel-footer {%0A  padding: 10px 15px;%0A  border-top: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-header-bg);%0A  border-bottom-left-radius: 7px;%0A  border-bottom-right-radius: 7px;%0A  position: relative;%0A}%0A%0A.bms-resizer {%0A  position: absolute;%0A  bottom: 0;%0A  right: 0;%0A  width: 10px;%0A  height: 10px;%0A  cursor: se-resize;%0A  touch-action: none;%0A}%0A%0A.bms-panel-tabs {%0A  display: flex;%0A  border-bottom: 1px solid var(--bms-border-color);%0A}%0A%0A.bms-tab-btn {%0A  padding: 10px 15px;%0A  cursor: pointer;%0A  background-color: transparent;%0A  border: none;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-tab-btn.bms-active {%0A  background-color: var(--bms-background-color);%0A  border-bottom: 2px solid var(--bms-primary-color);%0A}%0A%0A.bms-tab-content {%0A  display: none;%0A}%0A%0A.bms-tab-content.bms-active {%0A  display: block;%0A}%0A%0A/* 4. Modal Component */%0A.bms-modal-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10000;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-modal {%0A  background-color: var(--bms-background-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  width: 500px;%0A  max-width: 90%25;%0A}%0A%0A.bms-modal-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A}%0A%0A.bms-modal-title {%0A  font-weight: bold;%0A}%0A%0A.bms-modal-close-btn {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-modal-content {%0A  padding: 15px;%0A}%0A%0A/* 5. Spinner Component */%0A.bms-spinner-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10001;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-spinner {%0A  border: 4px solid rgba(255, 255, 255, 0.3);%0A  border-radius: 50%25;%0A  border-top: 4px solid %23fff;%0A  width: 40px;%0A  height: 40px;%0A  animation: bms-spin 1s linear infinite;%0A}%0A%0A@keyframes bms-spin {%0A  0%25 { transform: rotate(0deg); }%0A  100%25 { transform: rotate(360deg); }%0A}%0A%0A/* 6. Status Bar Component */%0A.bms-status-bar {%0A  position: fixed;%0A  bottom: 20px;%0A  left: 50%25;%0A  transform: translateX(-50%25);%0A  padding: 10px 20px;%0A  border-radius: 5px;%0A  color: %23fff;%0A  z-index: 10002;%0A  opacity: 0;%0A  transition: opacity 0.3s ease-in-out;%0A}%0A%0A.bms-status-bar.bms-show {%0A  opacity: 1;%0A}%0A%0A.bms-status-info { background-color: %23007bff; }%0A.bms-status-success { background-color: %2328a745; }%0A.bms-status-warning { background-color: %23ffc107; color: %23212529; }%0A.bms-status-error { background-color: %23dc3545; }%0A%0A/* 7. Button Component */%0A.bms-button {%0A  display: inline-block;%0A  padding: 8px 12px;%0A  border: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-background-color);%0A  color: var(--bms-text-color);%0A  border-radius: 4px;%0A  cursor: pointer;%0A  text-align: center;%0A  text-decoration: none;%0A}%0A%0A.bms-button:hover {%0A  opacity: 0.9;%0A}%0A%0A.bms-button-primary {%0A  background-color: var(--bms-primary-color);%0A  color: %23fff;%0A  border-color: var(--bms-primary-color);%0A}%0A%0A/* 8. Window Manager */%0A.bms-window-minimized {%0A  display: none !important;%0A}%0A%0A.bms-taskbar {%0A  position: fixed;%0A  left: 0;%0A  right: 0;%0A  bottom: 0;%0A  display: flex;%0A  gap: 6px;%0A  padding: 6px 10px;%0A  overflow-x: auto;%0A  background-color: var(--bms-background-color);%0A  border-top: 1px solid var(--bms-border-color);%0A  box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.15);%0A}%0A%0A.bms-taskbar-item {%0A  flex-shrink: 0;%0A  max-width: 200px;%0A  padding: 4px 10px;%0A  overflow: hidden;%0A  white-space: nowrap;%0A  text-overflow: ellipsis;%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 4px;%0A  background-color: var(--bms-header-bg);%0A  color: var(--bms-text-color);%0A  cursor: pointer;%0A}%0A%0A.bms-taskbar-item:hover,%0A.bms-taskbar-item:focus-visible {%0A  border-color: var(--bms-primary-color);%0A}%0A    `,'bms-styles');},UI:{createPanel:function({id,title,content,footer,persistLayout=true}){if(BMS.DOM.byId(id))return;const panel=document.createElement('div');panel.id=id;panel.className='bms-panel bms-container';const header=document.createElement('div');header.className='bms-panel-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-panel-title">${title}</span>%0A        <div class="bms-panel-controls">%0A          <button class="bms-theme-btn">T</button>%0A          <button class="bms-minimize-btn">-</button>%0A          <button class="bms-close-btn">%C3%97</button>%0A        </div>%0A      `);panel.appendChild(header);if(typeof content==='string'){const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';BMS.DOM.setHTML(contentContainer,content);panel.appendChild(contentContainer);}else if(Array.isArray(content)){const tabsContainer=document.createElement('div');tabsContainer.className='bms-panel-tabs';const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';content.forEach((tab,index)=>{const tabBtn=document.createElement('button');tabBtn.className='bms-tab-btn';tabBtn.textContent=tab.title;if(index===0)tabBtn.classList.add('bms-active');const tabContent=document.createElement('div');tabContent.className='bms-tab-content';if(index===0)tabContent.classList.add('bms-active');BMS.DOM.setHTML(tabContent,tab.content);tabBtn.onclick=()=>{tabsContainer.querySelectorAll('.bms-tab-btn').forEach(btn=>btn.classList.remove('bms-active'));contentContainer.querySelectorAll('.bms-tab-content').forEach(c=>c.classList.remove('bms-active'));tabBtn.classList.add('bms-active');tabContent.classList.add('bms-active');BMS.UI.WindowManager.saveLayout(panel);};tabsContainer.appendChild(tabBtn);contentContainer.appendChild(tabContent);});panel.appendChild(tabsContainer);panel.appendChild(contentContainer);}%0Aif(footer){const footerContainer=document.createElement('div');footerContainer.className='bms-panel-footer';BMS.DOM.setHTML(footerContainer,footer);const resizer=document.createElement('div');resizer.className='bms-resizer';footerContainer.appendChild(resizer);panel.appendChild(footerContainer);this._makeResizable(panel,resizer);}%0ABMS.DOM.mount(panel);this._makeDraggable(panel,header);this._addPanelControls(panel);BMS.events.emit('panel:created',{id,panel});this.WindowManager.register(panel,{persist:persistLayout});return panel;},_makeResizable:function(panel,resizer){let startX,startY,startWidth,startHeight;let resizing=false;resizer.tabIndex=0;resizer.setAttribute('role','button');resizer.setAttribute('aria-label','Resize panel');resizer.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');resizer.title='Drag, or press Shift+Arrow keys, to resize';resizer.addEventListener('pointerdown',(e)=>{if(e.button!==0)return;e.preventDefault();resizing=true;startX=e.clientX;startY=e.clientY;startWidth=panel.offsetWidth;startHeight=panel.offsetHeight;resizer.setPointerCapture(e.pointerId);});resizer.addEventListener('pointermove',(e)=>{if(!resizing)return;BMS.UI.WindowManager.resize(panel,startWidth+e.clientX-startX,startHeight+e.clientY-startY);});const stopResize=()=>{if(!resizing)return;resizing=false;BMS.UI.WindowManager.saveLayout(panel);};resizer.addEventListener('pointerup',stopResize);resizer.addEventListener('pointercancel',stopResize);resizer.addEventListener('keydown',(e)=>BMS.UI.WindowManager.handleKey(panel,e,'resize'));},createModal:function({id,title,content}){if(BMS.DOM.byId(id))return;const overlay=document.createElement('div');overlay.id=id;overlay.className='bms-modal-overlay bms-container';overlay.style.zIndex=this.WindowManager.overlayZIndex(0);const modal=document.createElement('div');modal.className='bms-modal';const header=document.createElement('div');header.className='bms-modal-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-modal-title">${title}</span>%0A        <button class="bms-modal-close-btn">%C3%97</button>%0A      `);const contentContainer=document.createElement('div');contentContainer.className='bms-modal-content';BMS.DOM.setHTML(contentContainer,content);modal.appendChild(header);modal.appendChild(contentContainer);overlay.appendChild(modal);BMS.DOM.mount(overlay);overlay.querySelector('.bms-modal-close-btn').onclick=()=>overlay.remove();overlay.onclick=(e)=>{if(e.target===overlay){overlay.remove();}};return overlay;},showSpinner:function(){if(BMS.DOM.byId('bms-spinner'))return;const spinnerOverlay=document.createElement('div');spinnerOverlay.id='bms-spinner';spinnerOverlay.className='bms-spinner-overlay bms-container';spinnerOverlay.style.zIndex=this.WindowManager.overlayZIndex(1);BMS.DOM.setHTML(spinnerOverlay,'<div class="bms-spinner"></div>');BMS.DOM.mount(spinnerOverlay);},hideSpinner:function(){const spinnerOverlay=BMS.DOM.byId('bms-spinner');if(spinnerOverlay)spinnerOverlay.remove();},updateStatus:function(message,level='info',duration=3000){let statusBar=BMS.DOM.byId('bms-status-bar');if(!statusBar){statusBar=document.createElement('div');statusBar.id='bms-status-bar';statusBar.className='bms-status-bar bms-container';BMS.DOM.mount(statusBar);}%0AstatusBar.style.zIndex=this.WindowManager.overlayZIndex(2);statusBar.textContent=message;statusBar.className=`bms-status-bar bms-container bms-status-${level}`;setTimeout(()=>statusBar.classList.add('bms-show'),10);setTimeout(()=>{statusBar.classList.remove('bms-show');},duration);},_makeDraggable:function(panel,handle){let startX=0,startY=0,startLeft=0,startTop=0;let dragging=false;handle.tabIndex=0;handle.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');handle.title='Drag, or press Shift+Arrow keys, to move';handle.addEventListener('pointerdown',(e)=>{if(e.button!==0||e.target.closest('button'))return;e.preventDefault();dragging=true;startX=e.clientX;startY=e.clientY;startLeft=panel.offsetLeft;startTop=panel.offsetTop;handle.setPointerCapture(e.pointerId);});handle.addEventListener('pointermove',(e)=>{if(!dragging)return;BMS.UI.WindowManager.move(panel,startLeft+e.clientX-startX,startTop+e.clientY-startY,{snap:!e.altKey});});const stopDrag=()=>{if(!dragging)return;dragging=false;BMS.UI.WindowManager.saveLayout(panel);};handle.addEventListener('pointerup',stopDrag);handle.addEventListener('pointercancel',stopDrag);handle.addEventListener('keydown',(e)=>{if(e.target===handle){BMS.UI.WindowManager.handleKey(panel,e,'move');}});},closePanel:function(panel){if(!panel||!panel.isConnected)return;if(panel._bmsConfig&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.destroy(panel);}else{BMS.UI.WindowManager.unregister(panel);panel.remove();BMS.events.emit('panel:closed',{id:panel.id,panel});}},_addPanelControls:function(panel){const minimizeBtn=panel.querySelector('.bms-minimize-btn');const themeBtn=panel.querySelector('.bms-theme-btn');panel.querySelectorAll('.bms-close-btn').forEach(btn=>{btn.onclick=()=>BMS.UI.closePanel(panel);});minimizeBtn.title='Minimize';minimizeBtn.onclick=()=>BMS.UI.WindowManager.minimize(panel);themeBtn.onclick=()=>{panel.classList.toggle('bms-dark-theme');};},WindowManager:{panels:[],focused:null,cascadeStep:30,tileGap:10,keyboardStep:10,minWidth:200,minHeight:100,layers:{above:{min:2147483000,max:2147483499},below:{min:500,max:899}},register:function(panel,{persist=false}={}){if(this.panels.includes(panel))return;this._prune();panel._bmsLayoutKey=persist&&panel.id?`bms-panel-layout:${panel.id}`:null;const layout=this._restoreLayout(panel);if(!layout){this._place(panel);}%0Athis.panels.push(panel);panel.addEventListener('pointerdown',()=>this.focus(panel),true);panel.addEventListener('focusin',()=>this.focus(panel));this.focus(panel);if(!this._watchingResize){this._watchingResize=true;window.addEventListener('resize',()=>this._keepInView());}%0Aif(layout){this._restoreState(panel,layout);}%0Areturn layout;},unregister:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;this.panels.splice(index,1);panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();},focus:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;if(this.isMinimized(panel)){this.restore(panel);return;}%0Aif(index!==this.panels.length-1){this.panels.splice(index,1);this.panels.push(panel);}%0Athis._restack();if(this.focused!==panel){if(this.focused)this.focused.classList.remove('bms-panel-focused');this.focused=panel;panel.classList.add('bms-panel-focused');BMS.events.emit('panel:focused',{id:panel.id,panel});}},getPanels:function(includeMinimized=false){this._prune();return this.panels.filter(panel=>includeMinimized||!this.isMinimized(panel));},cascade:function(){const panels=this._floating();const bounds=this._bounds();const top=BMS.config.defaultPanelTop;const left=BMS.config.defaultPanelLeft;const steps=Math.max(1,Math.floor((bounds.bottom-top-150)/this.cascadeStep));panels.forEach((panel,index)=>{this._unmaximize(panel);const offset=(index%25steps)*this.cascadeStep;panel.style.top=`${top+offset}px`;panel.style.left=`${left+offset}px`;this.saveLayout(panel);});},tile:function(){const panels=this._floating();if(panels.length===0)return;const bounds=this._bounds();const gap=this.tileGap;const columns=Math.ceil(Math.sqrt(panels.length));const rows=Math.ceil(panels.length/columns);const width=Math.floor((bounds.right-bounds.left-gap*(columns+1))/columns);const height=Math.floor((bounds.bottom-bounds.top-gap*(rows+1))/rows);panels.forEach((panel,index)=>{this._unmaximize(panel);const column=index%25columns;const row=Math.floor(index/columns);panel.style.left=`${bounds.left+gap+column*(width+gap)}px`;panel.style.top=`${bounds.top+gap+row*(height+gap)}px`;panel.style.width=`${width}px`;panel.style.height=`${height}px`;this.saveLayout(panel);});},minimize:function(panel){if(!this.panels.includes(panel)||this.isMinimized(panel))return;const hadFocus=panel.contains(BMS.DOM.activeElement());panel.classList.add('bms-window-minimized');panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();this.saveLayout(panel);if(hadFocus){const item=[...this._taskbar.children].find(button=>button.dataset.panelId===panel.id);if(item)item.focus();}%0ABMS.events.emit('panel:minimized',{id:panel.id,panel});},restore:function(panel){if(!this.isMinimized(panel))return;panel.classList.remove('bms-window-minimized');this._renderTaskbar();this.focus(panel);this.saveLayout(panel);BMS.events.emit('panel:restored',{id:panel.id,panel});},isMinimized:function(panel){return panel.classList.contains('bms-window-minimized');},saveLayout:function(panel){const key=panel._bmsLayoutKey;if(!key||!panel.isConnected)return;const layout=this._readLayout(key)||{};const maximized=panel.classList.contains('bms-maximized');const docked=this._isDocked(panel);if(!maximized&&!docked&&!this.isMinimized(panel)){const rect=panel.getBoundingClientRect();const bounds=this._bounds();layout.left=Math.round(rect.left);layout.top=Math.round(rect.top);layout.width=parseFloat(panel.style.width)||null;layout.height=parseFloat(panel.style.height)||null;layout.docked=[rect.left<=bounds.left+1&&'left',rect.right>=bounds.right-1&&'right',rect.top<=bounds.top+1&&'top',rect.bottom>=bounds.bottom-1&&'bottom'].filter(Boolean);}%0Alayout.maximized=maximized;layout.dockSide=docked?panel.dataset.dockSide:null;if(docked){layout.dockSize=panel.offsetWidth;}%0Alayout.minimized=this.isMinimized(panel);layout.collapsed=panel.classList.contains('bms-collapsed');const tabs=this._tabs(panel);layout.tab=tabs.length>0?Math.max(0,tabs.findIndex(tab=>tab.classList.contains('bms-active'))):null;try{localStorage.setItem(key,JSON.stringify(layout));}catch(error){console.warn('BMS: could not save the panel layout:',error);}},resetLayout:function(){this.cascade();try{Object.keys(localStorage).filter(key=>key.startsWith('bms-panel-layout:')).forEach(key=>localStorage.removeItem(key));}catch(error){console.warn('BMS: could not clear the panel layouts:',error);}},snap:function(panel,left,top){const threshold=BMS.config.snapThreshold;if(!threshold)return{left,top};const width=panel.offsetWidth;const height=panel.offsetHeight;const bounds=this._bounds();const xs=[bounds.left,bounds.right-width];const ys=[bounds.top,bounds.bottom-height];this.getPanels().forEach(other=>{if(other===panel)return;const rect=other.getBoundingClientRect();if(top<rect.bottom+threshold&&top+height>rect.top-threshold){xs.push(rect.right,rect.left-width);ys.push(rect.top,rect.bottom-height);}%0Aif(left<rect.right+threshold&&left+width>rect.left-threshold){ys.push(rect.bottom,rect.top-height);xs.push(rect.left,rect.right-width);}});const nearest=(value,targets)=>{const target=targets.reduce((best,candidate)=>Math.abs(candidate-value)<Math.abs(best-value)?candidate:best);return Math.abs(target-value)<=threshold?target:value;};return{left:nearest(left,xs),top:nearest(top,ys)};},move:function(panel,left,top,{snap=true}={}){if(snap){({left,top}=this.snap(panel,left,top));}%0Aconst bounds=this._bounds();panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-panel.offsetWidth)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-panel.offsetHeight)}px`;},resize:function(panel,width,height){const bounds=this._bounds();width=BMS.Utils.clamp(width,this.minWidth,bounds.right-panel.offsetLeft);height=BMS.Utils.clamp(height,this.minHeight,bounds.bottom-panel.offsetTop);panel.style.width=`${width}px`;panel.style.height=`${height}px`;return{width,height};},handleKey:function(panel,e,action){const directions={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]};const direction=directions[e.key];if(!direction||!e.shiftKey||e.altKey||e.ctrlKey||e.metaKey)return false;if(panel.classList.contains('bms-maximized')||this._isDocked(panel))return false;e.preventDefault();const[dx,dy]=direction.map(step=>step*this.keyboardStep);if(action==='resize'){this.resize(panel,panel.offsetWidth+dx,panel.offsetHeight+dy);}else{this.move(panel,panel.offsetLeft+dx,panel.offsetTop+dy,{snap:false});}%0Athis.saveLayout(panel);return true;},overlayZIndex:function(offset=0){return this._layer().max+1+offset;},_layer:function(){return this.layers[BMS.config.windowLayer]||this.layers.above;},_restack:function(){const layer=this._layer();this.panels.forEach((panel,index)=>{panel.style.zIndex=Math.min(layer.min+index,layer.max);});},_prune:function(){const panels=this.panels.filter(panel=>panel.isConnected);if(panels.length===this.panels.length)return;this.panels=panels;if(this.focused&&!this.focused.isConnected){this.focused=null;}%0Athis._renderTaskbar();},_keepInView:function(){this._floating().filter(panel=>!panel.classList.contains('bms-maximized')).forEach(panel=>this.move(panel,panel.offsetLeft,panel.offsetTop,{snap:false}));},_readLayout:function(key){if(!key)return null;try{const layout=JSON.parse(localStorage.getItem(key));return layout&&typeof layout==='object'?layout:null;}catch(error){console.warn('BMS: could not read the saved panel layout:',error);return null;}},_restoreLayout:function(panel){const layout=this._readLayout(panel._bmsLayoutKey);if(!layout)return null;const bounds=this._bounds();const docked=Array.isArray(layout.docked)?layout.docked:[];const size=(value,max)=>Number.isFinite(value)&&value>0?Math.min(value,max):null;const width=size(layout.width,bounds.right-bounds.left);const height=size(layout.height,bounds.bottom-bounds.top);if(width)panel.style.width=`${width}px`;if(height)panel.style.height=`${height}px`;if(Number.isFinite(layout.left)&&Number.isFinite(layout.top)){const rect=panel.getBoundingClientRect();const maxLeft=Math.max(bounds.left,bounds.right-rect.width);const maxTop=Math.max(bounds.top,bounds.bottom-rect.height);const left=docked.includes('right')?maxLeft:docked.includes('left')?bounds.left:layout.left;const top=docked.includes('bottom')?maxTop:docked.includes('top')?bounds.top:layout.top;panel.style.left=`${Math.min(Math.max(left,bounds.left),maxLeft)}px`;panel.style.top=`${Math.min(Math.max(top,bounds.top),maxTop)}px`;}%0Aconst tabs=this._tabs(panel);if(Number.isInteger(layout.tab)&&tabs[layout.tab]){tabs[layout.tab].click();}%0Areturn layout;},_restoreState:function(panel,layout){const Panel=BMS.UI.Components&&BMS.UI.Components.Panel;if(Panel&&panel._bmsConfig){if(layout.collapsed&&!panel.classList.contains('bms-collapsed')){Panel.toggleCollapse(panel);}%0Aif(layout.maximized&&!panel.classList.contains('bms-maximized')){Panel.maximize(panel);}%0Aif(layout.dockSide&&Panel.dock){Panel.dock(panel,layout.dockSide,layout.dockSize);}}%0Aif(layout.minimized){this.minimize(panel);}},_isDocked:function(panel){return panel.classList.contains('bms-docked');},_floating:function(){return this.getPanels().filter(panel=>!this._isDocked(panel));},_tabs:function(panel){return Array.from(panel.querySelectorAll(':scope > .bms-panel-tabs > .bms-tab-btn'));},_focusTop:function(){const visible=this.getPanels();if(visible.length>0){this.focus(visible[visible.length-1]);}},_place:function(panel){const bounds=this._bounds();const taken=this.getPanels().map(other=>other.getBoundingClientRect());const rect=panel.getBoundingClientRect();let left=rect.left;let top=rect.top;let moved=false;for(let i=0;i<taken.length&&taken.some(other=>Math.abs(other.left-left)<this.cascadeStep/2&&Math.abs(other.top-top)<this.cascadeStep/2);i++){left+=this.cascadeStep;top+=this.cascadeStep;moved=true;}%0Aif(!moved)return;panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-rect.width)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-rect.height)}px`;},_unmaximize:function(panel){if(panel.classList.contains('bms-maximized')&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.maximize(panel);}},_bounds:function(){const taskbar=this._taskbar&&this._taskbar.isConnected?this._taskbar.offsetHeight:0;const docked=this.getPanels().filter(panel=>this._isDocked(panel));const dockWidth=side=>docked.filter(panel=>panel.dataset.dockSide===side).reduce((total,panel)=>total+panel.offsetWidth,0);return{left:dockWidth('left'),top:0,right:(document.documentElement.clientWidth||window.innerWidth)-dockWidth('right'),bottom:(document.documentElement.clientHeight||window.innerHeight)-taskbar};},_renderTaskbar:function(){const minimized=this.panels.filter(panel=>this.isMinimized(panel));if(minimized.length===0){if(this._taskbar)this._taskbar.remove();return;}%0Aif(!this._taskbar){this._taskbar=document.createElement('div');this._taskbar.className='bms-taskbar bms-container';this._taskbar.setAttribute('role','toolbar');this._taskbar.setAttribute('aria-label','Minimized panels');}%0Aif(!this._taskbar.isConnected){BMS.DOM.mount(this._taskbar);}%0Athis._taskbar.style.zIndex=this._layer().max;this._taskbar.replaceChildren(...minimized.map(panel=>{const title=panel.querySelector('.bms-panel-title');const button=document.createElement('button');button.type='button';button.className='bms-taskbar-item';button.dataset.panelId=panel.id;button.textContent=(title&&title.textContent.trim())||panel.id;button.title=`Restore ${button.textContent}`;button.addEventListener('click',()=>this.restore(panel));return button;}));},_taskbar:null}},DOM:{select:function(selector){return document.querySelector(selector);},selectAll:function(selector){return document.querySelectorAll(selector);},setHTML:function(element,html){element.replaceChildren(this.sanitize(html));},sanitizer:{elements:new Set(['a','abbr','article','aside','audio','b','blockquote','br','button','caption','code','col','colgroup','dd','del','details','div','dl','dt','em','fieldset','figcaption','figure','footer','h1','h2','h3','h4','h5','h6','header','hr','i','img','input','ins','kbd','label','legend','li','main','mark','nav','ol','optgroup','option','p','picture','pre','progress','q','s','section','select','small','source','span','strong','sub','summary','sup','table','tbody','td','textarea','tfoot','th','thead','time','tr','u','ul','video','svg','g','path','circle','ellipse','line','polyline','polygon','rect','text','tspan','defs','lineargradient','radialgradient','stop','title','animatetransform']),dropElements:new Set(['script','style','iframe','frame','frameset','object','embed','noscript','template','link','meta','base','math','foreignobject']),attributes:new Set(['id','class','style','title','role','tabindex','dir','lang','hidden','href','target','rel','download','src','srcset','alt','width','height','loading','type','value','placeholder','checked','disabled','readonly','selected','multiple','min','max','step','for','rows','cols','colspan','rowspan','scope','span','start','datetime','open','controls','poster','muted','loop','preload','playsinline','viewbox','xmlns','fill','fill-opacity','fill-rule','clip-rule','stroke','stroke-width','stroke-linecap','stroke-linejoin','stroke-opacity','stroke-dasharray','stroke-dashoffset','d','cx','cy','r','rx','ry','x','y','x1','x2','y1','y2','points','transform','opacity','offset','stop-color','stop-opacity','gradientunits','text-anchor','font-size','attributename','from','to','dur','repeatcount','values']),dropStyles:new Set(['position','top','right','bottom','left','inset','inset-block','inset-block-start','inset-block-end','inset-inline','inset-inline-start','inset-inline-end','z-index','transform','translate']),urlAttributes:new Set(['href','src','srcset','poster','xlink:href']),urlSchemes:new Set(['http','https','mailto','tel','blob'])},sanitize:(function(){let policy;function trustedHTML(html){if(!window.trustedTypes||!BMS.config.trustedTypesPolicy)return html;if(policy===undefined){try{policy=trustedTypes.createPolicy(BMS.config.trustedTypesPolicy,{createHTML:input=>input});}catch(error){console.warn(`BMS: Trusted Types policy "${BMS.config.trustedTypesPolicy}" not allowed on this page`);policy=null;}}%0Areturn policy?policy.createHTML(html):html;}%0Areturn function(html){const template=document.createElement('template');html=html==null?'':String(html);try{template.innerHTML=trustedHTML(html);}catch(error){console.warn('BMS: cannot parse HTML on this page, showing it as text:',error.message);template.content.replaceChildren(document.createTextNode(html));return template.content;}%0Athis._sanitizeChildren(template.content);return template.content;};})(),_sanitizeChildren:function(parent){const{elements,dropElements,attributes,urlAttributes}=this.sanitizer;Array.from(parent.childNodes).forEach(node=>{if(node.nodeType===Node.TEXT_NODE)return;if(node.nodeType!==Node.ELEMENT_NODE){node.remove();return;}%0Aconst tag=node.localName.toLowerCase();if(dropElements.has(tag)){node.remove();return;}%0Athis._sanitizeChildren(node);if(!elements.has(tag)){node.replaceWith(...node.childNodes);return;}%0AArray.from(node.attributes).forEach(attr=>{const name=attr.name.toLowerCase();const allowed=name.startsWith('aria-')||name.startsWith('data-')||attributes.has(name)||urlAttributes.has(name);if(!allowed||(urlAttributes.has(name)&&!this._isSafeURL(attr.value,name==='srcset'))){node.removeAttribute(attr.name);}});if(node.hasAttribute('style')){this._sanitizeStyle(node);}});},_sanitizeStyle:function(node){Array.from(node.style).forEach(property=>{if(this.sanitizer.dropStyles.has(property)||/url\(/i.test(node.style.getPropertyValue(property))){node.style.removeProperty(property);}});if(node.style.length===0){node.removeAttribute('style');}},_isSafeURL:function(value,isSrcset){const urls=isSrcset?value.split(',').map(candidate=>candidate.trim().split(/\s+/)[0]):[value];return urls.every(url=>{const match=url.replace(/[\u0000-\u0020\u007f-\u009f]/g,'').match(/^([a-z][a-z0-9+.-]*):/i);if(!match)return true;const scheme=match[1].toLowerCase();if(scheme==='data')return/^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(url.trim());return this.sanitizer.urlSchemes.has(scheme);});},getRoot:function(){if(BMS.config.isolation!=='shadow'||!document.body.attachShadow){return document.body;}%0Aif(!this._shadowRoot){const host=document.createElement('div');host.id='bms-shadow-host';this._shadowRoot=host.attachShadow({mode:'open'});document.body.appendChild(host);const zIndex=BMS.config.windowLayer==='below'?BMS.UI.WindowManager.layers.below.min:2147483647;this.addStyles(`:host { all: initial; position: fixed; top: 0; left: 0; z-index: ${zIndex}; }`,'bms-host');Object.keys(this._styleSources).forEach(id=>this.addStyles(this._styleSources[id],id));}else if(!this._shadowRoot.host.isConnected){document.body.appendChild(this._shadowRoot.host);}%0Areturn this._shadowRoot;},mount:function(element){return this.getRoot().appendChild(element);},byId:function(id){const root=this.getRoot();return root.getElementById?root.getElementById(id):document.getElementById(id);},activeElement:function(){let element=document.activeElement;while(element&&element.shadowRoot&&element.shadowRoot.activeElement){element=element.shadowRoot.activeElement;}%0Areturn element;},addStyles:function(cssText,id){this._styleSources[id]=cssText;const root=this.getRoot();const target=root===document.body?document:root;if(!this._styles.has(target))this._styles.set(target,new Set());const added=this._styles.get(target);if(added.has(id)||(target===document&&document.getElementById(id)))return;added.add(id);try{const sheet=new CSSStyleSheet();sheet.replaceSync(cssText);target.adoptedStyleSheets=[...target.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=document.createElement('style');style.id=id;style.textContent=cssText;(target===document?document.head:target).appendChild(style);},copyStyles:function(targetDocument){const view=targetDocument.defaultView;Object.keys(this._styleSources).forEach(id=>{const cssText=this._styleSources[id];try{const sheet=new view.CSSStyleSheet();sheet.replaceSync(cssText);targetDocument.adoptedStyleSheets=[...targetDocument.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=targetDocument.createElement('style');style.id=id;style.textContent=cssText;targetDocument.head.appendChild(style);});},_styles:new WeakMap(),_styleSources:{}},Utils:{generateId:function(prefix='bms-'){return prefix+Math.random().toString(36).substr(2,9);},clamp:function(value,min,max){return Math.max(min,Math.min(value,max));},copyToClipboard:function(text){const ta=document.createElement('textarea');ta.style.position='absolute';ta.style.left='-9999px';ta.value=text;document.body.appendChild(ta);ta.select();try{document.execCommand('copy');BMS.UI.updateStatus('Copied to clipboard!','success');}catch(err){BMS.UI.updateStatus('Failed to copy','error');}%0Adocument.body.removeChild(ta);},throttle:function(func,limit){let inThrottle;return function(){const args=arguments;const context=this;if(!inThrottle){func.apply(context,args);inThrottle=true;setTimeout(()=>inThrottle=false,limit);}}},debounce:function(func,delay){let timeout;return function(){const context=this;const args=arguments;clearTimeout(timeout);timeout=setTimeout(()=>func.apply(context,args),delay);};},parseEngagementCount:function(text){if(!text)return 0;const cleanText=text.replace(/[^0-9KkMmBb.]/g,'').toUpperCase();if(cleanText.length===0)return 0;const number=parseFloat(cleanText.replace(/[KMB]/g,''));if(isNaN(number))return 0;if(cleanText.includes('K'))return Math.round(number*1000);if(cleanText.includes('M'))return Math.round(number*1000000);if(cleanText.includes('B'))return Math.round(number*1000000000);return Math.round(number);}}};BMS.init();}%0ABMS.bundleComponent("core/panel/panel",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Components)window.BMS.UI.Components={};BMS.UI.Components.Panel={create:function(options={}){const defaults={id:BMS.Utils?.generateId?.('panel')||'bms-panel-'+Date.now(),title:'Panel',content:'',position:{top:50,left:50},size:{width:400,height:300},draggable:true,resizable:true,collapsible:true,closeable:true,minimizable:true,maximizable:true,dockable:true,mode:'float',side:'right',dockSize:null,poppable:false,theme:'light',animation:true,className:'',persistLayout:true,zIndex:10000,onClose:null,onMinimize:null,onMaximize:null,onCollapse:null,onResize:null,onDrag:null};const config={...defaults,...options};if(!options.id){config.persistLayout=false;}%0Aconst panel=document.createElement('div');panel.id=config.id;panel.className=`bms-panel bms-panel-enhanced ${config.className} ${config.animation?'bms-animated':''}`;panel.style.cssText=`%0A                position: fixed;%0A                top: ${config.position.top}px;%0A                left: ${config.position.left}px;%0A                width: ${config.size.width}px;%0A                height: ${config.size.height}px;%0A                z-index: ${config.zIndex};%0A            `;const header=document.createElement('div');header.className='bms-panel-header';BMS.DOM.setHTML(header,`%0A                <span class="bms-panel-title">${config.title}</span>%0A                <div class="bms-panel-controls">%0A                    ${config.collapsible?'<button class="bms-panel-btn bms-panel-collapse" title="Collapse">%E2%94%80</button>':''}%0A                    ${config.dockable?'<button class="bms-panel-btn bms-panel-dock" title="Dock to the side">%E2%87%A5</button>':''}%0A                    ${config.poppable?'<button class="bms-panel-btn bms-panel-popout" title="Pop out into a window">%E2%86%97</button>':''}%0A                    ${config.minimizable?'<button class="bms-panel-btn bms-panel-minimize" title="Minimize">_</button>':''}%0A                    ${config.maximizable?'<button class="bms-panel-btn bms-panel-maximize" title="Maximize">%E2%96%A1</button>':''}%0A                    ${config.closeable?'<button class="bms-panel-btn bms-panel-close" title="Close">%C3%97</button>':''}%0A                </div>%0A            `);const content=document.createElement('div');content.className='bms-panel-content';if(typeof config.content==='string'){BMS.DOM.setHTML(content,config.content);}else if(config.content instanceof HTMLElement){content.appendChild(config.content);}%0Aconst footer=document.createElement('div');footer.className='bms-panel-footer';if(config.resizable){BMS.DOM.setHTML(footer,'<div class="bms-panel-resizer">%E2%8B%AE</div>');}%0Apanel.appendChild(header);panel.appendChild(content);if(config.resizable){panel.appendChild(footer);}%0Aconst dockHandle=document.createElement('div');dockHandle.className='bms-panel-dock-handle';if(config.dockable){panel.appendChild(dockHandle);}%0A(BMS.DOM?.getRoot?.()||document.body).appendChild(panel);this._setupDragging(panel,header,config);this._setupResizing(panel,footer,config);this._setupDockHandle(panel,dockHandle,config);this._setupControls(panel,config);panel._bmsConfig=config;BMS.events?.emit('panel:created',{id:panel.id,panel});const layout=BMS.UI.WindowManager?.register(panel,{persist:config.persistLayout});if(config.mode==='dock'&&!layout){this.dock(panel,config.side,config.dockSize);}%0Areturn panel;},_setupDragging:function(panel,header,config){if(!config.draggable)return;let isDragging=false;let startX,startY,initialX,initialY;header.style.cursor='move';if(BMS.UI.WindowManager){header.tabIndex=0;header.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');header.title='Drag, or press Shift+Arrow keys, to move';}%0Aconst startDrag=(e)=>{if(e.button!==0||e.target.closest('.bms-panel-controls'))return;if(panel.classList.contains('bms-docked'))return;isDragging=true;startX=e.clientX;startY=e.clientY;initialX=panel.offsetLeft;initialY=panel.offsetTop;header.setPointerCapture(e.pointerId);panel.classList.add('bms-dragging');e.preventDefault();};const drag=(e)=>{if(!isDragging)return;const left=initialX+e.clientX-startX;const top=initialY+e.clientY-startY;if(BMS.UI.WindowManager){BMS.UI.WindowManager.move(panel,left,top,{snap:!e.altKey});}else{panel.style.left=`${BMS.Utils.clamp(left,0,window.innerWidth-panel.offsetWidth)}px`;panel.style.top=`${BMS.Utils.clamp(top,0,window.innerHeight-panel.offsetHeight)}px`;}%0Aif(config.onDrag){config.onDrag(panel,{x:panel.offsetLeft,y:panel.offsetTop});}};const stopDrag=()=>{if(!isDragging)return;isDragging=false;panel.classList.remove('bms-dragging');BMS.UI.WindowManager?.saveLayout(panel);};header.addEventListener('pointerdown',startDrag);header.addEventListener('pointermove',drag);header.addEventListener('pointerup',stopDrag);header.addEventListener('pointercancel',stopDrag);header.addEventListener('keydown',(e)=>{if(e.target===header&&BMS.UI.WindowManager?.handleKey(panel,e,'move')&&config.onDrag){config.onDrag(panel,{x:panel.offsetLeft,y:panel.offsetTop});}});},_setupResizing:function(panel,footer,config){if(!config.resizable)return;const resizer=footer.querySelector('.bms-panel-resizer');if(!resizer)return;let isResizing=false;let startX,startY,startWidth,startHeight;if(BMS.UI.WindowManager){resizer.tabIndex=0;resizer.setAttribute('role','button');resizer.setAttribute('aria-label','Resize panel');resizer.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');resizer.title='Drag, or press Shift+Arrow keys, to resize';}%0Aconst startResize=(e)=>{if(e.button!==0)return;isResizing=true;startX=e.clientX;startY=e.clientY;startWidth=panel.offsetWidth;startHeight=panel.offsetHeight;resizer.setPointerCapture(e.pointerId);panel.classList.add('bms-resizing');e.preventDefault();};const resize=(e)=>{if(!isResizing)return;let width=Math.max(200,startWidth+(e.clientX-startX));let height=Math.max(150,startHeight+(e.clientY-startY));if(BMS.UI.WindowManager){({width,height}=BMS.UI.WindowManager.resize(panel,width,height));}else{width=BMS.Utils.clamp(width,200,window.innerWidth-panel.offsetLeft);height=BMS.Utils.clamp(height,150,window.innerHeight-panel.offsetTop);panel.style.width=`${width}px`;panel.style.height=`${height}px`;}%0Aif(config.onResize){config.onResize(panel,{width,height});}};const stopResize=()=>{if(!isResizing)return;isResizing=false;panel.classList.remove('bms-resizing');BMS.UI.WindowManager?.saveLayout(panel);};resizer.addEventListener('pointerdown',startResize);resizer.addEventListener('pointermove',resize);resizer.addEventListener('pointerup',stopResize);resizer.addEventListener('pointercancel',stopResize);resizer.addEventListener('keydown',(e)=>{if(BMS.UI.WindowManager?.handleKey(panel,e,'resize')&&config.onResize){config.onResize(panel,{width:panel.offsetWidth,height:panel.offsetHeight});}});},_setupDockHandle:function(panel,handle,config){if(!config.dockable)return;let isResizing=false;let startX,startWidth;handle.tabIndex=0;handle.setAttribute('role','separator');handle.setAttribute('aria-orientation','vertical');handle.setAttribute('aria-label','Resize docked panel');handle.title='Drag, or press Arrow keys, to resize';const towardsPage=()=>panel.dataset.dockSide==='left'?1:-1;const resizeTo=(width)=>{width=this._setDockSize(panel,width);if(config.onResize){config.onResize(panel,{width,height:panel.offsetHeight});}};handle.addEventListener('pointerdown',(e)=>{if(e.button!==0)return;isResizing=true;startX=e.clientX;startWidth=panel.offsetWidth;handle.setPointerCapture(e.pointerId);panel.classList.add('bms-resizing');e.preventDefault();});handle.addEventListener('pointermove',(e)=>{if(!isResizing)return;resizeTo(startWidth+(e.clientX-startX)*towardsPage());});const stopResize=()=>{if(!isResizing)return;isResizing=false;panel.classList.remove('bms-resizing');BMS.UI.WindowManager?.saveLayout(panel);};handle.addEventListener('pointerup',stopResize);handle.addEventListener('pointercancel',stopResize);handle.addEventListener('keydown',(e)=>{if((e.key!=='ArrowLeft'&&e.key!=='ArrowRight')||e.altKey||e.ctrlKey||e.metaKey)return;e.preventDefault();const step=(e.key==='ArrowRight'?10:-10)*towardsPage();resizeTo(panel.offsetWidth+step);BMS.UI.WindowManager?.saveLayout(panel);});},_setupControls:function(panel,config){const controls=panel.querySelector('.bms-panel-controls');if(!controls)return;const closeBtn=controls.querySelector('.bms-panel-close');if(closeBtn){closeBtn.addEventListener('click',()=>{if(config.onClose){config.onClose(panel);}%0Athis.destroy(panel);});}%0Aconst minimizeBtn=controls.querySelector('.bms-panel-minimize');if(minimizeBtn){minimizeBtn.addEventListener('click',()=>{this.minimize(panel);if(config.onMinimize){config.onMinimize(panel);}});}%0Aconst maximizeBtn=controls.querySelector('.bms-panel-maximize');if(maximizeBtn){maximizeBtn.addEventListener('click',()=>{this.maximize(panel);if(config.onMaximize){config.onMaximize(panel);}});}%0Aconst dockBtn=controls.querySelector('.bms-panel-dock');if(dockBtn){dockBtn.addEventListener('click',()=>this.toggleDock(panel));}%0Aconst popoutBtn=controls.querySelector('.bms-panel-popout');if(popoutBtn){popoutBtn.addEventListener('click',()=>{if(panel._bmsPopout){this.popIn(panel);}else{this.popOut(panel);}});}%0Aconst collapseBtn=controls.querySelector('.bms-panel-collapse');if(collapseBtn){collapseBtn.addEventListener('click',()=>{this.toggleCollapse(panel);if(config.onCollapse){config.onCollapse(panel);}});}},minimize:function(panel){if(BMS.UI.WindowManager){BMS.UI.WindowManager.minimize(panel);return;}%0Apanel.classList.toggle('bms-minimized');},maximize:function(panel){if(panel.classList.contains('bms-docked')){this.undock(panel);}%0Aif(panel.classList.contains('bms-maximized')){panel.classList.remove('bms-maximized');if(panel._bmsOriginalStyle){const zIndex=panel.style.zIndex;panel.style.cssText=panel._bmsOriginalStyle;panel.style.zIndex=zIndex;}}else{panel._bmsOriginalStyle=panel.style.cssText;panel.classList.add('bms-maximized');panel.style.top='10px';panel.style.left='10px';panel.style.width='calc(100%25 - 20px)';panel.style.height='calc(100%25 - 20px)';}%0ABMS.UI.WindowManager?.saveLayout(panel);},dock:function(panel,side='right',size=null){if(side!=='left'&&side!=='right'){throw new Error(`Panel: can't dock to "${side}", use 'left' or 'right'`);}%0Aconst root=BMS.DOM?.getRoot?.()||document;root.querySelectorAll(`.bms-panel-enhanced.bms-docked-${side}`).forEach(other=>{if(other!==panel)this.undock(other);});if(panel.classList.contains('bms-maximized')){this.maximize(panel);}%0Aif(!panel.classList.contains('bms-docked')){panel._bmsFloatingStyle=panel.style.cssText;}%0Apanel.classList.remove('bms-docked-left','bms-docked-right');panel.classList.add('bms-docked',`bms-docked-${side}`);panel.dataset.dockSide=side;panel.style.top='0';panel.style.height='100%25';panel.style.left=side==='left'?'0':'auto';panel.style.right=side==='right'?'0':'auto';this._setDockSize(panel,size||panel.offsetWidth);this._updateDockButton(panel);BMS.UI.WindowManager?.saveLayout(panel);},undock:function(panel){if(!panel.classList.contains('bms-docked'))return;panel.classList.remove('bms-docked','bms-docked-left','bms-docked-right');delete panel.dataset.dockSide;if(panel._bmsFloatingStyle){const zIndex=panel.style.zIndex;panel.style.cssText=panel._bmsFloatingStyle;panel.style.zIndex=zIndex;}%0Athis._updateDockSpace();this._updateDockButton(panel);BMS.UI.WindowManager?.saveLayout(panel);},toggleDock:function(panel){if(panel.classList.contains('bms-docked')){this.undock(panel);}else{const config=panel._bmsConfig;this.dock(panel,config.side,panel._bmsDockSize||config.dockSize);}},_setDockSize:function(panel,width){const max=Math.max(200,window.innerWidth-200);width=Math.round(BMS.Utils.clamp(width,200,max));panel._bmsDockSize=width;panel.style.width=`${width}px`;const handle=panel.querySelector(':scope > .bms-panel-dock-handle');if(handle){handle.setAttribute('aria-valuenow',width);handle.setAttribute('aria-valuemin',200);handle.setAttribute('aria-valuemax',max);}%0Athis._updateDockSpace();return width;},_updateDockSpace:function(){const html=document.documentElement;const root=BMS.DOM?.getRoot?.()||document;const docked=Array.from(root.querySelectorAll('.bms-panel-enhanced.bms-docked')).filter(panel=>!panel.classList.contains('bms-window-minimized'));if(!this._pageMargins){this._pageMargins={};['left','right'].forEach(side=>{const property=`margin-${side}`;this._pageMargins[side]={value:html.style.getPropertyValue(property),priority:html.style.getPropertyPriority(property)};});}%0A['left','right'].forEach(side=>{const property=`margin-${side}`;const panel=docked.find(p=>p.dataset.dockSide===side);if(panel){html.style.setProperty(property,`${panel.offsetWidth}px`,'important');}else{const original=this._pageMargins[side];html.style.setProperty(property,original.value,original.priority);}});},_updateDockButton:function(panel){const button=panel.querySelector('.bms-panel-dock');if(!button)return;const docked=panel.classList.contains('bms-docked');button.textContent=docked?'%E2%A7%89':'%E2%87%A5';button.title=docked?'Float':'Dock to the side';},popOut:function(panel){if(panel._bmsPopout){panel._bmsPopout.window.focus();return panel._bmsPopout.window;}%0Aconst content=panel.querySelector(':scope > .bms-panel-content');const child=window.open('','_blank',`popup,width=${panel.offsetWidth},height=${panel.offsetHeight}`);if(!child){BMS.UI?.updateStatus?.('The browser blocked the pop-out window','warning');return null;}%0Aconst config=panel._bmsConfig;const doc=child.document;doc.title=panel.querySelector('.bms-panel-title').textContent.trim();doc.body.style.margin='0';BMS.DOM?.copyStyles?.(doc);const wrapper=doc.createElement('div');wrapper.className=['bms-panel-enhanced','bms-popout',...config.className.split(/\s+/).filter(Boolean)].join(' ');if(panel.closest('.bms-light-theme')){wrapper.classList.add('bms-light-theme');}%0Aconst placeholder=document.createElement('div');placeholder.className='bms-panel-content bms-panel-popout-placeholder';const note=document.createElement('p');note.textContent='Shown in a separate window.';const backBtn=document.createElement('button');backBtn.type='button';backBtn.className='bms-panel-btn';backBtn.textContent='Bring back';backBtn.addEventListener('click',()=>this.popIn(panel));placeholder.append(note,backBtn);content.replaceWith(placeholder);wrapper.appendChild(content);doc.body.appendChild(wrapper);const closeWithPage=()=>this.popIn(panel);window.addEventListener('pagehide',closeWithPage);child.addEventListener('pagehide',()=>this.popIn(panel));panel._bmsPopout={window:child,content,placeholder,closeWithPage};panel.classList.add('bms-popped-out');this._updatePopoutButton(panel);BMS.events?.emit('panel:poppedout',{id:panel.id,panel,window:child});return child;},popIn:function(panel){const popout=panel._bmsPopout;if(!popout)return;panel._bmsPopout=null;window.removeEventListener('pagehide',popout.closeWithPage);popout.placeholder.replaceWith(popout.content);if(!popout.window.closed){popout.window.close();}%0Apanel.classList.remove('bms-popped-out');this._updatePopoutButton(panel);BMS.events?.emit('panel:poppedin',{id:panel.id,panel});},_updatePopoutButton:function(panel){const button=panel.querySelector('.bms-panel-popout');if(!button)return;button.textContent=panel._bmsPopout?'%E2%86%99':'%E2%86%97';button.title=panel._bmsPopout?'Bring back from the window':'Pop out into a window';},toggleCollapse:function(panel){panel.classList.toggle('bms-collapsed');const btn=panel.querySelector('.bms-panel-collapse');if(btn){btn.textContent=panel.classList.contains('bms-collapsed')?'+':'%E2%94%80';}%0ABMS.UI.WindowManager?.saveLayout(panel);},getContent:function(panel){return panel._bmsPopout?panel._bmsPopout.content:panel.querySelector(':scope > .bms-panel-content');},updateContent:function(panel,content){const contentArea=this.getContent(panel);if(!contentArea)return;if(typeof content==='string'){BMS.DOM.setHTML(contentArea,content);}else if(content instanceof HTMLElement){contentArea.replaceChildren();contentArea.appendChild(content);}},destroy:function(panel){this.popIn(panel);BMS.UI.WindowManager?.unregister(panel);BMS.events?.emit('panel:closed',{id:panel.id,panel});if(panel.classList.contains('bms-docked')){panel.classList.remove('bms-docked');this._updateDockSpace();}%0Aif(panel.classList.contains('bms-animated')){panel.classList.add('bms-panel-closing');setTimeout(()=>panel.remove(),300);}else{panel.remove();}},bringToFront:function(panel){if(BMS.UI.WindowManager){BMS.UI.WindowManager.focus(panel);return;}%0Aconst panels=(BMS.DOM?.getRoot?.()||document).querySelectorAll('.bms-panel');let maxZ=10000;panels.forEach(p=>{const z=parseInt(p.style.zIndex||0);if(z>maxZ)maxZ=z;});panel.style.zIndex=maxZ+1;}};['panel:minimized','panel:restored'].forEach(event=>{BMS.events?.on(event,()=>BMS.UI.Components.Panel._updateDockSpace());});window.addEventListener('resize',()=>{const Panel=BMS.UI.Components.Panel;(BMS.DOM?.getRoot?.()||document).querySelectorAll('.bms-panel-enhanced.bms-docked').forEach(panel=>{Panel._setDockSize(panel,panel._bmsDockSize);});});})();},".bms-panel-enhanced{background: var(--bms-panel-bg,%231e1e1e);border: 1px solid var(--bms-panel-border,%233a3a3a);border-radius: 8px;box-shadow: 0 4px 20px rgba(0,0,0,0.5),0 0 0 1px rgba(255,255,255,0.1);display: flex;flex-direction: column;font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;overflow: hidden;color: var(--bms-panel-text,%23e0e0e0)}.bms-panel-enhanced.bms-animated{animation: bms-panel-appear 0.3s ease-out;transition: all 0.3s ease}@keyframes bms-panel-appear{from{opacity: 0;transform: scale(0.9) translateY(-20px)}to{opacity: 1;transform: scale(1) translateY(0)}}.bms-panel-enhanced.bms-panel-closing{animation: bms-panel-close 0.3s ease-in forwards}@keyframes bms-panel-close{from{opacity: 1;transform: scale(1)}to{opacity: 0;transform: scale(0.9)}}.bms-panel-enhanced .bms-panel-header{background: var(--bms-panel-header-bg,linear-gradient(135deg,%232a2a2a 0%25,%231a1a1a 100%25));color: var(--bms-panel-header-color,%23ffffff);padding: 12px 16px;display: flex;align-items: center;justify-content: space-between;user-select: none;position: relative;touch-action: none}.bms-panel-enhanced .bms-panel-header:focus-visible,.bms-panel-enhanced .bms-panel-resizer:focus-visible{outline: 2px solid var(--bms-panel-focus,%23667eea);outline-offset: -2px}.bms-panel-enhanced .bms-panel-header::after{content: '';position: absolute;bottom: 0;left: 0;right: 0;height: 1px;background: rgba(255,255,255,0.2)}.bms-panel-enhanced .bms-panel-title{font-weight: 600;font-size: 14px;flex: 1;overflow: hidden;text-overflow: ellipsis;white-space: nowrap}.bms-panel-enhanced .bms-panel-controls{display: flex;gap: 4px;align-items: center}.bms-panel-enhanced .bms-panel-btn{background: rgba(255,255,255,0.1);border: 1px solid rgba(255,255,255,0.2);color: white;width: 28px;height: 28px;border-radius: 4px;cursor: pointer;display: flex;align-items: center;justify-content: center;font-size: 16px;transition: all 0.2s ease;padding: 0;outline: none}.bms-panel-enhanced .bms-panel-btn:hover{background: rgba(255,255,255,0.2);transform: translateY(-1px);box-shadow: 0 2px 8px rgba(0,0,0,0.2)}.bms-panel-enhanced .bms-panel-btn:active{transform: translateY(0);box-shadow: 0 1px 3px rgba(0,0,0,0.2)}.bms-panel-enhanced .bms-panel-close:hover{background: rgba(255,67,54,0.8);border-color: rgba(255,67,54,0.9)}.bms-panel-enhanced .bms-panel-content{flex: 1;padding: 16px;overflow: auto;background: var(--bms-panel-content-bg,%231e1e1e)}.bms-panel-enhanced .bms-panel-footer{padding: 8px;background: var(--bms-panel-footer-bg,%231a1a1a);border-top: 1px solid var(--bms-panel-border,%233a3a3a);display: flex;justify-content: flex-end;align-items: center}.bms-panel-enhanced .bms-panel-resizer{width: 20px;height: 20px;cursor: nwse-resize;color: var(--bms-panel-resizer-color,%23666);font-size: 12px;display: flex;align-items: center;justify-content: center;user-select: none;touch-action: none;transition: color 0.2s ease}.bms-panel-enhanced .bms-panel-resizer:hover{color: var(--bms-panel-resizer-hover,%23999)}.bms-panel-enhanced.bms-dragging{opacity: 0.9;transition: none !important}.bms-panel-enhanced.bms-resizing{transition: none !important}.bms-panel-enhanced.bms-resizing .bms-panel-content{pointer-events: none;user-select: none}.bms-panel-enhanced.bms-minimized{height: auto !important}.bms-panel-enhanced.bms-minimized .bms-panel-content,.bms-panel-enhanced.bms-minimized .bms-panel-footer{display: none}.bms-panel-enhanced.bms-collapsed .bms-panel-content{display: none}.bms-panel-enhanced.bms-collapsed .bms-panel-footer{display: none}.bms-panel-enhanced.bms-maximized{animation: bms-panel-maximize 0.3s ease-out}@keyframes bms-panel-maximize{from{transform: scale(0.95)}to{transform: scale(1)}}.bms-panel-enhanced.bms-docked{border-radius: 0;border-top: none;border-bottom: none}.bms-panel-enhanced.bms-docked-left{border-left: none}.bms-panel-enhanced.bms-docked-right{border-right: none}.bms-panel-enhanced.bms-docked .bms-panel-header{cursor: default !important}.bms-panel-enhanced.bms-docked .bms-panel-resizer{visibility: hidden}.bms-panel-enhanced .bms-panel-dock-handle{display: none;position: absolute;top: 0;bottom: 0;width: 6px;cursor: ew-resize;touch-action: none;z-index: 1}.bms-panel-enhanced.bms-docked .bms-panel-dock-handle{display: block}.bms-panel-enhanced.bms-docked-left .bms-panel-dock-handle{right: 0}.bms-panel-enhanced.bms-docked-right .bms-panel-dock-handle{left: 0}.bms-panel-enhanced .bms-panel-dock-handle:hover,.bms-panel-enhanced .bms-panel-dock-handle:focus-visible{background: var(--bms-panel-focus,%23667eea);outline: none}.bms-panel-enhanced.bms-popout{width: 100%25;height: 100vh;border: none;border-radius: 0;box-shadow: none}.bms-panel-enhanced .bms-panel-popout-placeholder{display: flex;flex-direction: column;align-items: center;justify-content: center;gap: 12px;color: var(--bms-panel-resizer-color,%23666)}.bms-light-theme .bms-panel-enhanced,.bms-panel-enhanced.bms-light-theme{--bms-panel-bg: %23ffffff;--bms-panel-border: %23e0e0e0;--bms-panel-text: %23333333;--bms-panel-header-bg: linear-gradient(135deg,%23667eea 0%25,%23764ba2 100%25);--bms-panel-content-bg: %23ffffff;--bms-panel-footer-bg: %23f5f5f5;--bms-panel-resizer-color: %23999;--bms-panel-resizer-hover: %23666;color: %23333333}@media (max-width: 768px){.bms-panel-enhanced{min-width: 90%25;left: 5%25 !important}.bms-panel-enhanced.bms-docked{min-width: 0}.bms-panel-enhanced.bms-docked-left{left: 0 !important}.bms-panel-enhanced.bms-docked-right{left: auto !important}}@media (prefers-reduced-motion: reduce){.bms-panel-enhanced.bms-animated{animation: none;transition: opacity 0.1s ease}.bms-panel-enhanced.bms-panel-closing{animation: none;opacity: 0}.bms-panel-enhanced.bms-maximized{animation: none}.bms-panel-enhanced .bms-panel-btn{transition: opacity 0.1s ease}}");BMS.bundleComponent("core/modal/modal",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Components)window.BMS.UI.Components={};BMS.UI.Components.Modal={activeModals:[],create:function(options={}){const defaults={id:BMS.Utils?.generateId?.('modal')||'bms-modal-'+Date.now(),title:'Modal',content:'',size:'medium',backdrop:true,closeOnBackdrop:true,closeButton:true,animation:true,centered:true,keyboard:true,footer:null,buttons:[],className:'',zIndex:BMS.UI.WindowManager?.overlayZIndex(10)??11000,onOpen:null,onClose:null,onAction:null};const config={...defaults,...options};const overlay=document.createElement('div');overlay.className=`bms-modal-overlay ${config.animation?'bms-animated':''}`;overlay.style.zIndex=config.zIndex;const modal=document.createElement('div');modal.id=config.id;modal.className=`bms-modal bms-modal-${config.size} ${config.className} ${config.animation?'bms-animated':''} ${config.centered?'bms-modal-centered':''}`;modal.setAttribute('role','dialog');modal.setAttribute('aria-modal','true');modal.setAttribute('aria-labelledby',`${config.id}-title`);const header=document.createElement('div');header.className='bms-modal-header';BMS.DOM.setHTML(header,`%0A                <h3 class="bms-modal-title" id="${config.id}-title">${config.title}</h3>%0A                ${config.closeButton?'<button class="bms-modal-close" aria-label="Close">%C3%97</button>':''}%0A            `);const body=document.createElement('div');body.className='bms-modal-body';if(typeof config.content==='string'){BMS.DOM.setHTML(body,config.content);}else if(config.content instanceof HTMLElement){body.appendChild(config.content);}%0Alet footer=null;if(config.footer||config.buttons.length>0){footer=document.createElement('div');footer.className='bms-modal-footer';if(config.footer){if(typeof config.footer==='string'){BMS.DOM.setHTML(footer,config.footer);}else if(config.footer instanceof HTMLElement){footer.appendChild(config.footer);}}else if(config.buttons.length>0){const buttonContainer=document.createElement('div');buttonContainer.className='bms-modal-buttons';config.buttons.forEach(btnConfig=>{const button=this._createButton(btnConfig,config,modal);buttonContainer.appendChild(button);});footer.appendChild(buttonContainer);}}%0Amodal.appendChild(header);modal.appendChild(body);if(footer){modal.appendChild(footer);}%0Aoverlay.appendChild(modal);(BMS.DOM?.getRoot?.()||document.body).appendChild(overlay);this._setupEvents(overlay,modal,config);modal._bmsConfig=config;this.activeModals.push(modal);if(config.onOpen){config.onOpen(modal);}%0Athis._manageFocus(modal);return modal;},_createButton:function(btnConfig,modalConfig,modal){const defaults={text:'Button',type:'default',action:null,closeOnClick:true};const config={...defaults,...btnConfig};const button=document.createElement('button');button.className=`bms-modal-btn bms-modal-btn-${config.type}`;button.textContent=config.text;button.addEventListener('click',()=>{if(config.action){config.action(modal);}%0Aif(modalConfig.onAction){modalConfig.onAction(config.text,modal);}%0Aif(config.closeOnClick){this.close(modal);}});return button;},_setupEvents:function(overlay,modal,config){const closeBtn=modal.querySelector('.bms-modal-close');if(closeBtn){closeBtn.addEventListener('click',()=>{this.close(modal);});}%0Aif(config.backdrop&&config.closeOnBackdrop){overlay.addEventListener('click',(e)=>{if(e.target===overlay){this.close(modal);}});}%0Aif(config.keyboard){const handleKeydown=(e)=>{if(e.key==='Escape'){const topModal=this.activeModals[this.activeModals.length-1];if(topModal===modal){this.close(modal);}}};document.addEventListener('keydown',handleKeydown);modal._bmsKeyHandler=handleKeydown;}},_manageFocus:function(modal){modal._previousFocus=BMS.DOM?.activeElement?.()||document.activeElement;const focusableElements=modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');if(focusableElements.length>0){setTimeout(()=>focusableElements[0].focus(),100);const firstFocusable=focusableElements[0];const lastFocusable=focusableElements[focusableElements.length-1];modal.addEventListener('keydown',(e)=>{if(e.key==='Tab'){const active=BMS.DOM?.activeElement?.()||document.activeElement;if(e.shiftKey){if(active===firstFocusable){e.preventDefault();lastFocusable.focus();}}else{if(active===lastFocusable){e.preventDefault();firstFocusable.focus();}}}});}},close:function(modal){const config=modal._bmsConfig;const overlay=modal.closest('.bms-modal-overlay');if(config.onClose){config.onClose(modal);}%0Aconst index=this.activeModals.indexOf(modal);if(index>-1){this.activeModals.splice(index,1);}%0Aif(modal._bmsKeyHandler){document.removeEventListener('keydown',modal._bmsKeyHandler);}%0Aif(modal._previousFocus){modal._previousFocus.focus();}%0Aif(config.animation){overlay.classList.add('bms-modal-closing');modal.classList.add('bms-modal-closing');setTimeout(()=>overlay.remove(),300);}else{overlay.remove();}},closeAll:function(){[...this.activeModals].forEach(modal=>this.close(modal));},confirm:function(options={}){const defaults={title:'Confirm',message:'Are you sure?',confirmText:'Confirm',cancelText:'Cancel',confirmType:'primary',onConfirm:null,onCancel:null};const config={...defaults,...options};return this.create({title:config.title,content:`<p>${config.message}</p>`,size:'small',buttons:[{text:config.cancelText,type:'default',action:config.onCancel},{text:config.confirmText,type:config.confirmType,action:config.onConfirm}]});},alert:function(options={}){const defaults={title:'Alert',message:'Alert message',buttonText:'OK',type:'info',onClose:null};const config={...defaults,...options};return this.create({title:config.title,content:`<div class="bms-modal-alert bms-modal-alert-${config.type}">%0A                    <p>${config.message}</p>%0A                </div>`,size:'small',buttons:[{text:config.buttonText,type:'primary',action:config.onClose}]});},prompt:function(options={}){const defaults={title:'Input',message:'Please enter a value:',placeholder:'',defaultValue:'',inputType:'text',submitText:'Submit',cancelText:'Cancel',onSubmit:null,onCancel:null,validation:null};const config={...defaults,...options};const inputId='prompt-input-'+Date.now();const content=document.createElement('div');BMS.DOM.setHTML(content,`%0A                <p>${config.message}</p>%0A                <input%0A                    id="${inputId}"%0A                    type="${config.inputType}"%0A                    class="bms-modal-input"%0A                    placeholder="${config.placeholder}"%0A                    value="${config.defaultValue}"%0A                />%0A                <div class="bms-modal-error" style="display: none;"></div>%0A            `);const modal=this.create({title:config.title,content:content,size:'small',buttons:[{text:config.cancelText,type:'default',action:()=>{if(config.onCancel)config.onCancel();}},{text:config.submitText,type:'primary',action:(modal)=>{const input=modal.querySelector(`%23${inputId}`);const value=input.value;const errorDiv=modal.querySelector('.bms-modal-error');if(config.validation){const error=config.validation(value);if(error){errorDiv.textContent=error;errorDiv.style.display='block';input.classList.add('bms-modal-input-error');return false;}}%0Aif(config.onSubmit){config.onSubmit(value);}},closeOnClick:false}]});setTimeout(()=>{const input=modal.querySelector(`%23${inputId}`);if(input){input.focus();input.select();}},100);return modal;}};})();},".bms-modal-overlay{position: fixed;top: 0;left: 0;right: 0;bottom: 0;background: rgba(0,0,0,0.8);backdrop-filter: blur(4px);display: flex;align-items: center;justify-content: center;z-index: 11000}.bms-modal-overlay.bms-animated{animation: bms-fade-in 0.3s ease-out}.bms-modal-overlay.bms-modal-closing{animation: bms-fade-out 0.3s ease-in forwards}.bms-modal{background: var(--bms-modal-bg,%231e1e1e);border: 1px solid var(--bms-modal-border,%233a3a3a);border-radius: 12px;box-shadow: 0 10px 40px rgba(0,0,0,0.5),0 0 0 1px rgba(255,255,255,0.1);max-width: 90vw;max-height: 90vh;display: flex;flex-direction: column;position: relative;color: var(--bms-modal-text,%23e0e0e0);font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}.bms-modal.bms-animated{animation: bms-modal-slide-in 0.3s ease-out}.bms-modal.bms-modal-closing{animation: bms-modal-slide-out 0.3s ease-in forwards}.bms-modal.bms-modal-small{width: 400px}.bms-modal.bms-modal-medium{width: 600px}.bms-modal.bms-modal-large{width: 800px}.bms-modal.bms-modal-fullscreen{width: calc(100vw - 40px);height: calc(100vh - 40px)}.bms-modal-header{padding: 20px;border-bottom: 1px solid var(--bms-modal-border,%233a3a3a);display: flex;align-items: center;justify-content: space-between;background: var(--bms-modal-header-bg,linear-gradient(135deg,%232a2a2a 0%25,%231a1a1a 100%25));border-radius: 12px 12px 0 0}.bms-modal-title{margin: 0;font-size: 18px;font-weight: 600;color: var(--bms-modal-title-color,%23ffffff)}.bms-modal-close{background: rgba(255,255,255,0.1);border: 1px solid rgba(255,255,255,0.2);color: var(--bms-modal-close-color,%23e0e0e0);width: 32px;height: 32px;border-radius: 6px;cursor: pointer;font-size: 20px;display: flex;align-items: center;justify-content: center;transition: all 0.2s ease;outline: none}.bms-modal-close:hover{background: rgba(255,67,54,0.8);border-color: rgba(255,67,54,0.9);color: white;transform: scale(1.1)}.bms-modal-close:active{transform: scale(0.95)}.bms-modal-body{padding: 20px;overflow-y: auto;flex: 1;background: var(--bms-modal-body-bg,%231e1e1e)}.bms-modal-footer{padding: 16px 20px;border-top: 1px solid var(--bms-modal-border,%233a3a3a);background: var(--bms-modal-footer-bg,%231a1a1a);border-radius: 0 0 12px 12px}.bms-modal-buttons{display: flex;gap: 10px;justify-content: flex-end}.bms-modal-btn{padding: 8px 20px;border-radius: 6px;font-size: 14px;font-weight: 500;cursor: pointer;transition: all 0.2s ease;outline: none;border: 1px solid transparent}.bms-modal-btn-default{background: rgba(255,255,255,0.1);border-color: rgba(255,255,255,0.2);color: %23e0e0e0}.bms-modal-btn-default:hover{background: rgba(255,255,255,0.15);border-color: rgba(255,255,255,0.3);transform: translateY(-1px)}.bms-modal-btn-primary{background: linear-gradient(135deg,%23667eea 0%25,%23764ba2 100%25);color: white;box-shadow: 0 2px 8px rgba(102,126,234,0.4)}.bms-modal-btn-primary:hover{background: linear-gradient(135deg,%237189ff 0%25,%238557b8 100%25);transform: translateY(-1px);box-shadow: 0 4px 12px rgba(102,126,234,0.6)}.bms-modal-btn-success{background: linear-gradient(135deg,%2300c851 0%25,%2300a844 100%25);color: white}.bms-modal-btn-success:hover{background: linear-gradient(135deg,%2300de5a 0%25,%2300c04d 100%25);transform: translateY(-1px)}.bms-modal-btn-danger{background: linear-gradient(135deg,%23ff4444 0%25,%23cc0000 100%25);color: white}.bms-modal-btn-danger:hover{background: linear-gradient(135deg,%23ff5555 0%25,%23dd1111 100%25);transform: translateY(-1px)}.bms-modal-btn:active{transform: translateY(0)}.bms-modal-alert{padding: 16px;border-radius: 8px;margin-bottom: 16px}.bms-modal-alert-info{background: rgba(33,150,243,0.1);border: 1px solid rgba(33,150,243,0.3);color: %2364b5f6}.bms-modal-alert-success{background: rgba(76,175,80,0.1);border: 1px solid rgba(76,175,80,0.3);color: %2381c784}.bms-modal-alert-warning{background: rgba(255,193,7,0.1);border: 1px solid rgba(255,193,7,0.3);color: %23ffd54f}.bms-modal-alert-danger{background: rgba(244,67,54,0.1);border: 1px solid rgba(244,67,54,0.3);color: %23ef5350}.bms-modal-input{width: 100%25;padding: 10px 12px;background: rgba(255,255,255,0.05);border: 1px solid rgba(255,255,255,0.2);border-radius: 6px;color: %23e0e0e0;font-size: 14px;margin-top: 10px;transition: all 0.2s ease}.bms-modal-input:focus{outline: none;border-color: %23667eea;background: rgba(255,255,255,0.08);box-shadow: 0 0 0 3px rgba(102,126,234,0.2)}.bms-modal-input-error{border-color: %23ff4444 !important}.bms-modal-error{color: %23ff4444;font-size: 12px;margin-top: 5px}@keyframes bms-fade-in{from{opacity: 0}to{opacity: 1}}@keyframes bms-fade-out{from{opacity: 1}to{opacity: 0}}@keyframes bms-modal-slide-in{from{opacity: 0;transform: scale(0.9) translateY(-20px)}to{opacity: 1;transform: scale(1) translateY(0)}}@keyframes bms-modal-slide-out{from{opacity: 1;transform: scale(1) translateY(0)}to{opacity: 0;transform: scale(0.9) translateY(-20px)}}.bms-light-theme .bms-modal{--bms-modal-bg: %23ffffff;--bms-modal-border: %23e0e0e0;--bms-modal-text: %23333333;--bms-modal-header-bg: linear-gradient(135deg,%23f5f5f5 0%25,%23e0e0e0 100%25);--bms-modal-title-color: %23333333;--bms-modal-body-bg: %23ffffff;--bms-modal-footer-bg: %23f5f5f5;--bms-modal-close-color: %23666666}.bms-light-theme .bms-modal-overlay{background: rgba(0,0,0,0.5)}.bms-light-theme .bms-modal-btn-default{background: %23f5f5f5;border-color: %23e0e0e0;color: %23333333}.bms-light-theme .bms-modal-btn-default:hover{background: %23e8e8e8;border-color: %23d0d0d0}.bms-light-theme .bms-modal-input{background: %23ffffff;border-color: %23e0e0e0;color: %23333333}.bms-light-theme .bms-modal-input:focus{background: %23ffffff;border-color: %23667eea}@media (max-width: 768px){.bms-modal{min-width: 90vw}.bms-modal.bms-modal-small,.bms-modal.bms-modal-medium,.bms-modal.bms-modal-large{width: 90vw}}@media (prefers-reduced-motion: reduce){.bms-modal-overlay.bms-animated,.bms-modal.bms-animated{animation: none;transition: opacity 0.1s ease}.bms-modal-overlay.bms-modal-closing,.bms-modal.bms-modal-closing{animation: none;opacity: 0}.bms-modal-btn,.bms-modal-close,.bms-modal-input{transition: opacity 0.1s ease}}");BMS.bundleComponent("interactive/animation-effects/animations",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Animations)window.BMS.UI.Animations={};BMS.UI.Animations={prefersReducedMotion:function(){return window.matchMedia('(prefers-reduced-motion: reduce)').matches;},fadeIn:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:300,delay:0,easing:'ease-out',from:0,to:1,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.transition=`opacity ${config.duration}ms ${config.easing} ${config.delay}ms`;element.style.opacity=config.from.toString();element.offsetHeight;element.style.opacity=config.to.toString();setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},fadeOut:function(element,options={}){return this.fadeIn(element,{...options,from:1,to:0});},slide:function(element,direction='down',options={}){if(this.prefersReducedMotion()&&!options.force){element.style.transform='none';element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:400,delay:0,easing:'cubic-bezier(0.4, 0, 0.2, 1)',distance:30,fade:true,onComplete:null};const config={...defaults,...options};const transforms={down:`translateY(-${config.distance}px)`,up:`translateY(${config.distance}px)`,left:`translateX(${config.distance}px)`,right:`translateX(-${config.distance}px)`};return new Promise((resolve)=>{const properties=['transform'];if(config.fade)properties.push('opacity');element.style.transition=properties.map(prop=>`${prop} ${config.duration}ms ${config.easing} ${config.delay}ms`).join(', ');element.style.transform=transforms[direction];if(config.fade)element.style.opacity='0';element.offsetHeight;element.style.transform='translateX(0) translateY(0)';if(config.fade)element.style.opacity='1';setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},scale:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){element.style.transform='scale(1)';element.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:500,delay:0,easing:'cubic-bezier(0.68, -0.55, 0.265, 1.55)',from:0.8,to:1,fade:true,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const properties=['transform'];if(config.fade)properties.push('opacity');element.style.transition=properties.map(prop=>`${prop} ${config.duration}ms ${config.easing} ${config.delay}ms`).join(', ');element.style.transform=`scale(${config.from})`;if(config.fade)element.style.opacity='0';element.offsetHeight;element.style.transform=`scale(${config.to})`;if(config.fade)element.style.opacity='1';setTimeout(()=>{element.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration+config.delay);});},bounce:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:600,intensity:20,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-bounce ${config.duration}ms ease-out`;this._injectKeyframes('bms-bounce-keyframes',`%0A                        @keyframes bms-bounce {%0A                            0%25, 20%25, 50%25, 80%25, 100%25 { transform: translateY(0); }%0A                            40%25 { transform: translateY(-${config.intensity}px); }%0A                            60%25 { transform: translateY(-${config.intensity/2}px); }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},pulse:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:1000,scale:1.05,iterations:1,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-pulse ${config.duration}ms ease-in-out ${config.iterations}`;this._injectKeyframes('bms-pulse-keyframes',`%0A                        @keyframes bms-pulse {%0A                            0%25, 100%25 { transform: scale(1); opacity: 1; }%0A                            50%25 { transform: scale(${config.scale}); opacity: 0.8; }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration*config.iterations);});},shake:function(element,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:500,intensity:5,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{element.style.animation=`bms-shake ${config.duration}ms ease-in-out`;this._injectKeyframes('bms-shake-keyframes',`%0A                        @keyframes bms-shake {%0A                            0%25, 100%25 { transform: translateX(0); }%0A                            10%25, 30%25, 50%25, 70%25, 90%25 { transform: translateX(-${config.intensity}px); }%0A                            20%25, 40%25, 60%25, 80%25 { transform: translateX(${config.intensity}px); }%0A                        }%0A                    `);setTimeout(()=>{element.style.animation='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},ripple:function(element,event,options={}){if(this.prefersReducedMotion()&&!options.force){return Promise.resolve();}%0Aconst defaults={duration:600,color:'rgba(255, 255, 255, 0.5)',size:null,onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const rect=element.getBoundingClientRect();const size=config.size||Math.max(rect.width,rect.height);let x=rect.width/2;let y=rect.height/2;if(event&&event.clientX){x=event.clientX-rect.left;y=event.clientY-rect.top;}%0Aconst ripple=document.createElement('span');ripple.className='bms-ripple';ripple.style.cssText=`%0A                    position: absolute;%0A                    border-radius: 50%25;%0A                    background: ${config.color};%0A                    pointer-events: none;%0A                    width: ${size*2}px;%0A                    height: ${size*2}px;%0A                    left: ${x-size}px;%0A                    top: ${y-size}px;%0A                    transform: scale(0);%0A                    opacity: 1;%0A                    transition: transform ${config.duration}ms ease-out, opacity ${config.duration}ms ease-out;%0A                `;const position=window.getComputedStyle(element).position;if(position==='static'){element.style.position='relative';}%0Aelement.style.overflow='hidden';element.appendChild(ripple);ripple.offsetHeight;ripple.style.transform='scale(1)';ripple.style.opacity='0';setTimeout(()=>{ripple.remove();if(config.onComplete)config.onComplete();resolve();},config.duration);});},morph:function(fromElement,toElement,options={}){if(this.prefersReducedMotion()&&!options.force){fromElement.style.opacity='0';toElement.style.opacity='1';return Promise.resolve();}%0Aconst defaults={duration:800,easing:'cubic-bezier(0.4, 0, 0.2, 1)',onComplete:null};const config={...defaults,...options};return new Promise((resolve)=>{const fromRect=fromElement.getBoundingClientRect();const toRect=toElement.getBoundingClientRect();const scaleX=toRect.width/fromRect.width;const scaleY=toRect.height/fromRect.height;const translateX=toRect.left-fromRect.left;const translateY=toRect.top-fromRect.top;fromElement.style.transition=`transform ${config.duration}ms ${config.easing}, opacity ${config.duration}ms ${config.easing}`;fromElement.style.transformOrigin='top left';toElement.style.opacity='0';toElement.style.transition=`opacity ${config.duration}ms ${config.easing}`;fromElement.offsetHeight;fromElement.style.transform=`translate(${translateX}px, ${translateY}px) scale(${scaleX}, ${scaleY})`;fromElement.style.opacity='0';setTimeout(()=>{toElement.style.opacity='1';},config.duration/2);setTimeout(()=>{fromElement.style.transition='';fromElement.style.transform='';toElement.style.transition='';if(config.onComplete)config.onComplete();resolve();},config.duration);});},stagger:function(elements,animationType,options={}){const defaults={staggerDelay:50,...options};const promises=Array.from(elements).map((element,index)=>{const elementOptions={...defaults,delay:(defaults.delay||0)+(index*defaults.staggerDelay)};return this[animationType](element,elementOptions);});return Promise.all(promises);},parallax:function(element,options={}){const defaults={speed:0.5,offset:0,onScroll:null};const config={...defaults,...options};const handleScroll=()=>{const scrolled=window.pageYOffset;const rate=scrolled*config.speed*-1;element.style.transform=`translateY(${rate+config.offset}px)`;if(config.onScroll){config.onScroll(scrolled,rate);}};window.addEventListener('scroll',handleScroll);return()=>{window.removeEventListener('scroll',handleScroll);};},_injectKeyframes:function(id,css){if(BMS.DOM?.addStyles){BMS.DOM.addStyles(css,id);}else if(!document.querySelector(`%23${id}`)){const style=document.createElement('style');style.id=id;style.textContent=css;document.head.appendChild(style);}}};})();},null);BMS.registerOnly=true;try{BMS.registerBookmarklet({id:'json-extract',name:'JSON Extractor',version:'1.0.0',icon:'%F0%9F%93%A6',description:'Extracts JSON-LD, Open Graph, Twitter Card and Microdata',components:['core/panel/panel','core/modal/modal','interactive/animation-effects/animations'],actions:[{id:'export-json-ld',title:'Export JSON-LD',run:function(){const items=[];document.querySelectorAll('script[type="application/ld+json"]').forEach(script=>{try{items.push(JSON.parse(script.textContent));}catch(e){console.warn('Skipping invalid JSON-LD:',e.message);}});if(items.length===0){BMS.UI.updateStatus('No JSON-LD found on this page','info');return items;}%0Aconst blob=new Blob([JSON.stringify(items,null,2)],{type:'application/ld+json'});const link=document.createElement('a');link.href=URL.createObjectURL(blob);link.download=`${window.location.hostname||'page'}-json-ld.json`;link.click();setTimeout(()=>URL.revokeObjectURL(link.href),1000);BMS.UI.updateStatus(`Exported ${items.length} JSON-LD blocks`,'success');return items;}},{id:'copy-open-graph',title:'Copy Open Graph data',run:function(){const ogData={};document.querySelectorAll('meta[property^="og:"], meta[name^="og:"]').forEach(tag=>{const property=tag.getAttribute('property')||tag.getAttribute('name');const content=tag.getAttribute('content');if(content){ogData[property]=content;}});if(Object.keys(ogData).length===0){BMS.UI.updateStatus('No Open Graph data found on this page','info');}else{BMS.Utils.copyToClipboard(JSON.stringify(ogData,null,2));}%0Areturn ogData;}}],run:async function(){function extractJsonLd(){const scripts=document.querySelectorAll('script[type="application/ld+json"]');const results=[];scripts.forEach((script,index)=>{try{const jsonData=JSON.parse(script.textContent);results.push({index:index+1,type:jsonData['@type']||'Unknown',context:jsonData['@context']||'None',data:jsonData,raw:script.textContent});}catch(e){results.push({index:index+1,type:'Error',context:'Parse Error',data:null,raw:script.textContent,error:e.message});}});return results;}%0Afunction extractOpenGraph(){const metaTags=document.querySelectorAll('meta[property^="og:"], meta[name^="og:"]');const ogData={};metaTags.forEach(tag=>{const property=tag.getAttribute('property')||tag.getAttribute('name');const content=tag.getAttribute('content');if(property&&content){ogData[property]=content;}});return Object.keys(ogData).length>0?ogData:null;}%0Afunction extractTwitterCard(){const metaTags=document.querySelectorAll('meta[property^="twitter:"], meta[name^="twitter:"]');const twitterData={};metaTags.forEach(tag=>{const property=tag.getAttribute('property')||tag.getAttribute('name');const content=tag.getAttribute('content');if(property&&content){twitterData[property]=content;}});return Object.keys(twitterData).length>0?twitterData:null;}%0Afunction extractMicrodata(){const items=document.querySelectorAll('[itemscope]');const microdata=[];items.forEach((item,index)=>{const itemType=item.getAttribute('itemtype');const props={};item.querySelectorAll('[itemprop]').forEach(prop=>{const propName=prop.getAttribute('itemprop');const propValue=prop.getAttribute('content')||prop.getAttribute('href')||prop.textContent.trim();if(props[propName]){if(!Array.isArray(props[propName])){props[propName]=[props[propName]];}%0Aprops[propName].push(propValue);}else{props[propName]=propValue;}});if(Object.keys(props).length>0){microdata.push({index:index+1,type:itemType||'Unknown',properties:props});}});return microdata;}%0Afunction formatJson(obj,indent=2){try{return JSON.stringify(obj,null,indent);}catch(e){return'Error formatting JSON: '+e.message;}}%0Afunction copyToClipboard(text){if(BMS.Utils&&BMS.Utils.copyToClipboard){BMS.Utils.copyToClipboard(text);showNotification('Copied to clipboard!','success');}else{const textarea=document.createElement('textarea');textarea.value=text;document.body.appendChild(textarea);textarea.select();document.execCommand('copy');document.body.removeChild(textarea);alert('Copied to clipboard!');}}%0Afunction showNotification(message,type='info'){if(BMS.UI&&BMS.UI.updateStatus){BMS.UI.updateStatus(message,type);}}%0Afunction generateEnhancedContent(jsonLd,openGraph,twitterCard,microdata){const container=document.createElement('div');container.className='json-extract-content';container.style.width='100%25';const summary=document.createElement('div');BMS.DOM.setHTML(summary,`%0A      <div style="padding: 16px; background: rgba(102, 126, 234, 0.1); border-radius: 8px; margin-bottom: 16px; border: 1px solid rgba(102, 126, 234, 0.3);">%0A        <h3 style="margin: 0 0 12px 0; color: %23667eea;">%F0%9F%93%8A Structured Data Summary</h3>%0A        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px;">%0A          <div style="text-align: center; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 6px;">%0A            <div style="font-size: 24px; font-weight: bold; color: %23667eea;">${jsonLd.length}</div>%0A            <div style="font-size: 12px; color: %23999;">JSON-LD Scripts</div>%0A          </div>%0A          <div style="text-align: center; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 6px;">%0A            <div style="font-size: 24px; font-weight: bold; color: %2300c851;">${openGraph?Object.keys(openGraph).length:0}</div>%0A            <div style="font-size: 12px; color: %23999;">Open Graph Tags</div>%0A          </div>%0A          <div style="text-align: center; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 6px;">%0A            <div style="font-size: 24px; font-weight: bold; color: %231da1f2;">${twitterCard?Object.keys(twitterCard).length:0}</div>%0A            <div style="font-size: 12px; color: %23999;">Twitter Card Tags</div>%0A          </div>%0A          <div style="text-align: center; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 6px;">%0A            <div style="font-size: 24px; font-weight: bold; color: %23ff9800;">${microdata.length}</div>%0A            <div style="font-size: 12px; color: %23999;">Microdata Items</div>%0A          </div>%0A        </div>%0A      </div>%0A    `);container.appendChild(summary);const tabs=[{id:'jsonld',label:'%F0%9F%94%B7 JSON-LD',count:jsonLd.length,active:true},{id:'opengraph',label:'%F0%9F%93%98 Open Graph',count:openGraph?Object.keys(openGraph).length:0,active:false},{id:'twitter',label:'%F0%9F%90%A6 Twitter Card',count:twitterCard?Object.keys(twitterCard).length:0,active:false},{id:'microdata',label:'%F0%9F%8F%B7%EF%B8%8F Microdata',count:microdata.length,active:false}];const tabButtons=document.createElement('div');tabButtons.style.cssText='display: flex; gap: 8px; margin-bottom: 16px; border-bottom: 2px solid %233a3a3a; padding-bottom: 2px;';tabs.forEach(tab=>{const btn=document.createElement('button');BMS.DOM.setHTML(btn,`${tab.label} <span style="background: rgba(255,255,255,0.1); padding: 2px 6px; border-radius: 10px; font-size: 11px; margin-left: 4px;">${tab.count}</span>`);btn.style.cssText=`%0A        padding: 8px 16px;%0A        background: ${tab.active?'%23667eea':'transparent'};%0A        color: ${tab.active?'white':'%23999'};%0A        border: none;%0A        border-radius: 8px 8px 0 0;%0A        cursor: pointer;%0A        transition: all 0.2s;%0A        font-size: 13px;%0A        font-weight: 500;%0A      `;btn.onclick=()=>switchTab(tab.id);btn.dataset.tabId=tab.id;tabButtons.appendChild(btn);});container.appendChild(tabButtons);const contentArea=document.createElement('div');contentArea.id='json-content-area';contentArea.style.cssText='max-height: 400px; overflow-y: auto; padding: 16px; background: rgba(0,0,0,0.2); border-radius: 8px;';container.appendChild(contentArea);const switchTab=(tabId)=>{tabButtons.querySelectorAll('button').forEach(btn=>{const isActive=btn.dataset.tabId===tabId;btn.style.background=isActive?'%23667eea':'transparent';btn.style.color=isActive?'white':'%23999';});contentArea.replaceChildren();if(tabId==='jsonld'){if(jsonLd.length>0){jsonLd.forEach(item=>{const itemDiv=document.createElement('div');itemDiv.style.cssText='margin-bottom: 16px; padding: 12px; background: rgba(255,255,255,0.03); border-radius: 6px; border: 1px solid rgba(255,255,255,0.1);';const header=document.createElement('div');header.style.cssText='display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;';const typeLabel=document.createElement('span');typeLabel.style.cssText='font-weight: bold; color: %23667eea;';typeLabel.textContent=`%23${item.index} - Type: ${item.type}${item.error?' [Parse Error]':''}`;const copyBtn=document.createElement('button');copyBtn.textContent='%F0%9F%93%8B Copy';copyBtn.style.cssText='padding: 4px 8px; background: rgba(102,126,234,0.2); border: 1px solid rgba(102,126,234,0.4); border-radius: 4px; color: %23667eea; cursor: pointer; font-size: 12px;';copyBtn.onclick=()=>copyToClipboard(formatJson(item.data||item.raw));header.appendChild(typeLabel);header.appendChild(copyBtn);itemDiv.appendChild(header);const pre=document.createElement('pre');pre.style.cssText='margin: 0; padding: 8px; background: rgba(0,0,0,0.3); border-radius: 4px; overflow-x: auto; font-size: 12px; line-height: 1.4;';pre.textContent=item.error?item.error+'\n\nRaw:\n'+item.raw:formatJson(item.data);itemDiv.appendChild(pre);contentArea.appendChild(itemDiv);});}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; text-align: center;">No JSON-LD data found.</p>');}}else if(tabId==='opengraph'){if(openGraph){const pre=document.createElement('pre');pre.style.cssText='margin: 0; padding: 12px; background: rgba(0,0,0,0.3); border-radius: 6px; overflow-x: auto; font-size: 12px;';pre.textContent=formatJson(openGraph);contentArea.appendChild(pre);const copyBtn=document.createElement('button');copyBtn.textContent='%F0%9F%93%8B Copy All';copyBtn.style.cssText='margin-top: 12px; padding: 8px 16px; background: rgba(102,126,234,0.2); border: 1px solid rgba(102,126,234,0.4); border-radius: 6px; color: %23667eea; cursor: pointer;';copyBtn.onclick=()=>copyToClipboard(formatJson(openGraph));contentArea.appendChild(copyBtn);}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; text-align: center;">No Open Graph data found.</p>');}}else if(tabId==='twitter'){if(twitterCard){const pre=document.createElement('pre');pre.style.cssText='margin: 0; padding: 12px; background: rgba(0,0,0,0.3); border-radius: 6px; overflow-x: auto; font-size: 12px;';pre.textContent=formatJson(twitterCard);contentArea.appendChild(pre);const copyBtn=document.createElement('button');copyBtn.textContent='%F0%9F%93%8B Copy All';copyBtn.style.cssText='margin-top: 12px; padding: 8px 16px; background: rgba(102,126,234,0.2); border: 1px solid rgba(102,126,234,0.4); border-radius: 6px; color: %23667eea; cursor: pointer;';copyBtn.onclick=()=>copyToClipboard(formatJson(twitterCard));contentArea.appendChild(copyBtn);}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; text-align: center;">No Twitter Card data found.</p>');}}else if(tabId==='microdata'){if(microdata.length>0){microdata.forEach(item=>{const itemDiv=document.createElement('div');itemDiv.style.cssText='margin-bottom: 16px; padding: 12px; background: rgba(255,255,255,0.03); border-radius: 6px; border: 1px solid rgba(255,255,255,0.1);';const header=document.createElement('div');header.style.cssText='font-weight: bold; color: %23ff9800; margin-bottom: 8px;';header.textContent=`%23${item.index} - Type: ${item.type}`;itemDiv.appendChild(header);const pre=document.createElement('pre');pre.style.cssText='margin: 0; padding: 8px; background: rgba(0,0,0,0.3); border-radius: 4px; overflow-x: auto; font-size: 12px;';pre.textContent=formatJson(item.properties);itemDiv.appendChild(pre);contentArea.appendChild(itemDiv);});}else{BMS.DOM.setHTML(contentArea,'<p style="color: %23999; text-align: center;">No Microdata found.</p>');}}};switchTab('jsonld');const exportBtn=document.createElement('button');BMS.DOM.setHTML(exportBtn,'%F0%9F%92%BE Export All Data');exportBtn.style.cssText='margin-top: 16px; padding: 10px 20px; background: linear-gradient(135deg, %23667eea 0%25, %23764ba2 100%25); border: none; border-radius: 6px; color: white; font-weight: 500; cursor: pointer; width: 100%25; transition: transform 0.2s;';exportBtn.onmouseover=()=>exportBtn.style.transform='translateY(-2px)';exportBtn.onmouseout=()=>exportBtn.style.transform='translateY(0)';exportBtn.onclick=()=>{const allData={jsonLd,openGraph,twitterCard,microdata,url:window.location.href,timestamp:new Date().toISOString()};copyToClipboard(formatJson(allData));};container.appendChild(exportBtn);return container;}%0Afunction generateBasicContent(jsonLd,openGraph,twitterCard,microdata){const tabs=[];if(jsonLd.length>0){let content='<div>';jsonLd.forEach((item,i)=>{content+=`<h4>%23${i+1} - ${item.type}</h4><pre style="white-space: pre-wrap;">${formatJson(item.data)}</pre>`;});content+='</div>';tabs.push({title:`JSON-LD (${jsonLd.length})`,content});}%0Aif(openGraph){tabs.push({title:'Open Graph',content:`<pre>${formatJson(openGraph)}</pre>`});}%0Aif(twitterCard){tabs.push({title:'Twitter Card',content:`<pre>${formatJson(twitterCard)}</pre>`});}%0Aif(microdata.length>0){let content='<div>';microdata.forEach((item,i)=>{content+=`<h4>%23${i+1} - ${item.type}</h4><pre>${formatJson(item.properties)}</pre>`;});content+='</div>';tabs.push({title:`Microdata (${microdata.length})`,content});}%0Areturn tabs.length>0?tabs:'<p>No structured data found.</p>';}%0Aconst jsonLd=extractJsonLd();const openGraph=extractOpenGraph();const twitterCard=extractTwitterCard();const microdata=extractMicrodata();BMS.events.emit('jsonextract:extracted',{jsonLd,openGraph,twitterCard,microdata});const content=(BMS.UI.Components&&BMS.UI.Components.Panel)?generateEnhancedContent(jsonLd,openGraph,twitterCard,microdata):generateBasicContent(jsonLd,openGraph,twitterCard,microdata);if(BMS.UI.Components&&BMS.UI.Components.Panel){const panel=BMS.UI.Components.Panel.create({title:'%F0%9F%93%A6 JSON Data Extractor',content:content,position:{top:50,left:window.innerWidth-750},size:{width:700,height:650},animation:true,theme:'dark',maximizable:true});if(BMS.UI.Animations){BMS.UI.Animations.scale(panel,{duration:400,from:0.9,to:1});}%0Areturn panel;}else{return BMS.UI.createPanel({id:'json-extract-panel',title:'%F0%9F%93%A6 JSON Data Extractor',content:content,footer:'<button class="bms-button bms-close-btn">Close</button>'});}},teardown:function(panel){BMS.UI.closePanel(panel);}});BMS.runJsonExtract=function(){return BMS.runBookmarklet('json-extract');};if(!BMS.registerOnly){BMS.runJsonExtract();}}finally{BMS.registerOnly=false;}%0ABMS.runBookmarklet("json-extract");})();
\ No newline at end of file
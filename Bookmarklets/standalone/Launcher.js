@@ -0,0 +1 @@
+javascript:(function(){if(!window.BMS||!window.BMS.bundleComponent){window.BMS={config:{defaultPanelTop:50,defaultPanelLeft:50,componentsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/components/',bookmarkletsBaseUrl:'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/',componentsLoaded:new Set(),verifyIntegrity:true,useCache:true,cacheMaxAge:60*60*1000,isolation:'none',trustedTypesPolicy:'bms',windowLayer:'above',snapThreshold:12,},manifest:{'core/modal/modal':{js:'sha256-2JIrcpTaGwkPjVCB0GetL8NT5O0fZRra4QdPh+SWP64=',css:'sha256-7qW4IDp1oRG0z01oZYcAvB+BSwjnaxzZvBZoZRQpbCc='},'core/panel/panel':{js:'sha256-p6gq2icmVwuoB9/4JAw8eePqdgbyXT8l7sdTNq8OTPk=',css:'sha256-6CLrS2iPeL1+uaGT/YFwsPjgv0YeAcNEmjm/1mgquic='},'data-display/table/table':{js:'sha256-mj+/Y6KtTmCoL272/jRlrn3c4NjsK7HfG7off7J1+Ks=',css:'sha256-dWbX2o3+zO/bX+8/OhfcTRond9QuXNrmFnWMTOZWAB4='},'navigation/command-palette/command-palette':{js:'sha256-wNQbDy7G7Ga4zh/6LfEAiaiwos/7OP/MUVvp0CDHrVw=',css:'sha256-1w5+/uteapoBm/+hWKXM/6c6qP64MxGDjcrxPeu06eE='},'interactive/animation-effects/animations':{js:'sha256-v/8jyCKJgtlBWNXm63CSalQ1DXvlDDSXRmDYCuoGfKk='},'templates/data-viewer/data-viewer':{dependencies:['core/panel/panel','data-display/table/table'],js:'sha256-G5tcD/jILjRw6ZWrc/KXYgWj0eSLoLQZl4FDG4StPjE=',css:'sha256-xNOaOOeKNK8oxjjMbt+7cDsSfpystPTX89nNRkIeo+0='}},init:function(options={}){this.config={...this.config,...options};this.injectCSS();if(!this.UI.Components)this.UI.Components={};if(!this.UI.Templates)this.UI.Templates={};if(!this.UI.Animations)this.UI.Animations={};},events:{_listeners:{},on:function(event,handler){(this._listeners[event]=this._listeners[event]||[]).push(handler);return()=>this.off(event,handler);},once:function(event,handler){const wrapper=(detail,name)=>{this.off(event,wrapper);handler(detail,name);};wrapper._bmsHandler=handler;return this.on(event,wrapper);},off:function(event,handler){if(!handler){delete this._listeners[event];return;}%0Aconst listeners=this._listeners[event]||[];const index=listeners.findIndex(l=>l===handler||l._bmsHandler===handler);if(index>-1)listeners.splice(index,1);},emit:function(event,detail={}){const namespace=event.split(':')[0];const listeners=[event,`${namespace}:*`,'*'].filter((name,index,names)=>names.indexOf(name)===index).flatMap(name=>this._listeners[name]||[]);listeners.forEach(listener=>{try{listener(detail,event);}catch(error){console.error(`BMS: "${event}" listener failed:`,error);}});}},bookmarklets:{},registerOnly:false,catalog:{'html-analyser':{name:'HTML Analyser',icon:'%F0%9F%94%8D',description:'Detects frameworks, UI libraries and meta tags on the page',script:'HtmlAnalyser-refactored.js',actions:[{id:'highlight-duplicate-ids',title:'Highlight duplicate IDs'},{id:'copy-meta-tags',title:'Copy meta tags as JSON'}]},'json-extract':{name:'JSON Extractor',icon:'%F0%9F%93%A6',description:'Extracts JSON-LD, Open Graph, Twitter Card and Microdata',script:'JsonExtract-refactored.js',actions:[{id:'export-json-ld',title:'Export JSON-LD'},{id:'copy-open-graph',title:'Copy Open Graph data'}]},'twitter-media-extractor':{name:'Twitter Media Extractor',icon:'%F0%9F%90%A6',description:'Lists the images and videos in tweets on the page',script:'TwitterMediaExtractor-refactored.js',actions:[{id:'copy-media-urls',title:'Copy media URLs'}]}},registerBookmarklet:function(definition){if(!definition||!definition.id||typeof definition.run!=='function'){throw new Error('registerBookmarklet: an id and a run() function are required');}%0Aconst previous=this.bookmarklets[definition.id];const bookmarklet={name:definition.id,version:'0.0.0',icon:'',description:'',components:[],actions:[],teardown:null,...definition,instance:previous?previous.instance:null};this.bookmarklets[bookmarklet.id]=bookmarklet;this.events.emit('bookmarklet:registered',this._bookmarkletDetail(bookmarklet));return bookmarklet;},runBookmarklet:async function(id,options={}){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aif(bookmarklet.components.length>0){try{await this.loadComponents(bookmarklet.components);}catch(error){console.error(`Failed to load components for ${bookmarklet.name}:`,error);}}%0Athis.stopBookmarklet(id);this.events.emit('bookmarklet:run',this._bookmarkletDetail(bookmarklet));try{bookmarklet.instance=await bookmarklet.run(options);}catch(error){this.UI.updateStatus(`${bookmarklet.name} failed: ${error.message}`,'error',6000);throw error;}%0Areturn bookmarklet.instance;},stopBookmarklet:function(id){const bookmarklet=this.bookmarklets[id];if(!bookmarklet||!bookmarklet.instance)return;const instance=bookmarklet.instance;bookmarklet.instance=null;if(bookmarklet.teardown){bookmarklet.teardown(instance);}%0Athis.events.emit('bookmarklet:stop',this._bookmarkletDetail(bookmarklet));},runBookmarkletAction:async function(id,actionId){const bookmarklet=this.bookmarklets[id];if(!bookmarklet){throw new Error(`Bookmarklet "${id}" is not registered`);}%0Aconst action=bookmarklet.actions.find(a=>a.id===actionId);if(!action){throw new Error(`${bookmarklet.name} has no action "${actionId}"`);}%0Athis.events.emit('bookmarklet:action',{...this._bookmarkletDetail(bookmarklet),action:actionId});try{return await action.run();}catch(error){this.UI.updateStatus(`${action.title} failed: ${error.message}`,'error',6000);throw error;}},loadBookmarklet:async function(id){if(this.bookmarklets[id])return this.bookmarklets[id];const entry=this.catalog[id];if(!entry){throw new Error(`Bookmarklet "${id}" is not in the catalog`);}%0Aif(!this.canEval()){throw new Error(`Failed to load ${entry.name} - this page's Content Security Policy blocks eval, use its standalone bookmarklet`);}%0Aconst url=/^https?:\/\//.test(entry.script)?entry.script:this.config.bookmarkletsBaseUrl+entry.script;const code=new TextDecoder().decode(await this.cache.fetch(url));this.registerOnly=true;try{new Function(code)();}finally{this.registerOnly=false;}%0Aif(!this.bookmarklets[id]){throw new Error(`${entry.script} did not register "${id}"`);}%0Areturn this.bookmarklets[id];},listBookmarklets:function(){const ids=new Set([...Object.keys(this.catalog),...Object.keys(this.bookmarklets)]);return[...ids].map(id=>{const source=this.bookmarklets[id]||this.catalog[id];return{id,name:source.name||id,icon:source.icon||'',description:source.description||'',registered:Boolean(this.bookmarklets[id]),actions:(source.actions||[]).map(({id,title})=>({id,title}))};});},_bookmarkletDetail:function(bookmarklet){return{id:bookmarklet.id,name:bookmarklet.name,version:bookmarklet.version};},loadComponent:function(componentPath){return this.loadComponents([componentPath]);},resolveDependencies:function(components){const order=[];const visited=new Set();const visiting=[];const visit=(componentPath)=>{if(visited.has(componentPath))return;if(visiting.includes(componentPath)){const cycle=[...visiting.slice(visiting.indexOf(componentPath)),componentPath];throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);}%0Avisiting.push(componentPath);const entry=this.manifest[componentPath];((entry&&entry.dependencies)||[]).forEach(visit);visiting.pop();visited.add(componentPath);order.push(componentPath);};components.forEach(visit);return order;},_componentLoads:{},bundledComponents:{},bundleComponent:function(componentPath,run,css=null){this.bundledComponents[componentPath]={run,css};},canEval:function(){if(this._canEval===undefined){try{this._canEval=(new Function('return true'))();}catch(error){this._canEval=false;}}%0Areturn this._canEval;},_fetchComponent:async function(componentPath){const baseUrl=this.config.componentsBaseUrl;const entry=this.manifest[componentPath];if(this.bundledComponents[componentPath]){return this.bundledComponents[componentPath];}%0Aif(!this.canEval()){throw new Error(`Failed to load component: ${componentPath} - this page's Content Security Policy blocks eval, use the standalone bookmarklet`);}%0Aif(this.config.verifyIntegrity&&!entry){throw this._integrityError(`Component "${componentPath}" is not in the manifest`);}%0Atry{const jsUrl=`${baseUrl}${componentPath}.js`;const js=await this._fetchVerified(jsUrl,entry&&entry.js);let css=null;if(!entry||entry.css){try{const cssUrl=`${baseUrl}${componentPath}.css`;css=await this._fetchVerified(cssUrl,entry&&entry.css);}catch(cssError){if(cssError.integrity)throw cssError;console.log(`No CSS found for ${componentPath}, continuing...`);}}%0Areturn{js,css};}catch(error){const wrapped=new Error(`Failed to load component: ${componentPath} - ${error.message}`);wrapped.integrity=!!error.integrity;throw wrapped;}},_executeComponent:function(componentPath,files){if(files.run){files.run();}else{(new Function(files.js))();}%0Aif(files.css){this.DOM.addStyles(files.css,`bms-component-${componentPath.replace(/\//g,'-')}`);}%0Athis.config.componentsLoaded.add(componentPath);this.events.emit('component:loaded',{path:componentPath,bundled:!!files.run});},_fetchVerified:async function(url,integrity){const verify=this.config.verifyIntegrity?async(buffer)=>(await this._sha256(buffer))===integrity:null;const buffer=await this.cache.fetch(url,{validate:verify});if(verify&&!(await verify(buffer))){throw this._integrityError(`Integrity check failed for ${url}`);}%0Areturn new TextDecoder().decode(buffer);},_sha256:async function(buffer){if(!window.crypto||!window.crypto.subtle){throw this._integrityError('Cannot verify components: crypto.subtle is unavailable on this page');}%0Aconst digest=await window.crypto.subtle.digest('SHA-256',buffer);return'sha256-'+btoa(String.fromCharCode(...new Uint8Array(digest)));},_integrityError:function(message){console.error(`BMS: ${message}`);this.UI.updateStatus(`Blocked: ${message}`,'error',6000);const error=new Error(message);error.integrity=true;return error;},cache:{name:'bms-cache-v1',prefix:'bms-cache-',timestampHeader:'x-bms-cached-at',fetch:async function(url,{validate=null}={}){const cached=await this._get(url);if(cached){const fresh=validate?await validate(cached.buffer):cached.age<BMS.config.cacheMaxAge;if(fresh)return cached.buffer;}%0Alet buffer;try{const response=await fetch(url);if(!response.ok){throw new Error(`HTTP ${response.status} fetching ${url}`);}%0Abuffer=await response.arrayBuffer();}catch(error){if(cached&&!validate){console.warn(`BMS: network unavailable, using cached copy of ${url}`);return cached.buffer;}%0Athrow error;}%0Aif(!validate||await validate(buffer)){await this._put(url,buffer);}%0Areturn buffer;},clear:async function(){if(!window.caches)return 0;const names=(await caches.keys()).filter(name=>name.startsWith(this.prefix));await Promise.all(names.map(name=>caches.delete(name)));return names.length;},_open:async function(){if(!BMS.config.useCache||!window.caches)return null;try{return await caches.open(this.name);}catch(error){return null;}},_get:async function(url){const store=await this._open();const response=store&&await store.match(url);if(!response)return null;return{buffer:await response.arrayBuffer(),age:Date.now()-Number(response.headers.get(this.timestampHeader)||0)};},_put:async function(url,buffer){const store=await this._open();if(!store)return;try{await store.put(url,new Response(buffer,{headers:{[this.timestampHeader]:String(Date.now())}}));}catch(error){console.warn(`BMS: could not cache ${url}`,error);}}},loadComponents:function(components){let order;try{order=this.resolveDependencies(components);}catch(error){return Promise.reject(error);}%0Aorder.forEach(componentPath=>{if(this.config.componentsLoaded.has(componentPath)||this._componentLoads[componentPath])return;const entry=this.manifest[componentPath];const dependencyLoads=((entry&&entry.dependencies)||[]).map(dep=>this._componentLoads[dep]);this._componentLoads[componentPath]=Promise.all([this._fetchComponent(componentPath),...dependencyLoads]).then(([files])=>this._executeComponent(componentPath,files)).finally(()=>{delete this._componentLoads[componentPath];});});return Promise.all(order.map(componentPath=>this._componentLoads[componentPath]));},injectCSS:function(){this.DOM.addStyles(`%0A/* Bookmarklet Suite - CSS Library */%0A%0A/* 1. Reset and Base Styles */%0A.bms-container, .bms-container * {%0A  box-sizing: border-box;%0A  margin: 0;%0A  padding: 0;%0A  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;%0A  font-size: 14px;%0A  line-height: 1.5;%0A  color: var(--bms-text-color);%0A}%0A%0A/* 2. CSS Variables for Theming */%0A.bms-container {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23ffffff;%0A  --bms-text-color: %23212529;%0A  --bms-border-color: %23dee2e6;%0A  --bms-header-bg: %23f8f9fa;%0A  --bms-shadow: 0 5px 15px rgba(0,0,0,0.15);%0A}%0A%0A.bms-dark-theme {%0A  --bms-primary-color: %23007bff;%0A  --bms-background-color: %23212529;%0A  --bms-text-color: %23f8f9fa;%0A  --bms-border-color: %23495057;%0A  --bms-header-bg: %23343a40;%0A}%0A%0A/* 3. Panel Component */%0A.bms-panel {%0A  position: fixed;%0A  z-index: 9999;%0A  top: 50px;%0A  left: 50px;%0A  width: 350px;%0A  min-width: 200px;%0A  min-height: 150px;%0A  max-width: 90vw;%0A  background-color: var(--bms-background-color);%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  display: flex;%0A  flex-direction: column;%0A}%0A%0A.bms-panel-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  cursor: move;%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A  touch-action: none;%0A  user-select: none;%0A}%0A%0A.bms-panel-header:focus-visible,%0A.bms-resizer:focus-visible {%0A  outline: 2px solid var(--bms-primary-color);%0A  outline-offset: -2px;%0A}%0A%0A.bms-panel-title {%0A  font-weight: bold;%0A}%0A%0A.bms-panel-controls button {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  margin-left: 10px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-panel-content {%0A  padding: 15px;%0A  overflow-y: auto;%0A  flex-grow: 1;%0A}%0A%0A.bms-panel-footer {%0A  padding: 10px 15px;%0A  border-top: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-header-bg);%0A  border-bottom-left-radius: 7px;%0A  border-bottom-right-radius: 7px;%0A  position: relative;%0A}%0A%0A.bms-resizer {%0A  position: absolute;%0A  bottom: 0;%0A  right: 0;%0A  width: 10px;%0A  height: 10px;%0A  cursor: se-resize;%0A  touch-action: none;%0A}%0A%0A.bms-panel-tabs {%0A  display: flex;%0A  border-bottom: 1px solid var(--bms-border-color);%0A}%0A%0A.bms-tab-btn {%0A  padding: 10px 15px;%0A  cursor: pointer;%0A  background-color: transparent;%0A  border: none;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-tab-btn.bms-active {%0A  background-color: var(--bms-background-color);%0A  border-bottom: 2px solid var(--bms-primary-color);%0A}%0A%0A.bms-tab-content {%0A  display: none;%0A}%0A%0A.bms-tab-content.bms-active {%0A  display: block;%0A}%0A%0A/* 4. Modal Component */%0A.bms-modal-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10000;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-modal {%0A  background-color: var(--bms-background-color);%0A  border-radius: 8px;%0A  box-shadow: var(--bms-shadow);%0A  width: 500px;%0A  max-width: 90%25;%0A}%0A%0A.bms-modal-header {%0A  padding: 10px 15px;%0A  background-color: var(--bms-header-bg);%0A  border-bottom: 1px solid var(--bms-border-color);%0A  display: flex;%0A  justify-content: space-between;%0A  align-items: center;%0A  border-top-left-radius: 7px;%0A  border-top-right-radius: 7px;%0A}%0A%0A.bms-modal-title {%0A  font-weight: bold;%0A}%0A%0A.bms-modal-close-btn {%0A  background: none;%0A  border: none;%0A  cursor: pointer;%0A  font-size: 16px;%0A  color: var(--bms-text-color);%0A}%0A%0A.bms-modal-content {%0A  padding: 15px;%0A}%0A%0A/* 5. Spinner Component */%0A.bms-spinner-overlay {%0A  position: fixed;%0A  top: 0;%0A  left: 0;%0A  width: 100%25;%0A  height: 100%25;%0A  background-color: rgba(0, 0, 0, 0.5);%0A  z-index: 10001;%0A  display: flex;%0A  justify-content: center;%0A  align-items: center;%0A}%0A%0A.bms-spinner {%0A  border: 4px solid rgba(255, 255, 255, 0.3);%0A  border-radius: 50%25;%0A  border-top: 4px solid %23fff;%0A  width: 40px;%0A  height: 40px;%0A  animation: bms-spin 1s linear infinite;%0A}%0A%0A@keyframes bms-spin {%0A  0%25 { transform: rotate(0deg); }%0A  100%25 { transform: rotate(360deg); }%0A}%0A%0A/* 6. Status Bar Component */%0A.bms-status-bar {%0A  position: fixed;%0A  bottom: 20px;%0A  left: 50%25;%0A  transform: translateX(-50%25);%0A  padding: 10px 20px;%0A  border-radius: 5px;%0A  color: %23fff;%0A  z-index: 10002;%0A  opacity: 0;%0A  transition: opacity 0.3s ease-in-out;%0A}%0A%0A.bms-status-bar.bms-show {%0A  opacity: 1;%0A}%0A%0A.bms-status-info { background-color: %23007bff; }%0A.bms-status-success { background-color: %2328a745; }%0A.bms-status-warning { background-color: %23ffc107; color: %23212529; }%0A.bms-status-error { background-color: %23dc3545; }%0A%0A/* 7. Button Component */%0A.bms-button {%0A  display: inline-block;%0A  padding: 8px 12px;%0A  border: 1px solid var(--bms-border-color);%0A  background-color: var(--bms-background-color);%0A  color: var(--bms-text-color);%0A  border-radius: 4px;%0A  cursor: pointer;%0A  text-align: center;%0A  text-decoration: none;%0A}%0A%0A.bms-button:hover {%0A  opacity: 0.9;%0A}%0A%0A.bms-button-primary {%0A  background-color: var(--bms-primary-color);%0A  color: %23fff;%0A  border-color: var(--bms-primary-color);%0A}%0A%0A/* 8. Window Manager */%0A.bms-window-minimized {%0A  display: none !important;%0A}%0A%0A.bms-taskbar {%0A  position: fixed;%0A  left: 0;%0A  right: 0;%0A  bottom: 0;%0A  display: flex;%0A  gap: 6px;%0A  padding: 6px 10px;%0A  overflow-x: auto;%0A  background-color: var(--bms-background-color);%0A  border-top: 1px solid var(--bms-border-color);%0A  box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.15);%0A}%0A%0A.bms-taskbar-item {%0A  flex-shrink: 0;%0A  max-width: 200px;%0A  padding: 4px 10px;%0A  overflow: hidden;%0A  white-space: nowrap;%0A  text-overflow: ellipsis;%0A  border: 1px solid var(--bms-border-color);%0A  border-radius: 4px;%0A  background-color: var(--bms-header-bg);%0A  color: var(--bms-text-color);%0A  cursor: pointer;%0A}%0A%0A.bms-taskbar-item:hover,%0A.bms-taskbar-item:focus-visible {%0A  border-color: var(--bms-primary-color);%0A}%0A    `,'bms-styles');},UI:{createPanel:function({id,title,content,footer,persistLayout=true}){if(BMS.DOM.byId(id))return;const panel=document.createElement('div');panel.id=id;panel.className='bms-panel bms-container';const header=document.createElement('div');header.className='bms-panel-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-panel-title">${title}</span>%0A        <div class="bms-panel-controls">%0A          <button class="bms-theme-btn">T</button>%0A          <button class="bms-minimize-btn">-</button>%0A          <button class="bms-close-btn">%C3%97</button>%0A        </div>%0A      `);panel.appendChild(header);if(typeof content==='string'){const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';BMS.DOM.setHTML(contentContainer,content);panel.appendChild(contentContainer);}else if(Array.isArray(content)){const tabsContainer=document.createElement('div');tabsContainer.className='bms-panel-tabs';const contentContainer=document.createElement('div');contentContainer.className='bms-panel-content';content.forEach((tab,index)=>{const tabBtn=document.createElement('button');tabBtn.className='bms-tab-btn';tabBtn.textContent=tab.title;if(index===0)tabBtn.classList.add('bms-active');const tabContent=document.createElement('div');tabContent.className='bms-tab-content';if(index===0)tabContent.classList.add('bms-active');BMS.DOM.setHTML(tabContent,tab.content);tabBtn.onclick=()=>{tabsContainer.querySelectorAll('.bms-tab-btn').forEach(btn=>btn.classList.remove('bms-active'));contentContainer.querySelectorAll('.bms-tab-content').forEach(c=>c.classList.remove('bms-active'));tabBtn.classList.add('bms-active');tabContent.classList.add('bms-active');BMS.UI.WindowManager.saveLayout(panel);};tabsContainer.appendChild(tabBtn);contentContainer.appendChild(tabContent);});panel.appendChild(tabsContainer);panel.appendChild(contentContainer);}%0Aif(footer){const footerContainer=document.createElement('div');footerContainer.className='bms-panel-footer';BMS.DOM.setHTML(footerContainer,footer);const resizer=document.createElement('div');resizer.className='bms-resizer';footerContainer.appendChild(resizer);panel.appendChild(footerContainer);this._makeResizable(panel,resizer);}%0ABMS.DOM.mount(panel);this._makeDraggable(panel,header);this._addPanelControls(panel);BMS.events.emit('panel:created',{id,panel});this.WindowManager.register(panel,{persist:persistLayout});return panel;},_makeResizable:function(panel,resizer){let startX,startY,startWidth,startHeight;let resizing=false;resizer.tabIndex=0;resizer.setAttribute('role','button');resizer.setAttribute('aria-label','Resize panel');resizer.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');resizer.title='Drag, or press Shift+Arrow keys, to resize';resizer.addEventListener('pointerdown',(e)=>{if(e.button!==0)return;e.preventDefault();resizing=true;startX=e.clientX;startY=e.clientY;startWidth=panel.offsetWidth;startHeight=panel.offsetHeight;resizer.setPointerCapture(e.pointerId);});resizer.addEventListener('pointermove',(e)=>{if(!resizing)return;BMS.UI.WindowManager.resize(panel,startWidth+e.clientX-startX,startHeight+e.clientY-startY);});const stopResize=()=>{if(!resizing)return;resizing=false;BMS.UI.WindowManager.saveLayout(panel);};resizer.addEventListener('pointerup',stopResize);resizer.addEventListener('pointercancel',stopResize);resizer.addEventListener('keydown',(e)=>BMS.UI.WindowManager.handleKey(panel,e,'resize'));},createModal:function({id,title,content}){if(BMS.DOM.byId(id))return;const overlay=document.createElement('div');overlay.id=id;overlay.className='bms-modal-overlay bms-container';overlay.style.zIndex=this.WindowManager.overlayZIndex(0);const modal=document.createElement('div');modal.className='bms-modal';const header=document.createElement('div');header.className='bms-modal-header';BMS.DOM.setHTML(header,`%0A        <span class="bms-modal-title">${title}</span>%0A        <button class="bms-modal-close-btn">%C3%97</button>%0A      `);const contentContainer=document.createElement('div');contentContainer.className='bms-modal-content';BMS.DOM.setHTML(contentContainer,content);modal.appendChild(header);modal.appendChild(contentContainer);overlay.appendChild(modal);BMS.DOM.mount(overlay);overlay.querySelector('.bms-modal-close-btn').onclick=()=>overlay.remove();overlay.onclick=(e)=>{if(e.target===overlay){overlay.remove();}};return overlay;},showSpinner:function(){if(BMS.DOM.byId('bms-spinner'))return;const spinnerOverlay=document.createElement('div');spinnerOverlay.id='bms-spinner';spinnerOverlay.className='bms-spinner-overlay bms-container';spinnerOverlay.style.zIndex=this.WindowManager.overlayZIndex(1);BMS.DOM.setHTML(spinnerOverlay,'<div class="bms-spinner"></div>');BMS.DOM.mount(spinnerOverlay);},hideSpinner:function(){const spinnerOverlay=BMS.DOM.byId('bms-spinner');if(spinnerOverlay)spinnerOverlay.remove();},updateStatus:function(message,level='info',duration=3000){let statusBar=BMS.DOM.byId('bms-status-bar');if(!statusBar){statusBar=document.createElement('div');statusBar.id='bms-status-bar';statusBar.className='bms-status-bar bms-container';BMS.DOM.mount(statusBar);}%0AstatusBar.style.zIndex=this.WindowManager.overlayZIndex(2);statusBar.textContent=message;statusBar.className=`bms-status-bar bms-container bms-status-${level}`;setTimeout(()=>statusBar.classList.add('bms-show'),10);setTimeout(()=>{statusBar.classList.remove('bms-show');},duration);},_makeDraggable:function(panel,handle){let startX=0,startY=0,startLeft=0,startTop=0;let dragging=false;handle.tabIndex=0;handle.setAttribute('aria-keyshortcuts','Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');handle.title='Drag, or press Shift+Arrow keys, to move';handle.addEventListener('pointerdown',(e)=>{if(e.button!==0||e.target.closest('button'))return;e.preventDefault();dragging=true;startX=e.clientX;startY=e.clientY;startLeft=panel.offsetLeft;startTop=panel.offsetTop;handle.setPointerCapture(e.pointerId);});handle.addEventListener('pointermove',(e)=>{if(!dragging)return;BMS.UI.WindowManager.move(panel,startLeft+e.clientX-startX,startTop+e.clientY-startY,{snap:!e.altKey});});const stopDrag=()=>{if(!dragging)return;dragging=false;BMS.UI.WindowManager.saveLayout(panel);};handle.addEventListener('pointerup',stopDrag);handle.addEventListener('pointercancel',stopDrag);handle.addEventListener('keydown',(e)=>{if(e.target===handle){BMS.UI.WindowManager.handleKey(panel,e,'move');}});},closePanel:function(panel){if(!panel||!panel.isConnected)return;if(panel._bmsConfig&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.destroy(panel);}else{BMS.UI.WindowManager.unregister(panel);panel.remove();BMS.events.emit('panel:closed',{id:panel.id,panel});}},_addPanelControls:function(panel){const minimizeBtn=panel.querySelector('.bms-minimize-btn');const themeBtn=panel.querySelector('.bms-theme-btn');panel.querySelectorAll('.bms-close-btn').forEach(btn=>{btn.onclick=()=>BMS.UI.closePanel(panel);});minimizeBtn.title='Minimize';minimizeBtn.onclick=()=>BMS.UI.WindowManager.minimize(panel);themeBtn.onclick=()=>{panel.classList.toggle('bms-dark-theme');};},WindowManager:{panels:[],focused:null,cascadeStep:30,tileGap:10,keyboardStep:10,minWidth:200,minHeight:100,layers:{above:{min:2147483000,max:2147483499},below:{min:500,max:899}},register:function(panel,{persist=false}={}){if(this.panels.includes(panel))return;this._prune();panel._bmsLayoutKey=persist&&panel.id?`bms-panel-layout:${panel.id}`:null;const layout=this._restoreLayout(panel);if(!layout){this._place(panel);}%0Athis.panels.push(panel);panel.addEventListener('pointerdown',()=>this.focus(panel),true);panel.addEventListener('focusin',()=>this.focus(panel));this.focus(panel);if(!this._watchingResize){this._watchingResize=true;window.addEventListener('resize',()=>this._keepInView());}%0Aif(layout){this._restoreState(panel,layout);}%0Areturn layout;},unregister:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;this.panels.splice(index,1);panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();},focus:function(panel){const index=this.panels.indexOf(panel);if(index===-1)return;if(this.isMinimized(panel)){this.restore(panel);return;}%0Aif(index!==this.panels.length-1){this.panels.splice(index,1);this.panels.push(panel);}%0Athis._restack();if(this.focused!==panel){if(this.focused)this.focused.classList.remove('bms-panel-focused');this.focused=panel;panel.classList.add('bms-panel-focused');BMS.events.emit('panel:focused',{id:panel.id,panel});}},getPanels:function(includeMinimized=false){this._prune();return this.panels.filter(panel=>includeMinimized||!this.isMinimized(panel));},cascade:function(){const panels=this._floating();const bounds=this._bounds();const top=BMS.config.defaultPanelTop;const left=BMS.config.defaultPanelLeft;const steps=Math.max(1,Math.floor((bounds.bottom-top-150)/this.cascadeStep));panels.forEach((panel,index)=>{this._unmaximize(panel);const offset=(index%25steps)*this.cascadeStep;panel.style.top=`${top+offset}px`;panel.style.left=`${left+offset}px`;this.saveLayout(panel);});},tile:function(){const panels=this._floating();if(panels.length===0)return;const bounds=this._bounds();const gap=this.tileGap;const columns=Math.ceil(Math.sqrt(panels.length));const rows=Math.ceil(panels.length/columns);const width=Math.floor((bounds.right-bounds.left-gap*(columns+1))/columns);const height=Math.floor((bounds.bottom-bounds.top-gap*(rows+1))/rows);panels.forEach((panel,index)=>{this._unmaximize(panel);const column=index%25columns;const row=Math.floor(index/columns);panel.style.left=`${bounds.left+gap+column*(width+gap)}px`;panel.style.top=`${bounds.top+gap+row*(height+gap)}px`;panel.style.width=`${width}px`;panel.style.height=`${height}px`;this.saveLayout(panel);});},minimize:function(panel){if(!this.panels.includes(panel)||this.isMinimized(panel))return;const hadFocus=panel.contains(BMS.DOM.activeElement());panel.classList.add('bms-window-minimized');panel.classList.remove('bms-panel-focused');if(this.focused===panel){this.focused=null;this._focusTop();}%0Athis._renderTaskbar();this.saveLayout(panel);if(hadFocus){const item=[...this._taskbar.children].find(button=>button.dataset.panelId===panel.id);if(item)item.focus();}%0ABMS.events.emit('panel:minimized',{id:panel.id,panel});},restore:function(panel){if(!this.isMinimized(panel))return;panel.classList.remove('bms-window-minimized');this._renderTaskbar();this.focus(panel);this.saveLayout(panel);BMS.events.emit('panel:restored',{id:panel.id,panel});},isMinimized:function(panel){return panel.classList.contains('bms-window-minimized');},saveLayout:function(panel){const key=panel._bmsLayoutKey;if(!key||!panel.isConnected)return;const layout=this._readLayout(key)||{};const maximized=panel.classList.contains('bms-maximized');const docked=this._isDocked(panel);if(!maximized&&!docked&&!this.isMinimized(panel)){const rect=panel.getBoundingClientRect();const bounds=this._bounds();layout.left=Math.round(rect.left);layout.top=Math.round(rect.top);layout.width=parseFloat(panel.style.width)||null;layout.height=parseFloat(panel.style.height)||null;layout.docked=[rect.left<=bounds.left+1&&'left',rect.right>=bounds.right-1&&'right',rect.top<=bounds.top+1&&'top',rect.bottom>=bounds.bottom-1&&'bottom'].filter(Boolean);}%0Alayout.maximized=maximized;layout.dockSide=docked?panel.dataset.dockSide:null;if(docked){layout.dockSize=panel.offsetWidth;}%0Alayout.minimized=this.isMinimized(panel);layout.collapsed=panel.classList.contains('bms-collapsed');const tabs=this._tabs(panel);layout.tab=tabs.length>0?Math.max(0,tabs.findIndex(tab=>tab.classList.contains('bms-active'))):null;try{localStorage.setItem(key,JSON.stringify(layout));}catch(error){console.warn('BMS: could not save the panel layout:',error);}},resetLayout:function(){this.cascade();try{Object.keys(localStorage).filter(key=>key.startsWith('bms-panel-layout:')).forEach(key=>localStorage.removeItem(key));}catch(error){console.warn('BMS: could not clear the panel layouts:',error);}},snap:function(panel,left,top){const threshold=BMS.config.snapThreshold;if(!threshold)return{left,top};const width=panel.offsetWidth;const height=panel.offsetHeight;const bounds=this._bounds();const xs=[bounds.left,bounds.right-width];const ys=[bounds.top,bounds.bottom-height];this.getPanels().forEach(other=>{if(other===panel)return;const rect=other.getBoundingClientRect();if(top<rect.bottom+threshold&&top+height>rect.top-threshold){xs.push(rect.right,rect.left-width);ys.push(rect.top,rect.bottom-height);}%0Aif(left<rect.right+threshold&&left+width>rect.left-threshold){ys.push(rect.bottom,rect.top-height);xs.push(rect.left,rect.right-width);}});const nearest=(value,targets)=>{const target=targets.reduce((best,candidate)=>Math.abs(candidate-value)<Math.abs(best-value)?candidate:best);return Math.abs(target-value)<=threshold?target:value;};return{left:nearest(left,xs),top:nearest(top,ys)};},move:function(panel,left,top,{snap=true}={}){if(snap){({left,top}=this.snap(panel,left,top));}%0Aconst bounds=this._bounds();panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-panel.offsetWidth)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-panel.offsetHeight)}px`;},resize:function(panel,width,height){const bounds=this._bounds();width=BMS.Utils.clamp(width,this.minWidth,bounds.right-panel.offsetLeft);height=BMS.Utils.clamp(height,this.minHeight,bounds.bottom-panel.offsetTop);panel.style.width=`${width}px`;panel.style.height=`${height}px`;return{width,height};},handleKey:function(panel,e,action){const directions={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]};const direction=directions[e.key];if(!direction||!e.shiftKey||e.altKey||e.ctrlKey||e.metaKey)return false;if(panel.classList.contains('bms-maximized')||this._isDocked(panel))return false;e.preventDefault();const[dx,dy]=direction.map(step=>step*this.keyboardStep);if(action==='resize'){this.resize(panel,panel.offsetWidth+dx,panel.offsetHeight+dy);}else{this.move(panel,panel.offsetLeft+dx,panel.offsetTop+dy,{snap:false});}%0Athis.saveLayout(panel);return true;},overlayZIndex:function(offset=0){return this._layer().max+1+offset;},_layer:function(){return this.layers[BMS.config.windowLayer]||this.layers.above;},_restack:function(){const layer=this._layer();this.panels.forEach((panel,index)=>{panel.style.zIndex=Math.min(layer.min+index,layer.max);});},_prune:function(){const panels=this.panels.filter(panel=>panel.isConnected);if(panels.length===this.panels.length)return;this.panels=panels;if(this.focused&&!this.focused.isConnected){this.focused=null;}%0Athis._renderTaskbar();},_keepInView:function(){this._floating().filter(panel=>!panel.classList.contains('bms-maximized')).forEach(panel=>this.move(panel,panel.offsetLeft,panel.offsetTop,{snap:false}));},_readLayout:function(key){if(!key)return null;try{const layout=JSON.parse(localStorage.getItem(key));return layout&&typeof layout==='object'?layout:null;}catch(error){console.warn('BMS: could not read the saved panel layout:',error);return null;}},_restoreLayout:function(panel){const layout=this._readLayout(panel._bmsLayoutKey);if(!layout)return null;const bounds=this._bounds();const docked=Array.isArray(layout.docked)?layout.docked:[];const size=(value,max)=>Number.isFinite(value)&&value>0?Math.min(value,max):null;const width=size(layout.width,bounds.right-bounds.left);const height=size(layout.height,bounds.bottom-bounds.top);if(width)panel.style.width=`${width}px`;if(height)panel.style.height=`${height}px`;if(Number.isFinite(layout.left)&&Number.isFinite(layout.top)){const rect=panel.getBoundingClientRect();const maxLeft=Math.max(bounds.left,bounds.right-rect.width);const maxTop=Math.max(bounds.top,bounds.bottom-rect.height);const left=docked.includes('right')?maxLeft:docked.includes('left')?bounds.left:layout.left;const top=docked.includes('bottom')?maxTop:docked.includes('top')?bounds.top:layout.top;panel.style.left=`${Math.min(Math.max(left,bounds.left),maxLeft)}px`;panel.style.top=`${Math.min(Math.max(top,bounds.top),maxTop)}px`;}%0Aconst tabs=this._tabs(panel);if(Number.isInteger(layout.tab)&&tabs[layout.tab]){tabs[layout.tab].click();}%0Areturn layout;},_restoreState:function(panel,layout){const Panel=BMS.UI.Components&&BMS.UI.Components.Panel;if(Panel&&panel._bmsConfig){if(layout.collapsed&&!panel.classList.contains('bms-collapsed')){Panel.toggleCollapse(panel);}%0Aif(layout.maximized&&!panel.classList.contains('bms-maximized')){Panel.maximize(panel);}%0Aif(layout.dockSide&&Panel.dock){Panel.dock(panel,layout.dockSide,layout.dockSize);}}%0Aif(layout.minimized){this.minimize(panel);}},_isDocked:function(panel){return panel.classList.contains('bms-docked');},_floating:function(){return this.getPanels().filter(panel=>!this._isDocked(panel));},_tabs:function(panel){return Array.from(panel.querySelectorAll(':scope > .bms-panel-tabs > .bms-tab-btn'));},_focusTop:function(){const visible=this.getPanels();if(visible.length>0){this.focus(visible[visible.length-1]);}},_place:function(panel){const bounds=this._bounds();const taken=this.getPanels().map(other=>other.getBoundingClientRect());const rect=panel.getBoundingClientRect();let left=rect.left;let top=rect.top;let moved=false;for(let i=0;i<taken.length&&taken.some(other=>Math.abs(other.left-left)<this.cascadeStep/2&&Math.abs(other.top-top)<this.cascadeStep/2);i++){left+=this.cascadeStep;top+=this.cascadeStep;moved=true;}%0Aif(!moved)return;panel.style.left=`${BMS.Utils.clamp(left,bounds.left,bounds.right-rect.width)}px`;panel.style.top=`${BMS.Utils.clamp(top,bounds.top,bounds.bottom-rect.height)}px`;},_unmaximize:function(panel){if(panel.classList.contains('bms-maximized')&&BMS.UI.Components&&BMS.UI.Components.Panel){BMS.UI.Components.Panel.maximize(panel);}},_bounds:function(){const taskbar=this._taskbar&&this._taskbar.isConnected?this._taskbar.offsetHeight:0;const docked=this.getPanels().filter(panel=>this._isDocked(panel));const dockWidth=side=>docked.filter(panel=>panel.dataset.dockSide===side).reduce((total,panel)=>total+panel.offsetWidth,0);return{left:dockWidth('left'),top:0,right:(document.documentElement.clientWidth||window.innerWidth)-dockWidth('right'),bottom:(document.documentElement.clientHeight||window.innerHeight)-taskbar};},_renderTaskbar:function(){const minimized=this.panels.filter(panel=>this.isMinimized(panel));if(minimized.length===0){if(this._taskbar)this._taskbar.remove();return;}%0Aif(!this._taskbar){this._taskbar=document.createElement('div');this._taskbar.className='bms-taskbar bms-container';this._taskbar.setAttribute('role','toolbar');this._taskbar.setAttribute('aria-label','Minimized panels');}%0Aif(!this._taskbar.isConnected){BMS.DOM.mount(this._taskbar);}%0Athis._taskbar.style.zIndex=this._layer().max;this._taskbar.replaceChildren(...minimized.map(panel=>{const title=panel.querySelector('.bms-panel-title');const button=document.createElement('button');button.type='button';button.className='bms-taskbar-item';button.dataset.panelId=panel.id;button.textContent=(title&&title.textContent.trim())||panel.id;button.title=`Restore ${button.textContent}`;button.addEventListener('click',()=>this.restore(panel));return button;}));},_taskbar:null}},DOM:{select:function(selector){return document.querySelector(selector);},selectAll:function(selector){return document.querySelectorAll(selector);},setHTML:function(element,html){element.replaceChildren(this.sanitize(html));},sanitizer:{elements:new Set(['a','abbr','article','aside','audio','b','blockquote','br','button','caption','code','col','colgroup','dd','del','details','div','dl','dt','em','fieldset','figcaption','figure','footer','h1','h2','h3','h4','h5','h6','header','hr','i','img','input','ins','kbd','label','legend','li','main','mark','nav','ol','optgroup','option','p','picture','pre','progress','q','s','section','select','small','source','span','strong','sub','summary','sup','table','tbody','td','textarea','tfoot','th','thead','time','tr','u','ul','video','svg','g','path','circle','ellipse','line','polyline','polygon','rect','text','tspan','defs','lineargradient','radialgradient','stop','title','animatetransform']),dropElements:new Set(['script','style','iframe','frame','frameset','object','embed','noscript','template','link','meta','base','math','foreignobject']),attributes:new Set(['id','class','style','title','role','tabindex','dir','lang','hidden','href','target','rel','download','src','srcset','alt','width','height','loading','type','value','placeholder','checked','disabled','readonly','selected','multiple','min','max','step','for','rows','cols','colspan','rowspan','scope','span','start','datetime','open','controls','poster','muted','loop','preload','playsinline','viewbox','xmlns','fill','fill-opacity','fill-rule','clip-rule','stroke','stroke-width','stroke-linecap','stroke-linejoin','stroke-opacity','stroke-dasharray','stroke-dashoffset','d','cx','cy','r','rx','ry','x','y','x1','x2','y1','y2','points','transform','opacity','offset','stop-color','stop-opacity','gradientunits','text-anchor','font-size','attributename','from','to','dur','repeatcount','values']),dropStyles:new Set(['position','top','right','bottom','left','inset','inset-block','inset-block-start','inset-block-end','inset-inline','inset-inline-start','inset-inline-end','z-index','transform','translate']),urlAttributes:new Set(['href','src','srcset','poster','xlink:href']),urlSchemes:new Set(['http','https','mailto','tel','blob'])},sanitize:(function(){let policy;function trustedHTML(html){if(!window.trustedTypes||!BMS.config.trustedTypesPolicy)return html;if(policy===undefined){try{policy=trustedTypes.createPolicy(BMS.config.trustedTypesPolicy,{createHTML:input=>input});}catch(error){console.warn(`BMS: Trusted Types policy "${BMS.config.trustedTypesPolicy}" not allowed on this page`);policy=null;}}%0Areturn policy?policy.createHTML(html):html;}%0Areturn function(html){const template=document.createElement('template');html=html==null?'':String(html);try{template.innerHTML=trustedHTML(html);}catch(error){console.warn('BMS: cannot parse HTML on this page, showing it as text:',error.message);template.content.replaceChildren(document.createTextNode(html));return template.content;}%0Athis._sanitizeChildren(template.content);return template.content;};})(),_sanitizeChildren:function(parent){const{elements,dropElements,attributes,urlAttributes}=this.sanitizer;Array.from(parent.childNodes).forEach(node=>{if(node.nodeType===Node.TEXT_NODE)return;if(node.nodeType!==Node.ELEMENT_NODE){node.remove();return;}%0Aconst tag=node.localName.toLowerCase();if(dropElements.has(tag)){node.remove();return;}%0Athis._sanitizeChildren(node);if(!elements.has(tag)){node.replaceWith(...node.childNodes);return;}%0AArray.from(node.attributes).forEach(attr=>{const name=attr.name.toLowerCase();const allowed=name.startsWith('aria-')||name.startsWith('data-')||attributes.has(name)||urlAttributes.has(name);if(!allowed||(urlAttributes.has(name)&&!this._isSafeURL(attr.value,name==='srcset'))){node.removeAttribute(attr.name);}});if(node.hasAttribute('style')){this._sanitizeStyle(node);}});},_sanitizeStyle:function(node){Array.from(node.style).forEach(property=>{if(this.sanitizer.dropStyles.has(property)||/url\(/i.test(node.style.getPropertyValue(property))){node.style.removeProperty(property);}});if(node.style.length===0){node.removeAttribute('style');}},_isSafeURL:function(value,isSrcset){const urls=isSrcset?value.split(',').map(candidate=>candidate.trim().split(/\s+/)[0]):[value];return urls.every(url=>{const match=url.replace(/[\u0000-\u0020\u007f-\u009f]/g,'').match(/^([a-z][a-z0-9+.-]*):/i);if(!match)return true;const scheme=match[1].toLowerCase();if(scheme==='data')return/^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(url.trim());return this.sanitizer.urlSchemes.has(scheme);});},getRoot:function(){if(BMS.config.isolation!=='shadow'||!document.body.attachShadow){return document.body;}%0Aif(!this._shadowRoot){const host=document.createElement('div');host.id='bms-shadow-host';this._shadowRoot=host.attachShadow({mode:'open'});document.body.appendChild(host);const zIndex=BMS.config.windowLayer==='below'?BMS.UI.WindowManager.layers.below.min:2147483647;this.addStyles(`:host { all: initial; position: fixed; top: 0; left: 0; z-index: ${zIndex}; }`,'bms-host');Object.keys(this._styleSources).forEach(id=>this.addStyles(this._styleSources[id],id));}else if(!this._shadowRoot.host.isConnected){document.body.appendChild(this._shadowRoot.host);}%0Areturn this._shadowRoot;},mount:function(element){return this.getRoot().appendChild(element);},byId:function(id){const root=this.getRoot();return root.getElementById?root.getElementById(id):document.getElementById(id);},activeElement:function(){let element=document.activeElement;while(element&&element.shadowRoot&&element.shadowRoot.activeElement){element=element.shadowRoot.activeElement;}%0Areturn element;},addStyles:function(cssText,id){this._styleSources[id]=cssText;const root=this.getRoot();const target=root===document.body?document:root;if(!this._styles.has(target))this._styles.set(target,new Set());const added=this._styles.get(target);if(added.has(id)||(target===document&&document.getElementById(id)))return;added.add(id);try{const sheet=new CSSStyleSheet();sheet.replaceSync(cssText);target.adoptedStyleSheets=[...target.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=document.createElement('style');style.id=id;style.textContent=cssText;(target===document?document.head:target).appendChild(style);},copyStyles:function(targetDocument){const view=targetDocument.defaultView;Object.keys(this._styleSources).forEach(id=>{const cssText=this._styleSources[id];try{const sheet=new view.CSSStyleSheet();sheet.replaceSync(cssText);targetDocument.adoptedStyleSheets=[...targetDocument.adoptedStyleSheets,sheet];return;}catch(error){}%0Aconst style=targetDocument.createElement('style');style.id=id;style.textContent=cssText;targetDocument.head.appendChild(style);});},_styles:new WeakMap(),_styleSources:{}},Utils:{generateId:function(prefix='bms-'){return prefix+Math.random().toString(36).substr(2,9);},clamp:function(value,min,max){return Math.max(min,Math.min(value,max));},copyToClipboard:function(text){const ta=document.createElement('textarea');ta.style.position='absolute';ta.style.left='-9999px';ta.value=text;document.body.appendChild(ta);ta.select();try{document.execCommand('copy');BMS.UI.updateStatus('Copied to clipboard!','success');}catch(err){BMS.UI.updateStatus('Failed to copy','error');}%0Adocument.body.removeChild(ta);},throttle:function(func,limit){let inThrottle;return function(){const args=arguments;const context=this;if(!inThrottle){func.apply(context,args);inThrottle=true;setTimeout(()=>inThrottle=false,limit);}}},debounce:function(func,delay){let timeout;return function(){const context=this;const args=arguments;clearTimeout(timeout);timeout=setTimeout(()=>func.apply(context,args),delay);};},parseEngagementCount:function(text){if(!text)return 0;const cleanText=text.replace(/[^0-9KkMmBb.]/g,'').toUpperCase();if(cleanText.length===0)return 0;const number=parseFloat(cleanText.replace(/[KMB]/g,''));if(isNaN(number))return 0;if(cleanText.includes('K'))return Math.round(number*1000);if(cleanText.includes('M'))return Math.round(number*1000000);if(cleanText.includes('B'))return Math.round(number*1000000000);return Math.round(number);}}};BMS.init();}%0ABMS.bundleComponent("navigation/command-palette/command-palette",function(){(function(){if(!window.BMS)window.BMS={};if(!window.BMS.UI)window.BMS.UI={};if(!window.BMS.UI.Components)window.BMS.UI.Components={};BMS.UI.Components.CommandPalette={active:null,open:function(options={}){const defaults={id:BMS.Utils?.generateId?.('bms-palette-')||'bms-palette-'+Date.now(),placeholder:'Type a command%E2%80%A6',emptyText:'No matching commands',commands:[],maxResults:50,zIndex:BMS.UI.WindowManager?.overlayZIndex(20)??11500,onClose:null};const config={...defaults,...options};if(this.active){this.close(this.active);}%0Aconst overlay=document.createElement('div');overlay.className='bms-palette-overlay';overlay.style.zIndex=config.zIndex;const palette=document.createElement('div');palette.id=config.id;palette.className='bms-palette';palette.setAttribute('role','dialog');palette.setAttribute('aria-modal','true');palette.setAttribute('aria-label','Command palette');const input=document.createElement('input');input.type='text';input.className='bms-palette-input';input.placeholder=config.placeholder;input.autocomplete='off';input.spellcheck=false;input.setAttribute('role','combobox');input.setAttribute('aria-expanded','true');input.setAttribute('aria-autocomplete','list');input.setAttribute('aria-controls',`${config.id}-list`);const list=document.createElement('ul');list.id=`${config.id}-list`;list.className='bms-palette-list';list.setAttribute('role','listbox');const hint=document.createElement('div');hint.className='bms-palette-hint';hint.textContent='%E2%86%91%E2%86%93 to navigate %C2%B7 Enter to run %C2%B7 Esc to close';palette.appendChild(input);palette.appendChild(list);palette.appendChild(hint);overlay.appendChild(palette);palette._bmsConfig=config;palette._bmsState={results:[],activeIndex:0};palette._previousFocus=BMS.DOM?.activeElement?.()||document.activeElement;(BMS.DOM?.getRoot?.()||document.body).appendChild(overlay);this.active=palette;this._setupEvents(overlay,palette);this._render(palette);input.focus();return palette;},close:function(palette){if(!palette||!palette.isConnected)return;const config=palette._bmsConfig;palette.parentElement.remove();if(this.active===palette){this.active=null;}%0Aif(palette._previousFocus&&palette._previousFocus.focus){palette._previousFocus.focus();}%0Aif(config.onClose){config.onClose(palette);}},setCommands:function(palette,commands){palette._bmsConfig.commands=commands;this._render(palette);},filter:function(commands,query){query=query.trim();if(!query){return commands.map(command=>({command,score:0,matches:[]}));}%0Aconst results=[];commands.forEach((command,order)=>{const title=this.fuzzyMatch(query,command.title);const extra=[command.subtitle,command.group,...(command.keywords||[])].filter(Boolean).map(text=>this.fuzzyMatch(query,text)).filter(Boolean).reduce((best,match)=>Math.max(best,match.score),-Infinity);const score=Math.max(title?title.score:-Infinity,extra/2);if(score>-Infinity){results.push({command,score,order,matches:title?title.indices:[]});}});results.sort((a,b)=>b.score-a.score||a.order-b.order);return results.map(({command,score,matches})=>({command,score,matches}));},fuzzyMatch:function(query,text){const needle=query.toLowerCase().replace(/\s+/g,'');const haystack=String(text||'');const lower=haystack.toLowerCase();if(!needle)return{score:0,indices:[]};const isWordStart=(i)=>i===0||!/[a-z0-9]/i.test(haystack[i-1])||(/[a-z]/.test(haystack[i-1])&&/[A-Z]/.test(haystack[i]));const attempt=(preferWordStarts)=>{const indices=[];let from=0;for(const ch of needle){let index=lower.indexOf(ch,from);if(index===-1)return null;if(preferWordStarts&&index!==from&&!isWordStart(index)){for(let i=index+1;i<lower.length;i++){if(lower[i]===ch&&isWordStart(i)){index=i;break;}}}%0Aindices.push(index);from=index+1;}%0Areturn indices;};const score=(indices)=>indices.reduce((total,index,i)=>{let points=1;if(isWordStart(index))points+=6;if(i>0&&index===indices[i-1]+1)points+=4;return total+points;},lower.startsWith(needle)?10:0)-Math.min(indices[0],10)*0.5;const candidates=[attempt(true),attempt(false)].filter(Boolean);if(candidates.length===0)return null;return candidates.map(indices=>({score:score(indices),indices})).reduce((best,match)=>match.score>best.score?match:best);},_setupEvents:function(overlay,palette){const input=palette.querySelector('.bms-palette-input');const list=palette.querySelector('.bms-palette-list');const state=palette._bmsState;input.addEventListener('input',()=>{state.activeIndex=0;this._render(palette);});input.addEventListener('keydown',(e)=>{const count=state.results.length;switch(e.key){case'ArrowDown':case'ArrowUp':e.preventDefault();if(count>0){const step=e.key==='ArrowDown'?1:-1;this._setActive(palette,(state.activeIndex+step+count)%25count);}%0Abreak;case'PageDown':case'PageUp':e.preventDefault();if(count>0){const step=e.key==='PageDown'?8:-8;this._setActive(palette,Math.max(0,Math.min(count-1,state.activeIndex+step)));}%0Abreak;case'Enter':e.preventDefault();if(state.results[state.activeIndex]){this._execute(palette,state.results[state.activeIndex].command);}%0Abreak;case'Escape':e.preventDefault();e.stopPropagation();this.close(palette);break;case'Tab':e.preventDefault();break;}});list.addEventListener('mousemove',(e)=>{const item=e.target.closest('.bms-palette-item');if(item&&Number(item.dataset.index)!==state.activeIndex){this._setActive(palette,Number(item.dataset.index),false);}});list.addEventListener('click',(e)=>{const item=e.target.closest('.bms-palette-item');if(item){this._execute(palette,state.results[Number(item.dataset.index)].command);}});overlay.addEventListener('mousedown',(e)=>{if(e.target===overlay){this.close(palette);}});},_render:function(palette){const config=palette._bmsConfig;const state=palette._bmsState;const input=palette.querySelector('.bms-palette-input');const list=palette.querySelector('.bms-palette-list');state.results=this.filter(config.commands,input.value).slice(0,config.maxResults);state.activeIndex=Math.min(state.activeIndex,Math.max(0,state.results.length-1));list.replaceChildren();if(state.results.length===0){const empty=document.createElement('li');empty.className='bms-palette-empty';empty.textContent=config.emptyText;list.appendChild(empty);input.removeAttribute('aria-activedescendant');return;}%0Astate.results.forEach(({command,matches},index)=>{const item=document.createElement('li');item.id=`${config.id}-option-${index}`;item.className='bms-palette-item';item.dataset.index=index;item.setAttribute('role','option');const icon=document.createElement('span');icon.className='bms-palette-icon';icon.textContent=command.icon||'';icon.setAttribute('aria-hidden','true');const text=document.createElement('span');text.className='bms-palette-text';const title=document.createElement('span');title.className='bms-palette-title';this._highlight(title,command.title,matches);text.appendChild(title);if(command.subtitle){const subtitle=document.createElement('span');subtitle.className='bms-palette-subtitle';subtitle.textContent=command.subtitle;text.appendChild(subtitle);}%0Aitem.appendChild(icon);item.appendChild(text);if(command.group){const group=document.createElement('span');group.className='bms-palette-group';group.textContent=command.group;item.appendChild(group);}%0Alist.appendChild(item);});this._setActive(palette,state.activeIndex);},_highlight:function(element,text,matches){const matched=new Set(matches);let run='';let runMatched=false;const flush=()=>{if(!run)return;if(runMatched){const mark=document.createElement('mark');mark.textContent=run;element.appendChild(mark);}else{element.appendChild(document.createTextNode(run));}%0Arun='';};String(text).split('').forEach((ch,i)=>{const isMatch=matched.has(i);if(isMatch!==runMatched){flush();runMatched=isMatch;}%0Arun+=ch;});flush();},_setActive:function(palette,index,scroll=true){const state=palette._bmsState;const input=palette.querySelector('.bms-palette-input');state.activeIndex=index;palette.querySelectorAll('.bms-palette-item').forEach((item,i)=>{const selected=i===index;item.classList.toggle('bms-palette-item-active',selected);item.setAttribute('aria-selected',String(selected));if(selected){input.setAttribute('aria-activedescendant',item.id);if(scroll&&item.scrollIntoView){item.scrollIntoView({block:'nearest'});}}});},_execute:function(palette,command){this.close(palette);if(typeof command.run==='function'){Promise.resolve().then(()=>command.run()).catch(error=>console.error(`Command "${command.title}" failed:`,error));}}};})();},".bms-palette-overlay{position: fixed;top: 0;left: 0;right: 0;bottom: 0;background: rgba(0,0,0,0.5);display: flex;justify-content: center;align-items: flex-start;padding-top: 15vh;z-index: 11500}.bms-palette{width: min(640px,92vw);max-height: 70vh;display: flex;flex-direction: column;background: var(--bms-palette-bg,%231e1e1e);border: 1px solid var(--bms-palette-border,%233a3a3a);border-radius: 12px;box-shadow: 0 16px 48px rgba(0,0,0,0.5),0 0 0 1px rgba(255,255,255,0.08);color: var(--bms-palette-text,%23e0e0e0);font-family: -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;font-size: 14px;overflow: hidden;animation: bms-palette-in 0.15s ease-out}.bms-palette-input{width: 100%25;box-sizing: border-box;padding: 16px 20px;border: none;border-bottom: 1px solid var(--bms-palette-border,%233a3a3a);background: transparent;color: inherit;font: inherit;font-size: 17px;outline: none}.bms-palette-input::placeholder{color: var(--bms-palette-muted,%23808080)}.bms-palette-list{list-style: none;margin: 0;padding: 6px;overflow-y: auto;flex: 1}.bms-palette-item{display: flex;align-items: center;gap: 12px;padding: 8px 12px;border-radius: 8px;cursor: pointer}.bms-palette-item-active{background: var(--bms-palette-active-bg,rgba(102,126,234,0.25))}.bms-palette-icon{width: 24px;flex-shrink: 0;text-align: center;font-size: 18px}.bms-palette-text{display: flex;flex-direction: column;flex: 1;min-width: 0}.bms-palette-title,.bms-palette-subtitle{white-space: nowrap;overflow: hidden;text-overflow: ellipsis}.bms-palette-title mark{background: none;color: var(--bms-palette-match,%238fa2ff);font-weight: 600}.bms-palette-subtitle{font-size: 12px;color: var(--bms-palette-muted,%23808080)}.bms-palette-group{flex-shrink: 0;font-size: 11px;text-transform: uppercase;letter-spacing: 0.05em;color: var(--bms-palette-muted,%23808080)}.bms-palette-empty{padding: 16px 12px;text-align: center;color: var(--bms-palette-muted,%23808080)}.bms-palette-hint{padding: 8px 16px;border-top: 1px solid var(--bms-palette-border,%233a3a3a);font-size: 12px;color: var(--bms-palette-muted,%23808080)}@keyframes bms-palette-in{from{opacity: 0;transform: translateY(-8px) scale(0.98)}to{opacity: 1;transform: translateY(0) scale(1)}}.bms-light-theme .bms-palette{--bms-palette-bg: %23ffffff;--bms-palette-border: %23e0e0e0;--bms-palette-text: %23333333;--bms-palette-muted: %23888888;--bms-palette-match: %234c5fd5;--bms-palette-active-bg: %23eef1fd}@media (prefers-reduced-motion: reduce){.bms-palette{animation: none}}");BMS.registerOnly=true;try{BMS.registerBookmarklet({id:'launcher',name:'BMS Launcher',version:'1.0.0',icon:'%F0%9F%9A%80',description:'Searches every BMS tool and action, and opens the one you pick',components:['navigation/command-palette/command-palette'],run:async function(){async function launch(tool,actionId){try{if(!BMS.bookmarklets[tool.id]){BMS.UI.updateStatus(`Loading ${tool.name}...`,'info');await BMS.loadBookmarklet(tool.id);}%0Aif(actionId){await BMS.runBookmarkletAction(tool.id,actionId);}else{await BMS.runBookmarklet(tool.id);}}catch(error){console.error(`Launcher: ${tool.name} failed:`,error);BMS.UI.updateStatus(error.message,'error',6000);}}%0Afunction buildCommands(){const commands=[];BMS.listBookmarklets().filter(tool=>tool.id!=='launcher').forEach(tool=>{commands.push({id:tool.id,title:tool.name,subtitle:tool.description,icon:tool.icon,group:'Tool',keywords:[tool.id],run:()=>launch(tool)});tool.actions.forEach(action=>{commands.push({id:`${tool.id}:${action.id}`,title:action.title,subtitle:tool.name,icon:tool.icon,group:'Action',run:()=>launch(tool,action.id)});});});commands.push({id:'window:reset-layout',title:'Reset panel layout',subtitle:'Forget where BMS panels were moved and resized on this site',icon:'%F0%9F%97%94',group:'Window',run:()=>BMS.UI.WindowManager.resetLayout()});return commands;}%0Aconst commands=buildCommands();if(BMS.UI.Components&&BMS.UI.Components.CommandPalette){return BMS.UI.Components.CommandPalette.open({placeholder:'Search BMS tools and actions...',commands:commands});}%0Aconst panel=BMS.UI.createPanel({id:'bms-launcher-panel',title:'%F0%9F%9A%80 BMS Launcher',content:'<div class="bms-launcher-list"></div>',footer:'<button class="bms-button bms-close-btn">Close</button>'});if(!panel)return null;const list=panel.querySelector('.bms-launcher-list');commands.forEach(command=>{const button=document.createElement('button');button.className='bms-button';button.style.cssText='display: block; width: 100%25; margin-bottom: 6px; text-align: left;';button.textContent=`${command.icon} ${command.group==='Action'?command.subtitle+': ':''}${command.title}`;button.addEventListener('click',()=>{BMS.UI.closePanel(panel);command.run();});list.appendChild(button);});return panel;},teardown:function(instance){if(instance.classList.contains('bms-palette')){BMS.UI.Components.CommandPalette.close(instance);}else{BMS.UI.closePanel(instance);}}});}finally{BMS.registerOnly=false;}%0ABMS.runBookmarklet("launcher");})();
\ No newline at end of file
@@ -0,0 +1,106 @@
+BMS.registerBookmarklet({
+  id: 'launcher',
+  name: 'BMS Launcher',
+  version: '1.0.0',
+  icon: '🚀',
+  description: 'Searches every BMS tool and action, and opens the one you pick',
+  components: [
+    'navigation/command-palette/command-palette'
+  ],
+
+  run: async function() {
+    // Tools that aren't on the page yet are fetched when picked
+    async function launch(tool, actionId) {
+      try {
+        if (!BMS.bookmarklets[tool.id]) {
+          BMS.UI.updateStatus(`Loading ${tool.name}...`, 'info');
+          await BMS.loadBookmarklet(tool.id);
+        }
+        if (actionId) {
+          await BMS.runBookmarkletAction(tool.id, actionId);
+        } else {
+          await BMS.runBookmarklet(tool.id);
+        }
+      } catch (error) {
+        console.error(`Launcher: ${tool.name} failed:`, error);
+        BMS.UI.updateStatus(error.message, 'error', 6000);
+      }
+    }
+
+    function buildCommands() {
+      const commands = [];
+      BMS.listBookmarklets()
+        .filter(tool => tool.id !== 'launcher')
+        .forEach(tool => {
+          commands.push({
+            id: tool.id,
+            title: tool.name,
+            subtitle: tool.description,
+            icon: tool.icon,
+            group: 'Tool',
+            keywords: [tool.id],
+            run: () => launch(tool)
+          });
+          tool.actions.forEach(action => {
+            commands.push({
+              id: `${tool.id}:${action.id}`,
+              title: action.title,
+              subtitle: tool.name,
+              icon: tool.icon,
+              group: 'Action',
+              run: () => launch(tool, action.id)
+            });
+          });
+        });
+      commands.push({
+        id: 'window:reset-layout',
+        title: 'Reset panel layout',
+        subtitle: 'Forget where BMS panels were moved and resized on this site',
+        icon: '🗔',
+        group: 'Window',
+        run: () => BMS.UI.WindowManager.resetLayout()
+      });
+      return commands;
+    }
+
+    const commands = buildCommands();
+
+    if (BMS.UI.Components && BMS.UI.Components.CommandPalette) {
+      return BMS.UI.Components.CommandPalette.open({
+        placeholder: 'Search BMS tools and actions...',
+        commands: commands
+      });
+    }
+
+    // Fallback to a basic panel with one button per command
+    const panel = BMS.UI.createPanel({
+      id: 'bms-launcher-panel',
+      title: '🚀 BMS Launcher',
+      content: '<div class="bms-launcher-list"></div>',
+      footer: '<button class="bms-button bms-close-btn">Close</button>'
+    });
+    if (!panel) return null;
+
+    const list = panel.querySelector('.bms-launcher-list');
+    commands.forEach(command => {
+      const button = document.createElement('button');
+      button.className = 'bms-button';
+      button.style.cssText = 'display: block; width: 100%; margin-bottom: 6px; text-align: left;';
+      button.textContent = `${command.icon} ${command.group === 'Action' ? command.subtitle + ': ' : ''}${command.title}`;
+      button.addEventListener('click', () => {
+        BMS.UI.closePanel(panel);
+        command.run();
+      });
+      list.appendChild(button);
+    });
+    return panel;
+  },
+
+  teardown: function(instance) {
+    if (instance.classList.contains('bms-palette')) {
+      BMS.UI.Components.CommandPalette.close(instance);
+    } else {
+      BMS.UI.closePanel(instance);
+    }
+  }
+});
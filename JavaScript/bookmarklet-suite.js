@@ -3,7 +3,54 @@ window.BMS = {
     defaultPanelTop: 50,
     defaultPanelLeft: 50,
     componentsBaseUrl: 'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/components/',
+    bookmarkletsBaseUrl: 'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/',
     componentsLoaded: new Set(),
+    verifyIntegrity: true,
+    useCache: true,
+    cacheMaxAge: 60 * 60 * 1000,
+    // 'shadow' renders all BMS UI inside a shadow root, isolated from page CSS
+    isolation: 'none',
+    // Trusted Types policy used by BMS.DOM.setHTML on pages that enforce them; null to never create one
+    trustedTypesPolicy: 'bms',
+    // 'above' stacks BMS windows over the page's own overlays, 'below' under them
+    windowLayer: 'above',
+    // Distance in px at which dragged panels snap to edges; 0 turns snapping off
+    snapThreshold: 12,
+  },
+
+  /**
+   * Component manifest.
+   * Every loadable component is listed with the SHA-256 of its files (SRI format)
+   * and the components it needs loaded first.
+   * The manifest ships inside the suite, so components can be fetched from any
+   * mirror: code that doesn't match its hash is never executed.
+   * Update the hashes whenever a component file changes.
+   */
+  manifest: {
+    'core/modal/modal': {
+      js: 'sha256-2JIrcpTaGwkPjVCB0GetL8NT5O0fZRra4QdPh+SWP64=',
+      css: 'sha256-7qW4IDp1oRG0z01oZYcAvB+BSwjnaxzZvBZoZRQpbCc='
+    },
+    'core/panel/panel': {
+      js: 'sha256-p6gq2icmVwuoB9/4JAw8eePqdgbyXT8l7sdTNq8OTPk=',
+      css: 'sha256-6CLrS2iPeL1+uaGT/YFwsPjgv0YeAcNEmjm/1mgquic='
+    },
+    'data-display/table/table': {
+      js: 'sha256-mj+/Y6KtTmCoL272/jRlrn3c4NjsK7HfG7off7J1+Ks=',
+      css: 'sha256-dWbX2o3+zO/bX+8/OhfcTRond9QuXNrmFnWMTOZWAB4='
+    },
+    'navigation/command-palette/command-palette': {
+      js: 'sha256-wNQbDy7G7Ga4zh/6LfEAiaiwos/7OP/MUVvp0CDHrVw=',
+      css: 'sha256-1w5+/uteapoBm/+hWKXM/6c6qP64MxGDjcrxPeu06eE='
+    },
+    'interactive/animation-effects/animations': {
+      js: 'sha256-v/8jyCKJgtlBWNXm63CSalQ1DXvlDDSXRmDYCuoGfKk='
+    },
+    'templates/data-viewer/data-viewer': {
+      dependencies: ['core/panel/panel', 'data-display/table/table'],
+      js: 'sha256-G5tcD/jILjRw6ZWrc/KXYgWj0eSLoLQZl4FDG4StPjE=',
+      css: 'sha256-xNOaOOeKNK8oxjjMbt+7cDsSfpystPTX89nNRkIeo+0='
+    }
   },
 
   init: function(options = {}) {
@@ -16,55 +63,620 @@ window.BMS = {
   },
 
   /**
-   * Load component dynamically from GitHub
+   * Event bus shared by the suite, components and bookmarklets
+   * Event names are namespaced as 'namespace:event'; listen to 'namespace:*' for
+   * every event in a namespace, or '*' for all of them. Built-in events:
+   *   component:loaded  { path, bundled }
+   *   panel:created     { id, panel }
+   *   panel:closed      { id, panel }
+   *   panel:focused     { id, panel }
+   *   panel:minimized   { id, panel }
+   *   panel:restored    { id, panel }
+   *   panel:poppedout   { id, panel, window }
+   *   panel:poppedin    { id, panel }
+   *   table:selection   { table, selected }
+   *   bookmarklet:registered  { id, name, version }
+   *   bookmarklet:run   { id, name, version }
+   *   bookmarklet:stop  { id, name, version }
+   *   bookmarklet:action  { id, name, version, action }
+   */
+  events: {
+    _listeners: {},
+
+    /**
+     * Listen to an event
+     * @param {string} event - Event name, 'namespace:*' or '*'
+     * @param {Function} handler - Called with (detail, eventName)
+     * @returns {Function} Removes the listener
+     */
+    on: function(event, handler) {
+      (this._listeners[event] = this._listeners[event] || []).push(handler);
+      return () => this.off(event, handler);
+    },
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @returns {Function} Removes the listener
+     */
+    once: function(event, handler) {
+      const wrapper = (detail, name) => {
+        this.off(event, wrapper);
+        handler(detail, name);
+      };
+      wrapper._bmsHandler = handler;
+      return this.on(event, wrapper);
+    },
+
+    /**
+     * Remove a listener, or every listener of the event when no handler is given
+     */
+    off: function(event, handler) {
+      if (!handler) {
+        delete this._listeners[event];
+        return;
+      }
+      const listeners = this._listeners[event] || [];
+      const index = listeners.findIndex(l => l === handler || l._bmsHandler === handler);
+      if (index > -1) listeners.splice(index, 1);
+    },
+
+    /**
+     * Notify listeners of an event
+     * A failing listener is logged and doesn't stop the others.
+     * @param {string} event - Event name, e.g. 'panel:created'
+     * @param {Object} detail - Event data
+     */
+    emit: function(event, detail = {}) {
+      const namespace = event.split(':')[0];
+      const listeners = [event, `${namespace}:*`, '*']
+        .filter((name, index, names) => names.indexOf(name) === index)
+        .flatMap(name => this._listeners[name] || []);
+
+      listeners.forEach(listener => {
+        try {
+          listener(detail, event);
+        } catch (error) {
+          console.error(`BMS: "${event}" listener failed:`, error);
+        }
+      });
+    }
+  },
+
+  /**
+   * Registered bookmarklets, keyed by id
+   */
+  bookmarklets: {},
+
+  /**
+   * True while a loader or the launcher evaluates an entry script
+   * The script then only registers and the caller starts it. Bookmarks made
+   * before registerBookmarklet() evaluate the script without setting this,
+   * so the script starts itself.
+   */
+  registerOnly: false,
+
+  /**
+   * Bookmarklets the launcher can load on demand, keyed by id
+   * Lists what a tool offers before its script is fetched; script is a URL or
+   * a path relative to config.bookmarkletsBaseUrl. Once the script has
+   * registered, its own definition takes over. Keep action ids and titles in
+   * sync with the actions the script registers.
+   */
+  catalog: {
+    'html-analyser': {
+      name: 'HTML Analyser',
+      icon: '🔍',
+      description: 'Detects frameworks, UI libraries and meta tags on the page',
+      script: 'HtmlAnalyser-refactored.js',
+      actions: [
+        { id: 'highlight-duplicate-ids', title: 'Highlight duplicate IDs' },
+        { id: 'copy-meta-tags', title: 'Copy meta tags as JSON' }
+      ]
+    },
+    'json-extract': {
+      name: 'JSON Extractor',
+      icon: '📦',
+      description: 'Extracts JSON-LD, Open Graph, Twitter Card and Microdata',
+      script: 'JsonExtract-refactored.js',
+      actions: [
+        { id: 'export-json-ld', title: 'Export JSON-LD' },
+        { id: 'copy-open-graph', title: 'Copy Open Graph data' }
+      ]
+    },
+    'twitter-media-extractor': {
+      name: 'Twitter Media Extractor',
+      icon: '🐦',
+      description: 'Lists the images and videos in tweets on the page',
+      script: 'TwitterMediaExtractor-refactored.js',
+      actions: [
+        { id: 'copy-media-urls', title: 'Copy media URLs' }
+      ]
+    }
+  },
+
+  /**
+   * Register a bookmarklet with the suite
+   * Loaders, standalone builds and the launcher set registerOnly while they
+   * evaluate an entry script, then start it with runBookmarklet().
+   * @param {Object} definition - Bookmarklet definition
+   * @param {string} definition.id - Unique id, e.g. 'html-analyser'
+   * @param {string} definition.name - Display name
+   * @param {string} definition.version - Version of the bookmarklet
+   * @param {string} definition.icon - Emoji shown by the launcher (optional)
+   * @param {string} definition.description - One line shown by the launcher (optional)
+   * @param {Array} definition.components - Components loaded before run()
+   * @param {Array} definition.actions - Shortcuts offered by the launcher: [{ id, title, run }] (optional)
+   * @param {Function} definition.run - Starts the bookmarklet; may return an instance (e.g. its panel)
+   * @param {Function} definition.teardown - Called with that instance to close it (optional)
+   * @returns {Object} The registered bookmarklet
+   */
+  registerBookmarklet: function(definition) {
+    if (!definition || !definition.id || typeof definition.run !== 'function') {
+      throw new Error('registerBookmarklet: an id and a run() function are required');
+    }
+
+    const previous = this.bookmarklets[definition.id];
+    const bookmarklet = {
+      name: definition.id,
+      version: '0.0.0',
+      icon: '',
+      description: '',
+      components: [],
+      actions: [],
+      teardown: null,
+      ...definition,
+      instance: previous ? previous.instance : null
+    };
+    this.bookmarklets[bookmarklet.id] = bookmarklet;
+
+    this.events.emit('bookmarklet:registered', this._bookmarkletDetail(bookmarklet));
+    return bookmarklet;
+  },
+
+  /**
+   * Run a registered bookmarklet
+   * Its components are loaded first; if they fail, run() still happens so the
+   * bookmarklet can use its basic UI. A previous run is torn down first.
+   * @param {string} id - Bookmarklet id
+   * @param {Object} options - Passed to run()
+   * @returns {Promise} Resolves with the value returned by run()
+   */
+  runBookmarklet: async function(id, options = {}) {
+    const bookmarklet = this.bookmarklets[id];
+    if (!bookmarklet) {
+      throw new Error(`Bookmarklet "${id}" is not registered`);
+    }
+
+    if (bookmarklet.components.length > 0) {
+      try {
+        await this.loadComponents(bookmarklet.components);
+      } catch (error) {
+        console.error(`Failed to load components for ${bookmarklet.name}:`, error);
+      }
+    }
+
+    this.stopBookmarklet(id);
+    this.events.emit('bookmarklet:run', this._bookmarkletDetail(bookmarklet));
+
+    try {
+      bookmarklet.instance = await bookmarklet.run(options);
+    } catch (error) {
+      this.UI.updateStatus(`${bookmarklet.name} failed: ${error.message}`, 'error', 6000);
+      throw error;
+    }
+    return bookmarklet.instance;
+  },
+
+  /**
+   * Tear down a running bookmarklet
+   * @param {string} id - Bookmarklet id
+   */
+  stopBookmarklet: function(id) {
+    const bookmarklet = this.bookmarklets[id];
+    if (!bookmarklet || !bookmarklet.instance) return;
+
+    const instance = bookmarklet.instance;
+    bookmarklet.instance = null;
+    if (bookmarklet.teardown) {
+      bookmarklet.teardown(instance);
+    }
+    this.events.emit('bookmarklet:stop', this._bookmarkletDetail(bookmarklet));
+  },
+
+  /**
+   * Run one of a bookmarklet's actions
+   * Actions do a single job (copy, export, highlight) without opening the tool.
+   * @param {string} id - Bookmarklet id
+   * @param {string} actionId - Action id
+   * @returns {Promise} Resolves with the value returned by the action
+   */
+  runBookmarkletAction: async function(id, actionId) {
+    const bookmarklet = this.bookmarklets[id];
+    if (!bookmarklet) {
+      throw new Error(`Bookmarklet "${id}" is not registered`);
+    }
+    const action = bookmarklet.actions.find(a => a.id === actionId);
+    if (!action) {
+      throw new Error(`${bookmarklet.name} has no action "${actionId}"`);
+    }
+
+    this.events.emit('bookmarklet:action', { ...this._bookmarkletDetail(bookmarklet), action: actionId });
+    try {
+      return await action.run();
+    } catch (error) {
+      this.UI.updateStatus(`${action.title} failed: ${error.message}`, 'error', 6000);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetch and register a bookmarklet from the catalog
+   * Does nothing if it is already registered. Scripts go through the offline
+   * cache like the loaders; pages whose CSP blocks eval can't load them.
+   * @param {string} id - Bookmarklet id
+   * @returns {Promise<Object>} The registered bookmarklet
+   */
+  loadBookmarklet: async function(id) {
+    if (this.bookmarklets[id]) return this.bookmarklets[id];
+
+    const entry = this.catalog[id];
+    if (!entry) {
+      throw new Error(`Bookmarklet "${id}" is not in the catalog`);
+    }
+    if (!this.canEval()) {
+      throw new Error(`Failed to load ${entry.name} - this page's Content Security Policy blocks eval, use its standalone bookmarklet`);
+    }
+
+    const url = /^https?:\/\//.test(entry.script) ? entry.script : this.config.bookmarkletsBaseUrl + entry.script;
+    const code = new TextDecoder().decode(await this.cache.fetch(url));
+    this.registerOnly = true;
+    try {
+      new Function(code)();
+    } finally {
+      this.registerOnly = false;
+    }
+
+    if (!this.bookmarklets[id]) {
+      throw new Error(`${entry.script} did not register "${id}"`);
+    }
+    return this.bookmarklets[id];
+  },
+
+  /**
+   * Everything the launcher can offer: registered bookmarklets and the catalog
+   * @returns {Array} [{ id, name, icon, description, registered, actions: [{ id, title }] }]
+   */
+  listBookmarklets: function() {
+    const ids = new Set([...Object.keys(this.catalog), ...Object.keys(this.bookmarklets)]);
+    return [...ids].map(id => {
+      const source = this.bookmarklets[id] || this.catalog[id];
+      return {
+        id,
+        name: source.name || id,
+        icon: source.icon || '',
+        description: source.description || '',
+        registered: Boolean(this.bookmarklets[id]),
+        actions: (source.actions || []).map(({ id, title }) => ({ id, title }))
+      };
+    });
+  },
+
+  _bookmarkletDetail: function(bookmarklet) {
+    return { id: bookmarklet.id, name: bookmarklet.name, version: bookmarklet.version };
+  },
+
+  /**
+   * Load component dynamically from GitHub, along with its dependencies
+   * When config.verifyIntegrity is on, the component must be listed in BMS.manifest
+   * and its code must match the manifest hash, otherwise it is never executed.
    * @param {string} componentPath - Path relative to components directory (e.g., 'core/panel/panel')
    * @returns {Promise} Promise that resolves when component is loaded
    */
-  loadComponent: async function(componentPath) {
-    if (this.config.componentsLoaded.has(componentPath)) {
-      return Promise.resolve();
+  loadComponent: function(componentPath) {
+    return this.loadComponents([componentPath]);
+  },
+
+  /**
+   * Resolve components and their dependencies into load order
+   * @param {Array} components - Array of component paths
+   * @returns {Array} Component paths, every dependency before its dependents
+   */
+  resolveDependencies: function(components) {
+    const order = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (componentPath) => {
+      if (visited.has(componentPath)) return;
+      if (visiting.includes(componentPath)) {
+        const cycle = [...visiting.slice(visiting.indexOf(componentPath)), componentPath];
+        throw new Error(`Circular component dependency: ${cycle.join(' -> ')}`);
+      }
+
+      visiting.push(componentPath);
+      const entry = this.manifest[componentPath];
+      ((entry && entry.dependencies) || []).forEach(visit);
+      visiting.pop();
+
+      visited.add(componentPath);
+      order.push(componentPath);
+    };
+
+    components.forEach(visit);
+    return order;
+  },
+
+  _componentLoads: {},
+
+  /**
+   * Components shipped inside a standalone bookmarklet, keyed by path
+   * Filled by bundleComponent(); see tools/build-bookmarklets.js.
+   */
+  bundledComponents: {},
+
+  /**
+   * Register a component bundled into the bookmarklet itself
+   * Bundled components are never fetched and run without eval, so they work on
+   * pages whose CSP blocks fetch to GitHub or new Function().
+   * @param {string} componentPath - Path relative to components directory
+   * @param {Function} run - The component code, wrapped in a function
+   * @param {string} css - Component styles (optional)
+   */
+  bundleComponent: function(componentPath, run, css = null) {
+    this.bundledComponents[componentPath] = { run, css };
+  },
+
+  /**
+   * Check whether the page allows new Function(), which remote components need
+   * @returns {boolean} False when the page's CSP blocks eval
+   */
+  canEval: function() {
+    if (this._canEval === undefined) {
+      try {
+        this._canEval = (new Function('return true'))();
+      } catch (error) {
+        this._canEval = false;
+      }
     }
+    return this._canEval;
+  },
 
+  /**
+   * Fetch a component's files (and verify them against the manifest)
+   * @returns {Promise<Object>} { js, css } source text; css is null when absent
+   */
+  _fetchComponent: async function(componentPath) {
     const baseUrl = this.config.componentsBaseUrl;
+    const entry = this.manifest[componentPath];
+
+    if (this.bundledComponents[componentPath]) {
+      return this.bundledComponents[componentPath];
+    }
+
+    // No point fetching code the page won't let us run; callers fall back to the basic UI
+    if (!this.canEval()) {
+      throw new Error(`Failed to load component: ${componentPath} - this page's Content Security Policy blocks eval, use the standalone bookmarklet`);
+    }
+
+    if (this.config.verifyIntegrity && !entry) {
+      throw this._integrityError(`Component "${componentPath}" is not in the manifest`);
+    }
 
     try {
-      // Load and execute JavaScript using fetch + Function() to bypass CSP
+      // Load JavaScript using fetch so it can be run with Function() to bypass CSP
       const jsUrl = `${baseUrl}${componentPath}.js`;
-      const jsCode = await fetch(jsUrl).then(r => r.text());
-      (new Function(jsCode))();
+      const js = await this._fetchVerified(jsUrl, entry && entry.js);
+
+      // Load CSS using fetch so it can be inlined to bypass CSP
+      let css = null;
+      if (!entry || entry.css) {
+        try {
+          const cssUrl = `${baseUrl}${componentPath}.css`;
+          css = await this._fetchVerified(cssUrl, entry && entry.css);
+        } catch (cssError) {
+          if (cssError.integrity) throw cssError;
+          // CSS might not exist for all components, ignore error
+          console.log(`No CSS found for ${componentPath}, continuing...`);
+        }
+      }
+
+      return { js, css };
+    } catch (error) {
+      const wrapped = new Error(`Failed to load component: ${componentPath} - ${error.message}`);
+      wrapped.integrity = !!error.integrity;
+      throw wrapped;
+    }
+  },
+
+  /**
+   * Execute a fetched or bundled component and inject its styles
+   */
+  _executeComponent: function(componentPath, files) {
+    if (files.run) {
+      files.run();
+    } else {
+      (new Function(files.js))();
+    }
+
+    if (files.css) {
+      this.DOM.addStyles(files.css, `bms-component-${componentPath.replace(/\//g, '-')}`);
+    }
+
+    this.config.componentsLoaded.add(componentPath);
+    this.events.emit('component:loaded', { path: componentPath, bundled: !!files.run });
+  },
+
+  /**
+   * Fetch a file as text, checking it against an SRI hash when integrity is enforced
+   * @param {string} url - File URL
+   * @param {string} integrity - Expected hash, e.g. 'sha256-<base64>'
+   * @returns {Promise<string>} File contents
+   */
+  _fetchVerified: async function(url, integrity) {
+    const verify = this.config.verifyIntegrity
+      ? async (buffer) => (await this._sha256(buffer)) === integrity
+      : null;
+
+    const buffer = await this.cache.fetch(url, { validate: verify });
+    if (verify && !(await verify(buffer))) {
+      throw this._integrityError(`Integrity check failed for ${url}`);
+    }
+
+    return new TextDecoder().decode(buffer);
+  },
+
+  /**
+   * Compute the SRI-style SHA-256 hash of a buffer
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<string>} Hash as 'sha256-<base64>'
+   */
+  _sha256: async function(buffer) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw this._integrityError('Cannot verify components: crypto.subtle is unavailable on this page');
+    }
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return 'sha256-' + btoa(String.fromCharCode(...new Uint8Array(digest)));
+  },
+
+  /**
+   * Report an integrity failure in the status bar and build the error to throw
+   */
+  _integrityError: function(message) {
+    console.error(`BMS: ${message}`);
+    this.UI.updateStatus(`Blocked: ${message}`, 'error', 6000);
+    const error = new Error(message);
+    error.integrity = true;
+    return error;
+  },
 
-      // Load CSS using fetch + inline style to bypass CSP
+  /**
+   * Offline cache for suite and component code, backed by Cache Storage.
+   * The loaders write to the same cache, so after the first run on a site a
+   * bookmarklet starts without waiting for the network and keeps working when
+   * GitHub is unreachable. Cache Storage is per-origin and only exists on HTTPS
+   * pages; where it is missing the cache is skipped.
+   */
+  cache: {
+    // Bump the version when the entry format changes; clear() removes every version
+    name: 'bms-cache-v1',
+    prefix: 'bms-cache-',
+    timestampHeader: 'x-bms-cached-at',
+
+    /**
+     * Fetch a file, serving a cached copy while it is still fresh
+     * Without a validator, copies younger than config.cacheMaxAge are fresh and
+     * stale copies are used only when the network fails. With a validator (e.g.
+     * an integrity check) freshness is decided by the validator alone.
+     * @param {string} url - File URL
+     * @param {Object} options - { validate: async (buffer) => boolean }
+     * @returns {Promise<ArrayBuffer>} File contents
+     */
+    fetch: async function(url, { validate = null } = {}) {
+      const cached = await this._get(url);
+      if (cached) {
+        const fresh = validate
+          ? await validate(cached.buffer)
+          : cached.age < BMS.config.cacheMaxAge;
+        if (fresh) return cached.buffer;
+      }
+
+      let buffer;
       try {
-        const cssUrl = `${baseUrl}${componentPath}.css`;
-        const cssCode = await fetch(cssUrl).then(r => r.text());
-        const style = document.createElement("style");
-        style.textContent = cssCode;
-        document.head.appendChild(style);
-      } catch (cssError) {
-        // CSS might not exist for all components, ignore error
-        console.log(`No CSS found for ${componentPath}, continuing...`);
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} fetching ${url}`);
+        }
+        buffer = await response.arrayBuffer();
+      } catch (error) {
+        if (cached && !validate) {
+          console.warn(`BMS: network unavailable, using cached copy of ${url}`);
+          return cached.buffer;
+        }
+        throw error;
       }
 
-      this.config.componentsLoaded.add(componentPath);
-    } catch (error) {
-      throw new Error(`Failed to load component: ${componentPath} - ${error.message}`);
+      if (!validate || await validate(buffer)) {
+        await this._put(url, buffer);
+      }
+      return buffer;
+    },
+
+    /**
+     * Remove every cached file, including caches from older versions
+     * @returns {Promise<number>} Number of caches deleted
+     */
+    clear: async function() {
+      if (!window.caches) return 0;
+      const names = (await caches.keys()).filter(name => name.startsWith(this.prefix));
+      await Promise.all(names.map(name => caches.delete(name)));
+      return names.length;
+    },
+
+    _open: async function() {
+      if (!BMS.config.useCache || !window.caches) return null;
+      try {
+        return await caches.open(this.name);
+      } catch (error) {
+        // Storage disabled (private mode, sandboxed frame...)
+        return null;
+      }
+    },
+
+    _get: async function(url) {
+      const store = await this._open();
+      const response = store && await store.match(url);
+      if (!response) return null;
+      return {
+        buffer: await response.arrayBuffer(),
+        age: Date.now() - Number(response.headers.get(this.timestampHeader) || 0)
+      };
+    },
+
+    _put: async function(url, buffer) {
+      const store = await this._open();
+      if (!store) return;
+      try {
+        await store.put(url, new Response(buffer, {
+          headers: { [this.timestampHeader]: String(Date.now()) }
+        }));
+      } catch (error) {
+        console.warn(`BMS: could not cache ${url}`, error);
+      }
     }
   },
 
   /**
-   * Load multiple components
+   * Load multiple components and everything they depend on
+   * Files are fetched in parallel; each component runs once its dependencies have.
    * @param {Array} components - Array of component paths
    * @returns {Promise} Promise that resolves when all components are loaded
    */
   loadComponents: function(components) {
-    return Promise.all(components.map(c => this.loadComponent(c)));
+    let order;
+    try {
+      order = this.resolveDependencies(components);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    order.forEach(componentPath => {
+      if (this.config.componentsLoaded.has(componentPath) || this._componentLoads[componentPath]) return;
+
+      const entry = this.manifest[componentPath];
+      const dependencyLoads = ((entry && entry.dependencies) || []).map(dep => this._componentLoads[dep]);
+
+      this._componentLoads[componentPath] = Promise.all([this._fetchComponent(componentPath), ...dependencyLoads])
+        .then(([files]) => this._executeComponent(componentPath, files))
+        .finally(() => {
+          delete this._componentLoads[componentPath];
+        });
+    });
+
+    return Promise.all(order.map(componentPath => this._componentLoads[componentPath]));
   },
 
   injectCSS: function() {
-    if (document.getElementById('bms-styles')) return;
-    const style = document.createElement('style');
-    style.id = 'bms-styles';
-    style.textContent = `
+    this.DOM.addStyles(`
 /* Bookmarklet Suite - CSS Library */
 
 /* 1. Reset and Base Styles */
@@ -124,6 +736,14 @@ window.BMS = {
   align-items: center;
   border-top-left-radius: 7px;
   border-top-right-radius: 7px;
+  touch-action: none;
+  user-select: none;
+}
+
+.bms-panel-header:focus-visible,
+.bms-resizer:focus-visible {
+  outline: 2px solid var(--bms-primary-color);
+  outline-offset: -2px;
 }
 
 .bms-panel-title {
@@ -161,6 +781,7 @@ window.BMS = {
   width: 10px;
   height: 10px;
   cursor: se-resize;
+  touch-action: none;
 }
 
 .bms-panel-tabs {
@@ -311,13 +932,50 @@ window.BMS = {
   color: #fff;
   border-color: var(--bms-primary-color);
 }
-    `;
-    document.head.appendChild(style);
+
+/* 8. Window Manager */
+.bms-window-minimized {
+  display: none !important;
+}
+
+.bms-taskbar {
+  position: fixed;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  display: flex;
+  gap: 6px;
+  padding: 6px 10px;
+  overflow-x: auto;
+  background-color: var(--bms-background-color);
+  border-top: 1px solid var(--bms-border-color);
+  box-shadow: 0 -2px 8px rgba(0, 0, 0, 0.15);
+}
+
+.bms-taskbar-item {
+  flex-shrink: 0;
+  max-width: 200px;
+  padding: 4px 10px;
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+  border: 1px solid var(--bms-border-color);
+  border-radius: 4px;
+  background-color: var(--bms-header-bg);
+  color: var(--bms-text-color);
+  cursor: pointer;
+}
+
+.bms-taskbar-item:hover,
+.bms-taskbar-item:focus-visible {
+  border-color: var(--bms-primary-color);
+}
+    `, 'bms-styles');
   },
 
   UI: {
-    createPanel: function({ id, title, content, footer }) {
-      if (document.getElementById(id)) return;
+    createPanel: function({ id, title, content, footer, persistLayout = true }) {
+      if (BMS.DOM.byId(id)) return;
 
       const panel = document.createElement('div');
       panel.id = id;
@@ -325,14 +983,14 @@ window.BMS = {
 
       const header = document.createElement('div');
       header.className = 'bms-panel-header';
-      header.innerHTML = `
+      BMS.DOM.setHTML(header, `
         <span class="bms-panel-title">${title}</span>
         <div class="bms-panel-controls">
           <button class="bms-theme-btn">T</button>
           <button class="bms-minimize-btn">-</button>
           <button class="bms-close-btn">×</button>
         </div>
-      `;
+      `);
 
       panel.appendChild(header);
 
@@ -363,6 +1021,7 @@ window.BMS = {
             contentContainer.querySelectorAll('.bms-tab-content').forEach(c => c.classList.remove('bms-active'));
             tabBtn.classList.add('bms-active');
             tabContent.classList.add('bms-active');
+            BMS.UI.WindowManager.saveLayout(panel);
           };
 
           tabsContainer.appendChild(tabBtn);
@@ -384,45 +1043,61 @@ window.BMS = {
         this._makeResizable(panel, resizer);
       }
 
-      document.body.appendChild(panel);
+      BMS.DOM.mount(panel);
 
       this._makeDraggable(panel, header);
       this._addPanelControls(panel);
+      BMS.events.emit('panel:created', { id, panel });
+      this.WindowManager.register(panel, { persist: persistLayout });
       
       return panel;
     },
 
     _makeResizable: function(panel, resizer) {
       let startX, startY, startWidth, startHeight;
+      let resizing = false;
 
-      resizer.onmousedown = initDrag;
+      resizer.tabIndex = 0;
+      resizer.setAttribute('role', 'button');
+      resizer.setAttribute('aria-label', 'Resize panel');
+      resizer.setAttribute('aria-keyshortcuts', 'Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');
+      resizer.title = 'Drag, or press Shift+Arrow keys, to resize';
 
-      function initDrag(e) {
+      // Pointer capture keeps the moves coming to the resizer, from a mouse, pen or finger
+      resizer.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        resizing = true;
         startX = e.clientX;
         startY = e.clientY;
-        startWidth = parseInt(document.defaultView.getComputedStyle(panel).width, 10);
-        startHeight = parseInt(document.defaultView.getComputedStyle(panel).height, 10);
-        document.documentElement.addEventListener('mousemove', doDrag, false);
-        document.documentElement.addEventListener('mouseup', stopDrag, false);
-      }
-
-      function doDrag(e) {
-        panel.style.width = (startWidth + e.clientX - startX) + 'px';
-        panel.style.height = (startHeight + e.clientY - startY) + 'px';
-      }
+        startWidth = panel.offsetWidth;
+        startHeight = panel.offsetHeight;
+        resizer.setPointerCapture(e.pointerId);
+      });
+
+      resizer.addEventListener('pointermove', (e) => {
+        if (!resizing) return;
+        BMS.UI.WindowManager.resize(panel, startWidth + e.clientX - startX, startHeight + e.clientY - startY);
+      });
+
+      const stopResize = () => {
+        if (!resizing) return;
+        resizing = false;
+        BMS.UI.WindowManager.saveLayout(panel);
+      };
+      resizer.addEventListener('pointerup', stopResize);
+      resizer.addEventListener('pointercancel', stopResize);
 
-      function stopDrag(e) {
-        document.documentElement.removeEventListener('mousemove', doDrag, false);    
-        document.documentElement.removeEventListener('mouseup', stopDrag, false);
-      }
+      resizer.addEventListener('keydown', (e) => BMS.UI.WindowManager.handleKey(panel, e, 'resize'));
     },
 
     createModal: function({ id, title, content }) {
-      if (document.getElementById(id)) return;
+      if (BMS.DOM.byId(id)) return;
 
       const overlay = document.createElement('div');
       overlay.id = id;
       overlay.className = 'bms-modal-overlay bms-container';
+      overlay.style.zIndex = this.WindowManager.overlayZIndex(0);
 
       const modal = document.createElement('div');
       modal.className = 'bms-modal';
@@ -430,10 +1105,10 @@ window.BMS = {
       // Header
       const header = document.createElement('div');
       header.className = 'bms-modal-header';
-      header.innerHTML = `
+      BMS.DOM.setHTML(header, `
         <span class="bms-modal-title">${title}</span>
         <button class="bms-modal-close-btn">×</button>
-      `;
+      `);
 
       // Content
       const contentContainer = document.createElement('div');
@@ -445,7 +1120,7 @@ window.BMS = {
       modal.appendChild(contentContainer);
       overlay.appendChild(modal);
 
-      document.body.appendChild(overlay);
+      BMS.DOM.mount(overlay);
 
       // Add functionality
       overlay.querySelector('.bms-modal-close-btn').onclick = () => overlay.remove();
@@ -459,27 +1134,29 @@ window.BMS = {
     },
 
     showSpinner: function() {
-      if (document.getElementById('bms-spinner')) return;
+      if (BMS.DOM.byId('bms-spinner')) return;
       const spinnerOverlay = document.createElement('div');
       spinnerOverlay.id = 'bms-spinner';
       spinnerOverlay.className = 'bms-spinner-overlay bms-container';
-      spinnerOverlay.innerHTML = '<div class="bms-spinner"></div>';
-      document.body.appendChild(spinnerOverlay);
+      spinnerOverlay.style.zIndex = this.WindowManager.overlayZIndex(1);
+      BMS.DOM.setHTML(spinnerOverlay, '<div class="bms-spinner"></div>');
+      BMS.DOM.mount(spinnerOverlay);
     },
 
     hideSpinner: function() {
-      const spinnerOverlay = document.getElementById('bms-spinner');
+      const spinnerOverlay = BMS.DOM.byId('bms-spinner');
       if (spinnerOverlay) spinnerOverlay.remove();
     },
 
     updateStatus: function(message, level = 'info', duration = 3000) {
-      let statusBar = document.getElementById('bms-status-bar');
+      let statusBar = BMS.DOM.byId('bms-status-bar');
       if (!statusBar) {
         statusBar = document.createElement('div');
         statusBar.id = 'bms-status-bar';
         statusBar.className = 'bms-status-bar bms-container';
-        document.body.appendChild(statusBar);
+        BMS.DOM.mount(statusBar);
       }
+      statusBar.style.zIndex = this.WindowManager.overlayZIndex(2);
 
       statusBar.textContent = message;
       statusBar.className = `bms-status-bar bms-container bms-status-${level}`;
@@ -496,54 +1173,648 @@ window.BMS = {
 
 
     _makeDraggable: function(panel, handle) {
-      let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
-      handle.onmousedown = dragMouseDown;
-
-      function dragMouseDown(e) {
-        e = e || window.event;
+      let startX = 0, startY = 0, startLeft = 0, startTop = 0;
+      let dragging = false;
+
+      handle.tabIndex = 0;
+      handle.setAttribute('aria-keyshortcuts', 'Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');
+      handle.title = 'Drag, or press Shift+Arrow keys, to move';
+
+      // Pointer capture keeps the moves coming to the handle, from a mouse, pen or finger,
+      // without touching the page's own document handlers
+      handle.addEventListener('pointerdown', (e) => {
+        // The header buttons need their click
+        if (e.button !== 0 || e.target.closest('button')) return;
         e.preventDefault();
-        pos3 = e.clientX;
-        pos4 = e.clientY;
-        document.onmouseup = closeDragElement;
-        document.onmousemove = elementDrag;
-      }
+        dragging = true;
+        startX = e.clientX;
+        startY = e.clientY;
+        startLeft = panel.offsetLeft;
+        startTop = panel.offsetTop;
+        handle.setPointerCapture(e.pointerId);
+      });
+
+      handle.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        // Hold Alt to place the panel freely
+        BMS.UI.WindowManager.move(panel, startLeft + e.clientX - startX, startTop + e.clientY - startY, { snap: !e.altKey });
+      });
+
+      const stopDrag = () => {
+        if (!dragging) return;
+        dragging = false;
+        BMS.UI.WindowManager.saveLayout(panel);
+      };
+      handle.addEventListener('pointerup', stopDrag);
+      handle.addEventListener('pointercancel', stopDrag);
 
-      function elementDrag(e) {
-        e = e || window.event;
-        e.preventDefault();
-        pos1 = pos3 - e.clientX;
-        pos2 = pos4 - e.clientY;
-        pos3 = e.clientX;
-        pos4 = e.clientY;
-        panel.style.top = (panel.offsetTop - pos2) + "px";
-        panel.style.left = (panel.offsetLeft - pos1) + "px";
-      }
+      handle.addEventListener('keydown', (e) => {
+        if (e.target === handle) {
+          BMS.UI.WindowManager.handleKey(panel, e, 'move');
+        }
+      });
+    },
 
-      function closeDragElement() {
-        document.onmouseup = null;
-        document.onmousemove = null;
+    /**
+     * Close a panel made by createPanel or the Panel component
+     * @param {HTMLElement} panel - Panel element; closed panels are ignored
+     */
+    closePanel: function(panel) {
+      if (!panel || !panel.isConnected) return;
+
+      if (panel._bmsConfig && BMS.UI.Components && BMS.UI.Components.Panel) {
+        BMS.UI.Components.Panel.destroy(panel);
+      } else {
+        BMS.UI.WindowManager.unregister(panel);
+        panel.remove();
+        BMS.events.emit('panel:closed', { id: panel.id, panel });
       }
     },
-    
+
     _addPanelControls: function(panel) {
-        const closeBtn = panel.querySelector('.bms-close-btn');
         const minimizeBtn = panel.querySelector('.bms-minimize-btn');
         const themeBtn = panel.querySelector('.bms-theme-btn');
-        const content = panel.querySelector('.bms-panel-content');
-        const footer = panel.querySelector('.bms-panel-footer');
 
-        closeBtn.onclick = () => panel.remove();
+        // Footer buttons opt in with the same class (inline onclick is blocked by strict CSPs)
+        panel.querySelectorAll('.bms-close-btn').forEach(btn => {
+          btn.onclick = () => BMS.UI.closePanel(panel);
+        });
         
-        minimizeBtn.onclick = () => {
-            const isMinimized = content.style.display === 'none';
-            content.style.display = isMinimized ? '' : 'none';
-            if(footer) footer.style.display = isMinimized ? '' : 'none';
-            minimizeBtn.textContent = isMinimized ? '-' : '+';
-        };
+        minimizeBtn.title = 'Minimize';
+        minimizeBtn.onclick = () => BMS.UI.WindowManager.minimize(panel);
 
         themeBtn.onclick = () => {
             panel.classList.toggle('bms-dark-theme');
         };
+    },
+
+    /**
+     * Stacking, placement and minimizing for every BMS panel
+     * Panels register when they are created, from any bookmarklet. Focusing one
+     * raises it within a single z-index range picked by config.windowLayer, so
+     * BMS windows stay over (or under) the page's own overlays however often
+     * they are brought to the front.
+     */
+    WindowManager: {
+      panels: [], // Back to front
+      focused: null,
+      cascadeStep: 30,
+      tileGap: 10,
+      keyboardStep: 10,
+      minWidth: 200,
+      minHeight: 100,
+
+      // BMS modals, the spinner and the status bar sit just above the panels' range
+      layers: {
+        above: { min: 2147483000, max: 2147483499 },
+        below: { min: 500, max: 899 }
+      },
+
+      /**
+       * Start managing a panel
+       * A panel with a saved layout reopens the way it was left; any other panel
+       * opened exactly on top of another one is moved along diagonally.
+       * @param {HTMLElement} panel - Mounted panel element
+       * @param {Object} options - { persist: save the layout under the panel's id }
+       * @returns {Object|null} The saved layout it was restored from
+       */
+      register: function(panel, { persist = false } = {}) {
+        if (this.panels.includes(panel)) return;
+        this._prune();
+
+        panel._bmsLayoutKey = persist && panel.id ? `bms-panel-layout:${panel.id}` : null;
+        const layout = this._restoreLayout(panel);
+        if (!layout) {
+          this._place(panel);
+        }
+        this.panels.push(panel);
+
+        panel.addEventListener('pointerdown', () => this.focus(panel), true);
+        panel.addEventListener('focusin', () => this.focus(panel));
+        this.focus(panel);
+
+        if (!this._watchingResize) {
+          this._watchingResize = true;
+          window.addEventListener('resize', () => this._keepInView());
+        }
+
+        if (layout) {
+          this._restoreState(panel, layout);
+        }
+        return layout;
+      },
+
+      /**
+       * Stop managing a panel, e.g. because it closed
+       */
+      unregister: function(panel) {
+        const index = this.panels.indexOf(panel);
+        if (index === -1) return;
+        this.panels.splice(index, 1);
+        panel.classList.remove('bms-panel-focused');
+
+        if (this.focused === panel) {
+          this.focused = null;
+          this._focusTop();
+        }
+        this._renderTaskbar();
+      },
+
+      /**
+       * Bring a panel to the front and mark it as the focused one
+       */
+      focus: function(panel) {
+        const index = this.panels.indexOf(panel);
+        if (index === -1) return;
+
+        if (this.isMinimized(panel)) {
+          this.restore(panel);
+          return;
+        }
+        if (index !== this.panels.length - 1) {
+          this.panels.splice(index, 1);
+          this.panels.push(panel);
+        }
+        this._restack();
+
+        if (this.focused !== panel) {
+          if (this.focused) this.focused.classList.remove('bms-panel-focused');
+          this.focused = panel;
+          panel.classList.add('bms-panel-focused');
+          BMS.events.emit('panel:focused', { id: panel.id, panel });
+        }
+      },
+
+      /**
+       * Managed panels, back to front
+       * @param {boolean} includeMinimized - Also list the panels in the taskbar
+       * @returns {HTMLElement[]}
+       */
+      getPanels: function(includeMinimized = false) {
+        this._prune();
+        return this.panels.filter(panel => includeMinimized || !this.isMinimized(panel));
+      },
+
+      /**
+       * Overlap the open panels diagonally from the default panel position
+       */
+      cascade: function() {
+        const panels = this._floating();
+        const bounds = this._bounds();
+        const top = BMS.config.defaultPanelTop;
+        const left = BMS.config.defaultPanelLeft;
+        // Start over at the top once the next step would leave less than 150px on screen
+        const steps = Math.max(1, Math.floor((bounds.bottom - top - 150) / this.cascadeStep));
+
+        panels.forEach((panel, index) => {
+          this._unmaximize(panel);
+          const offset = (index % steps) * this.cascadeStep;
+          panel.style.top = `${top + offset}px`;
+          panel.style.left = `${left + offset}px`;
+          this.saveLayout(panel);
+        });
+      },
+
+      /**
+       * Arrange the open panels in a grid filling the window
+       */
+      tile: function() {
+        const panels = this._floating();
+        if (panels.length === 0) return;
+
+        const bounds = this._bounds();
+        const gap = this.tileGap;
+        const columns = Math.ceil(Math.sqrt(panels.length));
+        const rows = Math.ceil(panels.length / columns);
+        const width = Math.floor((bounds.right - bounds.left - gap * (columns + 1)) / columns);
+        const height = Math.floor((bounds.bottom - bounds.top - gap * (rows + 1)) / rows);
+
+        panels.forEach((panel, index) => {
+          this._unmaximize(panel);
+          const column = index % columns;
+          const row = Math.floor(index / columns);
+          panel.style.left = `${bounds.left + gap + column * (width + gap)}px`;
+          panel.style.top = `${bounds.top + gap + row * (height + gap)}px`;
+          panel.style.width = `${width}px`;
+          panel.style.height = `${height}px`;
+          this.saveLayout(panel);
+        });
+      },
+
+      /**
+       * Hide a panel to the taskbar
+       */
+      minimize: function(panel) {
+        if (!this.panels.includes(panel) || this.isMinimized(panel)) return;
+
+        const hadFocus = panel.contains(BMS.DOM.activeElement());
+        panel.classList.add('bms-window-minimized');
+        panel.classList.remove('bms-panel-focused');
+        if (this.focused === panel) {
+          this.focused = null;
+          this._focusTop();
+        }
+        this._renderTaskbar();
+        this.saveLayout(panel);
+
+        // Keep keyboard users where the panel was
+        if (hadFocus) {
+          const item = [...this._taskbar.children].find(button => button.dataset.panelId === panel.id);
+          if (item) item.focus();
+        }
+        BMS.events.emit('panel:minimized', { id: panel.id, panel });
+      },
+
+      /**
+       * Bring a panel back from the taskbar
+       */
+      restore: function(panel) {
+        if (!this.isMinimized(panel)) return;
+        panel.classList.remove('bms-window-minimized');
+        this._renderTaskbar();
+        this.focus(panel);
+        this.saveLayout(panel);
+        BMS.events.emit('panel:restored', { id: panel.id, panel });
+      },
+
+      isMinimized: function(panel) {
+        return panel.classList.contains('bms-window-minimized');
+      },
+
+      /**
+       * Remember a panel's position, size and state for the next time it opens
+       * Layouts are kept per site in localStorage (bms-panel-layout:<id>) for
+       * panels registered with persist. A panel touching a window edge is docked
+       * to that side, and reopens against it even if the window size changed.
+       */
+      saveLayout: function(panel) {
+        const key = panel._bmsLayoutKey;
+        if (!key || !panel.isConnected) return;
+
+        const layout = this._readLayout(key) || {};
+        const maximized = panel.classList.contains('bms-maximized');
+        const docked = this._isDocked(panel);
+
+        // Hidden, maximized and docked panels keep the geometry they will float at again
+        if (!maximized && !docked && !this.isMinimized(panel)) {
+          const rect = panel.getBoundingClientRect();
+          const bounds = this._bounds();
+          layout.left = Math.round(rect.left);
+          layout.top = Math.round(rect.top);
+          layout.width = parseFloat(panel.style.width) || null;
+          layout.height = parseFloat(panel.style.height) || null;
+          layout.docked = [
+            rect.left <= bounds.left + 1 && 'left',
+            rect.right >= bounds.right - 1 && 'right',
+            rect.top <= bounds.top + 1 && 'top',
+            rect.bottom >= bounds.bottom - 1 && 'bottom'
+          ].filter(Boolean);
+        }
+
+        layout.maximized = maximized;
+        layout.dockSide = docked ? panel.dataset.dockSide : null;
+        if (docked) {
+          layout.dockSize = panel.offsetWidth;
+        }
+        layout.minimized = this.isMinimized(panel);
+        layout.collapsed = panel.classList.contains('bms-collapsed');
+        const tabs = this._tabs(panel);
+        layout.tab = tabs.length > 0 ? Math.max(0, tabs.findIndex(tab => tab.classList.contains('bms-active'))) : null;
+
+        try {
+          localStorage.setItem(key, JSON.stringify(layout));
+        } catch (error) {
+          console.warn('BMS: could not save the panel layout:', error);
+        }
+      },
+
+      /**
+       * Forget every saved panel layout on this site
+       * Open panels are cascaded back to the default position.
+       */
+      resetLayout: function() {
+        this.cascade();
+
+        try {
+          Object.keys(localStorage)
+            .filter(key => key.startsWith('bms-panel-layout:'))
+            .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+          console.warn('BMS: could not clear the panel layouts:', error);
+        }
+      },
+
+      /**
+       * Snap a dragged panel to the window edges and to the edges of other panels
+       * Beside another panel it docks to its side and lines up with its top or
+       * bottom; above or below, it docks to its edge and lines up with its sides.
+       * @param {HTMLElement} panel - Panel being dragged
+       * @param {number} left - Position it would move to
+       * @param {number} top - Position it would move to
+       * @returns {Object} { left, top } after snapping
+       */
+      snap: function(panel, left, top) {
+        const threshold = BMS.config.snapThreshold;
+        if (!threshold) return { left, top };
+
+        const width = panel.offsetWidth;
+        const height = panel.offsetHeight;
+        const bounds = this._bounds();
+        const xs = [bounds.left, bounds.right - width];
+        const ys = [bounds.top, bounds.bottom - height];
+
+        this.getPanels().forEach(other => {
+          if (other === panel) return;
+          const rect = other.getBoundingClientRect();
+          if (top < rect.bottom + threshold && top + height > rect.top - threshold) {
+            xs.push(rect.right, rect.left - width);
+            ys.push(rect.top, rect.bottom - height);
+          }
+          if (left < rect.right + threshold && left + width > rect.left - threshold) {
+            ys.push(rect.bottom, rect.top - height);
+            xs.push(rect.left, rect.right - width);
+          }
+        });
+
+        const nearest = (value, targets) => {
+          const target = targets.reduce((best, candidate) =>
+            Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best);
+          return Math.abs(target - value) <= threshold ? target : value;
+        };
+        return { left: nearest(left, xs), top: nearest(top, ys) };
+      },
+
+      /**
+       * Move a panel, keeping it inside the window
+       * @param {HTMLElement} panel - Panel to move
+       * @param {number} left - New position
+       * @param {number} top - New position
+       * @param {Object} options - { snap: false to place it freely }
+       */
+      move: function(panel, left, top, { snap = true } = {}) {
+        if (snap) {
+          ({ left, top } = this.snap(panel, left, top));
+        }
+        const bounds = this._bounds();
+        panel.style.left = `${BMS.Utils.clamp(left, bounds.left, bounds.right - panel.offsetWidth)}px`;
+        panel.style.top = `${BMS.Utils.clamp(top, bounds.top, bounds.bottom - panel.offsetHeight)}px`;
+      },
+
+      /**
+       * Resize a panel, keeping it inside the window and above its minimum size
+       * @returns {Object} { width, height } applied
+       */
+      resize: function(panel, width, height) {
+        const bounds = this._bounds();
+        width = BMS.Utils.clamp(width, this.minWidth, bounds.right - panel.offsetLeft);
+        height = BMS.Utils.clamp(height, this.minHeight, bounds.bottom - panel.offsetTop);
+        panel.style.width = `${width}px`;
+        panel.style.height = `${height}px`;
+        return { width, height };
+      },
+
+      /**
+       * Move or resize a panel from the keyboard
+       * Shift+Arrow keys move or resize it by keyboardStep pixels. Plain arrow
+       * keys are left alone for scrolling and screen readers.
+       * @param {HTMLElement} panel - Panel to change
+       * @param {KeyboardEvent} e - keydown event
+       * @param {string} action - 'move' or 'resize'
+       * @returns {boolean} Whether the key was handled
+       */
+      handleKey: function(panel, e, action) {
+        const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const direction = directions[e.key];
+        if (!direction || !e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) return false;
+        if (panel.classList.contains('bms-maximized') || this._isDocked(panel)) return false;
+
+        e.preventDefault();
+        const [dx, dy] = direction.map(step => step * this.keyboardStep);
+        if (action === 'resize') {
+          this.resize(panel, panel.offsetWidth + dx, panel.offsetHeight + dy);
+        } else {
+          this.move(panel, panel.offsetLeft + dx, panel.offsetTop + dy, { snap: false });
+        }
+        this.saveLayout(panel);
+        return true;
+      },
+
+      /**
+       * z-index for BMS overlays, above every panel in the layer
+       * @param {number} offset - Orders overlays among themselves
+       */
+      overlayZIndex: function(offset = 0) {
+        return this._layer().max + 1 + offset;
+      },
+
+      _layer: function() {
+        return this.layers[BMS.config.windowLayer] || this.layers.above;
+      },
+
+      /**
+       * Number the panels' z-indexes from the bottom of the layer, back to front
+       */
+      _restack: function() {
+        const layer = this._layer();
+        this.panels.forEach((panel, index) => {
+          panel.style.zIndex = Math.min(layer.min + index, layer.max);
+        });
+      },
+
+      /**
+       * Forget panels that were removed without being unregistered
+       */
+      _prune: function() {
+        const panels = this.panels.filter(panel => panel.isConnected);
+        if (panels.length === this.panels.length) return;
+        this.panels = panels;
+        if (this.focused && !this.focused.isConnected) {
+          this.focused = null;
+        }
+        this._renderTaskbar();
+      },
+
+      /**
+       * Pull panels back inside the window after it shrinks
+       */
+      _keepInView: function() {
+        this._floating()
+          .filter(panel => !panel.classList.contains('bms-maximized'))
+          .forEach(panel => this.move(panel, panel.offsetLeft, panel.offsetTop, { snap: false }));
+      },
+
+      _readLayout: function(key) {
+        if (!key) return null;
+        try {
+          const layout = JSON.parse(localStorage.getItem(key));
+          return layout && typeof layout === 'object' ? layout : null;
+        } catch (error) {
+          console.warn('BMS: could not read the saved panel layout:', error);
+          return null;
+        }
+      },
+
+      /**
+       * Put a panel back where it was saved, kept inside the window
+       * @returns {Object|null} The saved layout
+       */
+      _restoreLayout: function(panel) {
+        const layout = this._readLayout(panel._bmsLayoutKey);
+        if (!layout) return null;
+
+        const bounds = this._bounds();
+        const docked = Array.isArray(layout.docked) ? layout.docked : [];
+        const size = (value, max) => Number.isFinite(value) && value > 0 ? Math.min(value, max) : null;
+        const width = size(layout.width, bounds.right - bounds.left);
+        const height = size(layout.height, bounds.bottom - bounds.top);
+        if (width) panel.style.width = `${width}px`;
+        if (height) panel.style.height = `${height}px`;
+
+        if (Number.isFinite(layout.left) && Number.isFinite(layout.top)) {
+          const rect = panel.getBoundingClientRect();
+          const maxLeft = Math.max(bounds.left, bounds.right - rect.width);
+          const maxTop = Math.max(bounds.top, bounds.bottom - rect.height);
+          const left = docked.includes('right') ? maxLeft : docked.includes('left') ? bounds.left : layout.left;
+          const top = docked.includes('bottom') ? maxTop : docked.includes('top') ? bounds.top : layout.top;
+          panel.style.left = `${Math.min(Math.max(left, bounds.left), maxLeft)}px`;
+          panel.style.top = `${Math.min(Math.max(top, bounds.top), maxTop)}px`;
+        }
+
+        const tabs = this._tabs(panel);
+        if (Number.isInteger(layout.tab) && tabs[layout.tab]) {
+          tabs[layout.tab].click();
+        }
+        return layout;
+      },
+
+      /**
+       * Reapply the saved collapsed, maximized and minimized states
+       */
+      _restoreState: function(panel, layout) {
+        const Panel = BMS.UI.Components && BMS.UI.Components.Panel;
+        if (Panel && panel._bmsConfig) {
+          if (layout.collapsed && !panel.classList.contains('bms-collapsed')) {
+            Panel.toggleCollapse(panel);
+          }
+          if (layout.maximized && !panel.classList.contains('bms-maximized')) {
+            Panel.maximize(panel);
+          }
+          if (layout.dockSide && Panel.dock) {
+            Panel.dock(panel, layout.dockSide, layout.dockSize);
+          }
+        }
+        if (layout.minimized) {
+          this.minimize(panel);
+        }
+      },
+
+      /**
+       * Whether a panel is docked beside the page (Panel component drawers)
+       */
+      _isDocked: function(panel) {
+        return panel.classList.contains('bms-docked');
+      },
+
+      _floating: function() {
+        return this.getPanels().filter(panel => !this._isDocked(panel));
+      },
+
+      _tabs: function(panel) {
+        return Array.from(panel.querySelectorAll(':scope > .bms-panel-tabs > .bms-tab-btn'));
+      },
+
+      _focusTop: function() {
+        const visible = this.getPanels();
+        if (visible.length > 0) {
+          this.focus(visible[visible.length - 1]);
+        }
+      },
+
+      /**
+       * Move a new panel off the top-left corner of any open panel
+       */
+      _place: function(panel) {
+        const bounds = this._bounds();
+        const taken = this.getPanels().map(other => other.getBoundingClientRect());
+        const rect = panel.getBoundingClientRect();
+        let left = rect.left;
+        let top = rect.top;
+        let moved = false;
+
+        for (let i = 0; i < taken.length && taken.some(other =>
+          Math.abs(other.left - left) < this.cascadeStep / 2 && Math.abs(other.top - top) < this.cascadeStep / 2); i++) {
+          left += this.cascadeStep;
+          top += this.cascadeStep;
+          moved = true;
+        }
+        if (!moved) return;
+
+        panel.style.left = `${BMS.Utils.clamp(left, bounds.left, bounds.right - rect.width)}px`;
+        panel.style.top = `${BMS.Utils.clamp(top, bounds.top, bounds.bottom - rect.height)}px`;
+      },
+
+      /**
+       * Restore a Panel component maximized to the whole window
+       */
+      _unmaximize: function(panel) {
+        if (panel.classList.contains('bms-maximized') && BMS.UI.Components && BMS.UI.Components.Panel) {
+          BMS.UI.Components.Panel.maximize(panel);
+        }
+      },
+
+      /**
+       * The area panels are placed in: the window above the taskbar, between any docked panels
+       */
+      _bounds: function() {
+        const taskbar = this._taskbar && this._taskbar.isConnected ? this._taskbar.offsetHeight : 0;
+        const docked = this.getPanels().filter(panel => this._isDocked(panel));
+        const dockWidth = side => docked
+          .filter(panel => panel.dataset.dockSide === side)
+          .reduce((total, panel) => total + panel.offsetWidth, 0);
+
+        return {
+          left: dockWidth('left'),
+          top: 0,
+          right: (document.documentElement.clientWidth || window.innerWidth) - dockWidth('right'),
+          bottom: (document.documentElement.clientHeight || window.innerHeight) - taskbar
+        };
+      },
+
+      /**
+       * Show a button for each minimized panel in a strip along the bottom
+       */
+      _renderTaskbar: function() {
+        const minimized = this.panels.filter(panel => this.isMinimized(panel));
+        if (minimized.length === 0) {
+          if (this._taskbar) this._taskbar.remove();
+          return;
+        }
+
+        if (!this._taskbar) {
+          this._taskbar = document.createElement('div');
+          this._taskbar.className = 'bms-taskbar bms-container';
+          this._taskbar.setAttribute('role', 'toolbar');
+          this._taskbar.setAttribute('aria-label', 'Minimized panels');
+        }
+        if (!this._taskbar.isConnected) {
+          BMS.DOM.mount(this._taskbar);
+        }
+        this._taskbar.style.zIndex = this._layer().max;
+
+        this._taskbar.replaceChildren(...minimized.map(panel => {
+          const title = panel.querySelector('.bms-panel-title');
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'bms-taskbar-item';
+          button.dataset.panelId = panel.id;
+          button.textContent = (title && title.textContent.trim()) || panel.id;
+          button.title = `Restore ${button.textContent}`;
+          button.addEventListener('click', () => this.restore(panel));
+          return button;
+        }));
+      },
+
+      _taskbar: null
     }
   },
 
@@ -554,11 +1825,292 @@ window.BMS = {
     selectAll: function(selector) {
       return document.querySelectorAll(selector);
     },
+
+    /**
+     * Replace an element's content with sanitized HTML
+     * Use this instead of innerHTML: it strips scripts, event handlers and
+     * unsafe URLs, and works on pages that enforce Trusted Types.
+     * @param {Element} element - Target element
+     * @param {string} html - Untrusted HTML
+     */
     setHTML: function(element, html) {
-      // Basic protection against script injection
-      const sanitizedHtml = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-      element.innerHTML = sanitizedHtml;
-    }
+      element.replaceChildren(this.sanitize(html));
+    },
+
+    /**
+     * Allow-lists used by sanitize(); components may add to them
+     * Elements outside the list are unwrapped (their content kept), except
+     * dropElements which are removed along with their content.
+     */
+    sanitizer: {
+      elements: new Set([
+        'a', 'abbr', 'article', 'aside', 'audio', 'b', 'blockquote', 'br', 'button', 'caption',
+        'code', 'col', 'colgroup', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'fieldset',
+        'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i',
+        'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'mark', 'nav', 'ol',
+        'optgroup', 'option', 'p', 'picture', 'pre', 'progress', 'q', 's', 'section', 'select',
+        'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+        'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'video',
+        // SVG
+        'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'text',
+        'tspan', 'defs', 'lineargradient', 'radialgradient', 'stop', 'title', 'animatetransform'
+      ]),
+      dropElements: new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'noscript',
+        'template', 'link', 'meta', 'base', 'math', 'foreignobject'
+      ]),
+      attributes: new Set([
+        'id', 'class', 'style', 'title', 'role', 'tabindex', 'dir', 'lang', 'hidden',
+        'href', 'target', 'rel', 'download', 'src', 'srcset', 'alt', 'width', 'height', 'loading',
+        'type', 'value', 'placeholder', 'checked', 'disabled', 'readonly', 'selected', 'multiple',
+        'min', 'max', 'step', 'for', 'rows', 'cols', 'colspan', 'rowspan', 'scope', 'span',
+        'start', 'datetime', 'open', 'controls', 'poster', 'muted', 'loop', 'preload', 'playsinline',
+        // SVG
+        'viewbox', 'xmlns', 'fill', 'fill-opacity', 'fill-rule', 'clip-rule', 'stroke', 'stroke-width',
+        'stroke-linecap', 'stroke-linejoin', 'stroke-opacity', 'stroke-dasharray', 'stroke-dashoffset',
+        'd', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'x2', 'y1', 'y2', 'points', 'transform',
+        'opacity', 'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'text-anchor', 'font-size',
+        'attributename', 'from', 'to', 'dur', 'repeatcount', 'values'
+      ]),
+      // Removed from style attributes, so markup can't lift itself over the page
+      // or other tools. Declarations that load a url() are removed too.
+      dropStyles: new Set([
+        'position', 'top', 'right', 'bottom', 'left', 'inset', 'inset-block', 'inset-block-start',
+        'inset-block-end', 'inset-inline', 'inset-inline-start', 'inset-inline-end', 'z-index',
+        'transform', 'translate'
+      ]),
+      // Checked against urlSchemes; relative URLs are always allowed
+      urlAttributes: new Set(['href', 'src', 'srcset', 'poster', 'xlink:href']),
+      urlSchemes: new Set(['http', 'https', 'mailto', 'tel', 'blob'])
+    },
+
+    /**
+     * Sanitize HTML against the allow-lists
+     * The markup is parsed into an inert template, so nothing runs or loads
+     * before it has been cleaned. On pages that enforce Trusted Types it is
+     * parsed through a pass-through policy kept in this closure, so page
+     * scripts can't use it to create TrustedHTML of their own.
+     * @param {string} html - Untrusted HTML
+     * @returns {DocumentFragment} Sanitized nodes
+     */
+    sanitize: (function() {
+      let policy;
+
+      function trustedHTML(html) {
+        if (!window.trustedTypes || !BMS.config.trustedTypesPolicy) return html;
+
+        if (policy === undefined) {
+          try {
+            policy = trustedTypes.createPolicy(BMS.config.trustedTypesPolicy, { createHTML: input => input });
+          } catch (error) {
+            console.warn(`BMS: Trusted Types policy "${BMS.config.trustedTypesPolicy}" not allowed on this page`);
+            policy = null;
+          }
+        }
+        return policy ? policy.createHTML(html) : html;
+      }
+
+      return function(html) {
+        const template = document.createElement('template');
+        html = html == null ? '' : String(html);
+
+        try {
+          template.innerHTML = trustedHTML(html);
+        } catch (error) {
+          // Trusted Types enforced and no policy allowed: show the markup as text
+          console.warn('BMS: cannot parse HTML on this page, showing it as text:', error.message);
+          template.content.replaceChildren(document.createTextNode(html));
+          return template.content;
+        }
+
+        this._sanitizeChildren(template.content);
+        return template.content;
+      };
+    })(),
+
+    _sanitizeChildren: function(parent) {
+      const { elements, dropElements, attributes, urlAttributes } = this.sanitizer;
+
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.localName.toLowerCase();
+        if (dropElements.has(tag)) {
+          node.remove();
+          return;
+        }
+
+        this._sanitizeChildren(node);
+        if (!elements.has(tag)) {
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+
+        Array.from(node.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          const allowed = name.startsWith('aria-') || name.startsWith('data-') || attributes.has(name) || urlAttributes.has(name);
+          if (!allowed || (urlAttributes.has(name) && !this._isSafeURL(attr.value, name === 'srcset'))) {
+            node.removeAttribute(attr.name);
+          }
+        });
+
+        if (node.hasAttribute('style')) {
+          this._sanitizeStyle(node);
+        }
+      });
+    },
+
+    _sanitizeStyle: function(node) {
+      Array.from(node.style).forEach(property => {
+        if (this.sanitizer.dropStyles.has(property) || /url\(/i.test(node.style.getPropertyValue(property))) {
+          node.style.removeProperty(property);
+        }
+      });
+      if (node.style.length === 0) {
+        node.removeAttribute('style');
+      }
+    },
+
+    /**
+     * Check a URL attribute value against the allowed schemes
+     * data: URLs are accepted for images only.
+     */
+    _isSafeURL: function(value, isSrcset) {
+      const urls = isSrcset ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+      return urls.every(url => {
+        // Browsers ignore control characters and whitespace inside the scheme
+        const match = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!match) return true;
+        const scheme = match[1].toLowerCase();
+        if (scheme === 'data') return /^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(url.trim());
+        return this.sanitizer.urlSchemes.has(scheme);
+      });
+    },
+
+    /**
+     * Get the node BMS UI is mounted in
+     * That's document.body, or with config.isolation 'shadow' the shadow root of
+     * a host element, created on first use along with every stylesheet added so far.
+     * @returns {Element|ShadowRoot}
+     */
+    getRoot: function() {
+      if (BMS.config.isolation !== 'shadow' || !document.body.attachShadow) {
+        return document.body;
+      }
+
+      if (!this._shadowRoot) {
+        const host = document.createElement('div');
+        host.id = 'bms-shadow-host';
+        this._shadowRoot = host.attachShadow({ mode: 'open' });
+        document.body.appendChild(host);
+
+        // Nothing from the page inherits into the UI; the host takes the window layer
+        const zIndex = BMS.config.windowLayer === 'below' ? BMS.UI.WindowManager.layers.below.min : 2147483647;
+        this.addStyles(`:host { all: initial; position: fixed; top: 0; left: 0; z-index: ${zIndex}; }`, 'bms-host');
+        Object.keys(this._styleSources).forEach(id => this.addStyles(this._styleSources[id], id));
+      } else if (!this._shadowRoot.host.isConnected) {
+        // Single-page apps sometimes replace the whole body
+        document.body.appendChild(this._shadowRoot.host);
+      }
+
+      return this._shadowRoot;
+    },
+
+    /**
+     * Add an element to the BMS root
+     * @param {Element} element - Element to mount
+     * @returns {Element} The element
+     */
+    mount: function(element) {
+      return this.getRoot().appendChild(element);
+    },
+
+    /**
+     * Find an element by id inside the BMS root
+     * @param {string} id - Element id
+     * @returns {Element|null}
+     */
+    byId: function(id) {
+      const root = this.getRoot();
+      return root.getElementById ? root.getElementById(id) : document.getElementById(id);
+    },
+
+    /**
+     * Get the focused element, looking inside shadow roots
+     * @returns {Element|null}
+     */
+    activeElement: function() {
+      let element = document.activeElement;
+      while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+        element = element.shadowRoot.activeElement;
+      }
+      return element;
+    },
+
+    /**
+     * Add a stylesheet to the BMS root once per id
+     * Uses a constructed stylesheet where supported: unlike <style> elements,
+     * CSSOM isn't subject to the page's CSP style-src.
+     * @param {string} cssText - CSS source
+     * @param {string} id - Identifies the stylesheet, repeated calls are ignored
+     */
+    addStyles: function(cssText, id) {
+      this._styleSources[id] = cssText;
+
+      const root = this.getRoot();
+      const target = root === document.body ? document : root;
+      if (!this._styles.has(target)) this._styles.set(target, new Set());
+      const added = this._styles.get(target);
+      if (added.has(id) || (target === document && document.getElementById(id))) return;
+      added.add(id);
+
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(cssText);
+        target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+        return;
+      } catch (error) {
+        // Constructable stylesheets unsupported, use a <style> element
+      }
+
+      const style = document.createElement('style');
+      style.id = id;
+      style.textContent = cssText;
+      (target === document ? document.head : target).appendChild(style);
+    },
+
+    /**
+     * Add every BMS stylesheet added so far to another document, e.g. a pop-out window
+     * The sheets are constructed in that window, since a document can only adopt
+     * its own; browsers without constructable stylesheets get <style> elements.
+     * @param {Document} targetDocument - Document to style
+     */
+    copyStyles: function(targetDocument) {
+      const view = targetDocument.defaultView;
+      Object.keys(this._styleSources).forEach(id => {
+        const cssText = this._styleSources[id];
+        try {
+          const sheet = new view.CSSStyleSheet();
+          sheet.replaceSync(cssText);
+          targetDocument.adoptedStyleSheets = [...targetDocument.adoptedStyleSheets, sheet];
+          return;
+        } catch (error) {
+          // Constructable stylesheets unsupported, use a <style> element
+        }
+
+        const style = targetDocument.createElement('style');
+        style.id = id;
+        style.textContent = cssText;
+        targetDocument.head.appendChild(style);
+      });
+    },
+
+    _styles: new WeakMap(),
+    _styleSources: {}
   },
 
   Utils: {
@@ -566,6 +2118,15 @@ window.BMS = {
       return prefix + Math.random().toString(36).substr(2, 9);
     },
 
+    /**
+     * Limit a value to [min, max]
+     * When max < min (too little room), min wins: a panel's top-left corner
+     * stays on screen.
+     */
+    clamp: function(value, min, max) {
+      return Math.max(min, Math.min(value, max));
+    },
+
     copyToClipboard: function(text) {
       const ta = document.createElement('textarea');
       ta.style.position = 'absolute';
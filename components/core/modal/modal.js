@@ -32,7 +32,7 @@
                 footer: null,
                 buttons: [],
                 className: '',
-                zIndex: 11000,
+                zIndex: BMS.UI.WindowManager?.overlayZIndex(10) ?? 11000,
                 onOpen: null,
                 onClose: null,
                 onAction: null
@@ -56,16 +56,16 @@
             // Create header
             const header = document.createElement('div');
             header.className = 'bms-modal-header';
-            header.innerHTML = `
+            BMS.DOM.setHTML(header, `
                 <h3 class="bms-modal-title" id="${config.id}-title">${config.title}</h3>
                 ${config.closeButton ? '<button class="bms-modal-close" aria-label="Close">×</button>' : ''}
-            `;
+            `);
 
             // Create body
             const body = document.createElement('div');
             body.className = 'bms-modal-body';
             if (typeof config.content === 'string') {
-                body.innerHTML = config.content;
+                BMS.DOM.setHTML(body, config.content);
             } else if (config.content instanceof HTMLElement) {
                 body.appendChild(config.content);
             }
@@ -78,7 +78,7 @@
 
                 if (config.footer) {
                     if (typeof config.footer === 'string') {
-                        footer.innerHTML = config.footer;
+                        BMS.DOM.setHTML(footer, config.footer);
                     } else if (config.footer instanceof HTMLElement) {
                         footer.appendChild(config.footer);
                     }
@@ -103,7 +103,7 @@
             }
 
             overlay.appendChild(modal);
-            document.body.appendChild(overlay);
+            (BMS.DOM?.getRoot?.() || document.body).appendChild(overlay);
 
             // Setup interactions
             this._setupEvents(overlay, modal, config);
@@ -199,7 +199,7 @@
          */
         _manageFocus: function(modal) {
             // Store previously focused element
-            modal._previousFocus = document.activeElement;
+            modal._previousFocus = BMS.DOM?.activeElement?.() || document.activeElement;
 
             // Get all focusable elements
             const focusableElements = modal.querySelectorAll(
@@ -216,13 +216,15 @@
 
                 modal.addEventListener('keydown', (e) => {
                     if (e.key === 'Tab') {
+                        // document.activeElement is the shadow host when isolated
+                        const active = BMS.DOM?.activeElement?.() || document.activeElement;
                         if (e.shiftKey) {
-                            if (document.activeElement === firstFocusable) {
+                            if (active === firstFocusable) {
                                 e.preventDefault();
                                 lastFocusable.focus();
                             }
                         } else {
-                            if (document.activeElement === lastFocusable) {
+                            if (active === lastFocusable) {
                                 e.preventDefault();
                                 firstFocusable.focus();
                             }
@@ -363,7 +365,7 @@
             const inputId = 'prompt-input-' + Date.now();
 
             const content = document.createElement('div');
-            content.innerHTML = `
+            BMS.DOM.setHTML(content, `
                 <p>${config.message}</p>
                 <input
                     id="${inputId}"
@@ -373,7 +375,7 @@
                     value="${config.defaultValue}"
                 />
                 <div class="bms-modal-error" style="display: none;"></div>
-            `;
+            `);
 
             const modal = this.create({
                 title: config.title,
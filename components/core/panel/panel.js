@@ -28,10 +28,16 @@
                 closeable: true,
                 minimizable: true,
                 maximizable: true,
+                dockable: true,
+                mode: 'float', // 'float' or 'dock': a drawer beside the page
+                side: 'right', // Side to dock to: 'left' or 'right'
+                dockSize: null, // Width when docked; defaults to size.width
+                poppable: false, // Pop-out button; only for content that doesn't look itself up inside the panel
                 theme: 'light',
                 animation: true,
                 className: '',
-                zIndex: 10000,
+                persistLayout: true, // Remember position, size and state (panels with an id only)
+                zIndex: 10000, // Only used without BMS.UI.WindowManager, which stacks panels itself
                 onClose: null,
                 onMinimize: null,
                 onMaximize: null,
@@ -42,6 +48,11 @@
 
             const config = { ...defaults, ...options };
 
+            // Generated ids change on every run, so only panels given an id are remembered
+            if (!options.id) {
+                config.persistLayout = false;
+            }
+
             // Create panel element
             const panel = document.createElement('div');
             panel.id = config.id;
@@ -58,21 +69,23 @@
             // Create header
             const header = document.createElement('div');
             header.className = 'bms-panel-header';
-            header.innerHTML = `
+            BMS.DOM.setHTML(header, `
                 <span class="bms-panel-title">${config.title}</span>
                 <div class="bms-panel-controls">
                     ${config.collapsible ? '<button class="bms-panel-btn bms-panel-collapse" title="Collapse">─</button>' : ''}
+                    ${config.dockable ? '<button class="bms-panel-btn bms-panel-dock" title="Dock to the side">⇥</button>' : ''}
+                    ${config.poppable ? '<button class="bms-panel-btn bms-panel-popout" title="Pop out into a window">↗</button>' : ''}
                     ${config.minimizable ? '<button class="bms-panel-btn bms-panel-minimize" title="Minimize">_</button>' : ''}
                     ${config.maximizable ? '<button class="bms-panel-btn bms-panel-maximize" title="Maximize">□</button>' : ''}
                     ${config.closeable ? '<button class="bms-panel-btn bms-panel-close" title="Close">×</button>' : ''}
                 </div>
-            `;
+            `);
 
             // Create content area
             const content = document.createElement('div');
             content.className = 'bms-panel-content';
             if (typeof config.content === 'string') {
-                content.innerHTML = config.content;
+                BMS.DOM.setHTML(content, config.content);
             } else if (config.content instanceof HTMLElement) {
                 content.appendChild(config.content);
             }
@@ -81,7 +94,7 @@
             const footer = document.createElement('div');
             footer.className = 'bms-panel-footer';
             if (config.resizable) {
-                footer.innerHTML = '<div class="bms-panel-resizer">⋮</div>';
+                BMS.DOM.setHTML(footer, '<div class="bms-panel-resizer">⋮</div>');
             }
 
             // Assemble panel
@@ -91,22 +104,40 @@
                 panel.appendChild(footer);
             }
 
-            // Add to document
-            document.body.appendChild(panel);
+            // Splitter on the page side of a docked panel
+            const dockHandle = document.createElement('div');
+            dockHandle.className = 'bms-panel-dock-handle';
+            if (config.dockable) {
+                panel.appendChild(dockHandle);
+            }
+
+            // Add to document (or the BMS shadow root)
+            (BMS.DOM?.getRoot?.() || document.body).appendChild(panel);
 
             // Setup interactions
             this._setupDragging(panel, header, config);
             this._setupResizing(panel, footer, config);
+            this._setupDockHandle(panel, dockHandle, config);
             this._setupControls(panel, config);
 
             // Store panel reference
             panel._bmsConfig = config;
 
+            BMS.events?.emit('panel:created', { id: panel.id, panel });
+            const layout = BMS.UI.WindowManager?.register(panel, { persist: config.persistLayout });
+
+            // A saved layout already says whether it was docked
+            if (config.mode === 'dock' && !layout) {
+                this.dock(panel, config.side, config.dockSize);
+            }
+
             return panel;
         },
 
         /**
          * Setup dragging functionality
+         * Pointer capture keeps the moves coming to the header from a mouse, pen
+         * or finger. With focus on the header, Shift+Arrow keys move the panel.
          */
         _setupDragging: function(panel, header, config) {
             if (!config.draggable) return;
@@ -115,15 +146,23 @@
             let startX, startY, initialX, initialY;
 
             header.style.cursor = 'move';
+            // Keyboard moves go through the window manager
+            if (BMS.UI.WindowManager) {
+                header.tabIndex = 0;
+                header.setAttribute('aria-keyshortcuts', 'Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');
+                header.title = 'Drag, or press Shift+Arrow keys, to move';
+            }
 
             const startDrag = (e) => {
-                if (e.target.closest('.bms-panel-controls')) return;
+                if (e.button !== 0 || e.target.closest('.bms-panel-controls')) return;
+                if (panel.classList.contains('bms-docked')) return;
                 isDragging = true;
-                startX = e.clientX || e.touches[0].clientX;
-                startY = e.clientY || e.touches[0].clientY;
+                startX = e.clientX;
+                startY = e.clientY;
                 initialX = panel.offsetLeft;
                 initialY = panel.offsetTop;
 
+                header.setPointerCapture(e.pointerId);
                 panel.classList.add('bms-dragging');
                 e.preventDefault();
             };
@@ -131,13 +170,16 @@
             const drag = (e) => {
                 if (!isDragging) return;
 
-                const currentX = e.clientX || e.touches[0].clientX;
-                const currentY = e.clientY || e.touches[0].clientY;
-                const deltaX = currentX - startX;
-                const deltaY = currentY - startY;
+                const left = initialX + e.clientX - startX;
+                const top = initialY + e.clientY - startY;
 
-                panel.style.left = `${Math.max(0, initialX + deltaX)}px`;
-                panel.style.top = `${Math.max(0, initialY + deltaY)}px`;
+                if (BMS.UI.WindowManager) {
+                    // Hold Alt to place the panel freely
+                    BMS.UI.WindowManager.move(panel, left, top, { snap: !e.altKey });
+                } else {
+                    panel.style.left = `${BMS.Utils.clamp(left, 0, window.innerWidth - panel.offsetWidth)}px`;
+                    panel.style.top = `${BMS.Utils.clamp(top, 0, window.innerHeight - panel.offsetHeight)}px`;
+                }
 
                 if (config.onDrag) {
                     config.onDrag(panel, { x: panel.offsetLeft, y: panel.offsetTop });
@@ -148,21 +190,24 @@
                 if (!isDragging) return;
                 isDragging = false;
                 panel.classList.remove('bms-dragging');
+                BMS.UI.WindowManager?.saveLayout(panel);
             };
 
-            // Mouse events
-            header.addEventListener('mousedown', startDrag);
-            document.addEventListener('mousemove', drag);
-            document.addEventListener('mouseup', stopDrag);
+            header.addEventListener('pointerdown', startDrag);
+            header.addEventListener('pointermove', drag);
+            header.addEventListener('pointerup', stopDrag);
+            header.addEventListener('pointercancel', stopDrag);
 
-            // Touch events
-            header.addEventListener('touchstart', startDrag);
-            document.addEventListener('touchmove', drag);
-            document.addEventListener('touchend', stopDrag);
+            header.addEventListener('keydown', (e) => {
+                if (e.target === header && BMS.UI.WindowManager?.handleKey(panel, e, 'move') && config.onDrag) {
+                    config.onDrag(panel, { x: panel.offsetLeft, y: panel.offsetTop });
+                }
+            });
         },
 
         /**
          * Setup resizing functionality
+         * With focus on the resize handle, Shift+Arrow keys resize the panel.
          */
         _setupResizing: function(panel, footer, config) {
             if (!config.resizable) return;
@@ -173,13 +218,23 @@
             let isResizing = false;
             let startX, startY, startWidth, startHeight;
 
+            if (BMS.UI.WindowManager) {
+                resizer.tabIndex = 0;
+                resizer.setAttribute('role', 'button');
+                resizer.setAttribute('aria-label', 'Resize panel');
+                resizer.setAttribute('aria-keyshortcuts', 'Shift+ArrowLeft Shift+ArrowRight Shift+ArrowUp Shift+ArrowDown');
+                resizer.title = 'Drag, or press Shift+Arrow keys, to resize';
+            }
+
             const startResize = (e) => {
+                if (e.button !== 0) return;
                 isResizing = true;
-                startX = e.clientX || e.touches[0].clientX;
-                startY = e.clientY || e.touches[0].clientY;
+                startX = e.clientX;
+                startY = e.clientY;
                 startWidth = panel.offsetWidth;
                 startHeight = panel.offsetHeight;
 
+                resizer.setPointerCapture(e.pointerId);
                 panel.classList.add('bms-resizing');
                 e.preventDefault();
             };
@@ -187,17 +242,20 @@
             const resize = (e) => {
                 if (!isResizing) return;
 
-                const currentX = e.clientX || e.touches[0].clientX;
-                const currentY = e.clientY || e.touches[0].clientY;
-
-                const newWidth = Math.max(200, startWidth + (currentX - startX));
-                const newHeight = Math.max(150, startHeight + (currentY - startY));
+                let width = Math.max(200, startWidth + (e.clientX - startX));
+                let height = Math.max(150, startHeight + (e.clientY - startY));
 
-                panel.style.width = `${newWidth}px`;
-                panel.style.height = `${newHeight}px`;
+                if (BMS.UI.WindowManager) {
+                    ({ width, height } = BMS.UI.WindowManager.resize(panel, width, height));
+                } else {
+                    width = BMS.Utils.clamp(width, 200, window.innerWidth - panel.offsetLeft);
+                    height = BMS.Utils.clamp(height, 150, window.innerHeight - panel.offsetTop);
+                    panel.style.width = `${width}px`;
+                    panel.style.height = `${height}px`;
+                }
 
                 if (config.onResize) {
-                    config.onResize(panel, { width: newWidth, height: newHeight });
+                    config.onResize(panel, { width, height });
                 }
             };
 
@@ -205,17 +263,79 @@
                 if (!isResizing) return;
                 isResizing = false;
                 panel.classList.remove('bms-resizing');
+                BMS.UI.WindowManager?.saveLayout(panel);
+            };
+
+            resizer.addEventListener('pointerdown', startResize);
+            resizer.addEventListener('pointermove', resize);
+            resizer.addEventListener('pointerup', stopResize);
+            resizer.addEventListener('pointercancel', stopResize);
+
+            resizer.addEventListener('keydown', (e) => {
+                if (BMS.UI.WindowManager?.handleKey(panel, e, 'resize') && config.onResize) {
+                    config.onResize(panel, { width: panel.offsetWidth, height: panel.offsetHeight });
+                }
+            });
+        },
+
+        /**
+         * Setup the splitter that resizes a docked panel
+         * Follows the ARIA window splitter pattern: Arrow keys move it.
+         */
+        _setupDockHandle: function(panel, handle, config) {
+            if (!config.dockable) return;
+
+            let isResizing = false;
+            let startX, startWidth;
+
+            handle.tabIndex = 0;
+            handle.setAttribute('role', 'separator');
+            handle.setAttribute('aria-orientation', 'vertical');
+            handle.setAttribute('aria-label', 'Resize docked panel');
+            handle.title = 'Drag, or press Arrow keys, to resize';
+
+            // Moving the splitter towards the page widens the drawer
+            const towardsPage = () => panel.dataset.dockSide === 'left' ? 1 : -1;
+
+            const resizeTo = (width) => {
+                width = this._setDockSize(panel, width);
+                if (config.onResize) {
+                    config.onResize(panel, { width, height: panel.offsetHeight });
+                }
             };
 
-            // Mouse events
-            resizer.addEventListener('mousedown', startResize);
-            document.addEventListener('mousemove', resize);
-            document.addEventListener('mouseup', stopResize);
+            handle.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0) return;
+                isResizing = true;
+                startX = e.clientX;
+                startWidth = panel.offsetWidth;
+
+                handle.setPointerCapture(e.pointerId);
+                panel.classList.add('bms-resizing');
+                e.preventDefault();
+            });
+
+            handle.addEventListener('pointermove', (e) => {
+                if (!isResizing) return;
+                resizeTo(startWidth + (e.clientX - startX) * towardsPage());
+            });
+
+            const stopResize = () => {
+                if (!isResizing) return;
+                isResizing = false;
+                panel.classList.remove('bms-resizing');
+                BMS.UI.WindowManager?.saveLayout(panel);
+            };
+            handle.addEventListener('pointerup', stopResize);
+            handle.addEventListener('pointercancel', stopResize);
 
-            // Touch events
-            resizer.addEventListener('touchstart', startResize);
-            document.addEventListener('touchmove', resize);
-            document.addEventListener('touchend', stopResize);
+            handle.addEventListener('keydown', (e) => {
+                if ((e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') || e.altKey || e.ctrlKey || e.metaKey) return;
+                e.preventDefault();
+                const step = (e.key === 'ArrowRight' ? 10 : -10) * towardsPage();
+                resizeTo(panel.offsetWidth + step);
+                BMS.UI.WindowManager?.saveLayout(panel);
+            });
         },
 
         /**
@@ -258,6 +378,24 @@
                 });
             }
 
+            // Dock button
+            const dockBtn = controls.querySelector('.bms-panel-dock');
+            if (dockBtn) {
+                dockBtn.addEventListener('click', () => this.toggleDock(panel));
+            }
+
+            // Pop-out button
+            const popoutBtn = controls.querySelector('.bms-panel-popout');
+            if (popoutBtn) {
+                popoutBtn.addEventListener('click', () => {
+                    if (panel._bmsPopout) {
+                        this.popIn(panel);
+                    } else {
+                        this.popOut(panel);
+                    }
+                });
+            }
+
             // Collapse button
             const collapseBtn = controls.querySelector('.bms-panel-collapse');
             if (collapseBtn) {
@@ -272,8 +410,14 @@
 
         /**
          * Minimize panel
+         * With BMS.UI.WindowManager the panel goes to its taskbar; otherwise it
+         * shrinks to its header.
          */
         minimize: function(panel) {
+            if (BMS.UI.WindowManager) {
+                BMS.UI.WindowManager.minimize(panel);
+                return;
+            }
             panel.classList.toggle('bms-minimized');
         },
 
@@ -281,11 +425,18 @@
          * Maximize panel
          */
         maximize: function(panel) {
+            if (panel.classList.contains('bms-docked')) {
+                this.undock(panel);
+            }
+
             if (panel.classList.contains('bms-maximized')) {
                 // Restore
                 panel.classList.remove('bms-maximized');
                 if (panel._bmsOriginalStyle) {
+                    // Keep the stacking order it gained while maximized
+                    const zIndex = panel.style.zIndex;
                     panel.style.cssText = panel._bmsOriginalStyle;
+                    panel.style.zIndex = zIndex;
                 }
             } else {
                 // Maximize
@@ -296,6 +447,229 @@
                 panel.style.width = 'calc(100% - 20px)';
                 panel.style.height = 'calc(100% - 20px)';
             }
+            BMS.UI.WindowManager?.saveLayout(panel);
+        },
+
+        /**
+         * Dock a panel to a side of the window as a drawer
+         * The page is narrowed with a margin on <html>, so the panel sits beside
+         * it like browser DevTools instead of covering it. There is one drawer
+         * per side; docking another one floats the first.
+         * @param {HTMLElement} panel - Panel element
+         * @param {string} side - 'left' or 'right'
+         * @param {number} size - Width of the drawer; defaults to the panel's width
+         */
+        dock: function(panel, side = 'right', size = null) {
+            if (side !== 'left' && side !== 'right') {
+                throw new Error(`Panel: can't dock to "${side}", use 'left' or 'right'`);
+            }
+
+            const root = BMS.DOM?.getRoot?.() || document;
+            root.querySelectorAll(`.bms-panel-enhanced.bms-docked-${side}`).forEach(other => {
+                if (other !== panel) this.undock(other);
+            });
+
+            if (panel.classList.contains('bms-maximized')) {
+                this.maximize(panel);
+            }
+            if (!panel.classList.contains('bms-docked')) {
+                panel._bmsFloatingStyle = panel.style.cssText;
+            }
+
+            panel.classList.remove('bms-docked-left', 'bms-docked-right');
+            panel.classList.add('bms-docked', `bms-docked-${side}`);
+            panel.dataset.dockSide = side;
+            panel.style.top = '0';
+            panel.style.height = '100%';
+            panel.style.left = side === 'left' ? '0' : 'auto';
+            panel.style.right = side === 'right' ? '0' : 'auto';
+
+            this._setDockSize(panel, size || panel.offsetWidth);
+            this._updateDockButton(panel);
+            BMS.UI.WindowManager?.saveLayout(panel);
+        },
+
+        /**
+         * Float a docked panel again where it was before docking
+         */
+        undock: function(panel) {
+            if (!panel.classList.contains('bms-docked')) return;
+
+            panel.classList.remove('bms-docked', 'bms-docked-left', 'bms-docked-right');
+            delete panel.dataset.dockSide;
+            if (panel._bmsFloatingStyle) {
+                // Keep the stacking order it gained while docked
+                const zIndex = panel.style.zIndex;
+                panel.style.cssText = panel._bmsFloatingStyle;
+                panel.style.zIndex = zIndex;
+            }
+
+            this._updateDockSpace();
+            this._updateDockButton(panel);
+            BMS.UI.WindowManager?.saveLayout(panel);
+        },
+
+        /**
+         * Switch between docked and floating
+         */
+        toggleDock: function(panel) {
+            if (panel.classList.contains('bms-docked')) {
+                this.undock(panel);
+            } else {
+                const config = panel._bmsConfig;
+                this.dock(panel, config.side, panel._bmsDockSize || config.dockSize);
+            }
+        },
+
+        /**
+         * Resize a docked panel, leaving the page at least 200px
+         * @returns {number} Width applied
+         */
+        _setDockSize: function(panel, width) {
+            const max = Math.max(200, window.innerWidth - 200);
+            width = Math.round(BMS.Utils.clamp(width, 200, max));
+            panel._bmsDockSize = width;
+            panel.style.width = `${width}px`;
+
+            const handle = panel.querySelector(':scope > .bms-panel-dock-handle');
+            if (handle) {
+                handle.setAttribute('aria-valuenow', width);
+                handle.setAttribute('aria-valuemin', 200);
+                handle.setAttribute('aria-valuemax', max);
+            }
+
+            this._updateDockSpace();
+            return width;
+        },
+
+        /**
+         * Reserve the docked panels' widths beside the page, or give the space back
+         * Minimized drawers don't take space. The page's own inline margins are
+         * put back once nothing is docked on that side.
+         */
+        _updateDockSpace: function() {
+            const html = document.documentElement;
+            const root = BMS.DOM?.getRoot?.() || document;
+            const docked = Array.from(root.querySelectorAll('.bms-panel-enhanced.bms-docked'))
+                .filter(panel => !panel.classList.contains('bms-window-minimized'));
+
+            if (!this._pageMargins) {
+                this._pageMargins = {};
+                ['left', 'right'].forEach(side => {
+                    const property = `margin-${side}`;
+                    this._pageMargins[side] = {
+                        value: html.style.getPropertyValue(property),
+                        priority: html.style.getPropertyPriority(property)
+                    };
+                });
+            }
+
+            ['left', 'right'].forEach(side => {
+                const property = `margin-${side}`;
+                const panel = docked.find(p => p.dataset.dockSide === side);
+                if (panel) {
+                    html.style.setProperty(property, `${panel.offsetWidth}px`, 'important');
+                } else {
+                    const original = this._pageMargins[side];
+                    html.style.setProperty(property, original.value, original.priority);
+                }
+            });
+        },
+
+        _updateDockButton: function(panel) {
+            const button = panel.querySelector('.bms-panel-dock');
+            if (!button) return;
+            const docked = panel.classList.contains('bms-docked');
+            button.textContent = docked ? '⧉' : '⇥';
+            button.title = docked ? 'Float' : 'Dock to the side';
+        },
+
+        /**
+         * Move a panel's content into a separate browser window
+         * The content's nodes are moved, not copied, so their event handlers keep
+         * working on the page's data. The BMS styles are copied over, and closing
+         * the window puts the content back in the panel.
+         * Must be called from a user action, or the browser blocks the window.
+         * @param {HTMLElement} panel - Panel element
+         * @returns {Window|null} The window, or null when it was blocked
+         */
+        popOut: function(panel) {
+            if (panel._bmsPopout) {
+                panel._bmsPopout.window.focus();
+                return panel._bmsPopout.window;
+            }
+
+            const content = panel.querySelector(':scope > .bms-panel-content');
+            const child = window.open('', '_blank', `popup,width=${panel.offsetWidth},height=${panel.offsetHeight}`);
+            if (!child) {
+                BMS.UI?.updateStatus?.('The browser blocked the pop-out window', 'warning');
+                return null;
+            }
+
+            const config = panel._bmsConfig;
+            const doc = child.document;
+            doc.title = panel.querySelector('.bms-panel-title').textContent.trim();
+            doc.body.style.margin = '0';
+            BMS.DOM?.copyStyles?.(doc);
+
+            // Content styles are scoped to the panel, so the window gets a stand-in
+            const wrapper = doc.createElement('div');
+            wrapper.className = ['bms-panel-enhanced', 'bms-popout', ...config.className.split(/\s+/).filter(Boolean)].join(' ');
+            if (panel.closest('.bms-light-theme')) {
+                wrapper.classList.add('bms-light-theme');
+            }
+
+            const placeholder = document.createElement('div');
+            placeholder.className = 'bms-panel-content bms-panel-popout-placeholder';
+            const note = document.createElement('p');
+            note.textContent = 'Shown in a separate window.';
+            const backBtn = document.createElement('button');
+            backBtn.type = 'button';
+            backBtn.className = 'bms-panel-btn';
+            backBtn.textContent = 'Bring back';
+            backBtn.addEventListener('click', () => this.popIn(panel));
+            placeholder.append(note, backBtn);
+
+            content.replaceWith(placeholder);
+            wrapper.appendChild(content);
+            doc.body.appendChild(wrapper);
+
+            // The window would be left showing dead content when the page goes away
+            const closeWithPage = () => this.popIn(panel);
+            window.addEventListener('pagehide', closeWithPage);
+            child.addEventListener('pagehide', () => this.popIn(panel));
+
+            panel._bmsPopout = { window: child, content, placeholder, closeWithPage };
+            panel.classList.add('bms-popped-out');
+            this._updatePopoutButton(panel);
+            BMS.events?.emit('panel:poppedout', { id: panel.id, panel, window: child });
+            return child;
+        },
+
+        /**
+         * Put popped-out content back in its panel and close the window
+         */
+        popIn: function(panel) {
+            const popout = panel._bmsPopout;
+            if (!popout) return;
+            panel._bmsPopout = null;
+
+            window.removeEventListener('pagehide', popout.closeWithPage);
+            popout.placeholder.replaceWith(popout.content);
+            if (!popout.window.closed) {
+                popout.window.close();
+            }
+
+            panel.classList.remove('bms-popped-out');
+            this._updatePopoutButton(panel);
+            BMS.events?.emit('panel:poppedin', { id: panel.id, panel });
+        },
+
+        _updatePopoutButton: function(panel) {
+            const button = panel.querySelector('.bms-panel-popout');
+            if (!button) return;
+            button.textContent = panel._bmsPopout ? '↙' : '↗';
+            button.title = panel._bmsPopout ? 'Bring back from the window' : 'Pop out into a window';
         },
 
         /**
@@ -307,19 +681,27 @@
             if (btn) {
                 btn.textContent = panel.classList.contains('bms-collapsed') ? '+' : '─';
             }
+            BMS.UI.WindowManager?.saveLayout(panel);
+        },
+
+        /**
+         * Get a panel's content element, also while it is popped out
+         */
+        getContent: function(panel) {
+            return panel._bmsPopout ? panel._bmsPopout.content : panel.querySelector(':scope > .bms-panel-content');
         },
 
         /**
          * Update panel content
          */
         updateContent: function(panel, content) {
-            const contentArea = panel.querySelector('.bms-panel-content');
+            const contentArea = this.getContent(panel);
             if (!contentArea) return;
 
             if (typeof content === 'string') {
-                contentArea.innerHTML = content;
+                BMS.DOM.setHTML(contentArea, content);
             } else if (content instanceof HTMLElement) {
-                contentArea.innerHTML = '';
+                contentArea.replaceChildren();
                 contentArea.appendChild(content);
             }
         },
@@ -328,6 +710,16 @@
          * Destroy panel
          */
         destroy: function(panel) {
+            this.popIn(panel);
+            BMS.UI.WindowManager?.unregister(panel);
+            BMS.events?.emit('panel:closed', { id: panel.id, panel });
+
+            // Give the page its space back straight away, not after the animation
+            if (panel.classList.contains('bms-docked')) {
+                panel.classList.remove('bms-docked');
+                this._updateDockSpace();
+            }
+
             if (panel.classList.contains('bms-animated')) {
                 panel.classList.add('bms-panel-closing');
                 setTimeout(() => panel.remove(), 300);
@@ -340,7 +732,12 @@
          * Bring panel to front
          */
         bringToFront: function(panel) {
-            const panels = document.querySelectorAll('.bms-panel');
+            if (BMS.UI.WindowManager) {
+                BMS.UI.WindowManager.focus(panel);
+                return;
+            }
+
+            const panels = (BMS.DOM?.getRoot?.() || document).querySelectorAll('.bms-panel');
             let maxZ = 10000;
             panels.forEach(p => {
                 const z = parseInt(p.style.zIndex || 0);
@@ -349,4 +746,17 @@
             panel.style.zIndex = maxZ + 1;
         }
     };
+
+    // A minimized drawer gives its space back to the page
+    ['panel:minimized', 'panel:restored'].forEach(event => {
+        BMS.events?.on(event, () => BMS.UI.Components.Panel._updateDockSpace());
+    });
+
+    // A narrower window narrows the drawers too, so the page keeps its 200px
+    window.addEventListener('resize', () => {
+        const Panel = BMS.UI.Components.Panel;
+        (BMS.DOM?.getRoot?.() || document).querySelectorAll('.bms-panel-enhanced.bms-docked').forEach(panel => {
+            Panel._setDockSize(panel, panel._bmsDockSize);
+        });
+    });
 })();
\ No newline at end of file
@@ -20,6 +20,7 @@
                 id: BMS.Utils?.generateId?.('table') || 'bms-table-' + Date.now(),
                 columns: [],
                 data: [],
+                dataSource: null, // async (query) => ({ rows, total }), sorting, searching, filtering and paging itself
                 className: '',
 
                 // Features
@@ -31,6 +32,7 @@
                 resizableColumns: true,
                 virtualScroll: false,
                 stickyHeader: true,
+                persistColumns: true, // Remember column order and visibility (tables with an id only)
 
                 // Configuration
                 pageSize: 25,
@@ -39,6 +41,12 @@
                 maxHeight: '600px',
                 rowHeight: 48,
                 headerHeight: 56,
+                overscan: 10, // Rows rendered above and below the view with virtualScroll
+                minColumnWidth: 60, // Narrowest a column can be resized to, unless the column sets minWidth
+                maxColumnWidth: null, // Widest a column can be resized to, unless the column sets maxWidth
+                sortLocale: null, // Locale for comparing text; defaults to the browser's
+                groupBy: null, // Column key to group rows by
+                exportFilename: 'table-export', // Export file name, without the extension
 
                 // Appearance
                 striped: true,
@@ -54,6 +62,7 @@
                 onPageChange: null,
                 onRowClick: null,
                 onRowSelect: null,
+                onColumnResize: null,
                 onCellEdit: null,
 
                 // Custom renderers
@@ -64,30 +73,57 @@
 
             const config = { ...defaults, ...options };
 
+            // Virtual scrolling shows every row in one scrolling window instead of pages
+            if (config.virtualScroll) {
+                config.paginate = false;
+            }
+
+            // Generated ids change on every run, so only tables given an id are remembered
+            if (!options.id) {
+                config.persistColumns = false;
+            }
+
             // Create container
             const container = document.createElement('div');
             container.id = config.id;
             container.className = `bms-table-container ${config.className} ${config.dark ? 'bms-dark' : ''}`;
 
             // Initialize table state
-            container._bmsTableState = {
+            const state = container._bmsTableState = {
                 config: config,
                 data: [...config.data],
                 filteredData: [...config.data],
                 displayData: [],
-                sortColumn: null,
-                sortDirection: 'asc',
+                displayItems: null, // With groupBy: [{ group }|{ row, rowIndex }] in display order
+                itemCount: 0, // Rows, or rows and collapsed groups, across all pages
+                groupBy: config.groupBy,
+                collapsedGroups: new Set(),
+                sortColumns: [], // [{ key, direction }], most significant first
                 searchTerm: '',
                 filters: {},
                 currentPage: 1,
                 selectedRows: new Set(),
-                columnWidths: {}
+                columnWidths: {},
+                columnOrder: config.columns.map(column => column.key),
+                hiddenColumns: new Set(config.columns.filter(column => column.visible === false).map(column => column.key)),
+                columns: [],
+                virtual: null,
+                resizing: false,
+                editing: null,
+                editHistory: [],
+                activeCell: { item: -1, column: 0 }, // Keyboard focus; item -1 is the header row
+                rangeAnchor: null, // Display item where Shift+arrow selection started
+                rangeRows: null, // Rows selected by that range so far
+                remote: config.dataSource ? { total: 0, loading: false, error: null, controller: null } : null
             };
 
+            this._loadColumnLayout(container);
+
             // Build table components
             this._buildToolbar(container);
             this._buildTable(container);
             this._buildPagination(container);
+            this._applyColumnWidths(container);
 
             // Initialize features
             if (config.virtualScroll) {
@@ -95,7 +131,11 @@
             }
 
             // Apply initial data
-            this._updateDisplay(container);
+            if (state.remote) {
+                this._load(container);
+            } else {
+                this._updateDisplay(container);
+            }
 
             return container;
         },
@@ -116,26 +156,28 @@
             if (config.searchable) {
                 const searchWrapper = document.createElement('div');
                 searchWrapper.className = 'bms-table-search';
-                searchWrapper.innerHTML = `
+                BMS.DOM.setHTML(searchWrapper, `
                     <svg class="bms-table-search-icon" width="20" height="20" viewBox="0 0 20 20" fill="none">
                         <path d="M9 3.5C5.91 3.5 3.5 5.91 3.5 9C3.5 12.09 5.91 14.5 9 14.5C10.46 14.5 11.79 13.96 12.8 13.07L16.22 16.49L17.28 15.43L13.86 12.01C14.75 11 15.3 9.67 15.3 8.2C15.3 5.11 12.89 2.7 9.8 2.7C9.53 2.7 9.27 2.72 9 2.75V3.5ZM9 13C6.74 13 5 11.26 5 9C5 6.74 6.74 5 9 5C11.26 5 13 6.74 13 9C13 11.26 11.26 13 9 13Z" fill="currentColor"/>
                     </svg>
                     <input type="text" class="bms-table-search-input" placeholder="Search...">
                     <button class="bms-table-search-clear" style="display: none;">×</button>
-                `;
+                `);
                 toolbar.appendChild(searchWrapper);
 
                 // Search event handlers
                 const searchInput = searchWrapper.querySelector('.bms-table-search-input');
                 const clearBtn = searchWrapper.querySelector('.bms-table-search-clear');
 
+                const search = this._debounce(() => {
+                    this._applyFilters(container);
+                    if (config.onSearch) config.onSearch(state.searchTerm);
+                }, 300);
+
                 searchInput.addEventListener('input', (e) => {
                     state.searchTerm = e.target.value;
                     clearBtn.style.display = e.target.value ? 'block' : 'none';
-                    this._debounce(() => {
-                        this._applyFilters(container);
-                        if (config.onSearch) config.onSearch(e.target.value);
-                    }, 300)();
+                    search();
                 });
 
                 clearBtn.addEventListener('click', () => {
@@ -146,6 +188,13 @@
                 });
             }
 
+            // Active filter chips
+            if (config.filterable) {
+                const chips = document.createElement('div');
+                chips.className = 'bms-table-filter-chips';
+                toolbar.appendChild(chips);
+            }
+
             // Additional controls
             const controls = document.createElement('div');
             controls.className = 'bms-table-controls';
@@ -153,27 +202,31 @@
             // Export button
             const exportBtn = document.createElement('button');
             exportBtn.className = 'bms-table-btn bms-table-export';
-            exportBtn.innerHTML = `
+            BMS.DOM.setHTML(exportBtn, `
                 <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
                     <path d="M8 12L3 7H6V1H10V7H13L8 12Z" fill="currentColor"/>
                     <path d="M14 14H2V15H14V14Z" fill="currentColor"/>
                 </svg>
                 Export
-            `;
-            exportBtn.addEventListener('click', () => this.exportData(container));
+            `);
+            exportBtn.setAttribute('aria-haspopup', 'dialog');
+            exportBtn.setAttribute('aria-expanded', 'false');
+            exportBtn.addEventListener('click', () => this._showExportMenu(container, exportBtn));
             controls.appendChild(exportBtn);
 
             // Column visibility toggle
             const columnsBtn = document.createElement('button');
             columnsBtn.className = 'bms-table-btn bms-table-columns';
-            columnsBtn.innerHTML = `
+            BMS.DOM.setHTML(columnsBtn, `
                 <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
                     <rect x="2" y="3" width="3" height="10" fill="currentColor"/>
                     <rect x="6.5" y="3" width="3" height="10" fill="currentColor"/>
                     <rect x="11" y="3" width="3" height="10" fill="currentColor"/>
                 </svg>
                 Columns
-            `;
+            `);
+            columnsBtn.setAttribute('aria-haspopup', 'dialog');
+            columnsBtn.setAttribute('aria-expanded', 'false');
             columnsBtn.addEventListener('click', () => this._showColumnSelector(container));
             controls.appendChild(columnsBtn);
 
@@ -201,6 +254,10 @@
             // Table element
             const table = document.createElement('table');
             table.className = `bms-table ${config.striped ? 'bms-table-striped' : ''} ${config.hover ? 'bms-table-hover' : ''} ${config.bordered ? 'bms-table-bordered' : ''} ${config.compact ? 'bms-table-compact' : ''}`;
+            table.setAttribute('role', 'grid');
+            if (config.selectable) {
+                table.setAttribute('aria-multiselectable', 'true');
+            }
 
             // Build header
             const thead = document.createElement('thead');
@@ -208,13 +265,73 @@
                 thead.className = 'bms-table-sticky-header';
             }
 
+            this._renderHeader(container, thead);
+            table.appendChild(thead);
+
+            // Table body
+            const tbody = document.createElement('tbody');
+            tbody.className = 'bms-table-body';
+            table.appendChild(tbody);
+
+            // Double-click an editable cell to edit it
+            tbody.addEventListener('dblclick', (e) => {
+                const td = e.target.closest('td.bms-table-cell-editable');
+                if (td && !td.classList.contains('bms-table-cell-editing')) {
+                    this.editCell(container, state.displayData[td.parentElement.dataset.rowIndex], td.dataset.column);
+                }
+            });
+
+            // Ctrl+Z outside an editor undoes the last edit
+            container.addEventListener('keydown', (e) => {
+                if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' &&
+                    !e.target.closest('input, select, textarea') && state.editHistory.length > 0) {
+                    e.preventDefault();
+                    this.undoEdit(container);
+                }
+            });
+
+            // One cell at a time is in the tab order; the arrow keys move it
+            table.addEventListener('keydown', (e) => this._handleGridKey(container, e));
+            table.addEventListener('focusin', (e) => {
+                const cell = e.target.closest('th, td');
+                const position = cell && this._cellPosition(container, cell);
+                if (!position) return;
+
+                // Moving through a spanning cell keeps the column it was entered from
+                const active = state.activeCell;
+                if (active.item !== position.item || this._gridCells(cell.parentElement)[active.column] !== cell) {
+                    state.activeCell = position;
+                }
+                this._setTabStop(container, cell);
+            });
+
+            tableWrapper.appendChild(table);
+            container.appendChild(tableWrapper);
+
+            // Store references
+            container._bmsTable = table;
+            container._bmsTableWrapper = tableWrapper;
+            container._bmsTableBody = tbody;
+        },
+
+        /**
+         * Build the header row for the visible columns, in their current order
+         */
+        _renderHeader: function(container, thead) {
+            const state = container._bmsTableState;
+            const config = state.config;
+
             const headerRow = document.createElement('tr');
+            headerRow.setAttribute('role', 'row');
+            headerRow.setAttribute('aria-rowindex', '1');
 
             // Selection checkbox column
             if (config.selectable) {
                 const th = document.createElement('th');
                 th.className = 'bms-table-select-all';
-                th.innerHTML = '<input type="checkbox" class="bms-table-checkbox">';
+                th.setAttribute('role', 'columnheader');
+                th.tabIndex = -1;
+                BMS.DOM.setHTML(th, '<input type="checkbox" class="bms-table-checkbox" tabindex="-1" aria-label="Select all rows">');
 
                 th.querySelector('input').addEventListener('change', (e) => {
                     this._toggleAllRows(container, e.target.checked);
@@ -224,10 +341,20 @@
             }
 
             // Data columns
-            config.columns.forEach((column, index) => {
+            state.columns.forEach(column => {
                 const th = document.createElement('th');
                 th.className = 'bms-table-header';
                 th.dataset.column = column.key;
+                th.setAttribute('role', 'columnheader');
+                th.tabIndex = -1;
+
+                // Resized widths win over the width in the column definition
+                const width = this._getColumnWidth(container, column);
+                if (width !== null) {
+                    th.style.width = `${width}px`;
+                } else if (column.width) {
+                    th.style.width = typeof column.width === 'number' ? `${column.width}px` : column.width;
+                }
 
                 // Header content
                 const headerContent = document.createElement('div');
@@ -243,16 +370,18 @@
                 if (config.sortable && column.sortable !== false) {
                     const sortIcon = document.createElement('span');
                     sortIcon.className = 'bms-table-sort-icon';
-                    sortIcon.innerHTML = `
+                    BMS.DOM.setHTML(sortIcon, `
                         <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
                             <path d="M7 3L10 6H4L7 3Z" fill="currentColor" opacity="0.3"/>
                             <path d="M7 11L4 8H10L7 11Z" fill="currentColor" opacity="0.3"/>
                         </svg>
-                    `;
+                    `);
                     headerContent.appendChild(sortIcon);
 
-                    th.addEventListener('click', () => {
-                        this._sortColumn(container, column.key);
+                    th.addEventListener('click', (e) => {
+                        // The click that ends a resize drag doesn't sort
+                        if (state.resizing) return;
+                        this._sortColumn(container, column.key, e.shiftKey);
                     });
                     th.style.cursor = 'pointer';
                 }
@@ -261,11 +390,15 @@
                 if (config.filterable && column.filterable !== false) {
                     const filterBtn = document.createElement('button');
                     filterBtn.className = 'bms-table-filter-btn';
-                    filterBtn.innerHTML = `
+                    BMS.DOM.setHTML(filterBtn, `
                         <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
                             <path d="M3 3H11L8 7V11L6 12V7L3 3Z" fill="currentColor"/>
                         </svg>
-                    `;
+                    `);
+                    filterBtn.setAttribute('aria-label', `Filter ${column.title || column.key}`);
+                    filterBtn.setAttribute('aria-haspopup', 'dialog');
+                    filterBtn.tabIndex = -1; // Alt+Down on the header opens it from the keyboard
+                    filterBtn.classList.toggle('active', Boolean(this._normalizeFilter(state.filters[column.key])));
                     filterBtn.addEventListener('click', (e) => {
                         e.stopPropagation();
                         this._showFilterMenu(container, column.key, filterBtn);
@@ -279,30 +412,25 @@
                 if (config.resizableColumns) {
                     const resizer = document.createElement('div');
                     resizer.className = 'bms-table-column-resizer';
-                    resizer.addEventListener('mousedown', (e) => {
+                    resizer.setAttribute('aria-hidden', 'true');
+                    resizer.title = 'Drag to resize, double-click to fit';
+                    resizer.addEventListener('pointerdown', (e) => {
                         this._startColumnResize(container, th, e);
                     });
+                    resizer.addEventListener('click', (e) => e.stopPropagation());
+                    resizer.addEventListener('dblclick', (e) => {
+                        e.stopPropagation();
+                        this.autoFitColumn(container, column.key);
+                    });
                     th.appendChild(resizer);
                 }
 
                 headerRow.appendChild(th);
             });
 
-            thead.appendChild(headerRow);
-            table.appendChild(thead);
-
-            // Table body
-            const tbody = document.createElement('tbody');
-            tbody.className = 'bms-table-body';
-            table.appendChild(tbody);
-
-            tableWrapper.appendChild(table);
-            container.appendChild(tableWrapper);
 
-            // Store references
-            container._bmsTable = table;
-            container._bmsTableWrapper = tableWrapper;
-            container._bmsTableBody = tbody;
+            thead.replaceChildren(headerRow);
+            this._renderSortIndicators(container, thead);
         },
 
         /**
@@ -320,7 +448,7 @@
             // Page size selector
             const pageSizeWrapper = document.createElement('div');
             pageSizeWrapper.className = 'bms-table-page-size';
-            pageSizeWrapper.innerHTML = `
+            BMS.DOM.setHTML(pageSizeWrapper, `
                 <span>Show</span>
                 <select class="bms-table-page-size-select">
                     ${config.pageSizes.map(size =>
@@ -328,12 +456,11 @@
                     ).join('')}
                 </select>
                 <span>entries</span>
-            `;
+            `);
 
             pageSizeWrapper.querySelector('select').addEventListener('change', (e) => {
                 config.pageSize = parseInt(e.target.value);
-                state.currentPage = 1;
-                this._updateDisplay(container);
+                this._setPage(container, 1);
             });
 
             pagination.appendChild(pageSizeWrapper);
@@ -346,39 +473,35 @@
             // Page controls
             const pageControls = document.createElement('div');
             pageControls.className = 'bms-table-page-controls';
-            pageControls.innerHTML = `
+            BMS.DOM.setHTML(pageControls, `
                 <button class="bms-table-page-btn bms-table-page-first" title="First page">⟨⟨</button>
                 <button class="bms-table-page-btn bms-table-page-prev" title="Previous page">⟨</button>
                 <div class="bms-table-page-numbers"></div>
                 <button class="bms-table-page-btn bms-table-page-next" title="Next page">⟩</button>
                 <button class="bms-table-page-btn bms-table-page-last" title="Last page">⟩⟩</button>
-            `;
+            `);
 
             // Page control events
             pageControls.querySelector('.bms-table-page-first').addEventListener('click', () => {
-                state.currentPage = 1;
-                this._updateDisplay(container);
+                this._setPage(container, 1);
             });
 
             pageControls.querySelector('.bms-table-page-prev').addEventListener('click', () => {
                 if (state.currentPage > 1) {
-                    state.currentPage--;
-                    this._updateDisplay(container);
+                    this._setPage(container, state.currentPage - 1);
                 }
             });
 
             pageControls.querySelector('.bms-table-page-next').addEventListener('click', () => {
-                const totalPages = Math.ceil(state.filteredData.length / config.pageSize);
+                const totalPages = Math.ceil(state.itemCount / config.pageSize);
                 if (state.currentPage < totalPages) {
-                    state.currentPage++;
-                    this._updateDisplay(container);
+                    this._setPage(container, state.currentPage + 1);
                 }
             });
 
             pageControls.querySelector('.bms-table-page-last').addEventListener('click', () => {
-                const totalPages = Math.ceil(state.filteredData.length / config.pageSize);
-                state.currentPage = totalPages;
-                this._updateDisplay(container);
+                const totalPages = Math.ceil(state.itemCount / config.pageSize);
+                this._setPage(container, Math.max(1, totalPages));
             });
 
             pagination.appendChild(pageControls);
@@ -394,33 +517,66 @@
             const state = container._bmsTableState;
             const config = state.config;
             const tbody = container._bmsTableBody;
+            const refocus = this._gridHasFocus(container);
 
-            // Clear existing rows
-            tbody.innerHTML = '';
+            // An open editor is about to be thrown away
+            this._finishEdit(container);
 
-            // Calculate page data
-            let displayData;
-            if (config.paginate) {
+            // A dataSource's rows are replaced by skeletons while it loads, or by its error
+            if (state.remote && (state.remote.loading || state.remote.error)) {
+                this._renderRemoteStatus(container);
+                return;
+            }
+            container._bmsTable.removeAttribute('aria-busy');
+
+            // Clear existing rows
+            tbody.replaceChildren();
+            state.rangeAnchor = null;
+            state.rangeRows = null;
+
+            // Calculate page data; when grouped, collapsed groups take a place on the page like a row
+            const items = state.groupBy ? this._groupItems(container) : state.filteredData;
+            let pageItems = items;
+            state.itemCount = items.length;
+            if (state.remote) {
+                // The data source sent just this page
+                state.itemCount = state.remote.total;
+            } else if (config.paginate) {
+                state.currentPage = Math.max(1, Math.min(state.currentPage, Math.ceil(items.length / config.pageSize)));
                 const start = (state.currentPage - 1) * config.pageSize;
                 const end = start + config.pageSize;
-                displayData = state.filteredData.slice(start, end);
+                pageItems = items.slice(start, end);
+            }
+
+            if (state.groupBy) {
+                state.displayItems = this._addGroupHeaders(pageItems);
+                state.displayData = state.displayItems.filter(item => item.row).map(item => item.row);
             } else {
-                displayData = state.filteredData;
+                state.displayItems = null;
+                state.displayData = pageItems;
             }
+            const displayData = state.displayData;
+
+            this._renderFooter(container);
 
-            state.displayData = displayData;
+            // Screen readers count the rows on other pages too; group headers make that unknown
+            container._bmsTable.setAttribute('aria-rowcount', state.groupBy
+                ? '-1'
+                : String(this._rowTotal(container) + 1 + (container._bmsTable.tFoot ? 1 : 0)));
 
             // Render rows
-            if (displayData.length === 0) {
+            if ((state.displayItems || displayData).length === 0) {
                 const emptyRow = document.createElement('tr');
+                emptyRow.setAttribute('role', 'row');
                 const emptyCell = document.createElement('td');
-                emptyCell.colSpan = config.columns.length + (config.selectable ? 1 : 0);
+                emptyCell.setAttribute('role', 'gridcell');
+                emptyCell.colSpan = state.columns.length + (config.selectable ? 1 : 0);
                 emptyCell.className = 'bms-table-empty';
 
                 if (config.emptyRenderer) {
-                    emptyCell.innerHTML = config.emptyRenderer(state.searchTerm, state.filters);
+                    BMS.DOM.setHTML(emptyCell, config.emptyRenderer(state.searchTerm, state.filters));
                 } else {
-                    emptyCell.innerHTML = `
+                    BMS.DOM.setHTML(emptyCell, `
                         <div class="bms-table-empty-content">
                             <svg width="48" height="48" viewBox="0 0 48 48" fill="none">
                                 <path d="M24 4C12.96 4 4 12.96 4 24C4 35.04 12.96 44 24 44C35.04 44 44 35.04 44 24C44 12.96 35.04 4 24 4ZM24 40C15.18 40 8 32.82 8 24C8 15.18 15.18 8 24 8C32.82 8 40 15.18 40 24C40 32.82 32.82 40 24 40Z" fill="currentColor" opacity="0.3"/>
@@ -428,15 +584,16 @@
                             </svg>
                             <p>No data found</p>
                         </div>
-                    `;
+                    `);
                 }
 
                 emptyRow.appendChild(emptyCell);
                 tbody.appendChild(emptyRow);
+            } else if (config.virtualScroll) {
+                this._renderVirtualRows(container, true);
             } else {
-                displayData.forEach((row, rowIndex) => {
-                    const tr = this._renderRow(container, row, rowIndex);
-                    tbody.appendChild(tr);
+                (state.displayItems || displayData).forEach((item, index) => {
+                    tbody.appendChild(this._renderItem(container, index));
                 });
             }
 
@@ -445,8 +602,14 @@
                 this._updatePagination(container);
             }
 
+            if (config.selectable) {
+                this._syncSelection(container);
+            }
+
+            this._syncActiveCell(container, refocus);
+
             // Animate new rows
-            if (BMS.UI.Animations) {
+            if (BMS.UI.Animations && !config.virtualScroll) {
                 const rows = tbody.querySelectorAll('tr');
                 BMS.UI.Animations.stagger(rows, 'fadeIn', {
                     duration: 200,
@@ -455,6 +618,333 @@
             }
         },
 
+        /**
+         * Show a page, fetching it first when the table has a dataSource
+         */
+        _setPage: function(container, page) {
+            const state = container._bmsTableState;
+            state.currentPage = page;
+            if (state.remote) {
+                this._load(container);
+            } else {
+                this._updateDisplay(container);
+            }
+        },
+
+        /**
+         * Rows matching the search and filters, on every page
+         */
+        _rowTotal: function(container) {
+            const state = container._bmsTableState;
+            return state.remote ? state.remote.total : state.filteredData.length;
+        },
+
+        /**
+         * Fetch the rows to show from config.dataSource again
+         * @returns {Promise<boolean>} Whether they loaded; false if the request failed or was superseded
+         */
+        reload: function(container) {
+            return this._load(container);
+        },
+
+        /**
+         * Fetch the current page from config.dataSource
+         * A new request aborts the one in flight, and a superseded response is
+         * ignored even if the data source didn't stop for the abort signal.
+         */
+        _load: async function(container) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const remote = state.remote;
+
+            if (remote.controller) {
+                remote.controller.abort();
+            }
+            const controller = new AbortController();
+            const query = this._buildQuery(container, controller.signal);
+            remote.controller = controller;
+            remote.loading = true;
+            remote.error = null;
+            this._updateDisplay(container);
+
+            let result;
+            try {
+                result = await config.dataSource(query);
+                if (!result || !Array.isArray(result.rows)) {
+                    throw new Error('dataSource must resolve to { rows, total }');
+                }
+            } catch (error) {
+                if (remote.controller !== controller) return false;
+                console.error('Table: data source failed:', error);
+                remote.error = error;
+                result = null;
+            }
+            if (remote.controller !== controller) return false;
+
+            remote.controller = null;
+            remote.loading = false;
+            if (!result) {
+                this._updateDisplay(container);
+                return false;
+            }
+
+            // Without a total, assume this is the last page
+            remote.total = Number.isFinite(result.total) ? result.total : query.offset + result.rows.length;
+
+            // The data shrank under a later page: show the new last page instead
+            const lastPage = Math.max(1, Math.ceil(remote.total / config.pageSize));
+            if (config.paginate && result.rows.length === 0 && state.currentPage > lastPage) {
+                state.currentPage = lastPage;
+                return this._load(container);
+            }
+
+            state.data = [...result.rows];
+            state.filteredData = [...result.rows];
+            state.editHistory = [];
+
+            // Rows from other pages are new objects, so their selection can't carry over
+            const rows = new Set(state.data);
+            const selectedBefore = state.selectedRows.size;
+            state.selectedRows.forEach(row => {
+                if (!rows.has(row)) state.selectedRows.delete(row);
+            });
+
+            this._updateDisplay(container);
+            if (state.selectedRows.size !== selectedBefore) {
+                this._notifySelection(container);
+            }
+            return true;
+        },
+
+        /**
+         * The query passed to config.dataSource
+         * @returns {Object} { page, pageSize, offset, sort, search, filters, signal };
+         *   pageSize is null when the table isn't paginated, meaning every row
+         */
+        _buildQuery: function(container, signal, page = container._bmsTableState.currentPage) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const pageSize = config.paginate ? config.pageSize : null;
+            page = pageSize ? page : 1;
+
+            return {
+                page,
+                pageSize,
+                offset: pageSize ? (page - 1) * pageSize : 0,
+                sort: this.getSort(container),
+                search: state.searchTerm.trim(),
+                filters: this.getFilters(container),
+                signal
+            };
+        },
+
+        /**
+         * Fill the body with skeleton rows while loading, or with the load error
+         */
+        _renderRemoteStatus: function(container) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const table = container._bmsTable;
+            const tbody = container._bmsTableBody;
+            const colSpan = state.columns.length + (config.selectable ? 1 : 0);
+
+            table.setAttribute('aria-busy', String(state.remote.loading));
+            tbody.replaceChildren();
+
+            if (state.remote.loading) {
+                const count = Math.max(1, Math.min(state.displayData.length || config.pageSize, config.pageSize));
+                for (let i = 0; i < count; i++) {
+                    const tr = document.createElement('tr');
+                    tr.className = 'bms-table-skeleton-row';
+                    tr.setAttribute('aria-hidden', 'true');
+                    if (config.selectable) {
+                        tr.appendChild(document.createElement('td'));
+                    }
+                    state.columns.forEach((column, j) => {
+                        const td = document.createElement('td');
+                        const bar = document.createElement('span');
+                        bar.className = 'bms-table-skeleton';
+                        bar.style.width = `${40 + (i * 37 + j * 23) % 50}%`;
+                        td.appendChild(bar);
+                        tr.appendChild(td);
+                    });
+                    tbody.appendChild(tr);
+                }
+            } else {
+                const tr = document.createElement('tr');
+                tr.setAttribute('role', 'row');
+                const td = document.createElement('td');
+                td.className = 'bms-table-empty';
+                td.colSpan = colSpan;
+                td.setAttribute('role', 'gridcell');
+
+                const content = document.createElement('div');
+                content.className = 'bms-table-empty-content bms-table-load-error';
+                content.setAttribute('role', 'alert');
+                const message = document.createElement('p');
+                message.textContent = `Couldn't load the data: ${state.remote.error.message || state.remote.error}`;
+                const retry = document.createElement('button');
+                retry.type = 'button';
+                retry.className = 'bms-table-btn';
+                retry.textContent = 'Retry';
+                retry.addEventListener('click', () => this._load(container));
+                content.append(message, retry);
+
+                td.appendChild(content);
+                tr.appendChild(td);
+                tbody.appendChild(tr);
+            }
+
+            const pageInfo = container._bmsTablePagination?.querySelector('.bms-table-page-info');
+            if (pageInfo && state.remote.loading) {
+                pageInfo.textContent = 'Loading…';
+            }
+        },
+
+        /**
+         * Every row from config.dataSource, a page at a time
+         * @param {boolean} filtered - Only rows matching the search and filters
+         */
+        _fetchAllRows: async function(container, filtered) {
+            const config = container._bmsTableState.config;
+            const rows = [];
+
+            for (let page = 1; ; page++) {
+                const query = this._buildQuery(container, new AbortController().signal, page);
+                if (!filtered) {
+                    query.search = '';
+                    query.filters = {};
+                }
+
+                const result = await config.dataSource(query);
+                if (!result || !Array.isArray(result.rows)) {
+                    throw new Error('dataSource must resolve to { rows, total }');
+                }
+                rows.push(...result.rows);
+
+                const total = Number.isFinite(result.total) ? result.total : rows.length;
+                if (!query.pageSize || result.rows.length === 0 || rows.length >= total) {
+                    return rows;
+                }
+            }
+        },
+
+        /**
+         * Set up windowed rendering for large data sets
+         * Only the rows in view (plus config.overscan on either side) are in the DOM,
+         * between two spacer rows that give the scrollbar the height of every row.
+         * All rows share one height: config.rowHeight until a row has been measured.
+         */
+        _initVirtualScroll: function(container) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const wrapper = container._bmsTableWrapper;
+
+            // The wrapper is the scroll container, so it needs a bounded height
+            if (config.height === 'auto' && config.maxHeight === 'auto') {
+                wrapper.style.maxHeight = '600px';
+            }
+            container._bmsTable.classList.add('bms-table-virtual');
+            // Holds focus while the focused row is scrolled out of the DOM
+            container._bmsTable.tabIndex = -1;
+
+            state.virtual = {
+                rowHeight: config.rowHeight,
+                measured: false,
+                start: 0,
+                end: 0,
+                frame: null
+            };
+
+            wrapper.addEventListener('scroll', () => {
+                if (state.virtual.frame) return;
+                state.virtual.frame = requestAnimationFrame(() => {
+                    state.virtual.frame = null;
+                    this._renderVirtualRows(container);
+                });
+            }, { passive: true });
+
+            // Render more rows when the table grows, e.g. when its panel is resized
+            if (window.ResizeObserver) {
+                new ResizeObserver(() => this._renderVirtualRows(container)).observe(wrapper);
+            }
+        },
+
+        /**
+         * Render the rows in view
+         * @param {boolean} force - Re-render even if the same rows are in view
+         */
+        _renderVirtualRows: function(container, force = false) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const virtual = state.virtual;
+            const wrapper = container._bmsTableWrapper;
+            const total = (state.displayItems || state.displayData).length;
+
+            // The empty and loading states are rendered by _updateDisplay
+            if (total === 0 || (state.remote && (state.remote.loading || state.remote.error))) return;
+
+            const thead = container._bmsTable.tHead;
+            const headerHeight = (thead && thead.offsetHeight) || config.headerHeight;
+            // Before the table is mounted, assume it fills its height
+            const height = wrapper.clientHeight || parseInt(config.height) || parseInt(config.maxHeight) || 600;
+            const viewport = Math.max(height - headerHeight, virtual.rowHeight);
+            const rowHeight = virtual.rowHeight;
+
+            // scrollTop may still be past the end when the data just shrank
+            const scrollTop = Math.min(wrapper.scrollTop, Math.max(0, total * rowHeight - viewport));
+
+            let start = Math.max(0, Math.floor(scrollTop / rowHeight) - config.overscan);
+            start -= start % 2; // An even start keeps the stripes still while scrolling
+            const end = Math.min(total, Math.ceil((scrollTop + viewport) / rowHeight) + config.overscan);
+
+            if (!force && start === virtual.start && end === virtual.end) return;
+            virtual.start = start;
+            virtual.end = end;
+
+            const refocus = this._gridHasFocus(container);
+            this._finishEdit(container);
+
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(this._createSpacerRow(container, start * rowHeight));
+            for (let i = start; i < end; i++) {
+                fragment.appendChild(this._renderItem(container, i));
+            }
+            fragment.appendChild(this._createSpacerRow(container, (total - end) * rowHeight));
+            container._bmsTableBody.replaceChildren(fragment);
+            this._syncActiveCell(container, refocus);
+
+            // Adopt the real row height once a row has been laid out
+            if (!virtual.measured) {
+                const row = container._bmsTableBody.querySelector('tr.bms-table-row');
+                const measured = row ? row.getBoundingClientRect().height : 0;
+                if (measured > 0) {
+                    virtual.measured = true;
+                    if (Math.abs(measured - rowHeight) >= 1) {
+                        virtual.rowHeight = measured;
+                        this._renderVirtualRows(container, true);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Empty row standing in for the rows that aren't rendered
+         */
+        _createSpacerRow: function(container, height) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const tr = document.createElement('tr');
+            tr.className = 'bms-table-virtual-spacer';
+            tr.setAttribute('aria-hidden', 'true');
+            tr.style.height = `${height}px`;
+
+            const td = document.createElement('td');
+            td.colSpan = state.columns.length + (config.selectable ? 1 : 0);
+            tr.appendChild(td);
+            return tr;
+        },
+
         /**
          * Render a single row
          */
@@ -465,18 +955,25 @@
             const tr = document.createElement('tr');
             tr.className = 'bms-table-row';
             tr.dataset.rowIndex = rowIndex;
+            tr.setAttribute('role', 'row');
 
             // Selection checkbox
             if (config.selectable) {
                 const td = document.createElement('td');
                 td.className = 'bms-table-select';
+                td.setAttribute('role', 'gridcell');
+                td.tabIndex = -1;
                 const checkbox = document.createElement('input');
                 checkbox.type = 'checkbox';
                 checkbox.className = 'bms-table-checkbox';
-                checkbox.checked = state.selectedRows.has(rowIndex);
+                checkbox.tabIndex = -1;
+                checkbox.setAttribute('aria-label', 'Select row');
+                checkbox.checked = state.selectedRows.has(rowData);
+                tr.classList.toggle('bms-table-row-selected', checkbox.checked);
+                tr.setAttribute('aria-selected', String(checkbox.checked));
 
                 checkbox.addEventListener('change', (e) => {
-                    this._toggleRowSelection(container, rowIndex, e.target.checked);
+                    this._toggleRowSelection(container, rowData, e.target.checked);
                 });
 
                 td.appendChild(checkbox);
@@ -484,26 +981,17 @@
             }
 
             // Data cells
-            config.columns.forEach(column => {
+            state.columns.forEach(column => {
                 const td = document.createElement('td');
                 td.className = 'bms-table-cell';
                 td.dataset.column = column.key;
-
-                let cellContent = rowData[column.key];
-
-                // Apply cell renderer
-                if (column.renderer) {
-                    cellContent = column.renderer(cellContent, rowData, rowIndex);
-                } else if (config.cellRenderer) {
-                    cellContent = config.cellRenderer(cellContent, column, rowData, rowIndex);
+                td.setAttribute('role', 'gridcell');
+                td.tabIndex = -1;
+                if (column.editable) {
+                    td.classList.add('bms-table-cell-editable');
                 }
 
-                // Handle different content types
-                if (cellContent instanceof HTMLElement) {
-                    td.appendChild(cellContent);
-                } else {
-                    td.innerHTML = cellContent != null ? cellContent : '';
-                }
+                this._renderCellContent(container, td, column, rowData, rowIndex);
 
                 // Add alignment
                 if (column.align) {
@@ -535,207 +1023,2756 @@
         },
 
         /**
-         * Sort column
+         * Render the row or group header at a display position
          */
-        _sortColumn: function(container, columnKey) {
+        _renderItem: function(container, index) {
             const state = container._bmsTableState;
             const config = state.config;
-
-            // Update sort state
-            if (state.sortColumn === columnKey) {
-                state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+            let tr;
+            if (!state.displayItems) {
+                tr = this._renderRow(container, state.displayData[index], index);
+                const offset = config.paginate ? (state.currentPage - 1) * config.pageSize : 0;
+                tr.setAttribute('aria-rowindex', String(offset + index + 2));
             } else {
-                state.sortColumn = columnKey;
-                state.sortDirection = 'asc';
+                const item = state.displayItems[index];
+                tr = item.row ? this._renderRow(container, item.row, item.rowIndex) : this._renderGroupRow(container, item);
             }
+            tr.dataset.itemIndex = index;
+            return tr;
+        },
 
-            // Sort data
-            state.filteredData.sort((a, b) => {
-                let aVal = a[columnKey];
-                let bVal = b[columnKey];
-
-                // Handle null/undefined
-                if (aVal == null) return state.sortDirection === 'asc' ? 1 : -1;
-                if (bVal == null) return state.sortDirection === 'asc' ? -1 : 1;
+        /**
+         * Group the filtered rows by the groupBy column
+         * Groups are ordered by their first row, so sorting by the grouped column
+         * orders the groups, and rows keep their sorted order within a group.
+         * @returns {Array} Each row of an expanded group, and each collapsed group, as { group, row }
+         */
+        _groupItems: function(container) {
+            const state = container._bmsTableState;
+            const groups = new Map();
 
-                // Numeric comparison
-                if (typeof aVal === 'number' && typeof bVal === 'number') {
-                    return state.sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
+            state.filteredData.forEach(row => {
+                const value = row[state.groupBy];
+                const key = value == null ? '' : String(value);
+                if (!groups.has(key)) {
+                    groups.set(key, { key, value, rows: [] });
                 }
+                groups.get(key).rows.push(row);
+            });
 
-                // String comparison
-                aVal = String(aVal).toLowerCase();
-                bVal = String(bVal).toLowerCase();
-
-                if (aVal < bVal) return state.sortDirection === 'asc' ? -1 : 1;
-                if (aVal > bVal) return state.sortDirection === 'asc' ? 1 : -1;
-                return 0;
+            const items = [];
+            groups.forEach(group => {
+                if (state.collapsedGroups.has(group.key)) {
+                    items.push({ group, row: null });
+                } else {
+                    group.rows.forEach(row => items.push({ group, row }));
+                }
             });
+            return items;
+        },
 
-            // Update sort indicators
-            container.querySelectorAll('.bms-table-header').forEach(th => {
-                th.classList.remove('bms-sorted-asc', 'bms-sorted-desc');
-                if (th.dataset.column === columnKey) {
-                    th.classList.add(`bms-sorted-${state.sortDirection}`);
+        /**
+         * Put a header before each group's rows on the page
+         * A group carried over from the previous page gets its header again.
+         */
+        _addGroupHeaders: function(pageItems) {
+            const items = [];
+            let current = null;
+            let rowIndex = 0;
+
+            pageItems.forEach(({ group, row }) => {
+                if (group !== current) {
+                    items.push({ group, continued: Boolean(row) && group.rows[0] !== row });
+                    current = group;
+                }
+                if (row) {
+                    items.push({ row, rowIndex: rowIndex++ });
                 }
             });
+            return items;
+        },
 
-            // Reset to first page
-            state.currentPage = 1;
+        /**
+         * Build a group header row: a collapse toggle, the group's value and
+         * row count, then the group's aggregates
+         */
+        _renderGroupRow: function(container, item) {
+            const state = container._bmsTableState;
+            const { group, continued } = item;
+            const collapsed = state.collapsedGroups.has(group.key);
+            const groupColumn = state.config.columns.find(column => column.key === state.groupBy);
+            const label = group.key === '' ? '(empty)' : group.key;
 
-            // Update display
-            this._updateDisplay(container);
+            const tr = document.createElement('tr');
+            tr.className = 'bms-table-group-row';
+            tr.dataset.group = group.key;
+            tr.setAttribute('role', 'row');
+
+            const content = document.createElement('div');
+            content.className = 'bms-table-group-label';
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'bms-table-group-toggle';
+            toggle.tabIndex = -1; // Space or Enter on the row toggles it from the keyboard
+            toggle.setAttribute('aria-expanded', String(!collapsed));
+            toggle.setAttribute('aria-label', `${collapsed ? 'Expand' : 'Collapse'} ${label}`);
+            toggle.textContent = collapsed ? '▸' : '▾';
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleGroup(container, group.key);
+            });
 
-            // Callback
-            if (config.onSort) {
-                config.onSort(columnKey, state.sortDirection);
-            }
+            const title = document.createElement('span');
+            title.className = 'bms-table-group-title';
+            title.textContent = `${groupColumn ? (groupColumn.title || groupColumn.key) + ': ' : ''}${label}${continued ? ' (continued)' : ''}`;
+
+            const count = document.createElement('span');
+            count.className = 'bms-table-group-count';
+            count.textContent = group.rows.length;
+            count.title = `${group.rows.length} ${group.rows.length === 1 ? 'row' : 'rows'}`;
+
+            content.append(toggle, title, count);
+            this._renderAggregateCells(container, tr, group.rows, content);
+            return tr;
         },
 
         /**
-         * Apply filters
+         * Fill a group header or footer row
+         * The label cell spans the selection column and the leading columns
+         * without an aggregate; the other columns show their aggregate.
          */
-        _applyFilters: function(container) {
+        _renderAggregateCells: function(container, tr, rows, label) {
             const state = container._bmsTableState;
-            const config = state.config;
+            const columns = state.columns;
 
-            // Start with all data
-            state.filteredData = [...state.data];
-
-            // Apply search filter
-            if (state.searchTerm) {
-                const searchLower = state.searchTerm.toLowerCase();
-                state.filteredData = state.filteredData.filter(row => {
-                    return config.columns.some(column => {
-                        const value = row[column.key];
-                        if (value == null) return false;
-                        return String(value).toLowerCase().includes(searchLower);
-                    });
-                });
+            let span = 0;
+            while (span < columns.length - 1 && !columns[span].aggregate) {
+                span++;
             }
+            span = Math.max(1, span);
 
-            // Apply column filters
-            Object.keys(state.filters).forEach(columnKey => {
-                const filterValues = state.filters[columnKey];
-                if (filterValues && filterValues.length > 0) {
-                    state.filteredData = state.filteredData.filter(row => {
-                        return filterValues.includes(row[columnKey]);
-                    });
+            const labelCell = document.createElement('td');
+            labelCell.className = 'bms-table-aggregate-label-cell';
+            labelCell.colSpan = span + (state.config.selectable ? 1 : 0);
+            labelCell.setAttribute('role', 'gridcell');
+            labelCell.tabIndex = -1;
+            labelCell.appendChild(label);
+            tr.appendChild(labelCell);
+
+            columns.slice(span).forEach(column => {
+                const td = document.createElement('td');
+                td.className = 'bms-table-aggregate';
+                td.dataset.column = column.key;
+                td.setAttribute('role', 'gridcell');
+                td.tabIndex = -1;
+                if (column.align) {
+                    td.style.textAlign = column.align;
+                }
+                if (column.aggregate) {
+                    this._renderAggregate(container, td, column, rows);
                 }
+                tr.appendChild(td);
             });
+        },
 
-            // Re-sort if needed
-            if (state.sortColumn) {
-                this._sortColumn(container, state.sortColumn);
-            } else {
-                // Reset to first page and update
-                state.currentPage = 1;
-                this._updateDisplay(container);
+        /**
+         * Show a column's aggregate of some rows in a cell
+         */
+        _renderAggregate: function(container, td, column, rows) {
+            const value = this._aggregate(column, rows);
+            const name = typeof column.aggregate === 'function' ? column.aggregateLabel || '' : column.aggregate;
+
+            if (name) {
+                const label = document.createElement('span');
+                label.className = 'bms-table-aggregate-name';
+                label.textContent = name;
+                td.appendChild(label);
             }
 
-            // Callback
-            if (config.onFilter) {
-                config.onFilter(state.filters, state.searchTerm);
+            const text = typeof value === 'number'
+                ? value.toLocaleString(container._bmsTableState.config.sortLocale || undefined, { maximumFractionDigits: 2 })
+                : (value != null ? String(value) : '–');
+            td.appendChild(document.createTextNode(text));
+        },
+
+        /**
+         * Work out a column's aggregate
+         * `aggregate` is 'count' (non-empty values), 'sum', 'min', 'max', 'avg',
+         * or a function (values, rows) returning the value to show.
+         * @returns {*} The aggregate, or null when no values are numbers
+         */
+        _aggregate: function(column, rows) {
+            const values = rows.map(row => row[column.key]).filter(value => value != null && value !== '');
+            if (typeof column.aggregate === 'function') {
+                return column.aggregate(values, rows);
+            }
+            if (column.aggregate === 'count') {
+                return values.length;
+            }
+
+            const numbers = values
+                .map(value => typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, '')))
+                .filter(Number.isFinite);
+            if (numbers.length === 0) return null;
+
+            switch (column.aggregate) {
+                case 'sum':
+                    return numbers.reduce((total, number) => total + number, 0);
+                case 'avg':
+                    return numbers.reduce((total, number) => total + number, 0) / numbers.length;
+                case 'min':
+                    return numbers.reduce((min, number) => Math.min(min, number));
+                case 'max':
+                    return numbers.reduce((max, number) => Math.max(max, number));
+                default:
+                    return null;
             }
         },
 
         /**
-         * Update pagination controls
+         * Show the aggregates of every filtered row in the table footer
+         * There is no footer unless a visible column has an aggregate.
          */
-        _updatePagination: function(container) {
+        _renderFooter: function(container) {
             const state = container._bmsTableState;
-            const config = state.config;
-            const pagination = container._bmsTablePagination;
+            const table = container._bmsTable;
 
-            if (!pagination) return;
+            if (!state.columns.some(column => column.aggregate)) {
+                table.deleteTFoot();
+                return;
+            }
 
-            const totalItems = state.filteredData.length;
+            const tfoot = table.tFoot || table.createTFoot();
+            tfoot.className = 'bms-table-footer';
+
+            const tr = document.createElement('tr');
+            tr.setAttribute('role', 'row');
+            if (!state.groupBy) {
+                tr.setAttribute('aria-rowindex', String(this._rowTotal(container) + 2));
+            }
+            const label = document.createElement('span');
+            label.className = 'bms-table-footer-label';
+            // A data source only sends one page, so that is all there is to total
+            label.textContent = `${state.remote ? 'Page total' : 'Total'} (${state.filteredData.length} ${state.filteredData.length === 1 ? 'row' : 'rows'})`;
+
+            this._renderAggregateCells(container, tr, state.filteredData, label);
+            tfoot.replaceChildren(tr);
+        },
+
+        /**
+         * Group rows by a column
+         * @param {string|null} columnKey - Column to group by, or null to stop grouping
+         */
+        setGroupBy: function(container, columnKey) {
+            const state = container._bmsTableState;
+            state.groupBy = columnKey || null;
+            state.collapsedGroups.clear();
+            state.currentPage = 1;
+            this._updateDisplay(container);
+        },
+
+        /**
+         * Collapse or expand a group
+         * @param {string} groupKey - The group's value as a string ('' for empty values)
+         * @param {boolean} [collapsed] - Defaults to toggling
+         */
+        toggleGroup: function(container, groupKey, collapsed) {
+            const state = container._bmsTableState;
+            const collapse = collapsed ?? !state.collapsedGroups.has(groupKey);
+            if (collapse) {
+                state.collapsedGroups.add(groupKey);
+            } else {
+                state.collapsedGroups.delete(groupKey);
+            }
+            this._updateDisplay(container);
+        },
+
+        /**
+         * Collapse or expand every group
+         */
+        collapseAllGroups: function(container, collapsed = true) {
+            const state = container._bmsTableState;
+            state.collapsedGroups.clear();
+            if (collapsed && state.groupBy) {
+                state.filteredData.forEach(row => {
+                    const value = row[state.groupBy];
+                    state.collapsedGroups.add(value == null ? '' : String(value));
+                });
+            }
+            state.currentPage = 1;
+            this._updateDisplay(container);
+        },
+
+        /**
+         * Fill a cell with its rendered value
+         */
+        _renderCellContent: function(container, td, column, rowData, rowIndex) {
+            const config = container._bmsTableState.config;
+            let cellContent = rowData[column.key];
+
+            // Apply cell renderer
+            if (column.renderer) {
+                cellContent = column.renderer(cellContent, rowData, rowIndex);
+            } else if (config.cellRenderer) {
+                cellContent = config.cellRenderer(cellContent, column, rowData, rowIndex);
+            }
+
+            // Handle different content types
+            if (cellContent instanceof HTMLElement) {
+                td.replaceChildren(cellContent);
+            } else {
+                BMS.DOM.setHTML(td, cellContent != null ? cellContent : '');
+            }
+        },
+
+        /**
+         * Keyboard navigation between cells
+         * Arrows, Home/End and PageUp/PageDown move; Ctrl+Home/End go to the
+         * first and last cell. Space selects the row, Shift+Up/Down extends the
+         * selection, Enter activates the cell and F2 edits it. On a header,
+         * Enter sorts and Alt+Down opens the filter.
+         */
+        _handleGridKey: function(container, e) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const table = container._bmsTable;
+
+            // Keys in editors, buttons and links inside a cell are theirs
+            const cell = e.target === table ? null : e.target.closest('th, td');
+            if (e.target !== table && e.target !== cell && !e.target.classList.contains('bms-table-checkbox')) return;
+
+            const position = cell ? this._cellPosition(container, cell) : state.activeCell;
+            if (!position) return;
+
+            const { item, column } = position;
+            const total = (state.displayItems || state.displayData).length;
+            const lastColumn = state.columns.length + (config.selectable ? 1 : 0) - 1;
+            const lastItem = total - 1;
+            const displayItem = item >= 0 ? (state.displayItems ? state.displayItems[item] : { row: state.displayData[item] }) : null;
+            const columnDef = state.columns[column - (config.selectable ? 1 : 0)];
+            let target = null;
+
+            switch (e.key) {
+                case 'ArrowUp':
+                case 'ArrowDown': {
+                    if (e.key === 'ArrowDown' && e.altKey && item === -1 && columnDef) {
+                        if (config.filterable && columnDef.filterable !== false) {
+                            this._showFilterMenu(container, columnDef.key, cell || this._gridCells(this._findGridRow(container, -1))[column]);
+                        }
+                        break;
+                    }
+                    const next = Math.max(-1, Math.min(lastItem, item + (e.key === 'ArrowDown' ? 1 : -1)));
+                    if (e.shiftKey && config.selectable && item >= 0 && next >= 0 && next !== item) {
+                        this._extendSelection(container, item, next);
+                        this._focusCell(container, next, column);
+                        e.preventDefault();
+                        return;
+                    }
+                    target = { item: next, column };
+                    break;
+                }
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    // Skip over the rest of a cell spanning several columns
+                    const cells = this._gridCells(this._findGridRow(container, item));
+                    const step = e.key === 'ArrowRight' ? 1 : -1;
+                    let next = column;
+                    while (next + step >= 0 && next + step <= lastColumn && cells[next] === cells[column]) {
+                        next += step;
+                    }
+                    target = { item, column: cells[next] === cells[column] ? column : next };
+                    break;
+                }
+                case 'Home':
+                case 'End':
+                    target = {
+                        item: e.ctrlKey || e.metaKey ? (e.key === 'Home' ? -1 : lastItem) : item,
+                        column: e.key === 'Home' ? 0 : lastColumn
+                    };
+                    break;
+                case 'PageUp':
+                case 'PageDown':
+                    target = {
+                        item: Math.max(-1, Math.min(lastItem, item + (e.key === 'PageDown' ? 10 : -10))),
+                        column
+                    };
+                    break;
+                case ' ':
+                    // A checkbox toggles itself
+                    if (e.target.classList.contains('bms-table-checkbox')) return;
+                    if (item === -1) {
+                        if (config.selectable && column === 0) {
+                            this._toggleAllRows(container, !this._allRowsSelected(container));
+                        }
+                    } else if (displayItem.row) {
+                        if (config.selectable) {
+                            this._toggleRowSelection(container, displayItem.row, !state.selectedRows.has(displayItem.row));
+                            state.rangeAnchor = item;
+                            state.rangeRows = null;
+                        }
+                    } else {
+                        this.toggleGroup(container, displayItem.group.key);
+                    }
+                    break;
+                case 'Enter':
+                    if (item === -1) {
+                        if (columnDef && config.sortable && columnDef.sortable !== false) {
+                            this._sortColumn(container, columnDef.key, e.shiftKey);
+                        } else if (config.selectable && column === 0) {
+                            this._toggleAllRows(container, !this._allRowsSelected(container));
+                        }
+                    } else if (!displayItem.row) {
+                        this.toggleGroup(container, displayItem.group.key);
+                    } else if (columnDef && columnDef.editable) {
+                        this.editCell(container, displayItem.row, columnDef.key);
+                    } else if (columnDef && columnDef.onClick) {
+                        columnDef.onClick(displayItem.row[columnDef.key], displayItem.row, state.displayData.indexOf(displayItem.row));
+                    } else if (config.onRowClick) {
+                        config.onRowClick(displayItem.row, state.displayData.indexOf(displayItem.row), e);
+                    }
+                    break;
+                case 'F2':
+                    if (displayItem && displayItem.row && columnDef && columnDef.editable) {
+                        this.editCell(container, displayItem.row, columnDef.key);
+                    }
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            if (target) {
+                if (!e.shiftKey) {
+                    state.rangeAnchor = null;
+                    state.rangeRows = null;
+                }
+                this._focusCell(container, target.item, target.column);
+            }
+        },
+
+        /**
+         * Move keyboard focus to a cell, scrolling it into the DOM with virtualScroll
+         * @param {number} item - Display item, or -1 for the header row
+         * @param {number} column - Column position, counting the selection column
+         */
+        _focusCell: function(container, item, column) {
+            const state = container._bmsTableState;
+            state.activeCell = { item, column };
+
+            const virtual = state.virtual;
+            if (virtual && item >= 0 && (item < virtual.start || item >= virtual.end)) {
+                const wrapper = container._bmsTableWrapper;
+                const top = item * virtual.rowHeight;
+                wrapper.scrollTop = top < wrapper.scrollTop ? top : top - wrapper.clientHeight / 2;
+                this._renderVirtualRows(container);
+            }
+
+            const cell = this._gridCells(this._findGridRow(container, item))[column];
+            if (cell) {
+                this._setTabStop(container, cell);
+                cell.focus();
+            }
+        },
+
+        /**
+         * Keep the tab stop on the active cell after the rows were re-rendered
+         * @param {boolean} refocus - Focus it too, because focus was in the table
+         */
+        _syncActiveCell: function(container, refocus) {
+            const state = container._bmsTableState;
+            const total = (state.displayItems || state.displayData).length;
+            const lastColumn = state.columns.length + (state.config.selectable ? 1 : 0) - 1;
+            const active = state.activeCell;
+            active.item = Math.min(active.item, total - 1);
+            active.column = Math.max(0, Math.min(active.column, lastColumn));
+
+            const cells = this._gridCells(this._findGridRow(container, active.item));
+            // A row scrolled out of a virtual table leaves the tab stop in the header
+            const cell = cells[active.column] || this._gridCells(this._findGridRow(container, -1))[active.column];
+            if (cell) {
+                this._setTabStop(container, cell);
+            }
+
+            if (refocus) {
+                if (cells[active.column]) {
+                    cells[active.column].focus();
+                } else {
+                    container._bmsTable.focus({ preventScroll: true });
+                }
+            }
+        },
+
+        /**
+         * Make a cell the only one in the tab order
+         */
+        _setTabStop: function(container, cell) {
+            container._bmsTable.querySelectorAll('th[tabindex="0"], td[tabindex="0"]').forEach(other => {
+                if (other !== cell) other.tabIndex = -1;
+            });
+            cell.tabIndex = 0;
+        },
+
+        /**
+         * Header row (item -1) or rendered body row for a display item
+         */
+        _findGridRow: function(container, item) {
+            if (item === -1) {
+                return container._bmsTable.tHead.rows[0] || null;
+            }
+            return container._bmsTableBody.querySelector(`tr[data-item-index="${item}"]`);
+        },
+
+        /**
+         * A row's cells by column position; a spanning cell fills each of its columns
+         */
+        _gridCells: function(tr) {
+            const cells = [];
+            Array.from(tr ? tr.cells : []).forEach(cell => {
+                for (let i = 0; i < cell.colSpan; i++) {
+                    cells.push(cell);
+                }
+            });
+            return cells;
+        },
+
+        /**
+         * Display item and column position of a header or body cell
+         * @returns {Object|null} { item, column }, or null for footer and empty-state cells
+         */
+        _cellPosition: function(container, cell) {
+            const tr = cell.parentElement;
+            let item;
+            if (tr.parentElement === container._bmsTable.tHead) {
+                item = -1;
+            } else if (tr.parentElement === container._bmsTableBody && tr.dataset.itemIndex !== undefined) {
+                item = Number(tr.dataset.itemIndex);
+            } else {
+                return null;
+            }
+            return { item, column: this._gridCells(tr).indexOf(cell) };
+        },
+
+        _gridHasFocus: function(container) {
+            const active = this._activeElement(container);
+            return Boolean(active && container._bmsTable.contains(active));
+        },
+
+        /**
+         * The focused element in the table's own document
+         * That's a pop-out window's document when the table's panel was popped out.
+         */
+        _activeElement: function(container) {
+            if (container.ownerDocument !== document) {
+                return container.ownerDocument.activeElement;
+            }
+            return BMS.DOM?.activeElement?.() || document.activeElement;
+        },
+
+        /**
+         * Select the rows from the range anchor to a display item
+         * The rows the range selected before are deselected first, so moving
+         * back towards the anchor shrinks the selection.
+         */
+        _extendSelection: function(container, fromItem, toItem) {
+            const state = container._bmsTableState;
+            if (state.rangeAnchor === null) {
+                state.rangeAnchor = fromItem;
+            }
+
+            const items = state.displayItems || state.displayData.map(row => ({ row }));
+            const start = Math.min(state.rangeAnchor, toItem);
+            const end = Math.max(state.rangeAnchor, toItem);
+            const rows = items.slice(start, end + 1).filter(item => item.row).map(item => item.row);
+
+            (state.rangeRows || []).forEach(row => state.selectedRows.delete(row));
+            rows.forEach(row => state.selectedRows.add(row));
+            state.rangeRows = rows;
+
+            this._syncSelection(container);
+            this._notifySelection(container);
+        },
+
+        _allRowsSelected: function(container) {
+            const state = container._bmsTableState;
+            return state.filteredData.length > 0 && state.filteredData.every(row => state.selectedRows.has(row));
+        },
+
+        /**
+         * Open the editor for a cell
+         * The column needs `editable: true`; its `editor` is 'text' (default),
+         * 'number', 'select' (with `options`) or 'checkbox'. Enter saves, Escape
+         * cancels, and Tab saves and moves to the next editable cell.
+         * @param {Object} rowData - Row object, as given in the table data
+         * @returns {boolean} Whether the editor opened; the row must be rendered
+         */
+        editCell: function(container, rowData, columnKey) {
+            const state = container._bmsTableState;
+            const column = state.columns.find(c => c.key === columnKey);
+            if (!column || !column.editable) return false;
+
+            if (state.editing && !this._commitEdit(container)) return false;
+
+            const rowIndex = state.displayData.indexOf(rowData);
+            const td = this._findCell(container, rowIndex, columnKey);
+            if (!td) return false;
+
+            const oldValue = rowData[columnKey];
+            const editor = this._createEditor(column, oldValue);
+            const error = document.createElement('div');
+            error.className = 'bms-table-editor-error';
+            error.setAttribute('role', 'alert');
+            error.hidden = true;
+
+            state.editing = { td, row: rowData, column, editor, error, oldValue };
+            td.classList.add('bms-table-cell-editing');
+            td.replaceChildren(editor, error);
+
+            // Keep clicks in the editor away from row and cell handlers
+            ['click', 'dblclick', 'mousedown'].forEach(type => {
+                editor.addEventListener(type, (e) => e.stopPropagation());
+            });
+
+            editor.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (this._commitEdit(container)) {
+                        td.focus();
+                    }
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this._cancelEdit(container);
+                    td.focus();
+                } else if (e.key === 'Tab') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (this._commitEdit(container)) {
+                        this._editAdjacentCell(container, td, e.shiftKey ? -1 : 1);
+                    }
+                }
+            });
+
+            // Leaving the editor saves it; an invalid value stays open with its error
+            editor.addEventListener('blur', () => {
+                if (state.editing && state.editing.editor === editor) {
+                    this._commitEdit(container, { focus: false });
+                }
+            });
+
+            editor.focus();
+            if (editor.select && editor.type !== 'checkbox') {
+                editor.select();
+            }
+            return true;
+        },
+
+        /**
+         * Undo the last cell edit
+         * @returns {boolean} Whether there was an edit to undo
+         */
+        undoEdit: function(container) {
+            const state = container._bmsTableState;
+            if (state.editing) {
+                this._cancelEdit(container);
+            }
+
+            const edit = state.editHistory.pop();
+            if (!edit) return false;
+
+            edit.row[edit.key] = edit.oldValue;
+            this._refreshCell(container, edit.row, edit.key);
+
+            if (state.config.onCellEdit) {
+                state.config.onCellEdit(edit.row, edit.key, edit.newValue, edit.oldValue);
+            }
+            return true;
+        },
+
+        /**
+         * Validate and save the open editor
+         * @param {Object} options - { focus: false } leaves focus where it went
+         *   when the value is invalid (the editor was blurred)
+         * @returns {boolean} False when the value is invalid and the editor stays open
+         */
+        _commitEdit: function(container, { focus = true } = {}) {
+            const state = container._bmsTableState;
+            const editing = state.editing;
+            if (!editing) return true;
+
+            const { row, column, editor, error, oldValue } = editing;
+            const result = this._readEditor(column, editor, row);
+            if (result.error) {
+                editor.classList.add('bms-table-editor-invalid');
+                editor.setAttribute('aria-invalid', 'true');
+                error.textContent = result.error;
+                error.hidden = false;
+                if (focus) {
+                    editor.focus();
+                }
+                return false;
+            }
+
+            this._closeEditor(container);
+
+            const newValue = result.value;
+            if (!Object.is(newValue, oldValue)) {
+                row[column.key] = newValue;
+                state.editHistory.push({ row, key: column.key, oldValue, newValue });
+                if (state.editHistory.length > 100) {
+                    state.editHistory.shift();
+                }
+            }
+            this._refreshCell(container, row, column.key);
+
+            if (!Object.is(newValue, oldValue) && state.config.onCellEdit) {
+                state.config.onCellEdit(row, column.key, oldValue, newValue);
+            }
+            return true;
+        },
+
+        _cancelEdit: function(container) {
+            const editing = container._bmsTableState.editing;
+            if (!editing) return;
+
+            this._closeEditor(container);
+            this._refreshCell(container, editing.row, editing.column.key);
+        },
+
+        /**
+         * Save the open editor before its row is re-rendered
+         * An invalid value can't stay open, so it is dropped and the reason is
+         * shown in the status bar.
+         */
+        _finishEdit: function(container) {
+            const state = container._bmsTableState;
+            if (!state.editing) return;
+
+            const { column, editor, row } = state.editing;
+            const result = this._readEditor(column, editor, row);
+            if (result.error) {
+                this._cancelEdit(container);
+                BMS.UI?.updateStatus?.(`${column.title || column.key}: change discarded - ${result.error}`, 'error', 6000);
+            } else {
+                this._commitEdit(container);
+            }
+        },
+
+        _closeEditor: function(container) {
+            const state = container._bmsTableState;
+            const { td } = state.editing;
+            state.editing = null;
+            td.classList.remove('bms-table-cell-editing');
+            td.replaceChildren();
+        },
+
+        /**
+         * Re-render a row's cell if it is on screen
+         */
+        _refreshCell: function(container, rowData, columnKey) {
+            const state = container._bmsTableState;
+            const column = state.columns.find(c => c.key === columnKey);
+            const rowIndex = state.displayData.indexOf(rowData);
+            const td = this._findCell(container, rowIndex, columnKey);
+            if (column && td && !td.classList.contains('bms-table-cell-editing')) {
+                this._renderCellContent(container, td, column, rowData, rowIndex);
+            }
+        },
+
+        /**
+         * Rendered cell for a display row and column, if there is one
+         */
+        _findCell: function(container, rowIndex, columnKey) {
+            if (rowIndex === -1) return null;
+            const tr = container._bmsTableBody.querySelector(`tr.bms-table-row[data-row-index="${rowIndex}"]`);
+            return tr ? Array.from(tr.querySelectorAll('td.bms-table-cell')).find(td => td.dataset.column === columnKey) || null : null;
+        },
+
+        /**
+         * Build the input for a column's editor type
+         */
+        _createEditor: function(column, value) {
+            let editor;
+
+            switch (column.editor) {
+                case 'select':
+                    editor = document.createElement('select');
+                    this._getEditorOptions(column).forEach((option, index) => {
+                        const element = document.createElement('option');
+                        element.value = String(index);
+                        element.textContent = option.label;
+                        element.selected = Object.is(option.value, value) || String(option.value) === String(value);
+                        editor.appendChild(element);
+                    });
+                    break;
+                case 'checkbox':
+                    editor = document.createElement('input');
+                    editor.type = 'checkbox';
+                    editor.checked = Boolean(value);
+                    break;
+                case 'number':
+                    editor = document.createElement('input');
+                    editor.type = 'number';
+                    editor.step = 'any';
+                    editor.value = value != null ? value : '';
+                    break;
+                default:
+                    editor = document.createElement('input');
+                    editor.type = 'text';
+                    editor.value = value != null ? value : '';
+            }
+
+            editor.className = `bms-table-editor bms-table-editor-${column.editor || 'text'}`;
+            editor.setAttribute('aria-label', `Edit ${column.title || column.key}`);
+            return editor;
+        },
+
+        /**
+         * Select options as { value, label }; plain values label themselves
+         */
+        _getEditorOptions: function(column) {
+            return (column.options || []).map(option =>
+                option !== null && typeof option === 'object'
+                    ? { value: option.value, label: String(option.label ?? option.value) }
+                    : { value: option, label: String(option) }
+            );
+        },
+
+        /**
+         * Read and validate an editor's value
+         * A column's `validate(value, row)` may return false or an error message.
+         * @returns {Object} { value } or { error }
+         */
+        _readEditor: function(column, editor, row) {
+            let value;
+            switch (column.editor) {
+                case 'select':
+                    value = this._getEditorOptions(column)[Number(editor.value)]?.value;
+                    break;
+                case 'checkbox':
+                    value = editor.checked;
+                    break;
+                case 'number':
+                    // Browsers report unparseable input as an empty value
+                    if (editor.validity?.badInput) {
+                        return { error: 'Enter a number' };
+                    }
+                    if (editor.value.trim() === '') {
+                        value = null;
+                    } else {
+                        value = Number(editor.value);
+                        if (!Number.isFinite(value)) {
+                            return { error: 'Enter a number' };
+                        }
+                    }
+                    break;
+                default:
+                    value = editor.value;
+            }
+
+            if (column.validate) {
+                const valid = column.validate(value, row);
+                if (valid === false) return { error: 'Invalid value' };
+                if (typeof valid === 'string') return { error: valid };
+            }
+            return { value };
+        },
+
+        /**
+         * Open the editor of the next (or previous) editable cell on screen
+         */
+        _editAdjacentCell: function(container, td, direction) {
+            const state = container._bmsTableState;
+            const cells = Array.from(container._bmsTableBody.querySelectorAll('tr.bms-table-row td.bms-table-cell-editable'));
+            const next = cells[cells.indexOf(td) + direction];
+            if (next) {
+                this.editCell(container, state.displayData[next.parentElement.dataset.rowIndex], next.dataset.column);
+            }
+        },
+
+        /**
+         * Sort from a header click
+         * A click sorts by the column alone, or flips its direction. With
+         * additive (Shift+click) the column becomes a further sort key instead;
+         * clicking it again flips it, and a third time removes it.
+         */
+        _sortColumn: function(container, columnKey, additive = false) {
+            const state = container._bmsTableState;
+            const current = state.sortColumns.find(sort => sort.key === columnKey);
+            let sortColumns;
+
+            if (additive) {
+                if (!current) {
+                    sortColumns = [...state.sortColumns, { key: columnKey, direction: 'asc' }];
+                } else if (current.direction === 'asc') {
+                    sortColumns = state.sortColumns.map(sort => sort === current ? { key: columnKey, direction: 'desc' } : sort);
+                } else {
+                    sortColumns = state.sortColumns.filter(sort => sort !== current);
+                }
+            } else if (current && state.sortColumns.length === 1) {
+                sortColumns = [{ key: columnKey, direction: current.direction === 'asc' ? 'desc' : 'asc' }];
+            } else {
+                sortColumns = [{ key: columnKey, direction: 'asc' }];
+            }
+
+            this.setSort(container, sortColumns);
+        },
+
+        /**
+         * Sort by one or more columns
+         * Rows that tie on every sort column keep their order in the data.
+         * @param {Array} sortColumns - [{ key, direction: 'asc'|'desc' }], most significant first; [] for data order
+         */
+        setSort: function(container, sortColumns) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const keys = config.columns.map(column => column.key);
+
+            state.sortColumns = sortColumns
+                .filter((sort, index) => keys.includes(sort.key) && sortColumns.findIndex(other => other.key === sort.key) === index)
+                .map(sort => ({ key: sort.key, direction: sort.direction === 'desc' ? 'desc' : 'asc' }));
+
+            if (!state.remote) {
+                this._sortRows(container);
+            }
+            this._renderSortIndicators(container);
+
+            // Back to the first page
+            this._setPage(container, 1);
+
+            // Callback
+            if (config.onSort) {
+                const primary = state.sortColumns[0];
+                config.onSort(primary ? primary.key : null, primary ? primary.direction : null, this.getSort(container));
+            }
+        },
+
+        /**
+         * Get the sort columns
+         * @returns {Array} [{ key, direction }], most significant first
+         */
+        getSort: function(container) {
+            return container._bmsTableState.sortColumns.map(sort => ({ ...sort }));
+        },
+
+        /**
+         * Sort the filtered rows by the sort columns
+         * Empty values go last in either direction.
+         */
+        _sortRows: function(container) {
+            const state = container._bmsTableState;
+            const order = new Map(state.data.map((row, index) => [row, index]));
+            const sorters = state.sortColumns.map(sort => ({
+                ...this._getSorter(container, state.config.columns.find(column => column.key === sort.key)),
+                direction: sort.direction === 'desc' ? -1 : 1
+            }));
+
+            // Work out each row's sort values once rather than on every comparison
+            const values = new Map(state.filteredData.map(row => [row, sorters.map(sorter => sorter.value(row))]));
+            const isEmpty = (value) => value == null || Number.isNaN(value);
+
+            state.filteredData.sort((a, b) => {
+                const aValues = values.get(a);
+                const bValues = values.get(b);
+                for (let i = 0; i < sorters.length; i++) {
+                    const aEmpty = isEmpty(aValues[i]);
+                    const bEmpty = isEmpty(bValues[i]);
+                    if (aEmpty || bEmpty) {
+                        if (aEmpty !== bEmpty) return aEmpty ? 1 : -1;
+                        continue;
+                    }
+                    const result = sorters[i].compare(aValues[i], bValues[i], a, b);
+                    if (result) return result * sorters[i].direction;
+                }
+                return order.get(a) - order.get(b);
+            });
+        },
+
+        /**
+         * How to sort a column
+         * `comparator(a, b, rowA, rowB)` compares cell values directly. Otherwise
+         * `sortType` is 'number', 'date', 'text', 'natural' ("item 2" before
+         * "item 10"), or a function turning a cell value into the value to sort
+         * by, such as BMS.Utils.parseEngagementCount. Without either, numbers
+         * and dates are recognised as for filtering.
+         * @returns {Object} { value(row), compare(a, b, rowA, rowB) }
+         */
+        _getSorter: function(container, column) {
+            const config = container._bmsTableState.config;
+            const cell = (row) => {
+                const value = row[column.key];
+                return value === '' ? null : value;
+            };
+
+            if (typeof column.comparator === 'function') {
+                return { value: cell, compare: column.comparator };
+            }
+
+            let sortType = column.sortType;
+            if (typeof sortType !== 'function' && !['number', 'date', 'text', 'natural'].includes(sortType)) {
+                const type = this._getColumnType(container, column);
+                sortType = type === 'number' || type === 'date' ? type : 'text';
+            }
+
+            const collator = new Intl.Collator(config.sortLocale || undefined, {
+                numeric: sortType === 'natural',
+                sensitivity: 'base'
+            });
+            const compare = (a, b) => typeof a === 'number' && typeof b === 'number'
+                ? a - b
+                : collator.compare(String(a), String(b));
+
+            switch (sortType) {
+                case 'number':
+                    return {
+                        value: (row) => {
+                            const value = cell(row);
+                            if (value == null) return null;
+                            return typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+                        },
+                        compare
+                    };
+                case 'date':
+                    return {
+                        value: (row) => {
+                            const value = cell(row);
+                            return value == null ? null : this._toTime(value);
+                        },
+                        compare
+                    };
+                case 'text':
+                case 'natural':
+                    return { value: cell, compare };
+                default:
+                    return {
+                        value: (row) => {
+                            const value = cell(row);
+                            return value == null ? null : sortType(value, row);
+                        },
+                        compare
+                    };
+            }
+        },
+
+        /**
+         * Mark the sorted headers, numbering them when there is more than one
+         */
+        _renderSortIndicators: function(container, thead = container._bmsTable.tHead) {
+            const state = container._bmsTableState;
+            const multiple = state.sortColumns.length > 1;
+
+            thead.querySelectorAll('th.bms-table-header').forEach(th => {
+                const index = state.sortColumns.findIndex(sort => sort.key === th.dataset.column);
+                const sort = state.sortColumns[index];
+
+                th.classList.remove('bms-sorted-asc', 'bms-sorted-desc');
+                th.querySelector('.bms-table-sort-priority')?.remove();
+                th.removeAttribute('aria-sort');
+                if (!sort) return;
+
+                th.classList.add(`bms-sorted-${sort.direction}`);
+                // Only the most significant sort column is announced
+                if (index === 0) {
+                    th.setAttribute('aria-sort', sort.direction === 'asc' ? 'ascending' : 'descending');
+                }
+
+                const sortIcon = th.querySelector('.bms-table-sort-icon');
+                if (multiple && sortIcon) {
+                    const priority = document.createElement('span');
+                    priority.className = 'bms-table-sort-priority';
+                    priority.textContent = index + 1;
+                    priority.title = `Sort priority ${index + 1}`;
+                    sortIcon.after(priority);
+                }
+            });
+        },
+
+        /**
+         * Apply filters
+         */
+        _applyFilters: function(container) {
+            const state = container._bmsTableState;
+            const config = state.config;
+
+            // A data source applies the search and filters itself
+            if (!state.remote) {
+                state.filteredData = this._filterRows(container);
+
+                // Keep the current sort
+                if (state.sortColumns.length > 0) {
+                    this._sortRows(container);
+                }
+            }
+            this._renderFilterIndicators(container);
+
+            // Back to the first page
+            this._setPage(container, 1);
+
+            // Callback
+            if (config.onFilter) {
+                config.onFilter(state.filters, state.searchTerm);
+            }
+        },
+
+        /**
+         * Rows matching the search and the column filters
+         * @param {string} exceptKey - Ignore this column's filter (for facet counts)
+         */
+        _filterRows: function(container, exceptKey = null) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const searchLower = state.searchTerm.toLowerCase();
+
+            const tests = Object.keys(state.filters)
+                .filter(columnKey => columnKey !== exceptKey)
+                .map(columnKey => {
+                    const filter = this._normalizeFilter(state.filters[columnKey]);
+                    return filter && { columnKey, test: this._compileFilter(filter) };
+                })
+                .filter(Boolean);
+
+            return state.data.filter(row => {
+                if (searchLower && !config.columns.some(column => {
+                    const value = row[column.key];
+                    return value != null && String(value).toLowerCase().includes(searchLower);
+                })) {
+                    return false;
+                }
+                return tests.every(({ columnKey, test }) => test(row[columnKey]));
+            });
+        },
+
+        /**
+         * Set or clear a column filter
+         * @param {string} columnKey - Column to filter
+         * @param {Object|null} filter - One of
+         *   { type: 'text', operator: 'contains'|'startsWith'|'equals'|'regex', value }
+         *   { type: 'number', min, max }
+         *   { type: 'date', after, before } - 'YYYY-MM-DD'; after is inclusive, before exclusive
+         *   { type: 'enum', values: [...] }
+         *   An array of values is taken as an enum filter; null clears the filter.
+         */
+        setFilter: function(container, columnKey, filter) {
+            const state = container._bmsTableState;
+            const normalized = this._normalizeFilter(filter);
+
+            if (normalized) {
+                // Throws on an invalid regular expression
+                this._compileFilter(normalized);
+                state.filters[columnKey] = normalized;
+            } else {
+                delete state.filters[columnKey];
+            }
+            this._applyFilters(container);
+        },
+
+        /**
+         * Remove every column filter
+         */
+        clearFilters: function(container) {
+            container._bmsTableState.filters = {};
+            this._applyFilters(container);
+        },
+
+        /**
+         * Get the active column filters, keyed by column
+         */
+        getFilters: function(container) {
+            return { ...container._bmsTableState.filters };
+        },
+
+        /**
+         * Turn a filter into its object form, or null when it filters nothing
+         */
+        _normalizeFilter: function(filter) {
+            if (Array.isArray(filter)) {
+                filter = { type: 'enum', values: filter };
+            }
+            if (!filter || !filter.type) return null;
+
+            switch (filter.type) {
+                case 'text':
+                    return filter.value ? { operator: 'contains', ...filter } : null;
+                case 'number':
+                    return filter.min != null || filter.max != null ? filter : null;
+                case 'date':
+                    return filter.after || filter.before ? filter : null;
+                case 'enum':
+                    return filter.values && filter.values.length > 0 ? filter : null;
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Build a function testing a cell value against a filter
+         */
+        _compileFilter: function(filter) {
+            switch (filter.type) {
+                case 'text': {
+                    const needle = String(filter.value).toLowerCase();
+                    if (filter.operator === 'regex') {
+                        const regex = new RegExp(filter.value, 'i');
+                        return value => value != null && regex.test(String(value));
+                    }
+                    if (filter.operator === 'startsWith') {
+                        return value => value != null && String(value).toLowerCase().startsWith(needle);
+                    }
+                    if (filter.operator === 'equals') {
+                        return value => value != null && String(value).toLowerCase() === needle;
+                    }
+                    return value => value != null && String(value).toLowerCase().includes(needle);
+                }
+                case 'number':
+                    return value => {
+                        const number = typeof value === 'number' ? value : parseFloat(value);
+                        if (isNaN(number)) return false;
+                        return (filter.min == null || number >= filter.min) &&
+                            (filter.max == null || number <= filter.max);
+                    };
+                case 'date': {
+                    const after = this._parseDay(filter.after);
+                    const before = this._parseDay(filter.before);
+                    return value => {
+                        const time = this._toTime(value);
+                        if (isNaN(time)) return false;
+                        return (isNaN(after) || time >= after) && (isNaN(before) || time < before);
+                    };
+                }
+                case 'enum': {
+                    const values = new Set(filter.values);
+                    return value => values.has(value);
+                }
+            }
+            return () => true;
+        },
+
+        /**
+         * Midnight (local time) of a 'YYYY-MM-DD' day, NaN when empty
+         */
+        _parseDay: function(day) {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || '');
+            return match ? new Date(match[1], match[2] - 1, match[3]).getTime() : NaN;
+        },
+
+        _toTime: function(value) {
+            if (value instanceof Date) return value.getTime();
+            if (typeof value === 'number') return value;
+            if (value == null || value === '') return NaN;
+            const day = this._parseDay(String(value));
+            return isNaN(day) ? Date.parse(value) : day;
+        },
+
+        /**
+         * Column type for filtering: column.type, or guessed from the data
+         * Numbers and ISO dates are recognised; a column with few distinct values is an enum.
+         * @returns {string} 'text', 'number', 'date' or 'enum'
+         */
+        _getColumnType: function(container, column) {
+            if (['text', 'number', 'date', 'enum'].includes(column.type)) {
+                return column.type;
+            }
+
+            const values = [];
+            for (const row of container._bmsTableState.data) {
+                const value = row[column.key];
+                if (value != null && value !== '') {
+                    values.push(value);
+                    if (values.length === 200) break;
+                }
+            }
+            if (values.length === 0) return 'text';
+
+            if (values.every(value => typeof value === 'number')) return 'number';
+            if (values.every(value => value instanceof Date ||
+                (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value))))) {
+                return 'date';
+            }
+
+            const distinct = new Set(values.map(String)).size;
+            if (values.every(value => typeof value === 'boolean') || (distinct <= 12 && distinct <= values.length / 2)) {
+                return 'enum';
+            }
+            return 'text';
+        },
+
+        /**
+         * Toggle the filter menu for a column
+         */
+        _showFilterMenu: function(container, columnKey, anchor) {
+            if (container._bmsPopover?.anchor === anchor) {
+                this._closePopover(container);
+                return;
+            }
+
+            const state = container._bmsTableState;
+            const column = state.config.columns.find(col => col.key === columnKey);
+            const title = column.title || column.key;
+            const type = this._getColumnType(container, column);
+            const current = this._normalizeFilter(state.filters[columnKey]);
+
+            const menu = document.createElement('div');
+            menu.className = 'bms-table-filter-menu';
+            menu.setAttribute('role', 'dialog');
+            menu.setAttribute('aria-label', `Filter ${title}`);
+
+            const heading = document.createElement('div');
+            heading.className = 'bms-table-filter-title';
+            heading.textContent = `Filter ${title}`;
+            menu.appendChild(heading);
+
+            const body = document.createElement('div');
+            body.className = 'bms-table-filter-body';
+            menu.appendChild(body);
+
+            // Each editor fills the body and returns a function reading the filter back
+            // (null for no filter, false when the input is invalid)
+            const editors = {
+                text: this._buildTextFilter,
+                number: this._buildNumberFilter,
+                date: this._buildDateFilter,
+                enum: this._buildEnumFilter
+            };
+            const read = editors[type].call(this, container, column, body, current && current.type === type ? current : null);
+
+            const actions = document.createElement('div');
+            actions.className = 'bms-table-filter-actions';
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'bms-table-btn';
+            clearBtn.textContent = 'Clear';
+            clearBtn.addEventListener('click', () => {
+                this._closePopover(container);
+                this.setFilter(container, columnKey, null);
+            });
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'bms-table-btn bms-table-btn-primary';
+            applyBtn.textContent = 'Apply';
+            const apply = () => {
+                const filter = read();
+                if (filter === false) return;
+                this._closePopover(container);
+                this.setFilter(container, columnKey, filter);
+            };
+            applyBtn.addEventListener('click', apply);
+
+            menu.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                    e.preventDefault();
+                    apply();
+                }
+            });
+
+            actions.appendChild(clearBtn);
+            actions.appendChild(applyBtn);
+            menu.appendChild(actions);
+
+            this._openPopover(container, anchor, menu);
+
+            const firstInput = body.querySelector('input, select');
+            if (firstInput) firstInput.focus();
+        },
+
+        _buildTextFilter: function(container, column, body, current) {
+            const operator = document.createElement('select');
+            operator.className = 'bms-table-filter-input';
+            operator.setAttribute('aria-label', 'Operator');
+            [
+                ['contains', 'Contains'],
+                ['startsWith', 'Starts with'],
+                ['equals', 'Equals'],
+                ['regex', 'Matches regex']
+            ].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                operator.appendChild(option);
+            });
+            operator.value = current ? current.operator : 'contains';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'bms-table-filter-input';
+            input.placeholder = 'Value';
+            input.setAttribute('aria-label', 'Value');
+            input.value = current ? current.value : '';
+
+            const error = document.createElement('div');
+            error.className = 'bms-table-filter-error';
+
+            body.appendChild(operator);
+            body.appendChild(input);
+            body.appendChild(error);
+
+            return () => {
+                if (!input.value) return null;
+                if (operator.value === 'regex') {
+                    try {
+                        new RegExp(input.value);
+                    } catch (e) {
+                        error.textContent = 'Invalid regular expression';
+                        input.focus();
+                        return false;
+                    }
+                }
+                return { type: 'text', operator: operator.value, value: input.value };
+            };
+        },
+
+        _buildNumberFilter: function(container, column, body, current) {
+            const min = this._createFilterInput(body, 'number', 'Min', current ? current.min : null);
+            const max = this._createFilterInput(body, 'number', 'Max', current ? current.max : null);
+
+            return () => {
+                const range = {
+                    min: min.value === '' ? null : Number(min.value),
+                    max: max.value === '' ? null : Number(max.value)
+                };
+                return range.min == null && range.max == null ? null : { type: 'number', ...range };
+            };
+        },
+
+        _buildDateFilter: function(container, column, body, current) {
+            const after = this._createFilterInput(body, 'date', 'On or after', current ? current.after : null);
+            const before = this._createFilterInput(body, 'date', 'Before', current ? current.before : null);
+
+            return () => {
+                if (!after.value && !before.value) return null;
+                return { type: 'date', after: after.value || null, before: before.value || null };
+            };
+        },
+
+        /**
+         * Facet list: one checkbox per distinct value, with the number of rows
+         * having it under the search and the other columns' filters
+         */
+        _buildEnumFilter: function(container, column, body, current) {
+            const state = container._bmsTableState;
+            const counts = new Map();
+            state.data.forEach(row => counts.set(row[column.key], 0));
+            if (state.remote) {
+                // Only this page's values are known, so there are no counts to show
+                (current ? current.values : []).forEach(value => counts.set(value, 0));
+            } else {
+                this._filterRows(container, column.key).forEach(row => {
+                    counts.set(row[column.key], counts.get(row[column.key]) + 1);
+                });
+            }
+
+            const selected = new Set(current ? current.values : []);
+            const entries = [...counts.entries()]
+                .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+
+            const search = document.createElement('input');
+            search.type = 'text';
+            search.className = 'bms-table-filter-input';
+            search.placeholder = 'Search values';
+            search.setAttribute('aria-label', 'Search values');
+            if (entries.length > 8) {
+                body.appendChild(search);
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'bms-table-facet-list';
+            const checkboxes = entries.map(([value, count]) => {
+                const item = document.createElement('li');
+                item.className = 'bms-table-facet';
+
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'bms-table-checkbox';
+                checkbox.checked = selected.has(value);
+
+                const text = document.createElement('span');
+                text.className = 'bms-table-facet-label';
+                text.textContent = value == null || value === '' ? '(empty)' : String(value);
+
+                const countEl = document.createElement('span');
+                countEl.className = 'bms-table-facet-count';
+                countEl.textContent = state.remote ? '' : count;
+
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                label.appendChild(countEl);
+                item.appendChild(label);
+                list.appendChild(item);
+                return checkbox;
+            });
+            body.appendChild(list);
+
+            search.addEventListener('input', () => {
+                const term = search.value.toLowerCase();
+                list.querySelectorAll('.bms-table-facet').forEach(item => {
+                    item.hidden = !item.textContent.toLowerCase().includes(term);
+                });
+            });
+
+            return () => {
+                const values = entries.filter((entry, i) => checkboxes[i].checked).map(([value]) => value);
+                return values.length > 0 ? { type: 'enum', values } : null;
+            };
+        },
+
+        _createFilterInput: function(body, type, label, value) {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'bms-table-filter-field';
+            wrapper.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = type;
+            input.className = 'bms-table-filter-input';
+            input.value = value != null ? value : '';
+            wrapper.appendChild(input);
+
+            body.appendChild(wrapper);
+            return input;
+        },
+
+        /**
+         * Short text for an active filter, e.g. 'contains "foo"' or '10 – 20'
+         */
+        _describeFilter: function(filter) {
+            switch (filter.type) {
+                case 'text': {
+                    const operators = { contains: 'contains', startsWith: 'starts with', equals: '=', regex: 'matches' };
+                    return filter.operator === 'regex'
+                        ? `matches /${filter.value}/`
+                        : `${operators[filter.operator] || 'contains'} "${filter.value}"`;
+                }
+                case 'number':
+                    if (filter.min != null && filter.max != null) return `${filter.min} – ${filter.max}`;
+                    return filter.min != null ? `≥ ${filter.min}` : `≤ ${filter.max}`;
+                case 'date':
+                    if (filter.after && filter.before) return `${filter.after} to ${filter.before}`;
+                    return filter.after ? `on or after ${filter.after}` : `before ${filter.before}`;
+                case 'enum': {
+                    const labels = filter.values.map(value => value == null || value === '' ? '(empty)' : String(value));
+                    return labels.length > 3
+                        ? `${labels.slice(0, 3).join(', ')} +${labels.length - 3} more`
+                        : labels.join(', ');
+                }
+            }
+            return '';
+        },
+
+        /**
+         * Highlight filtered columns and show a removable chip per filter in the toolbar
+         */
+        _renderFilterIndicators: function(container) {
+            const state = container._bmsTableState;
+
+            container.querySelectorAll('.bms-table-header').forEach(th => {
+                const filterBtn = th.querySelector('.bms-table-filter-btn');
+                if (filterBtn) {
+                    filterBtn.classList.toggle('active', Boolean(this._normalizeFilter(state.filters[th.dataset.column])));
+                }
+            });
+
+            const chips = container.querySelector('.bms-table-filter-chips');
+            if (!chips) return;
+            chips.replaceChildren();
+
+            const active = Object.keys(state.filters)
+                .map(columnKey => [columnKey, this._normalizeFilter(state.filters[columnKey])])
+                .filter(([, filter]) => filter);
+
+            active.forEach(([columnKey, filter]) => {
+                const column = state.config.columns.find(col => col.key === columnKey);
+                const title = column ? column.title || column.key : columnKey;
+
+                const chip = document.createElement('span');
+                chip.className = 'bms-table-filter-chip';
+
+                const label = document.createElement('button');
+                label.className = 'bms-table-filter-chip-label';
+                label.textContent = `${title}: ${this._describeFilter(filter)}`;
+                label.title = 'Edit filter';
+                label.addEventListener('click', () => this._showFilterMenu(container, columnKey, label));
+
+                const remove = document.createElement('button');
+                remove.className = 'bms-table-filter-chip-remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Remove ${title} filter`);
+                remove.addEventListener('click', () => this.setFilter(container, columnKey, null));
+
+                chip.appendChild(label);
+                chip.appendChild(remove);
+                chips.appendChild(chip);
+            });
+
+            if (active.length > 1) {
+                const clearAll = document.createElement('button');
+                clearAll.className = 'bms-table-filter-chip-clear';
+                clearAll.textContent = 'Clear all';
+                clearAll.addEventListener('click', () => this.clearFilters(container));
+                chips.appendChild(clearAll);
+            }
+        },
+
+        /**
+         * Update pagination controls
+         */
+        _updatePagination: function(container) {
+            const state = container._bmsTableState;
+            const config = state.config;
+            const pagination = container._bmsTablePagination;
+
+            if (!pagination) return;
+
+            const totalItems = state.itemCount;
             const totalPages = Math.ceil(totalItems / config.pageSize);
             const start = (state.currentPage - 1) * config.pageSize + 1;
             const end = Math.min(state.currentPage * config.pageSize, totalItems);
 
-            // Update page info
-            const pageInfo = pagination.querySelector('.bms-table-page-info');
-            pageInfo.textContent = totalItems > 0
-                ? `Showing ${start} to ${end} of ${totalItems} entries`
-                : 'No entries';
+            // Update page info
+            const pageInfo = pagination.querySelector('.bms-table-page-info');
+            pageInfo.textContent = totalItems > 0
+                ? `Showing ${start} to ${end} of ${totalItems} entries`
+                : 'No entries';
+
+            // Update page buttons
+            const pageNumbers = pagination.querySelector('.bms-table-page-numbers');
+            pageNumbers.replaceChildren();
+
+            // Generate page numbers
+            const maxButtons = 5;
+            let startPage = Math.max(1, state.currentPage - Math.floor(maxButtons / 2));
+            let endPage = Math.min(totalPages, startPage + maxButtons - 1);
+
+            if (endPage - startPage < maxButtons - 1) {
+                startPage = Math.max(1, endPage - maxButtons + 1);
+            }
+
+            for (let i = startPage; i <= endPage; i++) {
+                const btn = document.createElement('button');
+                btn.className = `bms-table-page-btn ${i === state.currentPage ? 'active' : ''}`;
+                btn.textContent = i;
+                btn.addEventListener('click', () => {
+                    this._setPage(container, i);
+                });
+                pageNumbers.appendChild(btn);
+            }
+
+            // Enable/disable navigation buttons
+            const controls = pagination.querySelector('.bms-table-page-controls');
+            controls.querySelector('.bms-table-page-first').disabled = state.currentPage === 1;
+            controls.querySelector('.bms-table-page-prev').disabled = state.currentPage === 1;
+            controls.querySelector('.bms-table-page-next').disabled = state.currentPage === totalPages;
+            controls.querySelector('.bms-table-page-last').disabled = state.currentPage === totalPages;
+
+            // Callback
+            if (config.onPageChange) {
+                config.onPageChange(state.currentPage, totalPages);
+            }
+        },
+
+        /**
+         * Get the column layout
+         * @returns {Object} { order, hidden, widths } - column keys, and pixel widths of resized columns by key
+         */
+        getColumnLayout: function(container) {
+            const state = container._bmsTableState;
+            return { order: [...state.columnOrder], hidden: [...state.hiddenColumns], widths: { ...state.columnWidths } };
+        },
+
+        /**
+         * Show or hide a column
+         * The last visible column can't be hidden.
+         */
+        setColumnVisibility: function(container, columnKey, visible) {
+            const state = container._bmsTableState;
+            if (visible) {
+                state.hiddenColumns.delete(columnKey);
+            } else if (state.columns.length > 1 || !state.columns.some(column => column.key === columnKey)) {
+                state.hiddenColumns.add(columnKey);
+            }
+            this._applyColumnLayout(container);
+        },
+
+        /**
+         * Move a column to a new position
+         * @param {number} index - Position in the full column order, hidden columns included
+         */
+        moveColumn: function(container, columnKey, index) {
+            const state = container._bmsTableState;
+            const from = state.columnOrder.indexOf(columnKey);
+            if (from === -1) return;
+
+            state.columnOrder.splice(from, 1);
+            state.columnOrder.splice(Math.max(0, Math.min(index, state.columnOrder.length)), 0, columnKey);
+            this._applyColumnLayout(container);
+        },
+
+        /**
+         * Restore the column order, visibility and widths from the table options
+         */
+        resetColumns: function(container) {
+            const state = container._bmsTableState;
+            const columns = state.config.columns;
+            state.columnOrder = columns.map(column => column.key);
+            state.hiddenColumns = new Set(columns.filter(column => column.visible === false).map(column => column.key));
+            state.columnWidths = {};
+            this._applyColumnLayout(container);
+        },
+
+        /**
+         * Set a column's width
+         * Widths are clamped to the column's minWidth and maxWidth.
+         * @param {number|null} width - Width in pixels, or null to go back to automatic widths
+         */
+        setColumnWidth: function(container, columnKey, width) {
+            const state = container._bmsTableState;
+            const column = state.config.columns.find(c => c.key === columnKey);
+            if (!column) return;
+
+            if (width === null) {
+                delete state.columnWidths[columnKey];
+            } else {
+                this._freezeColumnWidths(container);
+                state.columnWidths[columnKey] = this._clampColumnWidth(container, column, width);
+            }
+            this._applyColumnLayout(container);
+        },
+
+        /**
+         * Size a column to fit its header and the rows currently rendered
+         */
+        autoFitColumn: function(container, columnKey) {
+            const state = container._bmsTableState;
+            const column = state.columns.find(c => c.key === columnKey);
+            const th = Array.from(container._bmsTable.tHead.querySelectorAll('th.bms-table-header'))
+                .find(header => header.dataset.column === columnKey);
+            if (!column || !th) return;
+
+            const width = this._measureColumn(container, th);
+            this._freezeColumnWidths(container);
+            state.columnWidths[columnKey] = this._clampColumnWidth(container, column, width);
+            this._applyColumnWidths(container);
+            this._saveColumnLayout(container);
+
+            if (state.config.onColumnResize) {
+                state.config.onColumnResize(columnKey, state.columnWidths[columnKey]);
+            }
+        },
+
+        /**
+         * Restore the saved layout, keeping it valid for the current columns
+         * Saved keys that no longer exist are dropped; new columns go at the end.
+         */
+        _loadColumnLayout: function(container) {
+            const state = container._bmsTableState;
+            const key = this._columnStorageKey(container);
+            let saved = null;
+
+            if (key) {
+                try {
+                    saved = JSON.parse(localStorage.getItem(key));
+                } catch (error) {
+                    console.warn('BMS: could not read the saved table columns:', error);
+                }
+            }
+
+            if (saved && Array.isArray(saved.order) && Array.isArray(saved.hidden)) {
+                const keys = state.config.columns.map(column => column.key);
+                state.columnOrder = [
+                    ...saved.order.filter(columnKey => keys.includes(columnKey)),
+                    ...keys.filter(columnKey => !saved.order.includes(columnKey))
+                ];
+                state.hiddenColumns = new Set(saved.hidden.filter(columnKey => keys.includes(columnKey)));
+
+                if (saved.widths && typeof saved.widths === 'object') {
+                    Object.entries(saved.widths).forEach(([columnKey, width]) => {
+                        if (keys.includes(columnKey) && Number.isFinite(width) && width > 0) {
+                            state.columnWidths[columnKey] = width;
+                        }
+                    });
+                }
+            }
+
+            this._updateColumns(container);
+
+            // Never hide every column
+            if (state.columns.length === 0 && state.columnOrder.length > 0) {
+                state.hiddenColumns.clear();
+                this._updateColumns(container);
+            }
+        },
+
+        _saveColumnLayout: function(container) {
+            const key = this._columnStorageKey(container);
+            if (!key) return;
+
+            try {
+                localStorage.setItem(key, JSON.stringify(this.getColumnLayout(container)));
+            } catch (error) {
+                console.warn('BMS: could not save the table columns:', error);
+            }
+        },
+
+        _columnStorageKey: function(container) {
+            const config = container._bmsTableState.config;
+            return config.persistColumns ? `bms-table-columns:${config.id}` : null;
+        },
+
+        /**
+         * Work out the visible columns in display order
+         */
+        _updateColumns: function(container) {
+            const state = container._bmsTableState;
+            state.columns = state.columnOrder
+                .filter(columnKey => !state.hiddenColumns.has(columnKey))
+                .map(columnKey => state.config.columns.find(column => column.key === columnKey));
+        },
+
+        /**
+         * Re-render after the column order or visibility changed, and save it
+         */
+        _applyColumnLayout: function(container) {
+            this._updateColumns(container);
+            this._renderHeader(container, container._bmsTable.tHead);
+            this._applyColumnWidths(container);
+            this._updateDisplay(container);
+            this._saveColumnLayout(container);
+
+            const list = container._bmsPopover?.popover.querySelector('.bms-table-column-list');
+            if (list) {
+                this._renderColumnList(container, list);
+            }
+        },
+
+        /**
+         * Drag a column's resize handle with mouse, touch or pen
+         * The handle captures the pointer, so the drag follows it past the
+         * table. The first resize fixes every visible column at its current
+         * width, so dragging one column doesn't reflow the others.
+         */
+        _startColumnResize: function(container, th, e) {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const state = container._bmsTableState;
+            const config = state.config;
+            const columnKey = th.dataset.column;
+            const column = state.columns.find(c => c.key === columnKey);
+            if (!column) return;
+
+            this._freezeColumnWidths(container);
+
+            const resizer = e.currentTarget;
+            const startX = e.clientX;
+            const startWidth = state.columnWidths[columnKey];
+            state.resizing = true;
+            container.classList.add('bms-table-resizing');
+
+            const handleMove = (moveEvent) => {
+                state.columnWidths[columnKey] = this._clampColumnWidth(container, column, startWidth + moveEvent.clientX - startX);
+                this._applyColumnWidths(container);
+            };
+
+            const handleUp = () => {
+                resizer.removeEventListener('pointermove', handleMove);
+                resizer.removeEventListener('pointerup', handleUp);
+                resizer.removeEventListener('pointercancel', handleUp);
+                container.classList.remove('bms-table-resizing');
+                this._saveColumnLayout(container);
+
+                // Cleared after the click that follows this pointerup
+                setTimeout(() => { state.resizing = false; }, 0);
+
+                if (config.onColumnResize) {
+                    config.onColumnResize(columnKey, state.columnWidths[columnKey]);
+                }
+            };
+
+            resizer.setPointerCapture(e.pointerId);
+            resizer.addEventListener('pointermove', handleMove);
+            resizer.addEventListener('pointerup', handleUp);
+            resizer.addEventListener('pointercancel', handleUp);
+        },
 
-            // Update page buttons
-            const pageNumbers = pagination.querySelector('.bms-table-page-numbers');
-            pageNumbers.innerHTML = '';
+        /**
+         * Record the rendered width of every visible column that has no width yet
+         */
+        _freezeColumnWidths: function(container) {
+            const state = container._bmsTableState;
+            const headers = Array.from(container._bmsTable.tHead.querySelectorAll('th.bms-table-header'));
+
+            // Measure everything before changing anything, as each change reflows the table
+            const measured = headers.map(th => ({ key: th.dataset.column, width: Math.round(th.getBoundingClientRect().width) }));
+            measured.forEach(({ key, width }) => {
+                const column = state.columns.find(c => c.key === key);
+                if (column && state.columnWidths[key] == null) {
+                    state.columnWidths[key] = this._clampColumnWidth(container, column, width || this._defaultColumnWidth(column));
+                }
+            });
+        },
 
-            // Generate page numbers
-            const maxButtons = 5;
-            let startPage = Math.max(1, state.currentPage - Math.floor(maxButtons / 2));
-            let endPage = Math.min(totalPages, startPage + maxButtons - 1);
+        /**
+         * Width of a column in pixels, or null while the table lays itself out
+         */
+        _getColumnWidth: function(container, column) {
+            const state = container._bmsTableState;
+            if (state.columnWidths[column.key] != null) {
+                return state.columnWidths[column.key];
+            }
+            // Columns shown after a resize need a width of their own
+            if (Object.keys(state.columnWidths).length > 0) {
+                return this._clampColumnWidth(container, column, this._defaultColumnWidth(column));
+            }
+            return null;
+        },
 
-            if (endPage - startPage < maxButtons - 1) {
-                startPage = Math.max(1, endPage - maxButtons + 1);
+        _defaultColumnWidth: function(column) {
+            if (typeof column.width === 'number') return column.width;
+            return /^\d+(\.\d+)?(px)?$/.test(String(column.width || '').trim()) ? parseFloat(column.width) : 150;
+        },
+
+        _clampColumnWidth: function(container, column, width) {
+            const config = container._bmsTableState.config;
+            const min = column.minWidth ?? config.minColumnWidth ?? 0;
+            const max = column.maxWidth ?? config.maxColumnWidth ?? Infinity;
+            return Math.round(Math.max(min, Math.min(max, width)));
+        },
+
+        /**
+         * Apply the column widths to the header
+         * Once any column has a width the table switches to a fixed layout,
+         * as wide as its columns add up to.
+         */
+        _applyColumnWidths: function(container) {
+            const state = container._bmsTableState;
+            const table = container._bmsTable;
+            const fixed = Object.keys(state.columnWidths).length > 0;
+            let total = 0;
+
+            table.tHead.querySelectorAll('th.bms-table-header').forEach(th => {
+                const column = state.columns.find(c => c.key === th.dataset.column);
+                const width = column ? this._getColumnWidth(container, column) : null;
+                if (width !== null) {
+                    th.style.width = `${width}px`;
+                    total += width;
+                }
+            });
+
+            const selectAll = table.tHead.querySelector('.bms-table-select-all');
+            if (selectAll) {
+                total += selectAll.offsetWidth || 40;
             }
 
-            for (let i = startPage; i <= endPage; i++) {
-                const btn = document.createElement('button');
-                btn.className = `bms-table-page-btn ${i === state.currentPage ? 'active' : ''}`;
-                btn.textContent = i;
-                btn.addEventListener('click', () => {
-                    state.currentPage = i;
-                    this._updateDisplay(container);
-                });
-                pageNumbers.appendChild(btn);
+            table.classList.toggle('bms-table-fixed', fixed);
+            table.style.width = fixed ? `${total}px` : '';
+        },
+
+        /**
+         * Measure the natural width of a column's header and rendered cells
+         * The cells are copied into a hidden table with the same classes, so
+         * they pick up the same fonts and padding without wrapping.
+         */
+        _measureColumn: function(container, th) {
+            const table = container._bmsTable;
+            const probe = document.createElement('table');
+            probe.className = table.className;
+            probe.classList.remove('bms-table-fixed');
+            probe.classList.add('bms-table-probe');
+
+            const head = document.createElement('thead');
+            const headRow = document.createElement('tr');
+            const header = th.cloneNode(true);
+            header.style.width = '';
+            headRow.appendChild(header);
+            head.appendChild(headRow);
+            probe.appendChild(head);
+
+            const body = document.createElement('tbody');
+            container._bmsTableBody.querySelectorAll('td.bms-table-cell').forEach(td => {
+                if (td.dataset.column !== th.dataset.column) return;
+                const row = document.createElement('tr');
+                row.appendChild(td.cloneNode(true));
+                body.appendChild(row);
+            });
+            probe.appendChild(body);
+
+            container._bmsTableWrapper.appendChild(probe);
+            const width = Math.ceil(header.getBoundingClientRect().width);
+            probe.remove();
+            return width;
+        },
+
+        /**
+         * Toggle the column chooser popover
+         */
+        _showColumnSelector: function(container) {
+            const button = container.querySelector('.bms-table-columns');
+            if (container._bmsPopover?.anchor === button) {
+                this._closePopover(container);
+                return;
             }
 
-            // Enable/disable navigation buttons
-            const controls = pagination.querySelector('.bms-table-page-controls');
-            controls.querySelector('.bms-table-page-first').disabled = state.currentPage === 1;
-            controls.querySelector('.bms-table-page-prev').disabled = state.currentPage === 1;
-            controls.querySelector('.bms-table-page-next').disabled = state.currentPage === totalPages;
-            controls.querySelector('.bms-table-page-last').disabled = state.currentPage === totalPages;
+            const menu = document.createElement('div');
+            menu.className = 'bms-table-column-menu';
+            menu.setAttribute('role', 'dialog');
+            menu.setAttribute('aria-label', 'Columns');
 
-            // Callback
-            if (config.onPageChange) {
-                config.onPageChange(state.currentPage, totalPages);
+            const hint = document.createElement('div');
+            hint.className = 'bms-table-column-hint';
+            hint.textContent = 'Drag to reorder (or Alt+↑/↓)';
+            menu.appendChild(hint);
+
+            const list = document.createElement('ul');
+            list.className = 'bms-table-column-list';
+            menu.appendChild(list);
+            this._renderColumnList(container, list);
+
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'bms-table-btn bms-table-column-reset';
+            resetBtn.textContent = 'Reset';
+            resetBtn.addEventListener('click', () => this.resetColumns(container));
+            menu.appendChild(resetBtn);
+
+            this._openPopover(container, button, menu);
+
+            const firstCheckbox = list.querySelector('input');
+            if (firstCheckbox) firstCheckbox.focus();
+        },
+
+        /**
+         * Open a popover below an anchor element
+         * A table has one popover open at a time. It is mounted on the BMS root, so
+         * the table's scrolling and rounded corners don't clip it, or on the body
+         * of the pop-out window the table was moved to.
+         */
+        _openPopover: function(container, anchor, popover) {
+            this._closePopover(container);
+            const doc = container.ownerDocument;
+
+            popover.classList.add('bms-table-popover');
+            // Above modals too, as the table may be inside one
+            const zIndex = BMS.UI.WindowManager?.overlayZIndex(30);
+            if (zIndex) popover.style.zIndex = zIndex;
+            if (container.closest('.bms-light-theme')) {
+                popover.classList.add('bms-light-theme');
+            }
+            (doc === document ? BMS.DOM?.getRoot?.() || document.body : doc.body).appendChild(popover);
+
+            const rect = anchor.getBoundingClientRect();
+            const left = Math.min(rect.left, doc.defaultView.innerWidth - popover.offsetWidth - 8);
+            popover.style.top = `${rect.bottom + 6}px`;
+            popover.style.left = `${Math.max(8, left)}px`;
+
+            // composedPath()[0] is the real target when the table is inside a shadow root
+            const handleOutside = (e) => {
+                const target = e.composedPath()[0];
+                if (!popover.contains(target) && !anchor.contains(target)) {
+                    this._closePopover(container);
+                }
+            };
+
+            // The popover would be left behind when the page or the table scrolls
+            const handleScroll = (e) => {
+                if (!popover.contains(e.composedPath()[0])) {
+                    this._closePopover(container);
+                }
+            };
+
+            popover.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this._closePopover(container);
+                    anchor.focus();
+                }
+            });
+
+            doc.addEventListener('mousedown', handleOutside, true);
+            doc.addEventListener('scroll', handleScroll, true);
+            container._bmsTableWrapper.addEventListener('scroll', handleScroll);
+            anchor.setAttribute('aria-expanded', 'true');
+            container._bmsPopover = { popover, anchor, doc, handleOutside, handleScroll };
+        },
+
+        _closePopover: function(container) {
+            const open = container._bmsPopover;
+            if (!open) return;
+
+            open.doc.removeEventListener('mousedown', open.handleOutside, true);
+            open.doc.removeEventListener('scroll', open.handleScroll, true);
+            container._bmsTableWrapper.removeEventListener('scroll', open.handleScroll);
+            open.popover.remove();
+            open.anchor.setAttribute('aria-expanded', 'false');
+            container._bmsPopover = null;
+        },
+
+        /**
+         * Render one entry per column: drag handle, visibility checkbox and title
+         */
+        _renderColumnList: function(container, list) {
+            const state = container._bmsTableState;
+            const active = this._activeElement(container);
+            const focusedKey = list.contains(active) ? active.closest('.bms-table-column-item').dataset.column : null;
+
+            list.replaceChildren();
+
+            state.columnOrder.forEach((columnKey, index) => {
+                const column = state.config.columns.find(col => col.key === columnKey);
+                const visible = !state.hiddenColumns.has(columnKey);
+
+                const item = document.createElement('li');
+                item.className = 'bms-table-column-item';
+                item.draggable = true;
+                item.dataset.column = columnKey;
+
+                const handle = document.createElement('span');
+                handle.className = 'bms-table-column-handle';
+                handle.setAttribute('aria-hidden', 'true');
+                handle.textContent = '⋮⋮';
+
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'bms-table-checkbox';
+                checkbox.checked = visible;
+                checkbox.disabled = visible && state.columns.length === 1;
+                checkbox.addEventListener('change', () => {
+                    this.setColumnVisibility(container, columnKey, checkbox.checked);
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(column.title || column.key));
+
+                item.appendChild(handle);
+                item.appendChild(label);
+
+                // Keyboard reordering
+                item.addEventListener('keydown', (e) => {
+                    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                        e.preventDefault();
+                        this.moveColumn(container, columnKey, index + (e.key === 'ArrowUp' ? -1 : 1));
+                    }
+                });
+
+                // Drag and drop reordering
+                item.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', columnKey);
+                    list._bmsDragKey = columnKey;
+                    item.classList.add('bms-dragging');
+                });
+
+                item.addEventListener('dragover', (e) => {
+                    if (!list._bmsDragKey) return;
+                    e.preventDefault();
+                    const rect = item.getBoundingClientRect();
+                    const after = e.clientY > rect.top + rect.height / 2;
+                    item.classList.toggle('bms-drop-before', !after);
+                    item.classList.toggle('bms-drop-after', after);
+                });
+
+                item.addEventListener('dragleave', () => {
+                    item.classList.remove('bms-drop-before', 'bms-drop-after');
+                });
+
+                item.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    const dragKey = list._bmsDragKey;
+                    list._bmsDragKey = null;
+                    if (!dragKey || dragKey === columnKey) {
+                        item.classList.remove('bms-drop-before', 'bms-drop-after');
+                        return;
+                    }
+
+                    const after = item.classList.contains('bms-drop-after');
+                    const order = state.columnOrder.filter(key => key !== dragKey);
+                    this.moveColumn(container, dragKey, order.indexOf(columnKey) + (after ? 1 : 0));
+                });
+
+                item.addEventListener('dragend', () => {
+                    list._bmsDragKey = null;
+                    item.classList.remove('bms-dragging');
+                });
+
+                list.appendChild(item);
+            });
+
+            // Keep focus on the same column after re-rendering
+            const focusedItem = [...list.children].find(item => item.dataset.column === focusedKey);
+            if (focusedItem) {
+                focusedItem.querySelector('input').focus();
             }
         },
 
         /**
          * Export table data
+         * Cells are exported as their renderers show them (as text), except in
+         * JSON and NDJSON, which keep the data values. Renderers that return
+         * elements (buttons and the like) export the data value; a column's
+         * `exportValue(value, row)` overrides both.
+         * @param {string} format - 'csv', 'tsv', 'markdown', 'html', 'json', 'ndjson' or 'xlsx'
+         * @param {Object} options - Export options
+         * @param {string} options.scope - 'all', 'filtered' (default), 'selected' or 'page'
+         * @param {string} options.values - 'rendered' or 'raw'
+         * @param {boolean} options.allColumns - Include hidden columns
+         * @param {string} options.destination - 'download' (default), 'clipboard', or 'none' to just return it
+         * @param {string} options.filename - Name without extension; defaults to config.exportFilename
+         * @returns {Promise<Object>} { content, filename, mimeType, rowCount }
          */
-        exportData: function(container, format = 'csv') {
+        exportData: async function(container, format = 'csv', options = {}) {
             const state = container._bmsTableState;
             const config = state.config;
+            const exporter = this.exportFormats[format];
+            if (!exporter) {
+                throw new Error(`Unknown export format "${format}"`);
+            }
+
+            const {
+                scope = 'filtered',
+                values = exporter.raw ? 'raw' : 'rendered',
+                allColumns = false,
+                destination = 'download',
+                filename = config.exportFilename
+            } = options;
+
+            if (destination === 'clipboard' && exporter.binary) {
+                throw new Error(`${exporter.label} can't be copied to the clipboard`);
+            }
+
+            // A data source only sent the rows on this page
+            const rows = state.remote && (scope === 'all' || scope === 'filtered')
+                ? await this._fetchAllRows(container, scope === 'filtered')
+                : this._getExportRows(container, scope);
+            const columns = allColumns
+                ? state.columnOrder.map(key => config.columns.find(column => column.key === key))
+                : state.columns;
+            const table = {
+                keys: columns.map(column => column.key),
+                headers: columns.map(column => column.title || column.key),
+                rows: rows.map(row => columns.map(column =>
+                    this._getExportValue(container, column, row, values === 'rendered')))
+            };
+
+            const content = exporter.build.call(this, table);
+            const fullName = /\.[a-z0-9]+$/i.test(filename) ? filename : `${filename}.${exporter.extension}`;
+            const result = { content, filename: fullName, mimeType: exporter.mimeType, rowCount: rows.length };
+
+            if (destination === 'clipboard') {
+                // HTML also goes on the clipboard as TSV for plain-text targets
+                const plainText = exporter.mimeType === 'text/html' ? this.exportFormats.tsv.build.call(this, table) : content;
+                await this._copyExport(content, exporter.mimeType, plainText);
+            } else if (destination === 'download') {
+                const blob = content instanceof Blob ? content : new Blob([content], { type: exporter.mimeType });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fullName;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+            }
+
+            return result;
+        },
+
+        /**
+         * Export formats by name
+         * Each has a label, file extension, MIME type and build(table), where table
+         * is { keys, headers, rows } with rows as arrays of cell values. `raw`
+         * formats export data values by default; `binary` ones build a Blob.
+         */
+        exportFormats: {
+            csv: {
+                label: 'CSV',
+                extension: 'csv',
+                mimeType: 'text/csv',
+                build: function(table) {
+                    const line = cells => cells.map(cell => `"${this._exportText(cell).replace(/"/g, '""')}"`).join(',');
+                    return [line(table.headers), ...table.rows.map(line)].join('\n');
+                }
+            },
+            tsv: {
+                label: 'TSV',
+                extension: 'tsv',
+                mimeType: 'text/tab-separated-values',
+                build: function(table) {
+                    // Tabs and line breaks inside cells would break the columns
+                    const line = cells => cells.map(cell => this._exportText(cell).replace(/[\t\r\n]+/g, ' ')).join('\t');
+                    return [line(table.headers), ...table.rows.map(line)].join('\n');
+                }
+            },
+            markdown: {
+                label: 'Markdown',
+                extension: 'md',
+                mimeType: 'text/markdown',
+                build: function(table) {
+                    const line = cells => `| ${cells.map(cell =>
+                        this._exportText(cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>')
+                    ).join(' | ')} |`;
+                    return [line(table.headers), `|${table.headers.map(() => ' --- ').join('|')}|`, ...table.rows.map(line)].join('\n');
+                }
+            },
+            html: {
+                label: 'HTML',
+                extension: 'html',
+                mimeType: 'text/html',
+                build: function(table) {
+                    const escape = cell => this._exportText(cell)
+                        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+                    const head = `<tr>${table.headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr>`;
+                    const body = table.rows.map(cells => `<tr>${cells.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n');
+                    return `<table>\n<thead>\n${head}\n</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+                }
+            },
+            json: {
+                label: 'JSON',
+                extension: 'json',
+                mimeType: 'application/json',
+                raw: true,
+                build: function(table) {
+                    return JSON.stringify(this._exportObjects(table), null, 2);
+                }
+            },
+            ndjson: {
+                label: 'NDJSON',
+                extension: 'ndjson',
+                mimeType: 'application/x-ndjson',
+                raw: true,
+                build: function(table) {
+                    return this._exportObjects(table).map(row => JSON.stringify(row)).join('\n');
+                }
+            },
+            xlsx: {
+                label: 'Excel',
+                extension: 'xlsx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                binary: true,
+                build: function(table) {
+                    return this._buildXlsx(table);
+                }
+            }
+        },
+
+        /**
+         * Rows for an export scope, in display order
+         */
+        _getExportRows: function(container, scope) {
+            const state = container._bmsTableState;
+            switch (scope) {
+                case 'all':
+                    return [...state.data];
+                case 'selected': {
+                    // Selected rows hidden by the search or filters still count, after the rest
+                    const shown = new Set(state.filteredData);
+                    return state.filteredData.filter(row => state.selectedRows.has(row))
+                        .concat(state.data.filter(row => state.selectedRows.has(row) && !shown.has(row)));
+                }
+                case 'page':
+                    return [...state.displayData];
+                case 'filtered':
+                    return [...state.filteredData];
+                default:
+                    throw new Error(`Unknown export scope "${scope}"`);
+            }
+        },
+
+        /**
+         * A cell's value for export
+         */
+        _getExportValue: function(container, column, row, rendered) {
+            const config = container._bmsTableState.config;
+            const value = row[column.key];
+
+            if (typeof column.exportValue === 'function') {
+                return column.exportValue(value, row);
+            }
+            if (!rendered || (!column.renderer && !config.cellRenderer)) {
+                return value;
+            }
+
+            const rowIndex = container._bmsTableState.displayData.indexOf(row);
+            const output = column.renderer
+                ? column.renderer(value, row, rowIndex)
+                : config.cellRenderer(value, column, row, rowIndex);
+
+            if (output instanceof Node) return value;
+            if (typeof output !== 'string') return output;
+            return this._htmlToText(output);
+        },
+
+        /**
+         * Visible text of an HTML string, parsed inertly
+         */
+        _htmlToText: function(html) {
+            let fragment;
+            if (BMS.DOM?.sanitize) {
+                fragment = BMS.DOM.sanitize(html);
+            } else {
+                const template = document.createElement('template');
+                template.innerHTML = html;
+                fragment = template.content;
+            }
+            return fragment.textContent.replace(/\s+/g, ' ').trim();
+        },
+
+        _exportText: function(value) {
+            if (value == null) return '';
+            if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        },
 
-            let content = '';
-            let mimeType = '';
-            let filename = '';
-
-            if (format === 'csv') {
-                // Generate CSV
-                const headers = config.columns.map(col => col.title || col.key).join(',');
-                const rows = state.filteredData.map(row => {
-                    return config.columns.map(col => {
-                        const value = row[col.key];
-                        return value != null ? `"${String(value).replace(/"/g, '""')}"` : '""';
-                    }).join(',');
+        _exportObjects: function(table) {
+            return table.rows.map(cells => {
+                const row = {};
+                table.keys.forEach((key, index) => {
+                    row[key] = cells[index] === undefined ? null : cells[index];
                 });
+                return row;
+            });
+        },
+
+        /**
+         * Put an export on the clipboard
+         * HTML goes on as a table with a plain-text copy, so it pastes into
+         * spreadsheets and documents alike.
+         */
+        _copyExport: async function(content, mimeType, plainText) {
+            try {
+                if (mimeType === 'text/html' && navigator.clipboard?.write && typeof ClipboardItem !== 'undefined') {
+                    await navigator.clipboard.write([new ClipboardItem({
+                        'text/html': new Blob([content], { type: 'text/html' }),
+                        'text/plain': new Blob([plainText], { type: 'text/plain' })
+                    })]);
+                } else if (navigator.clipboard?.writeText) {
+                    await navigator.clipboard.writeText(content);
+                } else {
+                    throw new Error('Clipboard API unavailable');
+                }
+            } catch (error) {
+                // Blocked without a recent click, or not a secure page
+                if (!BMS.Utils?.copyToClipboard) throw error;
+                BMS.Utils.copyToClipboard(content);
+            }
+        },
+
+        /**
+         * Build a single-sheet XLSX workbook
+         * Numbers and booleans keep their type, everything else is written as
+         * text. The header row is bold and frozen.
+         * @returns {Blob}
+         */
+        _buildXlsx: function(table) {
+            const escape = text => text
+                .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            const columnName = (index) => {
+                let name = '';
+                for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+                }
+                return name;
+            };
+            const cell = (value, ref, style) => {
+                const s = style ? ` s="${style}"` : '';
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+                }
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+                }
+                const text = this._exportText(value);
+                if (text === '') return '';
+                // Excel's limit for one cell
+                return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escape(text.slice(0, 32767))}</t></is></c>`;
+            };
+            const row = (cells, index, style) =>
+                `<row r="${index + 1}">${cells.map((value, column) => cell(value, `${columnName(column)}${index + 1}`, style)).join('')}</row>`;
+
+            const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+            const relationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+            const officeDocument = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+            const sheet = `${xml}<worksheet xmlns="${main}">` +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                `<sheetData>${[row(table.headers, 0, 1), ...table.rows.map((cells, index) => row(cells, index + 1))].join('')}</sheetData>` +
+                '</worksheet>';
+
+            const files = [
+                {
+                    name: '[Content_Types].xml',
+                    data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                        '<Default Extension="xml" ContentType="application/xml"/>' +
+                        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                        '</Types>'
+                },
+                {
+                    name: '_rels/.rels',
+                    data: `${xml}<Relationships xmlns="${relationships}">` +
+                        `<Relationship Id="rId1" Type="${officeDocument}/officeDocument" Target="xl/workbook.xml"/>` +
+                        '</Relationships>'
+                },
+                {
+                    name: 'xl/workbook.xml',
+                    data: `${xml}<workbook xmlns="${main}" xmlns:r="${officeDocument}">` +
+                        '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>'
+                },
+                {
+                    name: 'xl/_rels/workbook.xml.rels',
+                    data: `${xml}<Relationships xmlns="${relationships}">` +
+                        `<Relationship Id="rId1" Type="${officeDocument}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                        `<Relationship Id="rId2" Type="${officeDocument}/styles" Target="styles.xml"/>` +
+                        '</Relationships>'
+                },
+                {
+                    name: 'xl/styles.xml',
+                    data: `${xml}<styleSheet xmlns="${main}">` +
+                        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                        '</styleSheet>'
+                },
+                { name: 'xl/worksheets/sheet1.xml', data: sheet }
+            ];
+
+            return new Blob([this._zip(files)], { type: this.exportFormats.xlsx.mimeType });
+        },
+
+        /**
+         * Pack files into an uncompressed ZIP archive
+         * @param {Array} files - [{ name, data }] with string data
+         * @returns {Uint8Array}
+         */
+        _zip: function(files) {
+            const encoder = new TextEncoder();
+            const now = new Date();
+            const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+            const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+            const local = [];
+            const central = [];
+            let offset = 0;
+
+            files.forEach(file => {
+                const name = encoder.encode(file.name);
+                const data = encoder.encode(file.data);
+                const crc = this._crc32(data);
+
+                // Local file header
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034b50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 0x0800, true); // UTF-8 names
+                header.setUint16(8, 0, true); // Stored
+                header.setUint16(10, time, true);
+                header.setUint16(12, date, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, data.length, true);
+                header.setUint32(22, data.length, true);
+                header.setUint16(26, name.length, true);
+                local.push(new Uint8Array(header.buffer), name, data);
+
+                // Central directory entry
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);
+                entry.setUint16(4, 20, true);
+                entry.setUint16(6, 20, true);
+                entry.setUint16(8, 0x0800, true);
+                entry.setUint16(10, 0, true);
+                entry.setUint16(12, time, true);
+                entry.setUint16(14, date, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, data.length, true);
+                entry.setUint32(24, data.length, true);
+                entry.setUint16(28, name.length, true);
+                entry.setUint32(42, offset, true);
+                central.push(new Uint8Array(entry.buffer), name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const centralSize = central.reduce((size, part) => size + part.length, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            const parts = [...local, ...central, new Uint8Array(end.buffer)];
+            const zip = new Uint8Array(offset + centralSize + 22);
+            let position = 0;
+            parts.forEach(part => {
+                zip.set(part, position);
+                position += part.length;
+            });
+            return zip;
+        },
+
+        _crc32: function(data) {
+            if (!this._crcTable) {
+                this._crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    this._crcTable[n] = c >>> 0;
+                }
+            }
 
-                content = [headers, ...rows].join('\n');
-                mimeType = 'text/csv';
-                filename = 'table-export.csv';
-            } else if (format === 'json') {
-                // Generate JSON
-                content = JSON.stringify(state.filteredData, null, 2);
-                mimeType = 'application/json';
-                filename = 'table-export.json';
+            let crc = 0xffffffff;
+            for (let i = 0; i < data.length; i++) {
+                crc = this._crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
             }
+            return (crc ^ 0xffffffff) >>> 0;
+        },
+
+        /**
+         * Toggle the export popover: which rows, which format, copy or download
+         */
+        _showExportMenu: function(container, anchor) {
+            if (container._bmsPopover?.anchor === anchor) {
+                this._closePopover(container);
+                return;
+            }
+
+            const state = container._bmsTableState;
+            const config = state.config;
+            const selectedCount = state.data.filter(row => state.selectedRows.has(row)).length;
+            const last = state.exportChoice || {};
+
+            const menu = document.createElement('div');
+            menu.className = 'bms-table-filter-menu bms-table-export-menu';
+            menu.setAttribute('role', 'dialog');
+            menu.setAttribute('aria-label', 'Export');
+
+            const heading = document.createElement('div');
+            heading.className = 'bms-table-filter-title';
+            heading.textContent = 'Export';
+            menu.appendChild(heading);
+
+            const body = document.createElement('div');
+            body.className = 'bms-table-filter-body';
+            menu.appendChild(body);
+
+            // Which rows
+            const scopes = document.createElement('fieldset');
+            scopes.className = 'bms-table-export-scopes';
+            const legend = document.createElement('legend');
+            legend.className = 'bms-table-filter-field';
+            legend.textContent = 'Rows';
+            scopes.appendChild(legend);
+
+            const options = [
+                { value: 'filtered', label: `Matching search and filters (${this._rowTotal(container)})` },
+                { value: 'all', label: state.remote ? 'All' : `All (${state.data.length})` },
+                { value: 'selected', label: `Selected (${selectedCount})`, disabled: selectedCount === 0 },
+                ...(config.paginate ? [{ value: 'page', label: `This page (${state.displayData.length})` }] : [])
+            ];
+            const preferred = selectedCount > 0 ? 'selected' : 'filtered';
+            const initial = options.some(option => option.value === last.scope && !option.disabled) ? last.scope : preferred;
+
+            options.forEach(option => {
+                const label = document.createElement('label');
+                label.className = 'bms-table-export-option';
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `${config.id}-export-scope`;
+                radio.value = option.value;
+                radio.checked = option.value === initial;
+                radio.disabled = Boolean(option.disabled);
+                label.append(radio, document.createTextNode(option.label));
+                scopes.appendChild(label);
+            });
+            body.appendChild(scopes);
+
+            // Which format
+            const formatField = document.createElement('label');
+            formatField.className = 'bms-table-filter-field';
+            formatField.textContent = 'Format';
+            const formatSelect = document.createElement('select');
+            formatSelect.className = 'bms-table-filter-input';
+            Object.entries(this.exportFormats).forEach(([value, format]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `${format.label} (.${format.extension})`;
+                option.selected = value === (last.format || 'csv');
+                formatSelect.appendChild(option);
+            });
+            formatField.appendChild(formatSelect);
+            body.appendChild(formatField);
+
+            let hiddenCheckbox = null;
+            if (state.hiddenColumns.size > 0) {
+                const label = document.createElement('label');
+                label.className = 'bms-table-export-option';
+                hiddenCheckbox = document.createElement('input');
+                hiddenCheckbox.type = 'checkbox';
+                hiddenCheckbox.checked = Boolean(last.allColumns);
+                label.append(hiddenCheckbox, document.createTextNode(`Include hidden columns (${state.hiddenColumns.size})`));
+                body.appendChild(label);
+            }
+
+            const error = document.createElement('div');
+            error.className = 'bms-table-filter-error';
+            error.setAttribute('role', 'alert');
+            body.appendChild(error);
+
+            // Copy or download
+            const actions = document.createElement('div');
+            actions.className = 'bms-table-filter-actions';
+
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'bms-table-btn';
+            copyBtn.textContent = 'Copy';
+
+            const downloadBtn = document.createElement('button');
+            downloadBtn.className = 'bms-table-btn bms-table-btn-primary';
+            downloadBtn.textContent = 'Download';
+
+            const updateCopy = () => {
+                copyBtn.disabled = Boolean(this.exportFormats[formatSelect.value].binary);
+            };
+            formatSelect.addEventListener('change', updateCopy);
+            updateCopy();
+
+            const run = async (destination) => {
+                const choice = {
+                    scope: scopes.querySelector('input:checked').value,
+                    format: formatSelect.value,
+                    allColumns: hiddenCheckbox ? hiddenCheckbox.checked : false
+                };
+                state.exportChoice = choice;
+
+                try {
+                    const result = await this.exportData(container, choice.format, {
+                        scope: choice.scope,
+                        allColumns: choice.allColumns,
+                        destination
+                    });
+                    this._closePopover(container);
+                    if (destination === 'clipboard') {
+                        BMS.UI?.updateStatus?.(`Copied ${result.rowCount} ${result.rowCount === 1 ? 'row' : 'rows'} as ${this.exportFormats[choice.format].label}`, 'success');
+                    }
+                } catch (exportError) {
+                    console.error('BMS: export failed:', exportError);
+                    error.textContent = exportError.message;
+                }
+            };
+            copyBtn.addEventListener('click', () => run('clipboard'));
+            downloadBtn.addEventListener('click', () => run('download'));
+
+            actions.appendChild(copyBtn);
+            actions.appendChild(downloadBtn);
+            menu.appendChild(actions);
 
-            // Download file
-            const blob = new Blob([content], { type: mimeType });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            link.click();
-            URL.revokeObjectURL(url);
+            this._openPopover(container, anchor, menu);
+            formatSelect.focus();
         },
 
         /**
@@ -746,7 +3783,93 @@
             state.data = [...newData];
             state.filteredData = [...newData];
             state.currentPage = 1;
+            state.editHistory = [];
+
+            // Drop selected rows that are no longer in the data
+            const rows = new Set(state.data);
+            const selectedBefore = state.selectedRows.size;
+            state.selectedRows.forEach(row => {
+                if (!rows.has(row)) state.selectedRows.delete(row);
+            });
+
             this._applyFilters(container);
+            if (state.selectedRows.size !== selectedBefore) {
+                this._notifySelection(container);
+            }
+        },
+
+        /**
+         * Get the selected rows
+         * @returns {Array} Selected row objects, in data order
+         */
+        getSelection: function(container) {
+            const state = container._bmsTableState;
+            return state.data.filter(row => state.selectedRows.has(row));
+        },
+
+        /**
+         * Select or deselect a row
+         * Selection is kept by row object, so it survives sorting, filtering and paging.
+         */
+        _toggleRowSelection: function(container, rowData, selected) {
+            const state = container._bmsTableState;
+            if (selected) {
+                state.selectedRows.add(rowData);
+            } else {
+                state.selectedRows.delete(rowData);
+            }
+
+            this._syncSelection(container);
+            this._notifySelection(container);
+        },
+
+        /**
+         * Select or deselect every row matching the current search and filters
+         */
+        _toggleAllRows: function(container, selected) {
+            const state = container._bmsTableState;
+            state.filteredData.forEach(row => {
+                if (selected) {
+                    state.selectedRows.add(row);
+                } else {
+                    state.selectedRows.delete(row);
+                }
+            });
+
+            this._syncSelection(container);
+            this._notifySelection(container);
+        },
+
+        /**
+         * Reflect the selection in the row checkboxes and the select-all checkbox
+         */
+        _syncSelection: function(container) {
+            const state = container._bmsTableState;
+
+            container._bmsTableBody.querySelectorAll('tr.bms-table-row').forEach(tr => {
+                const selected = state.selectedRows.has(state.displayData[tr.dataset.rowIndex]);
+                tr.classList.toggle('bms-table-row-selected', selected);
+                tr.setAttribute('aria-selected', String(selected));
+                const checkbox = tr.querySelector('.bms-table-select input');
+                if (checkbox) checkbox.checked = selected;
+            });
+
+            const selectAll = container.querySelector('.bms-table-select-all input');
+            if (selectAll) {
+                const count = state.filteredData.filter(row => state.selectedRows.has(row)).length;
+                selectAll.checked = count > 0 && count === state.filteredData.length;
+                selectAll.indeterminate = count > 0 && count < state.filteredData.length;
+            }
+        },
+
+        _notifySelection: function(container) {
+            const state = container._bmsTableState;
+            const selected = this.getSelection(container);
+
+            if (state.config.onRowSelect) {
+                state.config.onRowSelect(selected, container);
+            }
+            BMS.events?.emit('table:selection', { table: container, selected });
         },
 
         /**
@@ -181,18 +181,13 @@
                 element.style.animation = `bms-bounce ${config.duration}ms ease-out`;
 
                 // Inject keyframes if not already present
-                if (!document.querySelector('#bms-bounce-keyframes')) {
-                    const style = document.createElement('style');
-                    style.id = 'bms-bounce-keyframes';
-                    style.innerHTML = `
+                this._injectKeyframes('bms-bounce-keyframes', `
                         @keyframes bms-bounce {
                             0%, 20%, 50%, 80%, 100% { transform: translateY(0); }
                             40% { transform: translateY(-${config.intensity}px); }
                             60% { transform: translateY(-${config.intensity / 2}px); }
                         }
-                    `;
-                    document.head.appendChild(style);
-                }
+                    `);
 
                 setTimeout(() => {
                     element.style.animation = '';
@@ -223,17 +218,12 @@
                 element.style.animation = `bms-pulse ${config.duration}ms ease-in-out ${config.iterations}`;
 
                 // Inject keyframes if not already present
-                if (!document.querySelector('#bms-pulse-keyframes')) {
-                    const style = document.createElement('style');
-                    style.id = 'bms-pulse-keyframes';
-                    style.innerHTML = `
+                this._injectKeyframes('bms-pulse-keyframes', `
                         @keyframes bms-pulse {
                             0%, 100% { transform: scale(1); opacity: 1; }
                             50% { transform: scale(${config.scale}); opacity: 0.8; }
                         }
-                    `;
-                    document.head.appendChild(style);
-                }
+                    `);
 
                 setTimeout(() => {
                     element.style.animation = '';
@@ -263,18 +253,13 @@
                 element.style.animation = `bms-shake ${config.duration}ms ease-in-out`;
 
                 // Inject keyframes if not already present
-                if (!document.querySelector('#bms-shake-keyframes')) {
-                    const style = document.createElement('style');
-                    style.id = 'bms-shake-keyframes';
-                    style.innerHTML = `
+                this._injectKeyframes('bms-shake-keyframes', `
                         @keyframes bms-shake {
                             0%, 100% { transform: translateX(0); }
                             10%, 30%, 50%, 70%, 90% { transform: translateX(-${config.intensity}px); }
                             20%, 40%, 60%, 80% { transform: translateX(${config.intensity}px); }
                         }
-                    `;
-                    document.head.appendChild(style);
-                }
+                    `);
 
                 setTimeout(() => {
                     element.style.animation = '';
@@ -461,6 +446,20 @@
             return () => {
                 window.removeEventListener('scroll', handleScroll);
             };
+        },
+
+        /**
+         * Add keyframes once, next to the rest of the BMS styles (shadow root aware)
+         */
+        _injectKeyframes: function(id, css) {
+            if (BMS.DOM?.addStyles) {
+                BMS.DOM.addStyles(css, id);
+            } else if (!document.querySelector(`#${id}`)) {
+                const style = document.createElement('style');
+                style.id = id;
+                style.textContent = css;
+                document.head.appendChild(style);
+            }
         }
     };
 })();
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * Command Palette Component for BMS
+ * Keyboard-driven list of commands with fuzzy search
+ */
+
+(function() {
+    // Extend BMS.UI namespace
+    if (!window.BMS) window.BMS = {};
+    if (!window.BMS.UI) window.BMS.UI = {};
+    if (!window.BMS.UI.Components) window.BMS.UI.Components = {};
+
+    BMS.UI.Components.CommandPalette = {
+        active: null,
+
+        /**
+         * Open the command palette
+         * Only one palette is open at a time; opening another closes the first.
+         * @param {Object} options - Palette configuration
+         * @param {Array} options.commands - [{ id, title, subtitle, icon, group, keywords, run }]
+         * @returns {HTMLElement} Palette element
+         */
+        open: function(options = {}) {
+            const defaults = {
+                id: BMS.Utils?.generateId?.('bms-palette-') || 'bms-palette-' + Date.now(),
+                placeholder: 'Type a command…',
+                emptyText: 'No matching commands',
+                commands: [],
+                maxResults: 50,
+                zIndex: BMS.UI.WindowManager?.overlayZIndex(20) ?? 11500,
+                onClose: null
+            };
+
+            const config = { ...defaults, ...options };
+
+            if (this.active) {
+                this.close(this.active);
+            }
+
+            // Overlay closes the palette when clicked outside it
+            const overlay = document.createElement('div');
+            overlay.className = 'bms-palette-overlay';
+            overlay.style.zIndex = config.zIndex;
+
+            const palette = document.createElement('div');
+            palette.id = config.id;
+            palette.className = 'bms-palette';
+            palette.setAttribute('role', 'dialog');
+            palette.setAttribute('aria-modal', 'true');
+            palette.setAttribute('aria-label', 'Command palette');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'bms-palette-input';
+            input.placeholder = config.placeholder;
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-expanded', 'true');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-controls', `${config.id}-list`);
+
+            const list = document.createElement('ul');
+            list.id = `${config.id}-list`;
+            list.className = 'bms-palette-list';
+            list.setAttribute('role', 'listbox');
+
+            const hint = document.createElement('div');
+            hint.className = 'bms-palette-hint';
+            hint.textContent = '↑↓ to navigate · Enter to run · Esc to close';
+
+            palette.appendChild(input);
+            palette.appendChild(list);
+            palette.appendChild(hint);
+            overlay.appendChild(palette);
+
+            palette._bmsConfig = config;
+            palette._bmsState = { results: [], activeIndex: 0 };
+            palette._previousFocus = BMS.DOM?.activeElement?.() || document.activeElement;
+
+            (BMS.DOM?.getRoot?.() || document.body).appendChild(overlay);
+            this.active = palette;
+
+            this._setupEvents(overlay, palette);
+            this._render(palette);
+            input.focus();
+
+            return palette;
+        },
+
+        /**
+         * Close a palette
+         */
+        close: function(palette) {
+            if (!palette || !palette.isConnected) return;
+
+            const config = palette._bmsConfig;
+            palette.parentElement.remove();
+            if (this.active === palette) {
+                this.active = null;
+            }
+
+            if (palette._previousFocus && palette._previousFocus.focus) {
+                palette._previousFocus.focus();
+            }
+            if (config.onClose) {
+                config.onClose(palette);
+            }
+        },
+
+        /**
+         * Replace the palette's commands, keeping the current query
+         */
+        setCommands: function(palette, commands) {
+            palette._bmsConfig.commands = commands;
+            this._render(palette);
+        },
+
+        /**
+         * Rank commands against a query
+         * Titles count fully; subtitles, groups and keywords count for less.
+         * @param {Array} commands - Commands to search
+         * @param {string} query - Search text
+         * @returns {Array} [{ command, score, matches }] best first; matches are title indices
+         */
+        filter: function(commands, query) {
+            query = query.trim();
+            if (!query) {
+                return commands.map(command => ({ command, score: 0, matches: [] }));
+            }
+
+            const results = [];
+            commands.forEach((command, order) => {
+                const title = this.fuzzyMatch(query, command.title);
+                const extra = [command.subtitle, command.group, ...(command.keywords || [])]
+                    .filter(Boolean)
+                    .map(text => this.fuzzyMatch(query, text))
+                    .filter(Boolean)
+                    .reduce((best, match) => Math.max(best, match.score), -Infinity);
+
+                const score = Math.max(title ? title.score : -Infinity, extra / 2);
+                if (score > -Infinity) {
+                    results.push({ command, score, order, matches: title ? title.indices : [] });
+                }
+            });
+
+            // Stable: equal scores keep the order the commands were given in
+            results.sort((a, b) => b.score - a.score || a.order - b.order);
+            return results.map(({ command, score, matches }) => ({ command, score, matches }));
+        },
+
+        /**
+         * Fuzzy match a query against a text
+         * Every query character must appear in order. Matches at word starts,
+         * consecutive matches and matches near the beginning score higher.
+         * @param {string} query - Search text; spaces are ignored
+         * @param {string} text - Text to match
+         * @returns {Object|null} { score, indices } or null when it doesn't match
+         */
+        fuzzyMatch: function(query, text) {
+            const needle = query.toLowerCase().replace(/\s+/g, '');
+            const haystack = String(text || '');
+            const lower = haystack.toLowerCase();
+            if (!needle) return { score: 0, indices: [] };
+
+            const isWordStart = (i) => i === 0 ||
+                !/[a-z0-9]/i.test(haystack[i - 1]) ||
+                (/[a-z]/.test(haystack[i - 1]) && /[A-Z]/.test(haystack[i]));
+
+            // Try preferring word starts first, then plain left-to-right
+            const attempt = (preferWordStarts) => {
+                const indices = [];
+                let from = 0;
+                for (const ch of needle) {
+                    let index = lower.indexOf(ch, from);
+                    if (index === -1) return null;
+
+                    if (preferWordStarts && index !== from && !isWordStart(index)) {
+                        for (let i = index + 1; i < lower.length; i++) {
+                            if (lower[i] === ch && isWordStart(i)) {
+                                index = i;
+                                break;
+                            }
+                        }
+                    }
+                    indices.push(index);
+                    from = index + 1;
+                }
+                return indices;
+            };
+
+            const score = (indices) => indices.reduce((total, index, i) => {
+                let points = 1;
+                if (isWordStart(index)) points += 6;
+                if (i > 0 && index === indices[i - 1] + 1) points += 4;
+                return total + points;
+            }, lower.startsWith(needle) ? 10 : 0) - Math.min(indices[0], 10) * 0.5;
+
+            const candidates = [attempt(true), attempt(false)].filter(Boolean);
+            if (candidates.length === 0) return null;
+
+            return candidates
+                .map(indices => ({ score: score(indices), indices }))
+                .reduce((best, match) => match.score > best.score ? match : best);
+        },
+
+        /**
+         * Setup event handlers
+         */
+        _setupEvents: function(overlay, palette) {
+            const input = palette.querySelector('.bms-palette-input');
+            const list = palette.querySelector('.bms-palette-list');
+            const state = palette._bmsState;
+
+            input.addEventListener('input', () => {
+                state.activeIndex = 0;
+                this._render(palette);
+            });
+
+            input.addEventListener('keydown', (e) => {
+                const count = state.results.length;
+                switch (e.key) {
+                    case 'ArrowDown':
+                    case 'ArrowUp':
+                        e.preventDefault();
+                        if (count > 0) {
+                            const step = e.key === 'ArrowDown' ? 1 : -1;
+                            this._setActive(palette, (state.activeIndex + step + count) % count);
+                        }
+                        break;
+                    case 'PageDown':
+                    case 'PageUp':
+                        e.preventDefault();
+                        if (count > 0) {
+                            const step = e.key === 'PageDown' ? 8 : -8;
+                            this._setActive(palette, Math.max(0, Math.min(count - 1, state.activeIndex + step)));
+                        }
+                        break;
+                    case 'Enter':
+                        e.preventDefault();
+                        if (state.results[state.activeIndex]) {
+                            this._execute(palette, state.results[state.activeIndex].command);
+                        }
+                        break;
+                    case 'Escape':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.close(palette);
+                        break;
+                    case 'Tab':
+                        // Nothing else in the palette takes focus
+                        e.preventDefault();
+                        break;
+                }
+            });
+
+            list.addEventListener('mousemove', (e) => {
+                const item = e.target.closest('.bms-palette-item');
+                if (item && Number(item.dataset.index) !== state.activeIndex) {
+                    this._setActive(palette, Number(item.dataset.index), false);
+                }
+            });
+
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('.bms-palette-item');
+                if (item) {
+                    this._execute(palette, state.results[Number(item.dataset.index)].command);
+                }
+            });
+
+            overlay.addEventListener('mousedown', (e) => {
+                if (e.target === overlay) {
+                    this.close(palette);
+                }
+            });
+        },
+
+        /**
+         * Render the results for the current query
+         */
+        _render: function(palette) {
+            const config = palette._bmsConfig;
+            const state = palette._bmsState;
+            const input = palette.querySelector('.bms-palette-input');
+            const list = palette.querySelector('.bms-palette-list');
+
+            state.results = this.filter(config.commands, input.value).slice(0, config.maxResults);
+            state.activeIndex = Math.min(state.activeIndex, Math.max(0, state.results.length - 1));
+
+            list.replaceChildren();
+            if (state.results.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'bms-palette-empty';
+                empty.textContent = config.emptyText;
+                list.appendChild(empty);
+                input.removeAttribute('aria-activedescendant');
+                return;
+            }
+
+            state.results.forEach(({ command, matches }, index) => {
+                const item = document.createElement('li');
+                item.id = `${config.id}-option-${index}`;
+                item.className = 'bms-palette-item';
+                item.dataset.index = index;
+                item.setAttribute('role', 'option');
+
+                const icon = document.createElement('span');
+                icon.className = 'bms-palette-icon';
+                icon.textContent = command.icon || '';
+                icon.setAttribute('aria-hidden', 'true');
+
+                const text = document.createElement('span');
+                text.className = 'bms-palette-text';
+                const title = document.createElement('span');
+                title.className = 'bms-palette-title';
+                this._highlight(title, command.title, matches);
+                text.appendChild(title);
+
+                if (command.subtitle) {
+                    const subtitle = document.createElement('span');
+                    subtitle.className = 'bms-palette-subtitle';
+                    subtitle.textContent = command.subtitle;
+                    text.appendChild(subtitle);
+                }
+
+                item.appendChild(icon);
+                item.appendChild(text);
+
+                if (command.group) {
+                    const group = document.createElement('span');
+                    group.className = 'bms-palette-group';
+                    group.textContent = command.group;
+                    item.appendChild(group);
+                }
+
+                list.appendChild(item);
+            });
+
+            this._setActive(palette, state.activeIndex);
+        },
+
+        /**
+         * Build a title with matched characters wrapped in <mark>
+         */
+        _highlight: function(element, text, matches) {
+            const matched = new Set(matches);
+            let run = '';
+            let runMatched = false;
+
+            const flush = () => {
+                if (!run) return;
+                if (runMatched) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = run;
+                    element.appendChild(mark);
+                } else {
+                    element.appendChild(document.createTextNode(run));
+                }
+                run = '';
+            };
+
+            String(text).split('').forEach((ch, i) => {
+                const isMatch = matched.has(i);
+                if (isMatch !== runMatched) {
+                    flush();
+                    runMatched = isMatch;
+                }
+                run += ch;
+            });
+            flush();
+        },
+
+        /**
+         * Move the highlight to a result
+         */
+        _setActive: function(palette, index, scroll = true) {
+            const state = palette._bmsState;
+            const input = palette.querySelector('.bms-palette-input');
+            state.activeIndex = index;
+
+            palette.querySelectorAll('.bms-palette-item').forEach((item, i) => {
+                const selected = i === index;
+                item.classList.toggle('bms-palette-item-active', selected);
+                item.setAttribute('aria-selected', String(selected));
+                if (selected) {
+                    input.setAttribute('aria-activedescendant', item.id);
+                    if (scroll && item.scrollIntoView) {
+                        item.scrollIntoView({ block: 'nearest' });
+                    }
+                }
+            });
+        },
+
+        /**
+         * Close the palette and run a command
+         */
+        _execute: function(palette, command) {
+            this.close(palette);
+            if (typeof command.run === 'function') {
+                Promise.resolve()
+                    .then(() => command.run())
+                    .catch(error => console.error(`Command "${command.title}" failed:`, error));
+            }
+        }
+    };
+})();
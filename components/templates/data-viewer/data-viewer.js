@@ -27,6 +27,10 @@
                 // Data configuration
                 columns: [],
                 data: [],
+                dataSource: null, // Fetches each page instead of data; see Table's dataSource
+                tableId: null, // Lets the table remember its column layout
+                groupBy: null, // Column key to group the rows by
+                exportFilename: null, // Export file name, without the extension
 
                 // Features
                 features: {
@@ -35,10 +39,12 @@
                     filters: true,
                     sort: true,
                     pagination: true,
+                    virtualScroll: false, // Replaces pagination for large data sets
                     selection: true,
                     columnResize: true,
                     refresh: true,
                     fullscreen: true,
+                    popout: true, // Pop the viewer out into its own window
                     settings: false
                 },
 
@@ -77,20 +83,26 @@
                 animation: config.animated,
                 theme: config.theme,
                 maximizable: config.features.fullscreen,
+                poppable: config.features.popout,
                 onClose: config.onClose
             }) || this._createBasicPanel(config, content);
 
             // Create table inside the content area
             const tableContainer = content.querySelector('.bms-data-viewer-table');
             const table = BMS.UI.Components?.Table?.create({
+                ...(config.tableId ? { id: config.tableId } : {}),
                 columns: config.columns,
                 data: config.data,
+                ...(config.dataSource ? { dataSource: config.dataSource } : {}),
                 sortable: config.features.sort,
                 filterable: config.features.filters,
                 searchable: config.features.search,
                 paginate: config.features.pagination,
+                virtualScroll: config.features.virtualScroll,
                 selectable: config.features.selection,
                 resizableColumns: config.features.columnResize,
+                groupBy: config.groupBy,
+                ...(config.exportFilename ? { exportFilename: config.exportFilename } : {}),
                 dark: config.theme === 'dark',
                 onRowClick: config.onRowClick,
                 onRowSelect: config.onRowSelect
@@ -142,7 +154,7 @@
         _buildContent: function(config) {
             const content = document.createElement('div');
             content.className = 'bms-data-viewer-content';
-            content.innerHTML = `
+            BMS.DOM.setHTML(content, `
                 ${config.headerContent ? `<div class="bms-data-viewer-header">${config.headerContent}</div>` : ''}
 
                 <div class="bms-data-viewer-body ${config.sidePanel ? 'has-sidebar' : ''}">
@@ -179,7 +191,7 @@
                     <div class="bms-data-viewer-status-text">Ready</div>
                     <div class="bms-data-viewer-status-actions"></div>
                 </div>
-            `;
+            `);
 
             // Add quick actions
             if (config.quickActions.length > 0) {
@@ -212,7 +224,7 @@
             button.title = config.tooltip || config.label;
 
             if (config.icon) {
-                button.innerHTML = `${config.icon} <span>${config.label}</span>`;
+                BMS.DOM.setHTML(button, `${config.icon} <span>${config.label}</span>`);
             } else {
                 button.textContent = config.label;
             }
@@ -230,7 +242,7 @@
         _setupEventHandlers: function(panel, table, config) {
             // Refresh button
             if (config.features.refresh) {
-                const refreshBtn = panel.querySelector('.bms-data-viewer-refresh');
+                const refreshBtn = this._query(panel, '.bms-data-viewer-refresh');
                 if (refreshBtn) {
                     refreshBtn.addEventListener('click', async () => {
                         refreshBtn.classList.add('bms-refreshing');
@@ -247,6 +259,11 @@
                                 this.updateStatus(panel, 'Refresh failed', 'error');
                                 console.error('Refresh error:', error);
                             }
+                        } else if (config.dataSource && BMS.UI.Components?.Table?.reload) {
+                            // The table reports its own load errors
+                            if (await BMS.UI.Components.Table.reload(table)) {
+                                this.updateStatus(panel, 'Data refreshed', 'success');
+                            }
                         }
 
                         setTimeout(() => {
@@ -257,28 +274,32 @@
                 }
             }
 
-            // Export handling
+            // Export handling: onExport replaces the table's export menu
             if (config.features.export && config.onExport) {
-                // Override table's export function
-                const originalExport = BMS.UI.Components?.Table?.exportData;
-                if (originalExport) {
-                    const exportBtns = table.querySelectorAll('.bms-table-export');
-                    exportBtns.forEach(btn => {
-                        btn.addEventListener('click', (e) => {
-                            e.stopPropagation();
-                            e.preventDefault();
-                            config.onExport(table);
-                        });
-                    });
-                }
+                // Caught on the way down, before the button's own handler runs
+                table.addEventListener('click', (e) => {
+                    if (e.target.closest('.bms-table-export')) {
+                        e.stopPropagation();
+                        e.preventDefault();
+                        config.onExport(table);
+                    }
+                }, true);
             }
         },
 
+        /**
+         * Find an element in the viewer, also while its panel is popped out
+         */
+        _query: function(panel, selector) {
+            const content = BMS.UI.Components?.Panel?.getContent?.(panel);
+            return (content && content.querySelector(selector)) || panel.querySelector(selector);
+        },
+
         /**
          * Update status bar
          */
         updateStatus: function(panel, message, type = 'info') {
-            const statusText = panel.querySelector('.bms-data-viewer-status-text');
+            const statusText = this._query(panel, '.bms-data-viewer-status-text');
             if (!statusText) return;
 
             statusText.textContent = message;
@@ -297,13 +318,13 @@
          * Show loading state
          */
         showLoading: function(panel) {
-            const tableArea = panel.querySelector('.bms-data-viewer-table');
+            const tableArea = this._query(panel, '.bms-data-viewer-table');
             if (!tableArea) return;
 
             // Add loading overlay
             const loader = document.createElement('div');
             loader.className = 'bms-data-viewer-loading';
-            loader.innerHTML = `
+            BMS.DOM.setHTML(loader, `
                 <div class="bms-data-viewer-spinner">
                     <svg width="40" height="40" viewBox="0 0 40 40">
                         <circle cx="20" cy="20" r="18" stroke="currentColor" stroke-width="3" fill="none" opacity="0.2"/>
@@ -321,7 +342,7 @@
                     </svg>
                     <div>Loading data...</div>
                 </div>
-            `;
+            `);
 
             tableArea.appendChild(loader);
             this.updateStatus(panel, 'Loading...', 'info');
@@ -331,7 +352,7 @@
          * Hide loading state
          */
         hideLoading: function(panel) {
-            const loader = panel.querySelector('.bms-data-viewer-loading');
+            const loader = this._query(panel, '.bms-data-viewer-loading');
             if (loader) {
                 if (BMS.UI.Animations) {
                     BMS.UI.Animations.fadeOut(loader, {
@@ -349,7 +370,7 @@
          * Add quick action dynamically
          */
         addQuickAction: function(panel, action) {
-            const actionsContainer = panel.querySelector('.bms-data-viewer-quick-actions');
+            const actionsContainer = this._query(panel, '.bms-data-viewer-quick-actions');
             if (actionsContainer) {
                 const btn = this._createQuickAction(action);
                 actionsContainer.appendChild(btn);
@@ -376,6 +397,7 @@
             if (BMS.UI.Components?.Panel?.destroy) {
                 BMS.UI.Components.Panel.destroy(panel);
             } else {
+                BMS.UI.WindowManager?.unregister(panel);
                 panel.remove();
             }
         },
@@ -410,9 +432,9 @@
                 justify-content: space-between;
                 align-items: center;
             `;
-            header.innerHTML = `
+            BMS.DOM.setHTML(header, `
                 <div style="font-weight: 600; font-size: 16px; color: white;">${config.title}</div>
-                <button onclick="this.closest('.bms-basic-panel').remove()" style="
+                <button class="bms-basic-close" style="
                     background: rgba(255, 255, 255, 0.1);
                     border: 1px solid rgba(255, 255, 255, 0.2);
                     color: white;
@@ -422,7 +444,9 @@
                     cursor: pointer;
                     font-size: 18px;
                 ">×</button>
-            `;
+            `);
+            // Bound here rather than inline: strict CSPs block onclick attributes
+            header.querySelector('.bms-basic-close').addEventListener('click', () => this.destroy(panel));
 
             const body = document.createElement('div');
             body.style.cssText = `
@@ -434,7 +458,8 @@
 
             panel.appendChild(header);
             panel.appendChild(body);
-            document.body.appendChild(panel);
+            (BMS.DOM?.getRoot?.() || document.body).appendChild(panel);
+            BMS.UI.WindowManager?.register(panel);
 
             return panel;
         },
@@ -444,7 +469,7 @@
          */
         _createBasicTable: function(config) {
             const container = document.createElement('div');
-            container.innerHTML = `<div style="color: #999; padding: 20px;">Table component not available</div>`;
+            BMS.DOM.setHTML(container, `<div style="color: #999; padding: 20px;">Table component not available</div>`);
             return container;
         }
     };
@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/**
+ * Bookmarklet generator for BMS
+ * Turns each entry script in JavaScript/ (one that calls BMS.registerBookmarklet)
+ * into two bookmarklets:
+ *   - Bookmarklets/loaders/<Name>-loader.js: small loader that fetches the suite
+ *     and the entry script from GitHub (through the offline cache)
+ *   - Bookmarklets/standalone/<Name>.js: the suite, the entry script and the
+ *     components it loads inlined into a single URL. Nothing is fetched and
+ *     nothing is eval'd, so it also runs on sites with a strict CSP
+ *   - Bookmarklets/standalone/<Name>-lite.js: only written when <Name>.js is
+ *     too long for Firefox. The suite and the entry script without components,
+ *     so on a strict CSP site the bookmarklet uses its basic panel
+ *
+ * Usage:
+ *   node tools/build-bookmarklets.js [entry.js ...] [--check] [--base-url=URL]
+ *
+ * With no entries, every JavaScript/*-refactored.js that registers a bookmarklet is built.
+ * --check writes nothing and exits with 1 when a generated file is out of date.
+ * No dependencies: runs on a plain Node install.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SUITE_PATH = path.join(ROOT, 'JavaScript', 'bookmarklet-suite.js');
+const COMPONENTS_DIR = path.join(ROOT, 'components');
+const LOADERS_DIR = path.join(ROOT, 'Bookmarklets', 'loaders');
+const STANDALONE_DIR = path.join(ROOT, 'Bookmarklets', 'standalone');
+const DEFAULT_BASE_URL = 'https://raw.githubusercontent.com/SOELexicon/BookmarkletIncludes/refs/heads/main/JavaScript/';
+
+// Firefox refuses bookmark URLs longer than this; Chromium allows far more
+const URL_SIZE_WARNING = 65536;
+
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Minify JavaScript by removing comments and redundant whitespace
+ * Strings, template literals and regular expressions are copied verbatim.
+ * Line breaks are kept wherever automatic semicolon insertion could depend on them,
+ * so the output behaves exactly like the input. The output is syntax-checked by build().
+ * @param {string} source - JavaScript source
+ * @returns {string} Minified source
+ */
+function minify(source) {
+  let pos = 0;
+
+  const isIdentChar = (ch) => /[A-Za-z0-9_$\\]/.test(ch) || ch > '\x7f';
+
+  // Scan code until end of input, or until the `}` closing a template substitution
+  function scanCode(inTemplate) {
+    let out = '';
+    let depth = 0;
+    let lastToken = null; // { type: 'word'|'num'|'punct'|'literal', value }
+    let pendingSpace = null; // null | ' ' | '\n'
+
+    const emit = (text, token) => {
+      if (pendingSpace && out) {
+        out += separator(out[out.length - 1], text[0], pendingSpace);
+      }
+      pendingSpace = null;
+      out += text;
+      lastToken = token;
+    };
+
+    const regexAllowed = () => {
+      if (!lastToken) return true;
+      if (lastToken.type === 'word') return REGEX_KEYWORDS.has(lastToken.value);
+      if (lastToken.type === 'punct') return !/[)\]}]/.test(lastToken.value);
+      return false;
+    };
+
+    while (pos < source.length) {
+      const ch = source[pos];
+      const next = source[pos + 1];
+
+      if (/\s/.test(ch)) {
+        const isNewline = ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029';
+        pendingSpace = isNewline || pendingSpace === '\n' ? '\n' : ' ';
+        pos++;
+      } else if (ch === '/' && next === '/') {
+        while (pos < source.length && source[pos] !== '\n') pos++;
+      } else if (ch === '/' && next === '*') {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) throw new Error('Unterminated comment');
+        const comment = source.slice(pos, end + 2);
+        pendingSpace = /\n/.test(comment) || pendingSpace === '\n' ? '\n' : ' ';
+        pos = end + 2;
+      } else if (ch === '"' || ch === "'") {
+        emit(scanString(ch), { type: 'literal' });
+      } else if (ch === '`') {
+        emit(scanTemplate(), { type: 'literal' });
+      } else if (ch === '/' && regexAllowed()) {
+        emit(scanRegex(), { type: 'literal' });
+      } else if (isIdentChar(ch)) {
+        let end = pos;
+        while (end < source.length && isIdentChar(source[end])) end++;
+        // Decimal points and exponents belong to the number
+        if (/[0-9]/.test(ch)) {
+          while (end < source.length && /[0-9A-Za-z_.]/.test(source[end]) ||
+                 /[eE]/.test(source[end - 1]) && /[+-]/.test(source[end])) end++;
+        }
+        const word = source.slice(pos, end);
+        pos = end;
+        emit(word, { type: /[0-9]/.test(ch) ? 'num' : 'word', value: word });
+      } else {
+        if (ch === '{') depth++;
+        if (ch === '}') {
+          if (inTemplate && depth === 0) {
+            pos++;
+            return out;
+          }
+          depth--;
+        }
+        pos++;
+        emit(ch, { type: 'punct', value: ch });
+      }
+    }
+
+    if (inTemplate) throw new Error('Unterminated template substitution');
+    return out;
+  }
+
+  function scanString(quote) {
+    const start = pos++;
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (source[pos] === '\n') throw new Error(`Unterminated string at ${start}`);
+      pos++;
+    }
+    pos++;
+    return source.slice(start, pos);
+  }
+
+  function scanTemplate() {
+    let out = '`';
+    pos++;
+    while (pos < source.length && source[pos] !== '`') {
+      if (source[pos] === '\\') {
+        out += source.slice(pos, pos + 2);
+        pos += 2;
+      } else if (source[pos] === '$' && source[pos + 1] === '{') {
+        pos += 2;
+        out += '${' + scanCode(true) + '}';
+      } else {
+        out += source[pos++];
+      }
+    }
+    if (pos >= source.length) throw new Error('Unterminated template literal');
+    pos++;
+    return out + '`';
+  }
+
+  function scanRegex() {
+    const start = pos++;
+    let inClass = false;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (ch === '\n') throw new Error(`Unterminated regular expression at ${start}`);
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) break;
+      pos++;
+    }
+    pos++;
+    while (pos < source.length && /[a-z]/i.test(source[pos])) pos++;
+    return source.slice(start, pos);
+  }
+
+  return scanCode(false);
+}
+
+/**
+ * Decide what whitespace must separate two tokens
+ * @param {string} prev - Last character already emitted
+ * @param {string} next - First character of the next token
+ * @param {string} space - ' ' or '\n' (the whitespace found in the source)
+ * @returns {string} Separator, possibly empty
+ */
+function separator(prev, next, space) {
+  const word = (ch) => /[A-Za-z0-9_$\\]/.test(ch) || ch > '\x7f';
+
+  if (space === '\n') {
+    // A statement can't end on these, so the line break can't matter
+    if (/[{([,;:=?&|!<>*%~^]/.test(prev)) return '';
+    if (/[)\]},;.:?]/.test(next)) return '';
+    return '\n';
+  }
+
+  if (word(prev) && word(next)) return ' ';
+  if ((prev === '+' || prev === '-') && prev === next) return ' ';
+  if (/[0-9]/.test(prev) && next === '.') return ' ';
+  if (prev === '/' && next === '/') return ' ';
+  return '';
+}
+
+/**
+ * Minify CSS by removing comments and redundant whitespace
+ * @param {string} source - CSS source
+ * @returns {string} Minified CSS
+ */
+function minifyCSS(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{};,])\s*/g, '$1')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+/**
+ * Encode code for use as a javascript: URL
+ * `%` must always be escaped or the browser will decode it; `#`, line breaks,
+ * control and non-ASCII characters are escaped so the URL survives copy/paste.
+ * @param {string} code - JavaScript source
+ * @returns {string} javascript: URL
+ */
+function encodeBookmarklet(code) {
+  const encoded = code.replace(/[%#]|[^\x20-\x7e]/gu, (ch) => encodeURIComponent(ch));
+  return 'javascript:' + encoded;
+}
+
+const ENTRY_PATTERN = /BMS\.registerBookmarklet\(\s*\{[\s\S]*?\bid:\s*(['"])([\w-]+)\1/;
+
+/**
+ * Find the bookmarklet an entry script registers
+ * @returns {Object} { name, fileName, id, components, source }
+ */
+function describeEntry(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const match = source.match(ENTRY_PATTERN);
+  if (!match) {
+    throw new Error(`${path.relative(ROOT, file)} does not register a bookmarklet with a literal id`);
+  }
+  return {
+    name: path.basename(file, '.js').replace(/-refactored$/, ''),
+    fileName: path.basename(file),
+    id: match[2],
+    components: findComponents(source),
+    source
+  };
+}
+
+/**
+ * List the components an entry script declares (`components: [...]`) or asks
+ * for with BMS.loadComponent(s)
+ * Only string literals are found; anything computed at runtime is fetched as usual.
+ */
+function findComponents(source) {
+  const components = [];
+  const calls = source.matchAll(/(?:BMS\.loadComponents?\(|\bcomponents:)\s*(\[[^\]]*\]|'[^']*'|"[^"]*")/g);
+  for (const call of calls) {
+    for (const literal of call[1].matchAll(/'([^']*)'|"([^"]*)"/g)) {
+      const componentPath = literal[1] || literal[2];
+      if (!components.includes(componentPath)) components.push(componentPath);
+    }
+  }
+  return components;
+}
+
+/**
+ * Resolve components and their dependencies using the suite's own manifest
+ * The suite is evaluated in a sandbox so the load order matches the browser exactly.
+ * @returns {Array} Component paths in load order
+ */
+function resolveComponents(components, suiteSource) {
+  const sandbox = { window: {} };
+  vm.runInNewContext(suiteSource, sandbox, { filename: 'bookmarklet-suite.js' });
+  return Array.from(sandbox.window.BMS.resolveDependencies(components));
+}
+
+/**
+ * Wrap a component as a BMS.bundleComponent() call
+ * The code becomes a function body rather than a string, so no eval is needed.
+ */
+function bundleComponent(componentPath) {
+  const jsFile = path.join(COMPONENTS_DIR, `${componentPath}.js`);
+  const cssFile = path.join(COMPONENTS_DIR, `${componentPath}.css`);
+  if (!fs.existsSync(jsFile)) {
+    throw new Error(`Component ${componentPath} not found at ${path.relative(ROOT, jsFile)}`);
+  }
+
+  const js = fs.readFileSync(jsFile, 'utf8');
+  const css = fs.existsSync(cssFile) ? JSON.stringify(minifyCSS(fs.readFileSync(cssFile, 'utf8'))) : 'null';
+  return `BMS.bundleComponent(${JSON.stringify(componentPath)}, function(){
+${js}
+}, ${css});`;
+}
+
+/**
+ * Remote loader: fetch suite and entry script (cache first), then run
+ * Must stay in sync with BMS.cache in bookmarklet-suite.js (name, header, max
+ * age, and using a stale copy only when the network fails). A stale suite
+ * served while main moves on would check new components against old hashes.
+ */
+function buildLoader(entry, baseUrl) {
+  const suiteUrl = `${baseUrl}bookmarklet-suite.js`;
+  const scriptUrl = `${baseUrl}${entry.fileName}`;
+
+  return minify(`(async function(){
+    const SUITE_URL = "${suiteUrl}";
+    const SCRIPT_URL = "${scriptUrl}";
+    const ID = "${entry.id}";
+    const CACHE = "bms-cache-v1", MAX_AGE = 36e5;
+    async function load(u) {
+      let c, hit;
+      try { c = await caches.open(CACHE); hit = await c.match(u); } catch (e) {}
+      if (hit && Date.now() - Number(hit.headers.get("x-bms-cached-at")) <= MAX_AGE) return hit.text();
+      try {
+        const r = await fetch(u);
+        if (!r.ok) throw new Error("HTTP " + r.status);
+        const t = await r.text();
+        if (c) c.put(u, new Response(t, { headers: { "x-bms-cached-at": String(Date.now()) } })).catch(() => {});
+        return t;
+      } catch (e) {
+        if (hit) return hit.text();
+        throw e;
+      }
+    }
+    try {
+      if (!window.BMS || !window.BMS.registerBookmarklet) { const suiteCode = await load(SUITE_URL); (new Function(suiteCode))(); BMS.init(); }
+      if (!BMS.bookmarklets[ID]) { const scriptCode = await load(SCRIPT_URL); BMS.registerOnly = true; try { (new Function(scriptCode))(); } finally { BMS.registerOnly = false; } }
+      await BMS.runBookmarklet(ID);
+    } catch (e) {
+      if (e instanceof EvalError) alert("This site's Content Security Policy blocks this bookmarklet. Use the standalone version from Bookmarklets/standalone instead.");
+      else alert("Failed to load bookmarklet: " + e.message + ". Check console for details.");
+    }
+  })();`);
+}
+
+/**
+ * Standalone bookmarklet: suite, components and entry script inlined
+ * An already loaded suite is reused if it supports bundled components; the
+ * entry script only registers (registerOnly) and loadComponents() picks up the
+ * bundled copies. Without components (the lite flavour), loadComponents()
+ * fetches them where eval is allowed and the bookmarklet falls back to its
+ * basic UI where it isn't.
+ */
+function assembleStandalone(entry, suiteSource, bundle = true) {
+  const components = bundle ? resolveComponents(entry.components, suiteSource) : [];
+  return `(function(){
+    if (!window.BMS || !window.BMS.bundleComponent) {
+      ${suiteSource}
+      BMS.init();
+    }
+    ${components.map(bundleComponent).join('\n')}
+    BMS.registerOnly = true;
+    try {
+      ${entry.source}
+    } finally {
+      BMS.registerOnly = false;
+    }
+    BMS.runBookmarklet(${JSON.stringify(entry.id)});
+  })();`;
+}
+
+function checkSyntax(code, label) {
+  try {
+    new vm.Script(code, { filename: label });
+  } catch (error) {
+    throw new Error(`Generated code for ${label} does not parse: ${error.message}`);
+  }
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Generate both bookmarklets for every entry
+ * @returns {Array} Report rows
+ */
+function build({ entries, baseUrl, check }) {
+  const suiteSource = fs.readFileSync(SUITE_PATH, 'utf8');
+  const report = [];
+
+  for (const file of entries) {
+    const entry = describeEntry(file);
+    const standalone = assembleStandalone(entry, suiteSource);
+    const outputs = [
+      { flavour: 'loader', file: path.join(LOADERS_DIR, `${entry.name}-loader.js`), code: buildLoader(entry, baseUrl), source: 0 },
+      { flavour: 'standalone', file: path.join(STANDALONE_DIR, `${entry.name}.js`), code: minify(standalone), source: Buffer.byteLength(standalone) }
+    ];
+
+    // Firefox can't keep the full standalone as a bookmark, so offer one it can
+    const lite = path.join(STANDALONE_DIR, `${entry.name}-lite.js`);
+    if (encodeBookmarklet(outputs[1].code).length > URL_SIZE_WARNING) {
+      const liteStandalone = assembleStandalone(entry, suiteSource, false);
+      outputs.push({ flavour: 'lite', file: lite, code: minify(liteStandalone), source: Buffer.byteLength(liteStandalone) });
+    } else if (fs.existsSync(lite)) {
+      report.push({ name: entry.name, flavour: 'lite', file: path.relative(ROOT, lite), source: 0, size: 0, stale: true, removed: true });
+      if (!check) fs.unlinkSync(lite);
+    }
+
+    for (const output of outputs) {
+      checkSyntax(output.code, `${entry.name} (${output.flavour})`);
+      const url = encodeBookmarklet(output.code);
+      const current = fs.existsSync(output.file) ? fs.readFileSync(output.file, 'utf8') : null;
+      const stale = current !== url;
+
+      if (!check && stale) {
+        fs.mkdirSync(path.dirname(output.file), { recursive: true });
+        fs.writeFileSync(output.file, url);
+      }
+
+      report.push({
+        name: entry.name,
+        flavour: output.flavour,
+        file: path.relative(ROOT, output.file),
+        source: output.source,
+        size: url.length,
+        stale
+      });
+    }
+  }
+
+  return report;
+}
+
+function printReport(report, check) {
+  console.log('Bookmarklet           Flavour     Source     URL        File');
+  for (const row of report) {
+    const status = row.removed ? (check ? '  NO LONGER NEEDED' : '  removed') : row.stale ? (check ? '  OUT OF DATE' : '  updated') : '';
+    console.log(
+      row.name.padEnd(22) +
+      row.flavour.padEnd(12) +
+      (row.source ? formatSize(row.source) : '-').padEnd(11) +
+      formatSize(row.size).padEnd(11) +
+      row.file + status
+    );
+    if (row.size > URL_SIZE_WARNING) {
+      const hint = row.flavour === 'standalone' ? `; Firefox users can use ${row.file.replace(/\.js$/, '-lite.js')}` : '';
+      console.warn(`  warning: ${row.file} is longer than ${URL_SIZE_WARNING} characters; Firefox will refuse it as a bookmark${hint}`);
+    }
+  }
+}
+
+function main(argv) {
+  const check = argv.includes('--check');
+  const baseUrlArg = argv.find(arg => arg.startsWith('--base-url='));
+  const baseUrl = baseUrlArg ? baseUrlArg.slice('--base-url='.length) : DEFAULT_BASE_URL;
+
+  let entries = argv.filter(arg => !arg.startsWith('--')).map(arg => path.resolve(arg));
+  if (entries.length === 0) {
+    const dir = path.join(ROOT, 'JavaScript');
+    entries = fs.readdirSync(dir)
+      .filter(file => file.endsWith('-refactored.js'))
+      .map(file => path.join(dir, file))
+      .filter(file => ENTRY_PATTERN.test(fs.readFileSync(file, 'utf8')));
+  }
+
+  const report = build({ entries, baseUrl, check });
+  printReport(report, check);
+
+  if (check && report.some(row => row.stale)) {
+    console.error('Generated bookmarklets are out of date; run node tools/build-bookmarklets.js');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { minify, minifyCSS, encodeBookmarklet, build };